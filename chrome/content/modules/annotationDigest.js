@@ -0,0 +1,291 @@
+/**
+ * Annotation Digest
+ *
+ * Collects every annotation on a paper's attachments, groups them by color,
+ * tag or section and has the model write a structured reading digest. Quotes
+ * keep links back to their annotation in the PDF. The digest is saved as a
+ * tagged child note, and running it again rewrites that note.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.AnnotationDigest = {
+  GROUPINGS: [
+    { id: "color", name: "Color" },
+    { id: "tag", name: "Tag" },
+    { id: "section", name: "Section" }
+  ],
+
+  // Tag on the digest note, so a re-run finds it again
+  NOTE_TAG: "AI annotation digest",
+
+  CHARS_PER_TOKEN: 4,
+
+  SYSTEM_PROMPT: `You turn a reader's annotations on an academic paper into a structured reading digest.
+- Start with a "## Overview" section of two to four sentences on what the annotations focus on.
+- Then write one "## " section per group you are given, with the same names and in the same order.
+- In each section, synthesize what the annotations say together: the point they make, how they connect, and the reader's questions or objections from their comments. Use "- " bullets.
+- Quote highlighted text verbatim in double quotes and put the annotation's key right after each quote, e.g. "the effect held in all cohorts" [A4]. Keep the important quotes and never invent one.
+- Refer to annotations only by their keys, never by page numbers.
+- Do not add a title.`,
+
+  /**
+   * Get the regular item a digest belongs to
+   */
+  getParentItem(item) {
+    if (item?.isAttachment?.() && item.parentItem) return item.parentItem;
+    return item?.isRegularItem?.() ? item : null;
+  },
+
+  /**
+   * Collapse whitespace and case so quotes can be found in section text
+   */
+  normalize(text) {
+    return String(text || "").replace(/-\s*\n\s*/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+  },
+
+  /**
+   * Get the paper's sections with their text normalized for matching
+   * @returns {Promise<Array>} [{ title, pageStart, text }]
+   */
+  async getSections(item) {
+    const fullText = await ZoteroAIAssistant.FullTextContext.getFullText(item);
+    return (fullText?.sections || []).map(section => ({
+      // Long sections are split into parts for retrieval; join them again here
+      title: section.title.replace(/ \(part \d+\)$/, ""),
+      pageStart: section.pageStart,
+      text: this.normalize(section.text)
+    }));
+  },
+
+  /**
+   * Find the section an annotation is in: by its text, else by its page
+   */
+  findSection(annotation, sections) {
+    const quote = this.normalize(annotation.text).slice(0, 60);
+    if (quote.length >= 20) {
+      const section = sections.find(s => s.text.includes(quote));
+      if (section) return section.title;
+    }
+    if (annotation.pageIndex === null) return null;
+    const onOrBefore = sections.filter(s => s.pageStart && s.pageStart <= annotation.pageIndex + 1);
+    return onOrBefore.length ? onOrBefore[onOrBefore.length - 1].title : null;
+  },
+
+  /**
+   * Group annotations for the digest
+   * @param {Array} annotations - From AnnotationManager.getItemAnnotations, in reading order
+   * @param {string} groupBy - "color", "tag" or "section"
+   * @param {Array} sections - From getSections, for "section"
+   * @returns {Array} [{ name, annotations }]
+   */
+  groupAnnotations(annotations, groupBy, sections = []) {
+    const AM = ZoteroAIAssistant.AnnotationManager;
+    const groups = new Map();
+    const add = (name, annotation) => {
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(annotation);
+    };
+
+    for (const annotation of annotations) {
+      if (groupBy === "tag") {
+        const tags = annotation.tags.filter(tag => tag !== AM.AUTO_HIGHLIGHT_TAG);
+        if (tags.length === 0) add("Untagged", annotation);
+        for (const tag of tags) add(tag, annotation);
+      } else if (groupBy === "section") {
+        add(this.findSection(annotation, sections) || "Other", annotation);
+      } else {
+        const name = annotation.colorName || "No color";
+        add(name.charAt(0).toUpperCase() + name.slice(1), annotation);
+      }
+    }
+
+    const result = [...groups].map(([name, entries]) => ({ name, annotations: entries }));
+    if (groupBy === "tag") {
+      result.sort((a, b) => (a.name === "Untagged") - (b.name === "Untagged") || a.name.localeCompare(b.name));
+    }
+    return result;
+  },
+
+  /**
+   * Format grouped annotations for the model. Keys ([A1], [A2], ...) follow
+   * reading order, so an annotation in several groups keeps one key.
+   * @returns {object} { content, refs: [{ number, key, attachmentID, pageIndex, pageLabel }], omitted }
+   */
+  formatGroups(annotations, groups, maxChars) {
+    const numbers = new Map();
+    const refs = [];
+    for (const annotation of annotations) {
+      numbers.set(annotation, refs.length + 1);
+      refs.push({
+        number: refs.length + 1,
+        key: annotation.key,
+        attachmentID: annotation.attachmentID,
+        pageIndex: annotation.pageIndex,
+        pageLabel: annotation.pageLabel
+      });
+    }
+
+    const blocks = [];
+    let length = 0;
+    let omitted = 0;
+    for (const group of groups) {
+      const entries = [];
+      for (const annotation of group.annotations) {
+        const details = [
+          annotation.pageLabel ? `p. ${annotation.pageLabel}` : null,
+          `${annotation.colorName} ${annotation.type}`,
+          annotation.tags.length ? `tags: ${annotation.tags.join(", ")}` : null
+        ].filter(Boolean).join(", ");
+        let entry = `[A${numbers.get(annotation)}] (${details})`;
+        if (annotation.text) entry += `\nText: "${annotation.text.replace(/\s+/g, " ").trim()}"`;
+        if (annotation.comment) entry += `\nComment: ${annotation.comment.trim()}`;
+
+        if (length + entry.length > maxChars) {
+          omitted++;
+          continue;
+        }
+        length += entry.length;
+        entries.push(entry);
+      }
+      if (entries.length) {
+        blocks.push(`## ${group.name}\n\n${entries.join("\n\n")}`);
+      }
+    }
+
+    return { content: blocks.join("\n\n"), refs, omitted };
+  },
+
+  /**
+   * Link to an annotation in Zotero's PDF reader
+   */
+  getAnnotationURI(ref) {
+    const attachment = Zotero.Items.get(ref.attachmentID);
+    if (!attachment) return null;
+    const params = [];
+    if (ref.pageIndex !== null && ref.pageIndex !== undefined) params.push(`page=${ref.pageIndex + 1}`);
+    if (ref.key) params.push(`annotation=${ref.key}`);
+    const prefix = Zotero.API.getLibraryPrefix(attachment.libraryID);
+    return `zotero://open-pdf/${prefix}/items/${attachment.key}${params.length ? "?" + params.join("&") : ""}`;
+  },
+
+  /**
+   * Replace annotation keys like [A3] or [A3, A5] in note HTML with page links
+   */
+  linkAnnotationKeys(html, refs) {
+    const byNumber = new Map(refs.map(ref => [ref.number, ref]));
+    return html.replace(/\[A\d+(?:\s*[,;]\s*A?\d+)*\]/g, (match) => {
+      const links = [...new Set(match.match(/\d+/g).map(Number))]
+        .map(number => byNumber.get(number))
+        .filter(Boolean)
+        .map(ref => {
+          const uri = this.getAnnotationURI(ref);
+          const label = ref.pageLabel ? `p. ${ref.pageLabel}` : "annotation";
+          return uri ? `<a href="${Zotero.Utilities.htmlSpecialChars(uri)}">${Zotero.Utilities.htmlSpecialChars(label)}</a>` : "";
+        })
+        .filter(Boolean);
+      return links.length ? `(${links.join("; ")})` : "";
+    });
+  },
+
+  /**
+   * Build the digest note HTML
+   */
+  toHTML(item, markdown, refs, groupBy) {
+    const escape = text => Zotero.Utilities.htmlSpecialChars(String(text || ""));
+    const body = ZoteroAIAssistant.NotesManager.markdownToHTML(escape(markdown));
+    const grouping = this.GROUPINGS.find(g => g.id === groupBy)?.name.toLowerCase() || groupBy;
+
+    let html = `<h1>Annotation Digest: ${escape(item.getField("title") || "Untitled")}</h1>`;
+    html += `<p><em>${refs.length} annotations grouped by ${escape(grouping)}, generated ${escape(new Date().toLocaleString())}</em></p>`;
+    html += this.linkAnnotationKeys(body, refs);
+    return html;
+  },
+
+  /**
+   * Find the digest note from an earlier run
+   * @returns {Promise<Zotero.Item|null>}
+   */
+  async findDigestNote(item) {
+    for (const noteID of item.getNotes()) {
+      const note = await Zotero.Items.getAsync(noteID);
+      if (note?.hasTag(this.NOTE_TAG)) return note;
+    }
+    return null;
+  },
+
+  /**
+   * Save the digest, replacing the note from an earlier run if there is one
+   * @returns {Promise<object>} { noteID, updated }
+   */
+  async saveDigest(item, html) {
+    const existing = await this.findDigestNote(item);
+    if (existing) {
+      existing.setNote(html);
+      await existing.saveTx();
+      return { noteID: existing.id, updated: true };
+    }
+
+    const noteID = await ZoteroAIAssistant.NotesManager.createNote(item.id, html);
+    if (!noteID) {
+      throw new Error("Could not create the digest note");
+    }
+    const note = await Zotero.Items.getAsync(noteID);
+    note.addTag(this.NOTE_TAG);
+    await note.saveTx();
+    return { noteID, updated: false };
+  },
+
+  /**
+   * Write the digest for a paper and save it as a child note
+   * @param {Zotero.Item} item - Paper or one of its attachments
+   * @param {object} options - { groupBy, signal, onProgress(status) }
+   * @returns {Promise<object>} { noteID, updated, markdown, refs, count, omitted }
+   */
+  async createDigest(item, options = {}) {
+    const { groupBy = "color", signal, onProgress } = options;
+    const parent = this.getParentItem(item);
+    if (!parent) {
+      throw new Error("Select a paper first");
+    }
+
+    onProgress?.("Collecting annotations...");
+    const annotations = (await ZoteroAIAssistant.AnnotationManager.getItemAnnotations(parent))
+      .filter(annotation => annotation.text || annotation.comment);
+    if (annotations.length === 0) {
+      throw new Error("This paper has no highlights or comments yet");
+    }
+
+    const sections = groupBy === "section" ? await this.getSections(parent) : [];
+    const groups = this.groupAnnotations(annotations, groupBy, sections);
+
+    const { provider, modelId } = ZoteroAIAssistant.ProviderRegistry.resolve({ task: "digest" });
+    const maxChars = ZoteroAIAssistant.FullTextContext.getTokenBudget(provider, modelId) * this.CHARS_PER_TOKEN;
+    const { content, refs, omitted } = this.formatGroups(annotations, groups, maxChars);
+
+    onProgress?.(`Writing the digest from ${annotations.length - omitted} annotations...`);
+    const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+      provider,
+      model: modelId,
+      messages: [
+        { role: "system", content: this.SYSTEM_PROMPT },
+        {
+          role: "user",
+          content: `Paper: ${parent.getField("title") || "Untitled"}\n\nMy annotations, grouped by ${groupBy}:\n\n${content}\n\nWrite the digest.`
+        }
+      ],
+      stream: false,
+      signal
+    });
+
+    const markdown = (response.content || "").trim();
+    if (!markdown) {
+      throw new Error("The model returned an empty digest");
+    }
+
+    onProgress?.("Saving the digest note...");
+    const { noteID, updated } = await this.saveDigest(parent, this.toHTML(parent, markdown, refs, groupBy));
+    Zotero.debug(`ZoteroAIAssistant.AnnotationDigest: ${updated ? "Updated" : "Created"} digest note ${noteID} for item ${parent.id}`);
+    return { noteID, updated, markdown, refs, count: annotations.length, omitted };
+  }
+};
@@ -13,9 +13,31 @@ ZoteroAIAssistant.AnnotationManager = {
     explanation: "#bfdbfe",  // Blue
     summary: "#fde68a",      // Yellow
     definition: "#c4b5fd",   // Purple
+    claim: "#ffd400",        // Yellow
+    method: "#2ea8e5",       // Blue
+    result: "#5fb236",       // Green
+    limitation: "#ff6666",   // Red
     default: "#fca5a5"       // Red
   },
   
+  // Tag on highlights created by auto-highlighting, so a run can be removed
+  AUTO_HIGHLIGHT_TAG: "AI auto-highlight",
+  
+  // Names of the Zotero reader's highlight colors, so the model can tell them apart
+  READER_COLOR_NAMES: {
+    "#ffd400": "yellow",
+    "#ff6666": "red",
+    "#5fb236": "green",
+    "#2ea8e5": "blue",
+    "#a28ae5": "purple",
+    "#e56eee": "magenta",
+    "#f19837": "orange",
+    "#aaaaaa": "gray"
+  },
+  
+  // Characters of annotation text sent with a chat message
+  MAX_CONTEXT_CHARS: 24000,
+  
   /**
    * Save AI response as a PDF annotation
    * @param {object} options
@@ -94,6 +116,85 @@ ZoteroAIAssistant.AnnotationManager = {
     }
   },
   
+  /**
+   * Create a highlight anchored at a position in the PDF
+   * @param {object} options
+   * @param {Zotero.Item} options.attachment - PDF attachment
+   * @param {string} options.text - Highlighted text
+   * @param {string} options.comment - Annotation comment
+   * @param {string} options.color - Highlight color
+   * @param {object} options.position - { pageIndex, rects } in PDF coordinates
+   * @param {string} options.pageLabel - Page label shown in Zotero
+   * @param {string} options.sortIndex - Zotero sort index ("ppppp|oooooo|ttttt")
+   * @param {Array<string>} options.tags - Tags to add
+   * @returns {Promise<number|null>} Annotation ID
+   */
+  async createHighlight(options) {
+    const { attachment, text, comment, color, position, pageLabel, sortIndex, tags = [] } = options;
+    
+    try {
+      const annotation = new Zotero.Item("annotation");
+      annotation.libraryID = attachment.libraryID;
+      annotation.parentID = attachment.id;
+      annotation.annotationType = "highlight";
+      annotation.annotationText = text;
+      annotation.annotationComment = comment || "";
+      annotation.annotationColor = color || this.COLORS.default;
+      annotation.annotationPageLabel = pageLabel || String(position.pageIndex + 1);
+      annotation.annotationSortIndex = sortIndex;
+      annotation.annotationPosition = JSON.stringify(position);
+      for (const tag of tags) {
+        annotation.addTag(tag);
+      }
+      
+      await annotation.saveTx();
+      return annotation.id;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.AnnotationManager: Error creating highlight: " + error);
+      return null;
+    }
+  },
+  
+  /**
+   * Create an image annotation over a region of a PDF page
+   * @param {object} options
+   * @param {Zotero.Item} options.attachment - PDF attachment
+   * @param {object} options.position - { pageIndex, rects: [[x1, y1, x2, y2]] } in PDF coordinates
+   * @param {string} options.pageLabel - Page label shown in Zotero
+   * @param {string} options.sortIndex - Zotero sort index ("ppppp|oooooo|ttttt")
+   * @param {string} options.comment - Optional annotation comment
+   * @returns {Promise<number|null>} Annotation ID
+   */
+  async createImageAnnotation(options) {
+    const { attachment, position, pageLabel, sortIndex, comment } = options;
+    
+    try {
+      const annotation = new Zotero.Item("annotation");
+      annotation.libraryID = attachment.libraryID;
+      annotation.parentID = attachment.id;
+      annotation.annotationType = "image";
+      annotation.annotationComment = comment || "";
+      // The reader's default yellow, as for image annotations drawn by hand
+      annotation.annotationColor = "#ffd400";
+      annotation.annotationPageLabel = pageLabel || String(position.pageIndex + 1);
+      annotation.annotationSortIndex = sortIndex;
+      annotation.annotationPosition = JSON.stringify(position);
+      await annotation.saveTx();
+      
+      // Zotero draws the annotation image from the PDF; render it now rather than on next open
+      try {
+        await Zotero.PDFRenderer?.renderAttachmentAnnotations(attachment.id);
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.AnnotationManager: Could not render image annotation: " + error);
+      }
+      
+      return annotation.id;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.AnnotationManager: Error creating image annotation: " + error);
+      return null;
+    }
+  },
+  
   /**
    * Format the annotation comment
    */
@@ -112,11 +213,119 @@ ZoteroAIAssistant.AnnotationManager = {
       define: "[AI Definition]",
       summarize: "[AI Summary]",
       paraphrase: "[AI Paraphrase]",
+      claim: "[AI Key Claim]",
+      method: "[AI Method]",
+      result: "[AI Result]",
+      limitation: "[AI Limitation]",
       default: "[AI Response]"
     };
     return prefixes[actionType] || prefixes.default;
   },
   
+  /**
+   * Get every annotation on an item's attachments, in reading order
+   * @param {Zotero.Item} item - Regular item or attachment
+   * @returns {Promise<Array>} [{ id, key, attachmentID, type, text, comment, color, colorName, pageIndex, pageLabel, tags }]
+   */
+  async getItemAnnotations(item) {
+    if (!item) return [];
+    
+    try {
+      const attachmentIDs = item.isAttachment?.() ? [item.id] : item.getAttachments?.() || [];
+      const annotations = [];
+      
+      for (const attachmentID of attachmentIDs) {
+        const attachment = await Zotero.Items.getAsync(attachmentID);
+        if (!attachment?.isFileAttachment?.()) continue;
+        
+        const items = (attachment.getAnnotations?.() || [])
+          .sort((a, b) => (a.annotationSortIndex || "").localeCompare(b.annotationSortIndex || ""));
+        for (const ann of items) {
+          annotations.push({
+            id: ann.id,
+            key: ann.key,
+            attachmentID: attachment.id,
+            type: ann.annotationType,
+            text: ann.annotationText || "",
+            comment: ann.annotationComment || "",
+            color: ann.annotationColor || "",
+            colorName: this.getColorName(ann.annotationColor),
+            pageIndex: this.getPageIndex(ann),
+            pageLabel: ann.annotationPageLabel || "",
+            tags: ann.getTags().map(tag => tag.tag)
+          });
+        }
+      }
+      
+      return annotations;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.AnnotationManager: Error reading annotations: " + error);
+      return [];
+    }
+  },
+  
+  /**
+   * Get the 0-based page index from an annotation's position
+   * @returns {number|null}
+   */
+  getPageIndex(annotation) {
+    try {
+      const pageIndex = JSON.parse(annotation.annotationPosition || "{}").pageIndex;
+      return Number.isInteger(pageIndex) ? pageIndex : null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Name a highlight color, e.g. "yellow"; unknown colors are returned as is
+   */
+  getColorName(color) {
+    const hex = (color || "").toLowerCase();
+    if (this.READER_COLOR_NAMES[hex]) return this.READER_COLOR_NAMES[hex];
+    const aiType = Object.keys(this.COLORS).find(type => this.COLORS[type] === hex);
+    return aiType ? `AI ${aiType}` : hex;
+  },
+  
+  /**
+   * Format annotations as numbered chat context ([A1], [A2], ...)
+   * @param {Array} annotations - From getItemAnnotations
+   * @returns {object|null} { content, refs: [{ number, key, attachmentID, pageLabel }] }
+   */
+  formatAnnotationContext(annotations, maxChars = this.MAX_CONTEXT_CHARS) {
+    if (!annotations?.length) return null;
+    
+    const entries = [];
+    const refs = [];
+    let length = 0;
+    for (const ann of annotations) {
+      if (!ann.text && !ann.comment) continue;
+      
+      const number = refs.length + 1;
+      const details = [
+        ann.pageLabel ? `p. ${ann.pageLabel}` : null,
+        `${ann.colorName} ${ann.type}`,
+        ann.tags.length ? `tags: ${ann.tags.join(", ")}` : null
+      ].filter(Boolean).join(", ");
+      let entry = `[A${number}] (${details})`;
+      if (ann.text) entry += `\nText: "${ann.text.replace(/\s+/g, " ").trim()}"`;
+      if (ann.comment) entry += `\nComment: ${ann.comment.trim()}`;
+      
+      if (length + entry.length > maxChars) break;
+      length += entry.length;
+      entries.push(entry);
+      refs.push({ number, key: ann.key, attachmentID: ann.attachmentID, pageLabel: ann.pageLabel });
+    }
+    if (entries.length === 0) return null;
+    
+    const omitted = annotations.filter(ann => ann.text || ann.comment).length - entries.length;
+    let content = `The user's own annotations on this paper, in reading order:\n\n${entries.join("\n\n")}`;
+    if (omitted > 0) {
+      content += `\n\n(${omitted} more annotations not shown)`;
+    }
+    return { content, refs };
+  },
+  
   /**
    * Get all AI-generated annotations for an item
    */
@@ -127,43 +336,36 @@ ZoteroAIAssistant.AnnotationManager = {
       const item = await Zotero.Items.getAsync(itemID);
       if (!item) return [];
       
-      // Find PDF attachment
-      let pdfItem = item;
-      if (!item.isPDFAttachment?.()) {
-        const attachments = item.getAttachments();
-        for (const attachmentID of attachments) {
-          const attachment = await Zotero.Items.getAsync(attachmentID);
-          if (attachment && attachment.isPDFAttachment?.()) {
-            pdfItem = attachment;
-            break;
-          }
-        }
-      }
-      
-      if (!pdfItem.isPDFAttachment?.()) return [];
-      
-      // Get annotations
-      const annotationIDs = pdfItem.getAnnotations?.() || [];
+      // Every PDF attachment, so highlights on a second PDF are found too
+      const attachmentIDs = item.isPDFAttachment?.() ? [item.id] : item.getAttachments?.() || [];
       const annotations = [];
       
-      for (const annID of annotationIDs) {
-        const ann = await Zotero.Items.getAsync(annID);
-        if (ann) {
-          const comment = ann.annotationComment || "";
-          // Check if it's an AI-generated annotation
-          if (comment.includes("[Generated by AI Assistant]") || 
-              comment.includes("[AI Translation]") ||
-              comment.includes("[AI Explanation]") ||
-              comment.includes("[AI Definition]") ||
-              comment.includes("[AI Summary]")) {
-            annotations.push({
-              id: ann.id,
-              type: ann.annotationType,
-              text: ann.annotationText,
-              comment: ann.annotationComment,
-              color: ann.annotationColor,
-              dateAdded: ann.dateAdded
-            });
+      for (const attachmentID of attachmentIDs) {
+        const pdfItem = await Zotero.Items.getAsync(attachmentID);
+        if (!pdfItem?.isPDFAttachment?.()) continue;
+        
+        // Zotero 7 returns annotation items, older versions IDs
+        const annotationIDs = pdfItem.getAnnotations?.() || [];
+        for (const annID of annotationIDs) {
+          const ann = typeof annID === "object" ? annID : await Zotero.Items.getAsync(annID);
+          if (ann) {
+            const comment = ann.annotationComment || "";
+            // Check if it's an AI-generated annotation
+            if (comment.includes("[Generated by AI Assistant]") || 
+                comment.includes("[AI Translation]") ||
+                comment.includes("[AI Explanation]") ||
+                comment.includes("[AI Definition]") ||
+                comment.includes("[AI Summary]")) {
+              annotations.push({
+                id: ann.id,
+                type: ann.annotationType,
+                text: ann.annotationText,
+                comment: ann.annotationComment,
+                color: ann.annotationColor,
+                tags: ann.getTags().map(tag => tag.tag),
+                dateAdded: ann.dateAdded
+              });
+            }
           }
         }
       }
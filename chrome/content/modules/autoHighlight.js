@@ -0,0 +1,315 @@
+/**
+ * Auto-Highlight
+ *
+ * Asks the model to pick a paper's key claims, methods, results and
+ * limitations as exact quotes, finds each quote in the PDF text layer and
+ * turns it into page rects, so highlights are anchored like hand-made ones.
+ * Highlights are proposed for review first and saved with a shared tag, so
+ * a whole run can be removed again.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.AutoHighlight = {
+  CATEGORIES: [
+    { id: "claim", name: "Key claim" },
+    { id: "method", name: "Method" },
+    { id: "result", name: "Result" },
+    { id: "limitation", name: "Limitation" }
+  ],
+
+  MAX_HIGHLIGHTS: 20,
+  CHARS_PER_TOKEN: 4,
+
+  SYSTEM_PROMPT: `You pick the passages of an academic paper a careful reader would highlight.
+- Choose the paper's key claims, methods, results and limitations.
+- Copy each quote exactly as it appears in the text, one or two sentences, without changing words, punctuation or hyphenation.
+- Quotes must come from a single page. Skip references, captions, headers and footers.
+- Give a short reason (at most 15 words) why each passage matters.`,
+
+  /**
+   * Find the item's PDF attachment
+   */
+  async getAttachment(item) {
+    if (item?.isPDFAttachment?.()) return item;
+    const attachment = await ZoteroAIAssistant.FullTextContext.getAttachment(item);
+    return attachment?.isPDFAttachment?.() ? attachment : null;
+  },
+
+  buildSchema(maxHighlights) {
+    return {
+      name: "paper_highlights",
+      schema: {
+        type: "object",
+        properties: {
+          highlights: {
+            type: "array",
+            description: `At most ${maxHighlights} passages`,
+            items: {
+              type: "object",
+              properties: {
+                category: { type: "string", enum: this.CATEGORIES.map(c => c.id) },
+                quote: { type: "string" },
+                reason: { type: "string" }
+              },
+              required: ["category", "quote", "reason"]
+            }
+          }
+        },
+        required: ["highlights"]
+      }
+    };
+  },
+
+  /**
+   * Split pages into groups that fit the model's budget
+   */
+  groupPages(pages, maxChars) {
+    const groups = [];
+    let current = [];
+    let length = 0;
+    for (const page of pages) {
+      if (current.length && length + page.text.length > maxChars) {
+        groups.push(current);
+        current = [];
+        length = 0;
+      }
+      current.push(page);
+      length += page.text.length;
+    }
+    if (current.length) groups.push(current);
+    return groups;
+  },
+
+  /**
+   * Propose highlights for a paper without saving them
+   * @param {Zotero.Item} item - Regular item or PDF attachment
+   * @param {object} options - { signal, onProgress(status, fraction) }
+   * @returns {Promise<object>} { attachmentID, highlights, unmatched }
+   */
+  async proposeHighlights(item, options = {}) {
+    const { signal, onProgress } = options;
+    const attachment = await this.getAttachment(item);
+    if (!attachment) {
+      throw new Error("No PDF attachment found");
+    }
+
+    onProgress?.("Reading the PDF text layer...", 0);
+    const pages = (await ZoteroAIAssistant.PDFReader.getTextLayer(attachment.id))
+      .filter(page => page.text.trim());
+    if (pages.length === 0) {
+      throw new Error("The PDF has no text layer. Run OCR on it first.");
+    }
+
+    const { provider, modelId } = ZoteroAIAssistant.ProviderRegistry.resolve({ task: "highlight" });
+    const maxChars = ZoteroAIAssistant.FullTextContext.getTokenBudget(provider, modelId) * this.CHARS_PER_TOKEN;
+    const groups = this.groupPages(pages, maxChars);
+    const totalChars = pages.reduce((sum, page) => sum + page.text.length, 0);
+
+    const highlights = [];
+    let unmatched = 0;
+    for (let i = 0; i < groups.length; i++) {
+      const group = groups[i];
+      onProgress?.(groups.length > 1
+        ? `Choosing passages (part ${i + 1} of ${groups.length})...`
+        : "Choosing passages...", i / groups.length);
+
+      const groupChars = group.reduce((sum, page) => sum + page.text.length, 0);
+      const maxHighlights = Math.max(3, Math.round(this.MAX_HIGHLIGHTS * groupChars / totalChars));
+      const text = group.map(page => `--- Page ${page.pageLabel} ---\n${page.text}`).join("\n\n");
+
+      const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+        provider,
+        model: modelId,
+        messages: [
+          { role: "system", content: this.SYSTEM_PROMPT },
+          { role: "user", content: `${text}\n\nReturn at most ${maxHighlights} passages to highlight as JSON.` }
+        ],
+        responseSchema: this.buildSchema(maxHighlights),
+        stream: false,
+        signal
+      });
+
+      const data = ZoteroAIAssistant.PaperComparison.parseJSON(response.content);
+      for (const entry of Array.isArray(data?.highlights) ? data.highlights : []) {
+        const category = this.CATEGORIES.find(c => c.id === entry?.category) ? entry.category : "claim";
+        const highlight = this.locate(group, String(entry?.quote || ""));
+        if (!highlight) {
+          unmatched++;
+          continue;
+        }
+        // Two quotes on the same passage: keep the first
+        if (highlights.some(h => h.pageIndex === highlight.pageIndex && h.start < highlight.end && highlight.start < h.end)) {
+          continue;
+        }
+        highlights.push({
+          ...highlight,
+          category,
+          color: ZoteroAIAssistant.AnnotationManager.COLORS[category],
+          reason: String(entry?.reason || "").trim()
+        });
+      }
+    }
+
+    highlights.sort((a, b) => a.sortIndex.localeCompare(b.sortIndex));
+    onProgress?.("Done", 1);
+    return { attachmentID: attachment.id, highlights, unmatched };
+  },
+
+  /**
+   * Normalize text for matching and keep a map back to the original offsets.
+   * Whitespace runs collapse to one space, hyphenated line breaks are joined
+   * and typographic quotes are straightened.
+   * @returns {object} { text, offsets }
+   */
+  normalize(text) {
+    let normalized = "";
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+      let ch = text[i];
+      if (ch === "-" && /^\s*\n/.test(text.slice(i + 1, i + 4))) {
+        // Skip the hyphen and the line break after it
+        while (i + 1 < text.length && /\s/.test(text[i + 1])) i++;
+        continue;
+      }
+      if (/\s/.test(ch)) {
+        if (normalized.endsWith(" ") || normalized.length === 0) continue;
+        ch = " ";
+      }
+      ch = ch.replace(/[‘’]/g, "'").replace(/[“”]/g, "\"").toLowerCase();
+      normalized += ch;
+      offsets.push(i);
+    }
+    return { text: normalized, offsets };
+  },
+
+  /**
+   * Find a quote on the given pages and compute its rects
+   * @returns {object|null} { pageIndex, pageLabel, text, start, end, rects, sortIndex }
+   */
+  locate(pages, quote) {
+    const needle = this.normalize(quote.trim()).text.trim();
+    if (needle.length < 10) return null;
+
+    for (const page of pages) {
+      const haystack = this.normalize(page.text);
+      let index = haystack.text.indexOf(needle);
+      let length = needle.length;
+      if (index === -1) {
+        // Models sometimes change the end of long quotes; match the opening words
+        const prefix = needle.slice(0, 80);
+        if (prefix.length < 40) continue;
+        index = haystack.text.indexOf(prefix);
+        length = prefix.length;
+      }
+      if (index === -1) continue;
+
+      const start = haystack.offsets[index];
+      const end = haystack.offsets[index + length - 1] + 1;
+      const rects = this.getRects(page, start, end);
+      if (rects.length === 0) continue;
+
+      return {
+        pageIndex: page.pageIndex,
+        pageLabel: page.pageLabel,
+        text: page.text.slice(start, end).replace(/-\s*\n\s*/g, "").replace(/\s+/g, " ").trim(),
+        start,
+        end,
+        rects,
+        sortIndex: this.getSortIndex(page, start, rects)
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Rects covering characters start..end of a page, one per line
+   */
+  getRects(page, start, end) {
+    const rects = [];
+    for (const run of page.runs) {
+      if (run.end <= start || run.start >= end) continue;
+      const [x1, y1, x2, y2] = run.rect;
+      const length = run.end - run.start;
+      const from = x1 + (x2 - x1) * (Math.max(start, run.start) - run.start) / length;
+      const to = x1 + (x2 - x1) * (Math.min(end, run.end) - run.start) / length;
+
+      // Extend the previous rect when the run continues the same line
+      const last = rects[rects.length - 1];
+      if (last && Math.abs(last[1] - y1) < (y2 - y1) / 2 && from >= last[0]) {
+        last[2] = Math.max(last[2], to);
+        last[3] = Math.max(last[3], y2);
+      } else {
+        rects.push([from, y1, to, y2]);
+      }
+    }
+    return rects.map(rect => rect.map(value => Math.round(value * 1000) / 1000));
+  },
+
+  /**
+   * Zotero's annotation sort index: page, text offset and distance from the page top
+   */
+  getSortIndex(page, offset, rects) {
+    const top = Math.max(0, Math.floor(page.height - Math.max(...rects.map(rect => rect[3]))));
+    return [
+      String(page.pageIndex).padStart(5, "0"),
+      String(offset).padStart(6, "0"),
+      String(top).padStart(5, "0")
+    ].join("|");
+  },
+
+  /**
+   * Save reviewed highlights
+   * @param {number} attachmentID - PDF attachment
+   * @param {Array} highlights - Entries from proposeHighlights
+   * @returns {Promise<Array<number>>} Annotation IDs
+   */
+  async saveHighlights(attachmentID, highlights) {
+    const AM = ZoteroAIAssistant.AnnotationManager;
+    const attachment = Zotero.Items.get(attachmentID);
+    if (!attachment) return [];
+
+    const ids = [];
+    for (const highlight of highlights) {
+      const id = await AM.createHighlight({
+        attachment,
+        text: highlight.text,
+        comment: AM.formatAnnotationComment(highlight.category, highlight.reason),
+        color: highlight.color,
+        position: { pageIndex: highlight.pageIndex, rects: highlight.rects },
+        pageLabel: highlight.pageLabel,
+        sortIndex: highlight.sortIndex,
+        tags: [AM.AUTO_HIGHLIGHT_TAG]
+      });
+      if (id) ids.push(id);
+    }
+    Zotero.debug(`ZoteroAIAssistant.AutoHighlight: Saved ${ids.length} highlights on attachment ${attachmentID}`);
+    return ids;
+  },
+
+  /**
+   * Get highlights saved by earlier auto-highlight runs on any of the paper's PDFs
+   * @returns {Promise<Array>} From AnnotationManager.getAIAnnotations
+   */
+  async getSavedHighlights(item) {
+    const AM = ZoteroAIAssistant.AnnotationManager;
+    const paper = item.isAttachment?.() && item.parentItem ? item.parentItem : item;
+    const annotations = await AM.getAIAnnotations(paper.id);
+    return annotations.filter(annotation => annotation.tags?.includes(AM.AUTO_HIGHLIGHT_TAG));
+  },
+
+  /**
+   * Delete auto-highlights
+   * @param {Array<number>} annotationIDs - Annotations to delete
+   * @returns {Promise<number>} Number deleted
+   */
+  async removeHighlights(annotationIDs) {
+    let removed = 0;
+    for (const id of annotationIDs) {
+      if (await ZoteroAIAssistant.AnnotationManager.deleteAnnotation(id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+};
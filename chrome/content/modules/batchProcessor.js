@@ -1,17 +1,38 @@
 /**
  * Batch Processor Module
  * 
- * Processes multiple papers with progress tracking.
+ * Runs batch actions over many papers as jobs. Jobs process items
+ * concurrently under per-provider rate limits, retry rate-limit and server
+ * errors with backoff, and are saved to disk after every item so an
+ * interrupted run can be resumed.
  */
 
 var ZoteroAIAssistant = ZoteroAIAssistant || {};
 
 ZoteroAIAssistant.BatchProcessor = {
-  // Processing state
-  isProcessing: false,
-  currentProgress: 0,
-  totalItems: 0,
-  abortController: null,
+  JOB_VERSION: 1,
+  JOB_DIR: "zotero-ai-assistant/jobs",
+  DEFAULT_CONCURRENCY: 2,
+  MAX_ATTEMPTS: 4,
+  RETRY_BASE_DELAY: 2000,
+  MAX_RETRY_DELAY: 60000,
+  RATE_WINDOW: 60 * 1000,
+  
+  // Finished jobs are deleted after this many days, and beyond this many
+  // only those whose write-back can still be undone are kept
+  FINISHED_JOB_RETENTION_DAYS: 30,
+  MAX_FINISHED_JOBS: 50,
+  
+  // Requests per minute used when a provider's batchRequestsPerMinute pref
+  // is 0. 0 means no limit (local servers queue requests themselves).
+  DEFAULT_RATE_LIMITS: {
+    copilot: 30,
+    anthropic: 50,
+    gemini: 15,
+    "openai-compatible": 60,
+    ollama: 0,
+    lmstudio: 0
+  },
   
   /**
    * Available batch actions
@@ -21,111 +42,662 @@ ZoteroAIAssistant.BatchProcessor = {
     { id: "keywords", name: "Extract Keywords", prompt: "List 5-10 key terms or concepts from this paper." },
     { id: "methodology", name: "Extract Methods", prompt: "Briefly describe the methodology used in this paper." },
     { id: "findings", name: "Extract Findings", prompt: "List the main findings of this paper." },
-    { id: "generateNotes", name: "Generate Notes", prompt: null } // Special handling
+    { id: "relevance", name: "Rate Relevance", prompt: "Rate how relevant this paper is to the topic: {topic}\nStart your answer with exactly one of High, Medium or Low, then give a one-sentence reason." },
+    { id: "generateNotes", name: "Generate Notes", prompt: null }, // Special handling
+    { id: "custom", name: "Custom Prompt", prompt: null }, // Prompt from options.prompt
+    { id: "matrix", name: "Literature Matrix", prompt: null } // Structured, see LiteratureMatrix
   ],
   
+  // Jobs by ID
+  jobs: new Map(),
+  
+  // Running jobs by ID: { controller, resume } where resume restarts a
+  // paused job once its workers have stopped
+  runs: new Map(),
+  
+  // Job change listeners, called with (job)
+  listeners: new Set(),
+  
+  // Recent request times and 429 cooldowns, by provider
+  requestLog: new Map(),
+  cooldowns: new Map(),
+  
+  // Pending disk writes by job ID
+  saveQueues: new Map(),
+  
+  loadPromise: null,
+  
   /**
-   * Process multiple items with a given action
-   * @param {Array<Zotero.Item>} items - Items to process
-   * @param {string} action - Action to perform
-   * @param {function} onProgress - Progress callback (current, total, item, result)
-   * @param {function} onComplete - Completion callback (results)
+   * Load saved jobs. Jobs that were running when Zotero quit come back paused.
+   */
+  init() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadJobs().catch(error => {
+        Zotero.debug("ZoteroAIAssistant.BatchProcessor: Load error: " + error);
+      });
+    }
+    return this.loadPromise;
+  },
+  
+  /**
+   * Stop running jobs when the plugin is disabled or updated. They come back
+   * paused, like jobs interrupted by quitting Zotero.
+   */
+  async shutdown() {
+    for (const [jobID, run] of this.runs) {
+      const job = this.jobs.get(jobID);
+      if (job?.status === "running") {
+        job.status = "paused";
+        job.interrupted = true;
+        this.saveJob(job);
+      }
+      run.controller?.abort();
+    }
+    this.runs.clear();
+    await Promise.all(this.saveQueues.values());
+  },
+  
+  getJobDirectory() {
+    return PathUtils.join(Zotero.DataDirectory.dir, ...this.JOB_DIR.split("/"));
+  },
+  
+  getJobPath(jobID) {
+    return PathUtils.join(this.getJobDirectory(), `${jobID}.json`);
+  },
+  
+  async loadJobs() {
+    const dir = this.getJobDirectory();
+    if (!await IOUtils.exists(dir)) return;
+    
+    for (const path of await IOUtils.getChildren(dir)) {
+      if (!path.endsWith(".json")) continue;
+      try {
+        const job = await IOUtils.readJSON(path);
+        if (!job?.id || job.version > this.JOB_VERSION) continue;
+        
+        if (job.status === "running") {
+          job.status = "paused";
+          job.interrupted = true;
+        }
+        for (const entry of job.entries) {
+          if (entry.status === "running") entry.status = "pending";
+        }
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        Zotero.debug(`ZoteroAIAssistant.BatchProcessor: Skipping unreadable job ${path}: ${error}`);
+      }
+    }
+    
+    Zotero.debug(`ZoteroAIAssistant.BatchProcessor: Loaded ${this.jobs.size} jobs`);
+    await this.pruneJobs();
+  },
+  
+  /**
+   * Delete old completed and cancelled jobs
+   */
+  async pruneJobs() {
+    const cutoff = Date.now() - this.FINISHED_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const WB = ZoteroAIAssistant.BatchWriteBack;
+    const finished = this.getJobs().filter(job =>
+      (job.status === "completed" || job.status === "cancelled") && !this.runs.has(job.id)
+    );
+    
+    let kept = 0;
+    for (const job of finished) {
+      const expired = Date.parse(job.updatedAt || job.createdAt) < cutoff;
+      if (!expired && (kept < this.MAX_FINISHED_JOBS || WB?.canUndo(job))) {
+        kept++;
+        continue;
+      }
+      await this.deleteJob(job.id);
+    }
+  },
+  
+  /**
+   * Write a job to disk, one write at a time per job
+   */
+  saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    const previous = this.saveQueues.get(job.id) || Promise.resolve();
+    const next = previous.then(async () => {
+      if (!this.jobs.has(job.id)) return;
+      await IOUtils.makeDirectory(this.getJobDirectory(), { ignoreExisting: true });
+      const path = this.getJobPath(job.id);
+      await IOUtils.writeJSON(path, job, { tmpPath: path + ".tmp" });
+    }).catch(error => {
+      Zotero.debug("ZoteroAIAssistant.BatchProcessor: Save error: " + error);
+    });
+    this.saveQueues.set(job.id, next);
+    return next;
+  },
+  
+  addListener(listener) {
+    this.listeners.add(listener);
+  },
+  
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  },
+  
+  notify(job) {
+    for (const listener of this.listeners) {
+      try {
+        listener(job);
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.BatchProcessor: Listener error: " + error);
+      }
+    }
+  },
+  
+  /**
+   * Get all jobs, newest first
+   */
+  getJobs() {
+    return [...this.jobs.values()].sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  },
+  
+  getJob(jobID) {
+    return this.jobs.get(jobID) || null;
+  },
+  
+  /**
+   * Check whether a job's workers are still running (a paused job keeps
+   * running until its in-flight requests stop)
+   */
+  isActive(jobID) {
+    return this.runs.has(jobID);
+  },
+  
+  /**
+   * Check whether a job resumes once its workers have stopped
    */
-  async processItems(items, action, onProgress, onComplete) {
-    if (this.isProcessing) {
-      return { success: false, message: "A batch process is already running." };
+  isResumeQueued(jobID) {
+    return !!this.runs.get(jobID)?.resume;
+  },
+  
+  /**
+   * Count entries by status
+   * @returns {object} { total, pending, running, done, failed }
+   */
+  getCounts(job) {
+    const counts = { total: job.entries.length, pending: 0, running: 0, done: 0, failed: 0 };
+    for (const entry of job.entries) {
+      counts[entry.status]++;
     }
+    return counts;
+  },
+  
+  /**
+   * Create a job and start it
+   * @param {object} options
+   * @param {string} options.action - Batch action ID
+   * @param {Array<Zotero.Item>} options.items - Items to process
+   * @param {object} options.options - Action options: { provider, model } to override the
+   *   task model, { columns } for the matrix action, { topic } for relevance, { prompt,
+   *   promptName } for a custom or prompt library prompt, { writeBack } to write results
+   *   back (see BatchWriteBack)
+   * @param {object} options.scope - { libraryID, collectionID, name } the job was started from
+   * @param {boolean} options.start - Start right away (default true)
+   * @returns {object} Job
+   */
+  async createJob({ action, items, options = {}, scope = null, start = true }) {
+    await this.init();
     
+    const actionConfig = this.BATCH_ACTIONS.find(a => a.id === action);
+    if (!actionConfig) {
+      throw new Error("Unknown action: " + action);
+    }
     if (!items || items.length === 0) {
-      return { success: false, message: "No items to process." };
+      throw new Error("No items to process.");
+    }
+    if (action === "custom" && !options.prompt?.trim()) {
+      throw new Error("Enter a prompt to run.");
+    }
+    
+    const now = new Date().toISOString();
+    const job = {
+      version: this.JOB_VERSION,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: `${options.promptName || actionConfig.name} (${items.length} papers${scope?.name ? ` in ${scope.name}` : ""})`,
+      action,
+      options,
+      scope,
+      status: "paused",
+      createdAt: now,
+      updatedAt: now,
+      entries: items.map(item => ({
+        itemID: item.id,
+        title: item.getField?.("title") || "Unknown",
+        status: "pending",
+        attempts: 0,
+        result: null,
+        error: null
+      }))
+    };
+    
+    this.jobs.set(job.id, job);
+    await this.saveJob(job);
+    
+    if (start) {
+      this.startJob(job.id);
+    } else {
+      this.notify(job);
+    }
+    return job;
+  },
+  
+  /**
+   * Start or resume a job
+   */
+  startJob(jobID) {
+    const job = this.jobs.get(jobID);
+    if (!job) return false;
+    if (!job.entries.some(entry => entry.status === "pending")) return false;
+    
+    const run = this.runs.get(jobID);
+    if (run) {
+      // Paused but still stopping: start again when the workers are done
+      if (job.status === "running") return false;
+      run.resume = true;
+      this.notify(job);
+      return true;
     }
     
-    this.isProcessing = true;
-    this.currentProgress = 0;
-    this.totalItems = items.length;
+    job.status = "running";
+    job.interrupted = false;
+    this.saveJob(job);
+    this.notify(job);
+    
     const view = typeof window !== "undefined" ? window : null;
     const AbortControllerCtor = view?.AbortController || (typeof AbortController !== "undefined" ? AbortController : null);
-    this.abortController = AbortControllerCtor ? new AbortControllerCtor() : null;
+    const controller = AbortControllerCtor ? new AbortControllerCtor() : null;
     
-    const results = [];
-    const actionConfig = this.BATCH_ACTIONS.find(a => a.id === action);
+    this.runs.set(jobID, { controller });
+    this.runJob(job, controller?.signal);
+    return true;
+  },
+  
+  resumeJob(jobID) {
+    return this.startJob(jobID);
+  },
+  
+  /**
+   * Pause a running job; unfinished items stay pending
+   */
+  pauseJob(jobID) {
+    const job = this.jobs.get(jobID);
+    if (!job || job.status !== "running") return false;
     
-    if (!actionConfig) {
-      this.isProcessing = false;
-      return { success: false, message: "Unknown action: " + action };
+    job.status = "paused";
+    this.runs.get(jobID)?.controller?.abort();
+    this.saveJob(job);
+    this.notify(job);
+    return true;
+  },
+  
+  /**
+   * Cancel a job. It can still be resumed later from the job manager.
+   */
+  cancelJob(jobID) {
+    const job = this.jobs.get(jobID);
+    if (!job || job.status === "completed" || job.status === "cancelled") return false;
+    
+    job.status = "cancelled";
+    const run = this.runs.get(jobID);
+    if (run) {
+      run.resume = false;
+      run.controller?.abort();
     }
+    this.saveJob(job);
+    this.notify(job);
+    return true;
+  },
+  
+  /**
+   * Queue failed items again and run the job
+   */
+  retryFailed(jobID) {
+    const job = this.jobs.get(jobID);
+    if (!job || this.runs.has(jobID)) return false;
     
+    for (const entry of job.entries) {
+      if (entry.status === "failed") {
+        entry.status = "pending";
+        entry.attempts = 0;
+        entry.error = null;
+      }
+    }
+    return this.startJob(jobID);
+  },
+  
+  /**
+   * Delete a job that isn't running
+   */
+  async deleteJob(jobID) {
+    if (this.runs.has(jobID)) return false;
+    
+    this.jobs.delete(jobID);
     try {
-      for (let i = 0; i < items.length; i++) {
-        if (this.abortController?.signal?.aborted) {
-          break;
-        }
-        
-        const item = items[i];
-        const title = item.getField?.("title") || "Unknown";
-        
-        this.currentProgress = i + 1;
+      await this.saveQueues.get(jobID);
+      this.saveQueues.delete(jobID);
+      await IOUtils.remove(this.getJobPath(jobID), { ignoreAbsent: true });
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.BatchProcessor: Delete error: " + error);
+    }
+    this.notify({ id: jobID, deleted: true });
+    return true;
+  },
+  
+  getConcurrency() {
+    const value = parseInt(Zotero.Prefs.get("extensions.zotero-ai-assistant.batchConcurrency", true), 10);
+    return value > 0 ? value : this.DEFAULT_CONCURRENCY;
+  },
+  
+  /**
+   * Requests per minute allowed for a provider (0 = unlimited)
+   */
+  getRateLimit(provider) {
+    const value = parseInt(Zotero.Prefs.get(`extensions.zotero-ai-assistant.batchRequestsPerMinute.${provider}`, true), 10);
+    if (value > 0) return value;
+    return this.DEFAULT_RATE_LIMITS[provider] ?? 0;
+  },
+  
+  /**
+   * Run a job's pending items with a pool of workers
+   */
+  async runJob(job, signal) {
+    const workers = [];
+    for (let i = 0; i < this.getConcurrency(); i++) {
+      workers.push(this.runWorker(job, signal));
+    }
+    await Promise.allSettled(workers);
+    const run = this.runs.get(job.id);
+    this.runs.delete(job.id);
+    
+    const completed = job.status === "running";
+    if (completed) {
+      job.status = "completed";
+      const counts = this.getCounts(job);
+      Zotero.debug(`ZoteroAIAssistant.BatchProcessor: Job ${job.id} finished, ${counts.done} done, ${counts.failed} failed`);
+    }
+    await this.saveJob(job);
+    this.notify(job);
+    
+    if (run?.resume) {
+      this.startJob(job.id);
+    } else if (completed) {
+      await this.pruneJobs();
+    }
+  },
+  
+  async runWorker(job, signal) {
+    while (job.status === "running" && !signal?.aborted) {
+      const entry = job.entries.find(e => e.status === "pending");
+      if (!entry) break;
+      
+      entry.status = "running";
+      this.notify(job);
+      await this.processEntry(job, entry, signal);
+      this.saveJob(job);
+      this.notify(job);
+    }
+  },
+  
+  /**
+   * Process one item, retrying rate-limit, server and network errors
+   */
+  async processEntry(job, entry, signal) {
+    const item = Zotero.Items.get(entry.itemID);
+    if (!item) {
+      entry.status = "failed";
+      entry.error = "Item no longer exists";
+      return;
+    }
+    
+    let provider = null;
+    while (true) {
+      let attempted = false;
+      try {
+        provider = provider || ZoteroAIAssistant.ProviderRegistry.resolve({
+          task: job.action,
+          provider: job.options?.provider,
+          model: job.options?.model
+        }).provider;
+        await this.acquireSlot(provider, signal);
+        entry.attempts++;
+        attempted = true;
+        const result = await this.runAction(item, job.action, job.options, signal);
         
-        let result;
-        try {
-          if (action === "generateNotes") {
-            result = await this.generateNotesForItem(item);
-          } else {
-            result = await this.processItem(item, actionConfig.prompt);
-          }
-        } catch (error) {
-          result = { error: error.message };
+        if (result?.error || result?.success === false) {
+          entry.status = "failed";
+          entry.error = result.error || result.message || "Failed";
+        } else {
+          entry.status = "done";
+          entry.result = result;
+          entry.error = null;
+          await this.writeBackEntry(job, entry);
+        }
+        return;
+      } catch (error) {
+        // Paused or cancelled: leave the item for the next run
+        if (signal?.aborted || error.name === "AbortError") {
+          entry.status = "pending";
+          if (attempted) entry.attempts--;
+          return;
         }
         
-        results.push({
-          itemID: item.id,
-          title,
-          result
-        });
+        if (!this.isRetryable(error) || entry.attempts >= this.MAX_ATTEMPTS) {
+          entry.status = "failed";
+          entry.error = error.message;
+          return;
+        }
         
-        // Call progress callback
-        if (onProgress) {
-          onProgress(i + 1, items.length, item, result);
+        const wait = this.getRetryDelay(entry.attempts);
+        Zotero.debug(`ZoteroAIAssistant.BatchProcessor: Retrying item ${entry.itemID} in ${wait} ms: ${error.message}`);
+        if (/\b429\b/.test(error.message)) {
+          // Hold back every worker using this provider, not just this one
+          this.cooldowns.set(provider, Math.max(this.cooldowns.get(provider) || 0, Date.now() + wait));
         }
         
-        // Small delay to prevent rate limiting
-        if (i < items.length - 1) {
-          await this.delay(500);
+        try {
+          await this.delay(wait, signal);
+        } catch (abortError) {
+          entry.status = "pending";
+          return;
         }
       }
+    }
+  },
+  
+  /**
+   * Write a result back to Zotero right away if the job asks for it
+   */
+  async writeBackEntry(job, entry) {
+    if (!job.options?.writeBack?.auto || !ZoteroAIAssistant.BatchWriteBack) return;
+    try {
+      await ZoteroAIAssistant.BatchWriteBack.applyEntry(job, entry);
+    } catch (error) {
+      Zotero.debug(`ZoteroAIAssistant.BatchProcessor: Write-back failed for item ${entry.itemID}: ${error}`);
+    }
+  },
+  
+  /**
+   * Run a batch action on one item
+   */
+  async runAction(item, action, options, signal) {
+    if (action === "generateNotes") {
+      return this.generateNotesForItem(item);
+    }
+    if (action === "matrix") {
+      return ZoteroAIAssistant.LiteratureMatrix.extractRow(
+        item,
+        options?.columns || ZoteroAIAssistant.LiteratureMatrix.getColumns(),
+        signal,
+        { provider: options?.provider, model: options?.model }
+      );
+    }
+    
+    // Prompt library templates fill in their own paper details
+    const PL = ZoteroAIAssistant.PromptLibrary;
+    if (action === "custom" && PL?.hasVariables(options?.prompt)) {
+      const { provider, modelId } = ZoteroAIAssistant.ProviderRegistry.resolve({
+        task: action,
+        provider: options.provider,
+        model: options.model
+      });
+      const prompt = await PL.render(options.prompt, { item, provider, modelId });
+      return this.processItem(item, prompt, action, signal, { ...options, paperContext: false });
+    }
+    
+    const actionConfig = this.BATCH_ACTIONS.find(a => a.id === action);
+    const prompt = action === "custom"
+      ? options?.prompt
+      : actionConfig.prompt.replace("{topic}", options?.topic || "my current research");
+    return this.processItem(item, prompt, action, signal, options);
+  },
+  
+  /**
+   * Check whether an error is worth retrying: 429, 5xx or a network failure
+   */
+  isRetryable(error) {
+    const message = error?.message || "";
+    return /\b(429|5\d\d)\b/.test(message) || /NetworkError|Failed to fetch|timed out/i.test(message);
+  },
+  
+  /**
+   * Exponential backoff with jitter
+   */
+  getRetryDelay(attempt) {
+    const base = Math.min(this.MAX_RETRY_DELAY, this.RETRY_BASE_DELAY * Math.pow(2, attempt - 1));
+    return Math.round(base * (0.75 + Math.random() * 0.5));
+  },
+  
+  /**
+   * Wait until the provider's rate limit allows another request
+   */
+  async acquireSlot(provider, signal) {
+    while (true) {
+      const now = Date.now();
+      const cooldown = this.cooldowns.get(provider) || 0;
+      if (cooldown > now) {
+        await this.delay(cooldown - now, signal);
+        continue;
+      }
       
-      this.isProcessing = false;
+      const limit = this.getRateLimit(provider);
+      if (!limit) return;
       
-      if (onComplete) {
-        onComplete(results);
+      const log = (this.requestLog.get(provider) || []).filter(time => now - time < this.RATE_WINDOW);
+      this.requestLog.set(provider, log);
+      if (log.length < limit) {
+        log.push(now);
+        return;
       }
       
-      return {
-        success: true,
-        processed: results.length,
-        aborted: this.abortController?.signal?.aborted || false,
-        results
-      };
+      await this.delay(log[0] + this.RATE_WINDOW - now, signal);
+    }
+  },
+  
+  /**
+   * Process multiple items with a given action and wait for the job to end
+   * @param {Array<Zotero.Item>} items - Items to process
+   * @param {string} action - Action to perform
+   * @param {function} onProgress - Progress callback (current, total, item, result)
+   * @param {function} onComplete - Completion callback (results)
+   * @param {object} options - Action options, see createJob
+   * @param {object} run - { scope } to record on the job, { onStart } called with the job
+   *   before it starts so callers can pause or cancel it
+   */
+  async processItems(items, action, onProgress, onComplete, options = {}, run = {}) {
+    if (!items || items.length === 0) {
+      return { success: false, message: "No items to process." };
+    }
+    
+    let job;
+    try {
+      job = await this.createJob({ action, items, options, scope: run.scope || null, start: false });
     } catch (error) {
-      this.isProcessing = false;
-      Zotero.debug("ZoteroAIAssistant.BatchProcessor: Error: " + error);
-      return { success: false, message: error.message, results };
+      return { success: false, message: error.message };
+    }
+    if (run.onStart) {
+      run.onStart(job);
+    }
+    
+    const reported = new Set();
+    const finished = new Promise(resolve => {
+      const listener = (changed) => {
+        if (changed.id !== job.id) return;
+        
+        for (const entry of job.entries) {
+          if ((entry.status === "done" || entry.status === "failed") && !reported.has(entry.itemID)) {
+            reported.add(entry.itemID);
+            if (onProgress) {
+              onProgress(reported.size, job.entries.length, Zotero.Items.get(entry.itemID), this.getEntryResult(entry));
+            }
+          }
+        }
+        
+        if (!this.isActive(job.id) && job.status !== "running") {
+          this.removeListener(listener);
+          resolve();
+        }
+      };
+      this.addListener(listener);
+    });
+    
+    this.startJob(job.id);
+    await finished;
+    
+    const results = this.getResults(job);
+    if (onComplete) {
+      onComplete(results);
     }
+    
+    return {
+      success: true,
+      jobID: job.id,
+      processed: results.length,
+      aborted: job.status !== "completed",
+      results
+    };
+  },
+  
+  getEntryResult(entry) {
+    return entry.status === "failed" ? { error: entry.error } : entry.result;
+  },
+  
+  /**
+   * Get finished results in the { itemID, title, result } shape used by exports
+   */
+  getResults(job) {
+    return job.entries
+      .filter(entry => entry.status === "done" || entry.status === "failed")
+      .map(entry => ({
+        itemID: entry.itemID,
+        title: entry.title,
+        result: this.getEntryResult(entry)
+      }));
   },
   
   /**
    * Process a single item
+   * @param {string} task - Batch action ID, used to pick a task model
+   * @param {AbortSignal} signal - Abort signal
+   * @param {object} options - { provider, model } overriding the task model,
+   *   { paperContext: false } to send the prompt without the title and abstract
    */
-  async processItem(item, prompt) {
+  async processItem(item, prompt, task, signal, options = {}) {
     const title = item.getField?.("title") || "";
     const abstract = item.getField?.("abstractNote") || "";
     
-    const fullPrompt = `Paper: ${title}\n\nAbstract: ${abstract || "(No abstract available)"}\n\n${prompt}`;
+    const fullPrompt = options?.paperContext === false
+      ? prompt
+      : `Paper: ${title}\n\nAbstract: ${abstract || "(No abstract available)"}\n\n${prompt}`;
     
-    const model = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1";
-    
-    const response = await ZoteroAIAssistant.CopilotClient.chat({
-      model,
+    const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+      task,
+      provider: options?.provider,
+      model: options?.model,
       messages: [
         {
           role: "system",
@@ -137,10 +709,10 @@ ZoteroAIAssistant.BatchProcessor = {
         }
       ],
       stream: false,
-      signal: this.abortController?.signal
+      signal
     });
     
-    return response.content || response.choices?.[0]?.message?.content || "";
+    return response.content;
   },
   
   /**
@@ -156,31 +728,37 @@ ZoteroAIAssistant.BatchProcessor = {
   },
   
   /**
-   * Abort current batch process
+   * Cancel all running jobs
    */
   abort() {
-    if (this.abortController) {
-      this.abortController.abort();
+    for (const jobID of this.runs.keys()) {
+      this.cancelJob(jobID);
     }
-    this.isProcessing = false;
   },
   
   /**
-   * Get current progress
+   * Get progress across running jobs
    */
   getProgress() {
+    let current = 0;
+    let total = 0;
+    for (const jobID of this.runs.keys()) {
+      const counts = this.getCounts(this.jobs.get(jobID));
+      current += counts.done + counts.failed;
+      total += counts.total;
+    }
     return {
-      isProcessing: this.isProcessing,
-      current: this.currentProgress,
-      total: this.totalItems,
-      percentage: this.totalItems > 0 ? Math.round((this.currentProgress / this.totalItems) * 100) : 0
+      isProcessing: this.runs.size > 0,
+      current,
+      total,
+      percentage: total > 0 ? Math.round((current / total) * 100) : 0
     };
   },
   
   /**
    * Process selected items in Zotero
    */
-  async processSelected(action, onProgress, onComplete) {
+  async processSelected(action, onProgress, onComplete, options = {}) {
     const zoteroPane = Zotero.getActiveZoteroPane();
     if (!zoteroPane) {
       return { success: false, message: "No active Zotero pane." };
@@ -188,10 +766,10 @@ ZoteroAIAssistant.BatchProcessor = {
     
     const selectedItems = zoteroPane.getSelectedItems();
     // Filter to regular items only
-    const regularItems = selectedItems.filter(item => 
-      item.isRegularItem?.() || 
-      item.itemType === "journalArticle" || 
-      item.itemType === "conferencePaper" || 
+    const regularItems = selectedItems.filter(item =>
+      item.isRegularItem?.() ||
+      item.itemType === "journalArticle" ||
+      item.itemType === "conferencePaper" ||
       item.itemType === "book"
     );
     
@@ -199,22 +777,43 @@ ZoteroAIAssistant.BatchProcessor = {
       return { success: false, message: "No papers selected." };
     }
     
-    return await this.processItems(regularItems, action, onProgress, onComplete);
+    return await this.processItems(regularItems, action, onProgress, onComplete, options);
   },
   
   /**
-   * Delay helper
+   * Delay helper, rejects with an AbortError when the signal fires
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException("Aborted", "AbortError"));
+        return;
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
   },
   
   /**
    * Export batch results
    */
-  exportResults(results, format = "markdown") {
+  exportResults(results, format = "markdown", columns = null) {
     if (!results || results.length === 0) return "";
     
+    // Matrix results export as a table
+    if (columns && ZoteroAIAssistant.LiteratureMatrix) {
+      const LM = ZoteroAIAssistant.LiteratureMatrix;
+      const rows = LM.buildRows(results);
+      return format === "tsv" ? LM.toTSV(rows, columns) : LM.toCSV(rows, columns);
+    }
+    
     if (format === "markdown") {
       let md = "# Batch Processing Results\n\n";
       md += `Processed ${results.length} papers on ${new Date().toLocaleString()}\n\n`;
@@ -246,6 +845,40 @@ ZoteroAIAssistant.BatchProcessor = {
     return csv;
   },
   
+  /**
+   * Save results to a Markdown or CSV file
+   * @param {string} format - "markdown" or "csv"
+   * @returns {string|null} Saved path
+   */
+  async saveResults(results, format = "markdown", parentWindow = null) {
+    const content = this.exportResults(results, format);
+    const extension = format === "markdown" ? "md" : "csv";
+    
+    try {
+      const fp = Components.classes["@mozilla.org/filepicker;1"]
+        .createInstance(Components.interfaces.nsIFilePicker);
+      
+      const window = parentWindow || Services.wm.getMostRecentWindow("navigator:browser");
+      fp.init(window, "Export Batch Results", Components.interfaces.nsIFilePicker.modeSave);
+      fp.defaultString = `batch-results.${extension}`;
+      fp.defaultExtension = extension;
+      fp.appendFilter(format === "markdown" ? "Markdown" : "CSV", `*.${extension}`);
+      
+      const result = await new Promise(resolve => fp.open(resolve));
+      
+      if (result === Components.interfaces.nsIFilePicker.returnOK ||
+          result === Components.interfaces.nsIFilePicker.returnReplace) {
+        await Zotero.File.putContentsAsync(fp.file.path, format === "csv" ? "\uFEFF" + content : content);
+        return fp.file.path;
+      }
+      
+      return null;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.BatchProcessor: Save results error: " + error);
+      return null;
+    }
+  },
+  
   /**
    * Copy results to clipboard
    */
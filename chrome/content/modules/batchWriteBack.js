@@ -0,0 +1,348 @@
+/**
+ * Batch Write-Back
+ *
+ * Writes batch job results back into Zotero: keyword tags, a line in the
+ * Extra field, a child note, or a colored relevance tag. Changes can be
+ * previewed per item before they are applied, and every applied change is
+ * logged on the job so the whole job can be undone.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.BatchWriteBack = {
+  TARGETS: [
+    { id: "tags", name: "Add tags" },
+    { id: "extra", name: "Fill the Extra field" },
+    { id: "note", name: "Add a child note" },
+    { id: "relevanceTag", name: "Set a colored relevance tag" }
+  ],
+
+  // Target suggested for each batch action
+  DEFAULT_TARGETS: {
+    summarize: "note",
+    keywords: "tags",
+    methodology: "extra",
+    findings: "note",
+    relevance: "relevanceTag"
+  },
+
+  DEFAULT_NOTE_TEMPLATE: "<h2>{{action}}</h2>\n{{result}}\n<p><em>Generated by AI Assistant on {{date}}</em></p>",
+
+  MAX_TAGS: 10,
+  MAX_TAG_LENGTH: 60,
+
+  RELEVANCE_LEVELS: [
+    { id: "high", tag: "AI relevance: high", color: "#FF6666" },
+    { id: "medium", tag: "AI relevance: medium", color: "#FFD400" },
+    { id: "low", tag: "AI relevance: low", color: "#AAAAAA" }
+  ],
+
+  /**
+   * Get the write-back settings for a job, filling in defaults
+   * @returns {object} { target, tagPrefix, extraLabel, noteTemplate, auto }
+   */
+  getConfig(job, overrides = {}) {
+    const action = ZoteroAIAssistant.BatchProcessor.BATCH_ACTIONS.find(a => a.id === job.action);
+    return {
+      target: this.DEFAULT_TARGETS[job.action] || "note",
+      tagPrefix: "",
+      extraLabel: action ? `AI ${action.name.replace(/^Extract /, "")}` : "AI",
+      noteTemplate: this.DEFAULT_NOTE_TEMPLATE,
+      auto: false,
+      ...(job.options?.writeBack || {}),
+      ...overrides
+    };
+  },
+
+  /**
+   * Check whether a job's results can be written back. Notes and matrix
+   * jobs produce no plain text, but notes jobs can still be undone.
+   */
+  supportsJob(job) {
+    return job.action !== "matrix" && job.action !== "generateNotes";
+  },
+
+  /**
+   * Split a keyword list ("1. term", "- term", "a, b; c") into tags
+   */
+  parseKeywords(text) {
+    const seen = new Set();
+    const keywords = [];
+
+    for (let part of String(text || "").split(/[\n,;]+/)) {
+      part = part
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "")
+        .replace(/\*\*|__|`/g, "")
+        .replace(/\s*[:–—-]\s.*$/, "")
+        .replace(/[.\s]+$/, "")
+        .trim();
+      if (!part || part.length > this.MAX_TAG_LENGTH || /^(keywords?|key terms)$/i.test(part)) continue;
+
+      const key = part.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      keywords.push(part);
+    }
+
+    return keywords.slice(0, this.MAX_TAGS);
+  },
+
+  /**
+   * Find the relevance rating (High/Medium/Low) in a result
+   * @returns {object|null} Relevance level
+   */
+  parseRelevance(text) {
+    const match = /\b(high|medium|low)\b/i.exec(String(text || ""));
+    return match ? this.RELEVANCE_LEVELS.find(level => level.id === match[1].toLowerCase()) : null;
+  },
+
+  /**
+   * Set a "Label: value" line in an Extra field, replacing an existing one
+   */
+  setExtraLine(extra, label, value) {
+    const line = `${label}: ${String(value).replace(/\s+/g, " ").trim()}`;
+    const lines = (extra || "").split("\n").filter(l => l.trim());
+    const index = lines.findIndex(l => l.startsWith(label + ":"));
+    if (index === -1) {
+      lines.push(line);
+    } else {
+      lines[index] = line;
+    }
+    return lines.join("\n");
+  },
+
+  buildNote(job, entry, text, config) {
+    const action = ZoteroAIAssistant.BatchProcessor.BATCH_ACTIONS.find(a => a.id === job.action);
+    const values = {
+      action: action?.name || job.action,
+      title: ZoteroAIAssistant.LiteratureMatrix.escapeHTML(entry.title),
+      result: ZoteroAIAssistant.NotesManager.markdownToHTML(Zotero.Utilities.htmlSpecialChars(text)),
+      date: new Date().toLocaleDateString()
+    };
+    return (config.noteTemplate || this.DEFAULT_NOTE_TEMPLATE).replace(/\{\{(\w+)\}\}/g, (match, key) =>
+      key in values ? values[key] : match
+    );
+  },
+
+  /**
+   * Work out the changes writing one result back would make
+   * @returns {Array} Changes: addTag, removeTag, setField or addNote
+   */
+  planChanges(job, entry, config) {
+    const item = Zotero.Items.get(entry.itemID);
+    const text = typeof entry.result === "string" ? entry.result : null;
+    if (!item || entry.status !== "done" || !text) return [];
+
+    switch (config.target) {
+      case "tags":
+        return this.parseKeywords(text)
+          .map(keyword => (config.tagPrefix || "") + keyword)
+          .filter(tag => !item.hasTag(tag))
+          .map(tag => ({ type: "addTag", tag }));
+
+      case "extra": {
+        const before = item.getField("extra") || "";
+        const after = this.setExtraLine(before, config.extraLabel || "AI", text);
+        return before === after ? [] : [{ type: "setField", field: "extra", before, after }];
+      }
+
+      case "note":
+        return [{ type: "addNote", html: this.buildNote(job, entry, text, config) }];
+
+      case "relevanceTag": {
+        const level = this.parseRelevance(text);
+        if (!level) return [];
+        const changes = this.RELEVANCE_LEVELS
+          .filter(other => other !== level && item.hasTag(other.tag))
+          .map(other => ({
+            type: "removeTag",
+            tag: other.tag,
+            tagType: item.getTags().find(tag => tag.tag === other.tag)?.type || 0
+          }));
+        if (!item.hasTag(level.tag)) {
+          changes.push({ type: "addTag", tag: level.tag, color: level.color });
+        }
+        return changes;
+      }
+    }
+    return [];
+  },
+
+  /**
+   * Dry run: list the changes for every finished item without applying them
+   * @returns {Array} [{ itemID, title, changes, applied }]
+   */
+  preview(job, config) {
+    return job.entries
+      .filter(entry => entry.status === "done")
+      .map(entry => ({
+        itemID: entry.itemID,
+        title: entry.title,
+        applied: !!entry.writtenBack,
+        changes: entry.writtenBack ? [] : this.planChanges(job, entry, config)
+      }));
+  },
+
+  /**
+   * Apply one item's changes and log them on the job for undo
+   */
+  async applyEntry(job, entry, config = this.getConfig(job)) {
+    if (entry.writtenBack) return 0;
+    const changes = this.planChanges(job, entry, config);
+    if (changes.length === 0) return 0;
+
+    const item = Zotero.Items.get(entry.itemID);
+    let itemChanged = false;
+    for (const change of changes) {
+      if (change.type === "addTag") {
+        item.addTag(change.tag, change.color ? 0 : 1);
+        itemChanged = true;
+      } else if (change.type === "removeTag") {
+        item.removeTag(change.tag);
+        itemChanged = true;
+      } else if (change.type === "setField") {
+        item.setField(change.field, change.after);
+        itemChanged = true;
+      }
+    }
+    if (itemChanged) {
+      await item.saveTx();
+    }
+
+    for (const change of changes) {
+      if (change.type === "addNote") {
+        change.noteID = await ZoteroAIAssistant.NotesManager.createNote(item.id, change.html);
+        delete change.html;
+      } else if (change.color) {
+        // colorAdded tells undo the tag had no color before
+        change.colorAdded = !Zotero.Tags.getColor(item.libraryID, change.tag);
+        if (change.colorAdded) {
+          await Zotero.Tags.setColor(item.libraryID, change.tag, change.color);
+        }
+      }
+    }
+
+    entry.writtenBack = true;
+    job.writeBackLog = job.writeBackLog || [];
+    job.writeBackLog.push({ itemID: item.id, changes });
+    return changes.length;
+  },
+
+  /**
+   * Write back every finished item not written back yet
+   * @returns {object} { items, changes }
+   */
+  async apply(job, config) {
+    job.options = { ...job.options, writeBack: { ...config, auto: false } };
+
+    let items = 0;
+    let changes = 0;
+    for (const entry of job.entries) {
+      if (entry.status !== "done") continue;
+      try {
+        const count = await this.applyEntry(job, entry, config);
+        if (count) {
+          items++;
+          changes += count;
+        }
+      } catch (error) {
+        Zotero.debug(`ZoteroAIAssistant.BatchWriteBack: Failed to write back item ${entry.itemID}: ${error}`);
+      }
+    }
+
+    await ZoteroAIAssistant.BatchProcessor.saveJob(job);
+    ZoteroAIAssistant.BatchProcessor.notify(job);
+    return { items, changes };
+  },
+
+  /**
+   * Check whether a job has changes to undo
+   */
+  canUndo(job) {
+    return !!job.writeBackLog?.length ||
+      (job.action === "generateNotes" && job.entries.some(entry => entry.result?.noteID));
+  },
+
+  /**
+   * Revert every change the job made. Fields edited since the write-back
+   * are left alone and counted as conflicts.
+   * @returns {object} { reverted, conflicts }
+   */
+  async undo(job) {
+    let reverted = 0;
+    let conflicts = 0;
+    const notesToTrash = [];
+
+    for (const record of [...(job.writeBackLog || [])].reverse()) {
+      const item = Zotero.Items.get(record.itemID);
+      if (!item || item.deleted) {
+        conflicts += record.changes.length;
+        continue;
+      }
+
+      let itemChanged = false;
+      for (const change of record.changes) {
+        if (change.type === "addTag") {
+          itemChanged = item.removeTag(change.tag) || itemChanged;
+          reverted++;
+        } else if (change.type === "removeTag") {
+          item.addTag(change.tag, change.tagType || 0);
+          itemChanged = true;
+          reverted++;
+        } else if (change.type === "setField") {
+          if ((item.getField(change.field) || "") === change.after) {
+            item.setField(change.field, change.before);
+            itemChanged = true;
+            reverted++;
+          } else {
+            conflicts++;
+          }
+        } else if (change.type === "addNote" && change.noteID) {
+          notesToTrash.push(change.noteID);
+          reverted++;
+        }
+      }
+
+      try {
+        if (itemChanged) {
+          await item.saveTx();
+        }
+        for (const change of record.changes) {
+          // Keep a color the user has changed since the write-back
+          const color = Zotero.Tags.getColor(item.libraryID, change.tag)?.color;
+          if (change.colorAdded && color?.toLowerCase() === change.color.toLowerCase()) {
+            await Zotero.Tags.setColor(item.libraryID, change.tag, false);
+          }
+        }
+      } catch (error) {
+        Zotero.debug(`ZoteroAIAssistant.BatchWriteBack: Failed to undo item ${record.itemID}: ${error}`);
+      }
+    }
+
+    // Notes created by the Generate Notes action itself
+    if (job.action === "generateNotes") {
+      for (const entry of job.entries) {
+        if (entry.result?.noteID) {
+          notesToTrash.push(entry.result.noteID);
+          entry.result.noteID = null;
+          reverted++;
+        }
+      }
+    }
+
+    const existingNotes = notesToTrash.filter(id => Zotero.Items.get(id));
+    if (existingNotes.length) {
+      await Zotero.Items.trashTx(existingNotes);
+    }
+
+    job.writeBackLog = [];
+    for (const entry of job.entries) {
+      entry.writtenBack = false;
+    }
+    await ZoteroAIAssistant.BatchProcessor.saveJob(job);
+    ZoteroAIAssistant.BatchProcessor.notify(job);
+
+    Zotero.debug(`ZoteroAIAssistant.BatchWriteBack: Undid job ${job.id}, ${reverted} reverted, ${conflicts} conflicts`);
+    return { reverted, conflicts };
+  }
+};
@@ -16,7 +16,7 @@ ZoteroAIAssistant.ChatManager = {
   currentMessages: [],
   
   // Default system prompt for academic paper assistance
-  DEFAULT_SYSTEM_PROMPT: `You are an AI research assistant helping a user read and understand academic papers. You have access to the paper's metadata and can see text the user selects.
+  DEFAULT_SYSTEM_PROMPT: `You are an AI research assistant helping a user read and understand academic papers. You have access to the paper's metadata, relevant sections of its full text when available, and can see text the user selects.
 
 Your role is to:
 - Explain complex concepts in clear, accessible language
@@ -27,14 +27,21 @@ Your role is to:
 - Analyze images attached by the user (figures, tables, diagrams) when provided
 
 Always be accurate and cite specific parts of the paper when relevant. If you're unsure about something, say so. Keep responses concise but thorough.`,
+  
+  // Appended to full-text context that carries page numbers
+  PAGE_CITATION_PROMPT: `When you quote or rely on a specific passage above, add a page reference in the form [p. N: "short exact quote"], where N is the page number shown for that passage and the quote is copied verbatim from the text (at most 15 words).`,
+  
+  // Appended to the user's annotations when they are included
+  ANNOTATION_CITATION_PROMPT: `When you draw on one of the user's annotations, refer to it by its number in the form [A3], so the user can jump to it.`,
 
   getDefaultProvider() {
     return Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true) || "copilot";
   },
 
   getDefaultModel(provider) {
+    // The stored model belongs to the default provider
     const stored = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true);
-    if (stored) return stored;
+    if (stored && provider === this.getDefaultProvider()) return stored;
     if (provider === "copilot" && ZoteroAIAssistant.ModelRegistry?.getDefaultModel) {
       return ZoteroAIAssistant.ModelRegistry.getDefaultModel("copilot")?.id || null;
     }
@@ -52,6 +59,11 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
       methods: "methods",
       methodology: "methods",
       compare: "compare",
+      matrix: "matrix",
+      review: "review",
+      metadata: "metadata",
+      highlight: "highlight",
+      digest: "digest",
       translate: "translate",
       explain: "explain",
       define: "define",
@@ -155,6 +167,50 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
     return context;
   },
   
+  /**
+   * Get the paper context message of the current conversation. It also
+   * carries per-conversation settings, since it is saved with the history.
+   */
+  getPaperContextMessage() {
+    return this.currentMessages.find(m => m.role === "system" && !m.summary && m.content.includes("reading the following paper")) || null;
+  },
+  
+  /**
+   * Check whether the current conversation includes the paper's annotations
+   */
+  isAnnotationContextEnabled() {
+    return !!this.getPaperContextMessage()?.includeAnnotations;
+  },
+  
+  /**
+   * Include or leave out the paper's annotations for the current conversation
+   * @returns {boolean} Whether the setting could be stored
+   */
+  setAnnotationContext(enabled) {
+    const contextMsg = this.getPaperContextMessage();
+    if (!contextMsg) return false;
+    
+    contextMsg.includeAnnotations = !!enabled;
+    if (this.getActiveTurns().length > 0) {
+      this.saveConversation();
+    }
+    return true;
+  },
+  
+  /**
+   * Get the paper's annotations as numbered context, if the conversation includes them
+   * @returns {object|null} { content, refs }
+   */
+  async getAnnotationContext(item) {
+    if (!this.isAnnotationContextEnabled() || !ZoteroAIAssistant.AnnotationManager) return null;
+    
+    const paper = item || (this.currentItemId ? Zotero.Items.get(this.currentItemId) : null);
+    if (!paper) return null;
+    
+    const annotations = await ZoteroAIAssistant.AnnotationManager.getItemAnnotations(paper);
+    return ZoteroAIAssistant.AnnotationManager.formatAnnotationContext(annotations);
+  },
+  
   /**
    * Send a message and get AI response
    * @param {string} content - User message
@@ -162,9 +218,12 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
    * @param {function} options.onChunk - Streaming callback
    * @param {string} options.selectedText - Selected text context
    * @param {AbortSignal} options.signal - Abort signal
+   * @param {string} options.requestContent - Text sent in place of content (history keeps content)
+   * @param {boolean} options.fullTextContext - false when the request carries its own paper text
    */
   async sendMessage(content, options = {}) {
     const { onChunk, selectedText, signal, item, images } = options;
+    const requestContent = options.requestContent || content;
     
     // Set context if item provided
     if (item) {
@@ -173,56 +232,68 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
 
     await this.ensureConversationLoaded(item);
     
-    // Build messages array
-    const messages = this.buildMessagesForRequest(content, selectedText, images);
-    
-    // Add user message to history
-    const userMessage = {
-      role: "user",
-      content: selectedText ? `[Selected text: "${selectedText}"]\n\n${content}` : content,
-      timestamp: Date.now()
-    };
-    
-    if (images && images.length) {
-      userMessage.images = images;
-    }
-    
-    this.currentMessages.push(userMessage);
-    
     const { provider, modelId } = this.getModelSettings(options);
     
     try {
-      let response;
+      // Pull relevant sections of the paper's full text
+      const fullTextContext = options.fullTextContext === false
+        ? null
+        : await this.getFullTextContext(item, requestContent, selectedText, provider, modelId, signal);
+      const annotationContext = await this.getAnnotationContext(item);
       
-      if (provider === "ollama" || provider === "lmstudio") {
-        // Use LocalModelClient for local providers
-        response = await ZoteroAIAssistant.LocalModelClient.chat({
-          provider,
-          model: modelId,
-          messages,
-          stream: !!onChunk,
-          onChunk,
-          signal
-        });
-      } else {
-        // Use CopilotClient for Copilot
-        response = await ZoteroAIAssistant.CopilotClient.chat({
-          model: modelId,
-          messages,
-          stream: !!onChunk,
-          onChunk,
-          signal
-        });
+      // Build messages array, compacting older turns if the model's window is full
+      const { messages, usage } = await this.fitContextWindow(
+        () => this.buildMessagesForRequest(requestContent, selectedText, images, fullTextContext, annotationContext),
+        provider,
+        modelId,
+        signal
+      );
+      
+      // Add user message to history
+      const userMessage = {
+        role: "user",
+        content: selectedText ? `[Selected text: "${selectedText}"]\n\n${content}` : content,
+        timestamp: Date.now()
+      };
+      
+      if (images && images.length) {
+        userMessage.images = images;
       }
       
+      this.currentMessages.push(userMessage);
+      
+      const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+        provider,
+        model: modelId,
+        messages,
+        onChunk,
+        signal
+      });
+      
       // Add assistant response to history
-      const assistantContent = response.content || response.choices?.[0]?.message?.content;
-      this.currentMessages.push({
+      const assistantContent = response.content;
+      const contextSections = fullTextContext?.sections || null;
+      const contextChunks = fullTextContext?.chunks || null;
+      const assistantMessage = {
         role: "assistant",
         content: assistantContent,
         timestamp: Date.now(),
         model: modelId
-      });
+      };
+      if (contextSections) {
+        assistantMessage.contextSections = contextSections;
+      }
+      if (contextChunks) {
+        assistantMessage.contextChunks = contextChunks;
+      }
+      // Keep the annotations the answer refers to, for linking
+      const annotationRefs = annotationContext?.refs.filter(ref =>
+        new RegExp(`\\bA${ref.number}\\b`).test(assistantContent || "")
+      ) || [];
+      if (annotationRefs.length) {
+        assistantMessage.annotationRefs = annotationRefs;
+      }
+      this.currentMessages.push(assistantMessage);
       
       // Persist conversation
       this.saveConversation();
@@ -230,7 +301,11 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
       return {
         success: true,
         content: assistantContent,
-        model: modelId
+        model: modelId,
+        contextSections,
+        contextChunks,
+        annotationRefs,
+        contextUsage: usage
       };
     } catch (error) {
       Zotero.debug("ZoteroAIAssistant.ChatManager: Error sending message: " + error);
@@ -242,29 +317,182 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
     }
   },
   
+  /**
+   * Build the request and make sure it fits the model's context window.
+   * Older turns are folded into a rolling summary message when it doesn't.
+   * @param {function} build - Returns the messages array for the request
+   * @returns {object} { messages, usage }
+   */
+  async fitContextWindow(build, provider, modelId, signal) {
+    const CW = ZoteroAIAssistant.ContextWindow;
+    let messages = build();
+    if (!CW) return { messages, usage: null };
+
+    let usage = CW.getUsage(messages, provider, modelId);
+    let compacted = false;
+
+    if (usage.tokens > usage.available) {
+      try {
+        compacted = await this.compactHistory(messages, usage.available, provider, modelId, signal);
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        Zotero.debug("ZoteroAIAssistant.ChatManager: Compaction error: " + error);
+      }
+
+      if (compacted) {
+        messages = build();
+      }
+      // Still too large (or summarizing failed): drop the oldest turns
+      messages = CW.trimToFit(messages, usage.available);
+      usage = CW.getUsage(messages, provider, modelId);
+    }
+
+    usage.compacted = compacted || this.currentMessages.some(m => m.summary);
+    return { messages, usage };
+  },
+  
+  /**
+   * Summarize older turns so the recent ones fit next to the paper context
+   * @returns {boolean} Whether any turns were compacted
+   */
+  async compactHistory(messages, available, provider, modelId, signal) {
+    const CW = ZoteroAIAssistant.ContextWindow;
+    const turns = this.getActiveTurns();
+    if (turns.length === 0) return false;
+
+    // Everything but the history (system prompt, paper, new question) stays as is
+    const historyTokens = CW.estimateTokens(turns);
+    const summaryMessage = this.currentMessages.find(m => m.summary);
+    const fixedTokens = CW.estimateTokens(messages) - historyTokens
+      - (summaryMessage ? CW.estimateMessageTokens(summaryMessage) : 0);
+    const keepBudget = Math.max(0, (available - fixedTokens) * CW.KEEP_RATIO);
+
+    const { older, recent } = CW.splitForCompaction(turns, keepBudget);
+    if (older.length === 0) return false;
+
+    const summary = await CW.summarize(older, summaryMessage?.content, { provider, modelId, signal });
+    if (!summary) return false;
+
+    for (const turn of older) {
+      turn.compacted = true;
+    }
+
+    // Keep a single summary ahead of the turns; requests fold it into the system prompt
+    this.currentMessages = this.currentMessages.filter(m => !m.summary);
+    const newSummary = {
+      role: "system",
+      summary: true,
+      content: summary,
+      timestamp: Date.now()
+    };
+    const contextMsg = this.getPaperContextMessage();
+    this.currentMessages.splice(contextMsg ? this.currentMessages.indexOf(contextMsg) + 1 : 0, 0, newSummary);
+    if (this.currentItemId) {
+      this.conversations.set(this.currentItemId, this.currentMessages);
+    }
+
+    Zotero.debug(`ZoteroAIAssistant.ChatManager: Compacted ${older.length} turns into a summary`);
+    return true;
+  },
+  
+  /**
+   * Conversation turns that are still sent verbatim
+   */
+  getActiveTurns() {
+    return this.currentMessages.filter(m => (m.role === "user" || m.role === "assistant") && !m.compacted);
+  },
+  
+  /**
+   * Get full-text context for the current paper
+   * @returns {object|null} { content, sections | chunks, tokens, budget }
+   */
+  async getFullTextContext(item, query, selectedText, provider, modelId, signal) {
+    if (!ZoteroAIAssistant.FullTextContext) return null;
+    
+    const paper = item || (this.currentItemId ? Zotero.Items.get(this.currentItemId) : null);
+    if (!paper) return null;
+    
+    let context = null;
+    try {
+      context = await ZoteroAIAssistant.FullTextContext.buildContext(paper, {
+        query,
+        selectedText,
+        provider,
+        modelId
+      });
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.ChatManager: Full text error: " + error);
+      return null;
+    }
+    
+    // Paper doesn't fit the budget: retrieve the most relevant chunks instead
+    if (context && !context.complete && ZoteroAIAssistant.RetrievalIndex?.isEnabled()) {
+      try {
+        const retrieved = await ZoteroAIAssistant.RetrievalIndex.buildContext(paper, {
+          query,
+          selectedText,
+          budget: context.budget,
+          signal
+        });
+        if (retrieved) {
+          return retrieved;
+        }
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        Zotero.debug("ZoteroAIAssistant.ChatManager: Retrieval error: " + error);
+      }
+    }
+    
+    return context;
+  },
+  
   /**
    * Build messages array for API request
    */
-  buildMessagesForRequest(userContent, selectedText, images = []) {
+  buildMessagesForRequest(userContent, selectedText, images = [], fullTextContext = null, annotationContext = null) {
     const messages = [];
     
-    // Add system prompt
+    // Add system prompt, with the summary of compacted turns. Some providers
+    // only take a system prompt at the top, so it is not sent as a turn.
     const customPrompt = Zotero.Prefs.get("extensions.zotero-ai-assistant.customSystemPrompt", true);
+    const summaryMsg = this.currentMessages.find(m => m.summary);
+    let systemPrompt = customPrompt || this.DEFAULT_SYSTEM_PROMPT;
+    if (summaryMsg) {
+      systemPrompt += `\n\nSummary of the earlier conversation:\n${summaryMsg.content}`;
+    }
     messages.push({
       role: "system",
-      content: customPrompt || this.DEFAULT_SYSTEM_PROMPT
+      content: systemPrompt
     });
     
     // Add paper context if available
-    const contextMsg = this.currentMessages.find(m => m.role === "system" && m.content.includes("reading the following paper"));
+    const contextMsg = this.getPaperContextMessage();
     if (contextMsg) {
-      messages.push(contextMsg);
+      messages.push({ role: "system", content: contextMsg.content });
     }
     
-    // Add recent conversation history (last 10 exchanges)
-    const history = this.currentMessages
-      .filter(m => m.role === "user" || m.role === "assistant")
-      .slice(-20)
+    // Add full-text sections selected for this question
+    if (fullTextContext?.content) {
+      const parts = fullTextContext.sections || fullTextContext.chunks || [];
+      const hasPages = parts.some(part => part.page);
+      messages.push({
+        role: "system",
+        content: hasPages
+          ? `${fullTextContext.content}\n\n${this.PAGE_CITATION_PROMPT}`
+          : fullTextContext.content
+      });
+    }
+    
+    // Add the user's highlights and comments
+    if (annotationContext?.content) {
+      messages.push({
+        role: "system",
+        content: `${annotationContext.content}\n\n${this.ANNOTATION_CITATION_PROMPT}`
+      });
+    }
+    
+    // Add the turns still kept verbatim
+    const history = this.getActiveTurns()
       .map(m => ({
         role: m.role,
         content: m.content,
@@ -325,7 +553,7 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
     const saveHistory = Zotero.Prefs.get("extensions.zotero-ai-assistant.saveConversationHistory", true);
     if (!saveHistory || !this.currentItemId) return;
     
-    const messages = this.currentMessages.filter(m => m.role !== "system" || m.content.includes("reading the following paper"));
+    const messages = this.currentMessages.filter(m => m.role !== "system" || m.summary || m.content.includes("reading the following paper"));
     
     if (messages.length === 0) return;
     
@@ -466,13 +694,18 @@ Always be accurate and cite specific parts of the paper when relevant. If you're
    */
   getDisplayMessages() {
     return this.currentMessages
-      .filter(m => m.role !== "system" || m.content.includes("reading the following paper"))
+      .filter(m => m.role !== "system" || m.summary || m.content.includes("reading the following paper"))
       .map(m => ({
         role: m.role,
         content: m.content,
+        summary: m.summary,
+        compacted: m.compacted,
         timestamp: m.timestamp,
         model: m.model,
-        images: m.images
+        images: m.images,
+        contextSections: m.contextSections,
+        contextChunks: m.contextChunks,
+        annotationRefs: m.annotationRefs
       }));
   }
 };
@@ -1,51 +1,138 @@
 /**
  * Citation Helper Module
- * 
- * Generates citations in various formats (APA, MLA, Chicago, etc.)
+ *
+ * Formats citations and bibliographies with Zotero's citeproc engine, so any
+ * installed CSL style can be used and output is available as HTML or text.
  */
 
 var ZoteroAIAssistant = ZoteroAIAssistant || {};
 
 ZoteroAIAssistant.CitationHelper = {
-  // Supported citation styles
+  // Quick styles shown as shortcuts, mapped to CSL style IDs bundled with Zotero
   STYLES: [
-    { id: "apa", name: "APA (7th Edition)" },
-    { id: "mla", name: "MLA (9th Edition)" },
-    { id: "chicago", name: "Chicago (17th Edition)" },
-    { id: "harvard", name: "Harvard" },
-    { id: "ieee", name: "IEEE" },
-    { id: "vancouver", name: "Vancouver" }
+    { id: "apa", name: "APA (7th Edition)", styleID: "http://www.zotero.org/styles/apa" },
+    { id: "mla", name: "MLA (9th Edition)", styleID: "http://www.zotero.org/styles/modern-language-association" },
+    { id: "chicago", name: "Chicago (Author-Date)", styleID: "http://www.zotero.org/styles/chicago-author-date" },
+    { id: "harvard", name: "Harvard", styleID: "http://www.zotero.org/styles/harvard-cite-them-right" },
+    { id: "ieee", name: "IEEE", styleID: "http://www.zotero.org/styles/ieee" },
+    { id: "vancouver", name: "Vancouver", styleID: "http://www.zotero.org/styles/vancouver" }
   ],
   
+  // Export formats and their Zotero translators
+  EXPORT_FORMATS: [
+    { id: "bibtex", name: "BibTeX", translatorID: "9cb70025-a888-4a29-a210-93ec52da40d4", extension: "bib" },
+    { id: "ris", name: "RIS", translatorID: "32d59d2d-b65a-4da4-b0a3-bdd3cfb979e7", extension: "ris" },
+    { id: "csljson", name: "CSL JSON", translatorID: "bc03b4fe-436d-4a1f-ba59-de4d2d7a63f7", extension: "json" }
+  ],
+  
+  // Title words skipped when building citation keys
+  KEY_STOP_WORDS: ["a", "an", "the", "on", "of", "in", "for", "and", "to", "with", "from", "at", "by", "is", "are"],
+  
   /**
    * Get citation for an item in specified format
    * @param {Zotero.Item} item - Zotero item
-   * @param {string} style - Citation style (apa, mla, chicago, etc.)
-   * @returns {string} Formatted citation
+   * @param {string} style - Quick style ID (apa, mla, ...) or CSL style ID
+   * @param {string} format - "text" or "html"
+   * @returns {Promise<string>} Formatted bibliography entry
    */
-  async getCitation(item, style = "apa") {
+  async getCitation(item, style = "apa", format = "text") {
     if (!item) return "";
+    return this.formatBibliography([item], style, format);
+  },
+  
+  /**
+   * Format a bibliography for several items, ordered as the style sorts it
+   * @param {Array<Zotero.Item>} items - Zotero items
+   * @param {string} style - Quick style ID or CSL style ID
+   * @param {string} format - "text" or "html"
+   * @returns {Promise<string>} Formatted bibliography
+   */
+  async formatBibliography(items, style = "apa", format = "text") {
+    items = (items || []).filter(item => item?.isRegularItem?.());
+    if (items.length === 0) return "";
     
-    // Get item metadata
-    const metadata = this.extractMetadata(item);
+    const cslStyle = await this.getStyle(style);
+    const engine = cslStyle.getCiteProc(this.getLocale(), format);
+    try {
+      // Note styles have no bibliography of their own; list the citations instead
+      const asCitationList = !cslStyle.hasBibliography;
+      const output = Zotero.Cite.makeFormattedBibliographyOrCitationList(engine, items, format, asCitationList);
+      return (output || "").trim();
+    } finally {
+      engine.free?.();
+    }
+  },
+  
+  /**
+   * Get in-text citation for one item, or a combined one for several
+   * @param {Zotero.Item|Array<Zotero.Item>} item - Zotero item(s)
+   * @param {string} style - Quick style ID or CSL style ID
+   * @param {string} format - "text" or "html"
+   * @returns {Promise<string>} In-text citation
+   */
+  async getInTextCitation(item, style = "apa", format = "text") {
+    const items = (Array.isArray(item) ? item : [item]).filter(Boolean);
+    if (items.length === 0) return "";
+    
+    const cslStyle = await this.getStyle(style);
+    const engine = cslStyle.getCiteProc(this.getLocale(), format);
+    try {
+      engine.updateItems(items.map(i => i.id));
+      const citation = {
+        citationItems: items.map(i => ({ id: i.id })),
+        properties: { noteIndex: 0 }
+      };
+      return engine.previewCitationCluster(citation, [], [], format);
+    } finally {
+      engine.free?.();
+    }
+  },
+  
+  /**
+   * Resolve a quick style ID or CSL style ID to an installed style
+   * @returns {Promise<Zotero.Style>}
+   */
+  async getStyle(style = "apa") {
+    await this.loadStyles();
     
-    // Generate citation based on style
-    switch (style.toLowerCase()) {
-      case "apa":
-        return this.formatAPA(metadata);
-      case "mla":
-        return this.formatMLA(metadata);
-      case "chicago":
-        return this.formatChicago(metadata);
-      case "harvard":
-        return this.formatHarvard(metadata);
-      case "ieee":
-        return this.formatIEEE(metadata);
-      case "vancouver":
-        return this.formatVancouver(metadata);
-      default:
-        return this.formatAPA(metadata);
+    const quick = this.STYLES.find(s => s.id === String(style).toLowerCase());
+    const styleID = quick ? quick.styleID : style;
+    const cslStyle = Zotero.Styles.get(styleID)
+      || Zotero.Styles.get(`http://www.zotero.org/styles/${style}`);
+    if (!cslStyle) {
+      throw new Error(`Citation style not installed: ${style}`);
     }
+    return cslStyle;
+  },
+  
+  /**
+   * Make sure Zotero has loaded its styles; they load on first use
+   */
+  async loadStyles() {
+    try {
+      Zotero.Styles.getAll();
+    } catch (error) {
+      await Zotero.Styles.init();
+    }
+  },
+  
+  /**
+   * List installed CSL styles
+   * @returns {Promise<Array>} [{ id, name }] sorted by name
+   */
+  async getInstalledStyles() {
+    await this.loadStyles();
+    
+    return Zotero.Styles.getVisible()
+      .map(style => ({ id: style.styleID, name: style.title }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+  
+  /**
+   * Citation locale: Zotero's Quick Copy locale, else the UI locale
+   */
+  getLocale() {
+    return Zotero.Prefs.get("export.quickCopy.locale") || Zotero.locale || "en-US";
   },
   
   /**
@@ -86,359 +173,297 @@ ZoteroAIAssistant.CitationHelper = {
   },
   
   /**
-   * Format authors for different styles
+   * Copy rich text to the clipboard with a plain-text fallback
    */
-  formatAuthorsAPA(authors) {
-    if (!authors || authors.length === 0) return "";
-    
-    if (authors.length === 1) {
-      return `${authors[0].lastName}, ${authors[0].firstName.charAt(0)}.`;
-    } else if (authors.length === 2) {
-      return `${authors[0].lastName}, ${authors[0].firstName.charAt(0)}., & ${authors[1].lastName}, ${authors[1].firstName.charAt(0)}.`;
-    } else if (authors.length <= 20) {
-      const allButLast = authors.slice(0, -1).map(a => `${a.lastName}, ${a.firstName.charAt(0)}.`).join(", ");
-      const last = authors[authors.length - 1];
-      return `${allButLast}, & ${last.lastName}, ${last.firstName.charAt(0)}.`;
-    } else {
-      const first19 = authors.slice(0, 19).map(a => `${a.lastName}, ${a.firstName.charAt(0)}.`).join(", ");
-      const last = authors[authors.length - 1];
-      return `${first19}, ... ${last.lastName}, ${last.firstName.charAt(0)}.`;
+  copyToClipboard(html, text) {
+    try {
+      if (html && Zotero.Utilities.Internal?.copyHTMLToClipboard) {
+        Zotero.Utilities.Internal.copyHTMLToClipboard(html, text);
+      } else {
+        const clipboardHelper = Components.classes["@mozilla.org/widget/clipboardhelper;1"]
+          .getService(Components.interfaces.nsIClipboardHelper);
+        clipboardHelper.copyString(text);
+      }
+      return true;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.CitationHelper: Copy error: " + error);
+      return false;
     }
   },
   
-  formatAuthorsMLA(authors) {
-    if (!authors || authors.length === 0) return "";
-    
-    if (authors.length === 1) {
-      return `${authors[0].lastName}, ${authors[0].firstName}`;
-    } else if (authors.length === 2) {
-      return `${authors[0].lastName}, ${authors[0].firstName}, and ${authors[1].firstName} ${authors[1].lastName}`;
-    } else {
-      return `${authors[0].lastName}, ${authors[0].firstName}, et al.`;
+  /**
+   * Copy citation to clipboard, as HTML and plain text
+   */
+  async copyCitation(item, style) {
+    try {
+      const html = await this.getCitation(item, style, "html");
+      const text = await this.getCitation(item, style, "text");
+      return this.copyToClipboard(html, text);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.CitationHelper: Citation error: " + error);
+      return false;
     }
   },
   
-  formatAuthorsChicago(authors) {
-    if (!authors || authors.length === 0) return "";
-    
-    if (authors.length === 1) {
-      return `${authors[0].lastName}, ${authors[0].firstName}`;
-    } else if (authors.length === 2) {
-      return `${authors[0].lastName}, ${authors[0].firstName}, and ${authors[1].firstName} ${authors[1].lastName}`;
-    } else if (authors.length === 3) {
-      return `${authors[0].lastName}, ${authors[0].firstName}, ${authors[1].firstName} ${authors[1].lastName}, and ${authors[2].firstName} ${authors[2].lastName}`;
-    } else {
-      return `${authors[0].lastName}, ${authors[0].firstName}, et al.`;
+  /**
+   * Copy a bibliography for several items, as HTML and plain text
+   */
+  async copyBibliography(items, style) {
+    try {
+      const html = await this.formatBibliography(items, style, "html");
+      const text = await this.formatBibliography(items, style, "text");
+      return this.copyToClipboard(html, text);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.CitationHelper: Bibliography error: " + error);
+      return false;
     }
   },
   
   /**
-   * Format citation in APA style
+   * Get the citation key set in an item's Extra field ("Citation Key: ...")
    */
-  formatAPA(meta) {
-    const title = meta.title || "Untitled";
-    const authorsText = this.formatAuthorsAPA(meta.authors).trim();
-    let citation = "";
-
-    if (authorsText) {
-      citation += `${authorsText} (${meta.year}). `;
-      citation += `${title}. `;
-    } else {
-      citation += `${title}. `;
-      citation += `(${meta.year}). `;
-    }
-    
-    if (meta.publicationTitle) {
-      citation += `*${meta.publicationTitle}*`;
-      if (meta.volume) citation += `, *${meta.volume}*`;
-      if (meta.issue) citation += `(${meta.issue})`;
-      if (meta.pages) citation += `, ${meta.pages}`;
-      citation += ". ";
-    } else if (meta.publisher) {
-      citation += `${meta.publisher}. `;
-    }
-    
-    if (meta.doi) {
-      citation += `https://doi.org/${meta.doi}`;
-    } else if (meta.url) {
-      citation += meta.url;
-    }
-    
-    return citation.trim();
+  getPinnedCitationKey(item) {
+    const extra = item.getField?.("extra") || "";
+    const match = extra.match(/^\s*Citation Key:\s*(\S+)\s*$/im);
+    return match ? match[1] : null;
   },
   
   /**
-   * Format citation in MLA style
+   * Build a citation key from the first creator, year and first title word,
+   * e.g. "smith2020deep"
    */
-  formatMLA(meta) {
-    const title = meta.title || "Untitled";
-    const authorsText = this.formatAuthorsMLA(meta.authors).trim();
-    let citation = "";
-    if (authorsText) {
-      citation += `${authorsText}. "${title}." `;
-    } else {
-      citation += `"${title}." `;
-    }
-    
-    if (meta.publicationTitle) {
-      citation += `*${meta.publicationTitle}*`;
-      if (meta.volume) citation += `, vol. ${meta.volume}`;
-      if (meta.issue) citation += `, no. ${meta.issue}`;
-      citation += `, ${meta.year}`;
-      if (meta.pages) citation += `, pp. ${meta.pages}`;
-      citation += ". ";
-    } else if (meta.publisher) {
-      citation += `${meta.publisher}, ${meta.year}. `;
-    }
-    
-    if (meta.doi) {
-      citation += `doi:${meta.doi}`;
-    }
-    
-    return citation.trim();
+  buildCitationKey(item) {
+    const normalize = text => Zotero.Utilities.removeDiacritics(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    const creator = item.getCreators?.()[0];
+    const name = normalize(creator?.lastName || creator?.name) || "anon";
+    const year = this.extractYear(item.getField?.("date") || "").replace("n.d.", "nd");
+    const word = (item.getField?.("title") || "")
+      .split(/\s+/)
+      .map(normalize)
+      .find(w => w && !this.KEY_STOP_WORDS.includes(w)) || "";
+    return name + year + word;
   },
   
   /**
-   * Format citation in Chicago style (Notes-Bibliography)
+   * Assign citation keys: keys pinned in Extra are kept, others are built
+   * from the metadata. Items sharing a built key get a, b, c... suffixes in
+   * the order they were added to Zotero, counting look-alikes anywhere in the
+   * library, so a paper keeps its key whatever it is exported with.
+   * @returns {Promise<Map>} Citation key by item ID
    */
-  formatChicago(meta) {
-    const title = meta.title || "Untitled";
-    const authorsText = this.formatAuthorsChicago(meta.authors).trim();
-    let citation = "";
-    if (authorsText) {
-      citation += `${authorsText}. "${title}." `;
-    } else {
-      citation += `"${title}." `;
-    }
+  async assignCitationKeys(items) {
+    const keys = new Map();
+    const taken = new Set();
+    const groups = new Map();
     
-    if (meta.publicationTitle) {
-      citation += `*${meta.publicationTitle}* `;
-      if (meta.volume) citation += `${meta.volume}`;
-      if (meta.issue) citation += `, no. ${meta.issue}`;
-      citation += ` (${meta.year})`;
-      if (meta.pages) citation += `: ${meta.pages}`;
-      citation += ". ";
-    } else if (meta.publisher) {
-      if (meta.place) citation += `${meta.place}: `;
-      citation += `${meta.publisher}, ${meta.year}. `;
+    for (const item of items) {
+      const pinned = this.getPinnedCitationKey(item);
+      if (pinned) {
+        keys.set(item.id, pinned);
+        taken.add(pinned);
+        continue;
+      }
+      const base = this.buildCitationKey(item);
+      if (!groups.has(base)) groups.set(base, new Map());
+      groups.get(base).set(item.id, item);
     }
     
-    if (meta.doi) {
-      citation += `https://doi.org/${meta.doi}`;
+    for (const [base, group] of groups) {
+      const libraries = new Map([...group.values()].map(item => [item.libraryID, item]));
+      for (const item of libraries.values()) {
+        for (const other of await this.findKeyCollisions(item, base)) {
+          group.set(other.id, other);
+        }
+      }
+      
+      const members = [...group.values()]
+        .sort((a, b) => (a.dateAdded || "").localeCompare(b.dateAdded || "") || a.key.localeCompare(b.key));
+      const unpinned = members.filter(item => {
+        const pinned = this.getPinnedCitationKey(item);
+        if (pinned) taken.add(pinned);
+        return !pinned;
+      });
+      
+      let index = 0;
+      for (const item of unpinned) {
+        let key;
+        do {
+          key = index === 0 ? base : base + this.getKeySuffix(index - 1);
+          index++;
+        } while (taken.has(key));
+        keys.set(item.id, key);
+        taken.add(key);
+      }
     }
     
-    return citation.trim();
+    return keys;
   },
   
   /**
-   * Format citation in Harvard style
+   * Find the other items in an item's library that build the same citation key
+   * @returns {Promise<Array<Zotero.Item>>}
    */
-  formatHarvard(meta) {
-    const title = meta.title || "Untitled";
-    let citation = "";
-
-    if (meta.authors.length > 0) {
-      if (meta.authors.length === 1) {
-        citation += `${meta.authors[0].lastName}, ${meta.authors[0].firstName.charAt(0)}.`;
-      } else if (meta.authors.length === 2) {
-        citation += `${meta.authors[0].lastName}, ${meta.authors[0].firstName.charAt(0)}. and ${meta.authors[1].lastName}, ${meta.authors[1].firstName.charAt(0)}.`;
-      } else {
-        citation += `${meta.authors[0].lastName}, ${meta.authors[0].firstName.charAt(0)}. et al.`;
-      }
-      citation += ` (${meta.year}) '${title}', `;
-    } else {
-      citation += `${title} (${meta.year}) `;
-    }
-    
-    if (meta.publicationTitle) {
-      citation += `*${meta.publicationTitle}*`;
-      if (meta.volume) citation += `, ${meta.volume}`;
-      if (meta.issue) citation += `(${meta.issue})`;
-      if (meta.pages) citation += `, pp. ${meta.pages}`;
-      citation += ". ";
-    } else if (meta.publisher) {
-      if (meta.place) citation += `${meta.place}: `;
-      citation += `${meta.publisher}. `;
-    }
+  async findKeyCollisions(item, base) {
+    const creator = item.getCreators?.()[0];
+    const name = creator?.lastName || creator?.name;
+    const year = this.extractYear(item.getField?.("date") || "");
+    if (!name && !/^\d{4}$/.test(year)) return [];
     
-    if (meta.doi) {
-      citation += `doi: ${meta.doi}`;
+    try {
+      const search = new Zotero.Search();
+      search.libraryID = item.libraryID;
+      if (name) search.addCondition("creator", "contains", name);
+      if (/^\d{4}$/.test(year)) search.addCondition("year", "is", year);
+      const found = await Zotero.Items.getAsync(await search.search());
+      return found.filter(other => other.isRegularItem() && !other.deleted && this.buildCitationKey(other) === base);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.CitationHelper: Citation key search failed: " + error);
+      return [];
     }
-    
-    return citation.trim();
   },
   
   /**
-   * Format citation in IEEE style
+   * Suffix for the nth duplicate key: a ... z, aa, ab ...
    */
-  formatIEEE(meta) {
-    const title = meta.title || "Untitled";
-    let citation = "";
-    
-    // Authors (initials first)
-    if (meta.authors.length > 0) {
-      const authorList = meta.authors.map(a => 
-        `${a.firstName.charAt(0)}. ${a.lastName}`
-      );
-      
-      if (authorList.length === 1) {
-        citation += authorList[0];
-      } else if (authorList.length === 2) {
-        citation += `${authorList[0]} and ${authorList[1]}`;
-      } else {
-        citation += `${authorList.slice(0, -1).join(", ")}, and ${authorList[authorList.length - 1]}`;
-      }
-      citation += `, "${title}," `;
-    } else {
-      citation += `"${title}," `;
-    }
-    
-    if (meta.publicationTitle) {
-      citation += `*${meta.publicationTitle}*`;
-      if (meta.volume) citation += `, vol. ${meta.volume}`;
-      if (meta.issue) citation += `, no. ${meta.issue}`;
-      if (meta.pages) citation += `, pp. ${meta.pages}`;
-      citation += `, ${meta.year}`;
-      citation += ". ";
-    } else if (meta.publisher) {
-      if (meta.place) citation += `${meta.place}: `;
-      citation += `${meta.publisher}, ${meta.year}. `;
+  getKeySuffix(n) {
+    let suffix = "";
+    n++;
+    while (n > 0) {
+      n--;
+      suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+      n = Math.floor(n / 26);
     }
-    
-    if (meta.doi) {
-      citation += `doi: ${meta.doi}`;
-    }
-    
-    return citation.trim();
+    return suffix;
   },
   
   /**
-   * Format citation in Vancouver style
+   * Export items as BibTeX, RIS or CSL JSON with stable citation keys
+   * @param {Array<Zotero.Item>} items - Zotero items
+   * @param {string} formatID - "bibtex", "ris" or "csljson"
+   * @returns {Promise<string>} Exported text
    */
-  formatVancouver(meta) {
-    let citation = "";
-    
-    // Authors (last name first, initials, no periods)
-    if (meta.authors.length > 0) {
-      const authorList = meta.authors.slice(0, 6).map(a => {
-        const initials = a.firstName.split(" ").map(n => n.charAt(0).toUpperCase()).join("");
-        return `${a.lastName} ${initials}`;
-      });
-      
-      if (meta.authors.length > 6) {
-        citation += `${authorList.join(", ")}, et al. `;
-      } else {
-        citation += `${authorList.join(", ")}. `;
-      }
-    }
-    
-    citation += `${meta.title}. `;
-    
-    if (meta.publicationTitle) {
-      citation += `${meta.journalAbbreviation || meta.publicationTitle}. ${meta.year}`;
-      if (meta.volume) citation += `;${meta.volume}`;
-      if (meta.issue) citation += `(${meta.issue})`;
-      if (meta.pages) citation += `:${meta.pages}`;
-      citation += ". ";
-    } else if (meta.publisher) {
-      if (meta.place) citation += `${meta.place}: `;
-      citation += `${meta.publisher}; ${meta.year}. `;
+  async exportItems(items, formatID) {
+    const format = this.EXPORT_FORMATS.find(f => f.id === formatID);
+    if (!format) {
+      throw new Error("Unknown export format: " + formatID);
     }
+    items = (items || []).filter(item => item?.isRegularItem?.());
+    if (items.length === 0) return "";
     
-    if (meta.doi) {
-      citation += `doi: ${meta.doi}`;
+    // One translation per item ties each entry to its item, whatever order
+    // or number of entries a translator writes
+    const keys = await this.assignCitationKeys(items);
+    const entries = [];
+    for (const item of items) {
+      const output = await this.translateItems([item], format);
+      entries.push(this.applyCitationKey(output, format.id, keys.get(item.id)));
     }
-    
-    return citation.trim();
+    return this.joinEntries(entries, format.id);
   },
   
   /**
-   * Get in-text citation
+   * Run a Zotero export translator
+   * @returns {Promise<string>} Translator output
    */
-  getInTextCitation(item, style = "apa") {
-    const metadata = this.extractMetadata(item);
-    const shortTitle = this.getShortTitle(metadata.title);
-    
-    switch (style.toLowerCase()) {
-      case "apa":
-        if (metadata.authors.length === 0) {
-          return `("${shortTitle}", ${metadata.year})`;
-        }
-        if (metadata.authors.length === 1) {
-          return `(${metadata.authors[0].lastName}, ${metadata.year})`;
-        } else if (metadata.authors.length === 2) {
-          return `(${metadata.authors[0].lastName} & ${metadata.authors[1].lastName}, ${metadata.year})`;
+  async translateItems(items, format) {
+    const translation = new Zotero.Translate.Export();
+    translation.setItems(items);
+    translation.setTranslator(format.translatorID);
+    return new Promise((resolve, reject) => {
+      translation.setHandler("done", (obj, worked) => {
+        if (worked) {
+          resolve(obj.string || "");
         } else {
-          return `(${metadata.authors[0].lastName} et al., ${metadata.year})`;
+          reject(new Error(`${format.name} export failed`));
         }
+      });
+      translation.translate();
+    });
+  },
+  
+  /**
+   * Put our citation key into one item's translator output
+   */
+  applyCitationKey(output, formatID, key) {
+    if (!key) return output;
+    
+    switch (formatID) {
+      case "bibtex":
+        return output.replace(/^(@[a-zA-Z]+\{)[^,\n]*,/gm, (match, start) => `${start}${key},`);
         
-      case "mla":
-        if (metadata.authors.length === 0) {
-          return `("${shortTitle}")`;
-        } else if (metadata.authors.length === 1) {
-          return `(${metadata.authors[0].lastName})`;
-        } else if (metadata.authors.length === 2) {
-          return `(${metadata.authors[0].lastName} and ${metadata.authors[1].lastName})`;
-        } else {
-          return `(${metadata.authors[0].lastName} et al.)`;
-        }
+      case "ris": {
+        const eol = output.includes("\r\n") ? "\r\n" : "\n";
+        return output
+          .replace(/^ID {2}- .*(\r?\n)/gm, "")
+          .replace(/^TY {2}- .*$/gm, (match) => `${match}${eol}ID  - ${key}`);
+      }
         
-      case "chicago":
-        if (metadata.authors.length === 0) {
-          return `("${shortTitle}" ${metadata.year})`;
-        }
-        if (metadata.authors.length === 1) {
-          return `(${metadata.authors[0].lastName} ${metadata.year})`;
-        } else if (metadata.authors.length <= 3) {
-          const names = metadata.authors.map(a => a.lastName).join(", ");
-          return `(${names} ${metadata.year})`;
-        } else {
-          return `(${metadata.authors[0].lastName} et al. ${metadata.year})`;
+      case "csljson": {
+        const data = JSON.parse(output || "[]");
+        for (const entry of Array.isArray(data) ? data : []) {
+          entry.id = key;
+          entry["citation-key"] = key;
         }
-        
-      default:
-        return `(${metadata.authors[0]?.lastName || "Unknown"}, ${metadata.year})`;
+        return JSON.stringify(data);
+      }
     }
+    return output;
   },
-
-  getShortTitle(title, maxLength = 30) {
-    const value = (title || "Untitled").trim();
-    if (value.length <= maxLength) {
-      return value;
+  
+  /**
+   * Combine per-item translator output into one export
+   */
+  joinEntries(entries, formatID) {
+    if (formatID === "csljson") {
+      return JSON.stringify(entries.flatMap(entry => JSON.parse(entry || "[]")), null, 2);
     }
-    return value.slice(0, maxLength).trim() + "...";
+    const eol = entries.some(entry => entry.includes("\r\n")) ? "\r\n" : "\n";
+    // Trim only line breaks: RIS needs the space in "ER  - "
+    const text = entries
+      .map(entry => entry.replace(/^(\r?\n)+|(\r?\n)+$/g, ""))
+      .filter(entry => entry.trim())
+      .join(eol + eol);
+    return text ? text + eol : "";
   },
   
   /**
-   * Copy citation to clipboard
+   * Save an export to a file chosen by the user
+   * @returns {Promise<string|null>} Saved path
    */
-  async copyCitation(item, style) {
-    const citation = await this.getCitation(item, style);
+  async saveExport(items, formatID, parentWindow = null) {
+    const format = this.EXPORT_FORMATS.find(f => f.id === formatID);
+    const content = await this.exportItems(items, formatID);
+    if (!format || !content) return null;
     
-    try {
-      const clipboardHelper = Components.classes["@mozilla.org/widget/clipboardhelper;1"]
-        .getService(Components.interfaces.nsIClipboardHelper);
-      clipboardHelper.copyString(citation);
-      return true;
-    } catch (error) {
-      Zotero.debug("ZoteroAIAssistant.CitationHelper: Copy error: " + error);
-      return false;
+    const fp = Components.classes["@mozilla.org/filepicker;1"]
+      .createInstance(Components.interfaces.nsIFilePicker);
+    
+    const window = parentWindow || Services.wm.getMostRecentWindow("navigator:browser");
+    fp.init(window, `Export ${format.name}`, Components.interfaces.nsIFilePicker.modeSave);
+    fp.defaultString = `references.${format.extension}`;
+    fp.defaultExtension = format.extension;
+    fp.appendFilter(format.name, `*.${format.extension}`);
+    
+    const result = await new Promise(resolve => fp.open(resolve));
+    if (result !== Components.interfaces.nsIFilePicker.returnOK &&
+        result !== Components.interfaces.nsIFilePicker.returnReplace) {
+      return null;
     }
+    
+    await Zotero.File.putContentsAsync(fp.file.path, content);
+    return fp.file.path;
   },
   
   /**
-   * Copy in-text citation to clipboard
+   * Copy in-text citation to clipboard, as HTML and plain text
    */
-  copyInTextCitation(item, style) {
-    const citation = this.getInTextCitation(item, style);
-    
+  async copyInTextCitation(item, style) {
     try {
-      const clipboardHelper = Components.classes["@mozilla.org/widget/clipboardhelper;1"]
-        .getService(Components.interfaces.nsIClipboardHelper);
-      clipboardHelper.copyString(citation);
-      return true;
+      const html = await this.getInTextCitation(item, style, "html");
+      const text = await this.getInTextCitation(item, style, "text");
+      return this.copyToClipboard(html, text);
     } catch (error) {
-      Zotero.debug("ZoteroAIAssistant.CitationHelper: Copy error: " + error);
+      Zotero.debug("ZoteroAIAssistant.CitationHelper: Citation error: " + error);
       return false;
     }
   }
@@ -0,0 +1,199 @@
+/**
+ * Context Window
+ *
+ * Estimates request size against each model's context limit and compacts
+ * older conversation turns into a rolling summary when a chat outgrows it.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.ContextWindow = {
+  IMAGE_TOKENS: 850,
+  MESSAGE_OVERHEAD_TOKENS: 4,
+  DEFAULT_OUTPUT_TOKENS: 2000,
+  DEFAULT_LIMIT: 8192,
+  // Share of the history budget kept verbatim after compaction
+  KEEP_RATIO: 0.5,
+  MAX_TURN_CHARS: 4000,
+
+  // Fallback limits when neither the registry nor the provider reports one.
+  // Ollama and LM Studio load models with a 4k context unless configured.
+  PROVIDER_LIMITS: {
+    copilot: 128000,
+    anthropic: 200000,
+    gemini: 1000000,
+    ollama: 4096,
+    lmstudio: 4096,
+    "openai-compatible": 8192
+  },
+
+  SUMMARY_PROMPT: `Summarize the earlier part of a conversation between a researcher and an AI assistant about an academic paper. Keep the questions asked, the answers given, key facts, numbers and page references, and anything the user asked to remember. Write at most 250 words. Output only the summary.`,
+
+  // Limits reported by provider model listings, keyed by "provider:model"
+  reportedLimits: new Map(),
+
+  /**
+   * Record a context limit reported by a provider's model metadata
+   */
+  setModelLimit(provider, modelId, tokens) {
+    const limit = parseInt(tokens, 10);
+    if (provider && modelId && limit > 0) {
+      this.reportedLimits.set(`${provider}:${modelId}`, limit);
+    }
+  },
+
+  /**
+   * Get the context limit (input + output tokens) for a model
+   */
+  getContextLimit(provider, modelId) {
+    const override = parseInt(Zotero.Prefs.get("extensions.zotero-ai-assistant.contextWindow", true), 10);
+    if (override > 0) return override;
+
+    const reported = this.reportedLimits.get(`${provider}:${modelId}`);
+    if (reported) return reported;
+
+    const registered = ZoteroAIAssistant.ModelRegistry?.getContextWindow?.(provider, modelId);
+    if (registered) return registered;
+
+    return this.PROVIDER_LIMITS[provider] || this.DEFAULT_LIMIT;
+  },
+
+  /**
+   * Tokens kept free for the model's answer
+   */
+  getOutputReserve(limit) {
+    const maxTokens = parseInt(Zotero.Prefs.get("extensions.zotero-ai-assistant.maxTokens", true), 10)
+      || this.DEFAULT_OUTPUT_TOKENS;
+    // Never reserve more than a quarter of a small window
+    return Math.min(maxTokens, Math.floor(limit / 4));
+  },
+
+  estimateTextTokens(text) {
+    return ZoteroAIAssistant.FullTextContext.estimateTokens(text || "");
+  },
+
+  /**
+   * Estimate tokens for one chat message, including attached images
+   */
+  estimateMessageTokens(message) {
+    let tokens = this.MESSAGE_OVERHEAD_TOKENS;
+
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === "text") tokens += this.estimateTextTokens(part.text);
+        else if (part.type === "image_url") tokens += this.IMAGE_TOKENS;
+      }
+    } else {
+      tokens += this.estimateTextTokens(message.content);
+    }
+
+    if (Array.isArray(message.images)) {
+      tokens += message.images.length * this.IMAGE_TOKENS;
+    }
+
+    return tokens;
+  },
+
+  estimateTokens(messages) {
+    return (messages || []).reduce((sum, message) => sum + this.estimateMessageTokens(message), 0);
+  },
+
+  /**
+   * Measure a request against the model's context window
+   * @returns {object} { tokens, limit, available, percent }
+   */
+  getUsage(messages, provider, modelId) {
+    const limit = this.getContextLimit(provider, modelId);
+    const available = limit - this.getOutputReserve(limit);
+    const tokens = this.estimateTokens(messages);
+    return {
+      tokens,
+      limit,
+      available,
+      percent: Math.min(100, Math.round((tokens / available) * 100))
+    };
+  },
+
+  /**
+   * Split turns into older ones to compact and recent ones that fit keepBudget
+   * @returns {object} { older, recent }
+   */
+  splitForCompaction(turns, keepBudget) {
+    let used = 0;
+    let index = turns.length;
+
+    while (index > 0) {
+      const tokens = this.estimateMessageTokens(turns[index - 1]);
+      if (used + tokens > keepBudget) break;
+      used += tokens;
+      index--;
+    }
+
+    return { older: turns.slice(0, index), recent: turns.slice(index) };
+  },
+
+  /**
+   * Summarize older turns, folding in the previous summary
+   * @returns {string} Summary text
+   */
+  async summarize(turns, previousSummary, options = {}) {
+    const { provider, modelId, signal } = options;
+    const limit = this.getContextLimit(provider, modelId);
+    const maxChars = (limit - this.getOutputReserve(limit)) * ZoteroAIAssistant.FullTextContext.CHARS_PER_TOKEN * 0.8;
+
+    let transcript = turns.map(turn => {
+      let text = typeof turn.content === "string" ? turn.content : "";
+      if (text.length > this.MAX_TURN_CHARS) {
+        text = text.slice(0, this.MAX_TURN_CHARS) + "…";
+      }
+      return `${turn.role === "assistant" ? "Assistant" : "User"}: ${text}`;
+    }).join("\n\n");
+
+    // Keep the most recent part if the transcript itself is too long
+    if (transcript.length > maxChars) {
+      transcript = "…" + transcript.slice(transcript.length - maxChars);
+    }
+
+    let prompt = "";
+    if (previousSummary) {
+      prompt += `Summary of the conversation so far:\n${previousSummary}\n\n`;
+    }
+    prompt += `Conversation to add to the summary:\n\n${transcript}`;
+
+    const summary = await ZoteroAIAssistant.ProviderRegistry.complete(prompt, {
+      provider,
+      model: modelId,
+      systemPrompt: this.SUMMARY_PROMPT,
+      stream: false,
+      signal
+    });
+
+    return (summary || "").trim();
+  },
+
+  /**
+   * Drop the oldest history turns until the request fits.
+   * System messages and the final user message are always kept.
+   */
+  trimToFit(messages, available) {
+    const trimmed = [...messages];
+    let tokens = this.estimateTokens(trimmed);
+
+    while (tokens > available) {
+      const index = trimmed.findIndex((m, i) => m.role !== "system" && i < trimmed.length - 1);
+      if (index === -1) break;
+      tokens -= this.estimateMessageTokens(trimmed[index]);
+      trimmed.splice(index, 1);
+    }
+
+    return trimmed;
+  },
+
+  /**
+   * Format usage for display, e.g. "3.2k / 128k tokens"
+   */
+  formatUsage(usage) {
+    const format = tokens => (tokens >= 1000 ? `${Math.round(tokens / 100) / 10}k` : `${tokens}`);
+    return `${format(usage.tokens)} / ${format(usage.available)} tokens`;
+  }
+};
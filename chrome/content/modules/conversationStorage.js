@@ -1,26 +1,316 @@
 /**
  * Conversation Storage Module
  * 
- * Stores and retrieves chat history per paper/item using Zotero's database.
+ * Stores chat history per paper/item as JSON files in the Zotero data
+ * directory. Attached images are written once to a shared image directory
+ * and referenced from messages by file name.
  */
 
 var ZoteroAIAssistant = ZoteroAIAssistant || {};
 
 ZoteroAIAssistant.ConversationStorage = {
-  // Storage key prefix
-  STORAGE_PREFIX: "zai-conversation-",
+  // File format version, bumped when the stored shape changes
+  STORAGE_VERSION: 1,
+  STORAGE_DIR: "zotero-ai-assistant/conversations",
+  IMAGE_DIR: "zotero-ai-assistant/images",
+  
+  // Pref key prefix used before conversations moved to files
+  LEGACY_PREFIX: "zai-conversation-",
   
   // Maximum conversations to keep per item
-  MAX_CONVERSATIONS_PER_ITEM: 10,
+  MAX_CONVERSATIONS_PER_ITEM: 50,
   
   // Maximum messages per conversation
   MAX_MESSAGES_PER_CONVERSATION: 100,
   
+  IMAGE_EXTENSIONS: {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp"
+  },
+  
+  // Pending writes per item, so read-modify-write cycles don't interleave
+  writeQueues: new Map(),
+  
+  initPromise: null,
+  
+  /**
+   * Prepare storage and migrate conversations left in prefs
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.migrateFromPrefs().catch(error => {
+        Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Migration error: ${error}`);
+      });
+    }
+    return this.initPromise;
+  },
+  
+  getStorageDirectory() {
+    return PathUtils.join(Zotero.DataDirectory.dir, ...this.STORAGE_DIR.split("/"));
+  },
+  
+  getImageDirectory() {
+    return PathUtils.join(Zotero.DataDirectory.dir, ...this.IMAGE_DIR.split("/"));
+  },
+  
   /**
-   * Get the storage key for an item
+   * Get the conversation file for an item
+   * @returns {string|null} Path, or null if the item doesn't exist
    */
-  getStorageKey(itemID) {
-    return this.STORAGE_PREFIX + itemID;
+  getStoragePath(itemID) {
+    const item = Zotero.Items.get(itemID);
+    if (!item) return null;
+    return PathUtils.join(this.getStorageDirectory(), `${item.libraryID}-${item.key}.json`);
+  },
+  
+  /**
+   * Run a write for an item after any pending ones
+   */
+  enqueueWrite(itemID, task) {
+    const previous = this.writeQueues.get(itemID) || Promise.resolve();
+    const next = previous.then(task, task);
+    this.writeQueues.set(itemID, next);
+    next.catch(() => {}).then(() => {
+      if (this.writeQueues.get(itemID) === next) {
+        this.writeQueues.delete(itemID);
+      }
+    });
+    return next;
+  },
+  
+  /**
+   * Wait until all pending writes have finished
+   */
+  async flushWrites() {
+    await Promise.allSettled([...this.writeQueues.values()]);
+  },
+  
+  /**
+   * Read an item's conversations as stored (image references unresolved)
+   */
+  async readFile(itemID) {
+    const path = this.getStoragePath(itemID);
+    if (!path || !await IOUtils.exists(path)) return [];
+    
+    const data = await IOUtils.readJSON(path);
+    return this.upgrade(data).conversations;
+  },
+  
+  /**
+   * Write an item's conversations, removing the file when none are left
+   */
+  async writeFile(itemID, conversations) {
+    const path = this.getStoragePath(itemID);
+    if (!path) return false;
+    
+    if (conversations.length === 0) {
+      await IOUtils.remove(path, { ignoreAbsent: true });
+      return true;
+    }
+    
+    await IOUtils.makeDirectory(this.getStorageDirectory(), { ignoreExisting: true });
+    await IOUtils.writeJSON(path, {
+      version: this.STORAGE_VERSION,
+      itemID,
+      conversations
+    }, { tmpPath: path + ".tmp" });
+    return true;
+  },
+  
+  /**
+   * Bring stored data up to the current file version
+   */
+  upgrade(data) {
+    // Version 0: the bare conversations array kept in prefs
+    if (Array.isArray(data)) {
+      data = { version: 0, conversations: data };
+    }
+    if (!data || !Array.isArray(data.conversations)) {
+      return { version: this.STORAGE_VERSION, conversations: [] };
+    }
+    if (data.version > this.STORAGE_VERSION) {
+      Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Stored version ${data.version} is newer than ${this.STORAGE_VERSION}`);
+    }
+    return data;
+  },
+  
+  /**
+   * Move conversations from zai-conversation-<itemID> prefs into files
+   */
+  async migrateFromPrefs() {
+    const keys = Services.prefs.getChildList(this.LEGACY_PREFIX);
+    if (keys.length === 0) return;
+    
+    let migrated = 0;
+    for (const key of keys) {
+      const itemID = parseInt(key.slice(this.LEGACY_PREFIX.length), 10);
+      try {
+        const legacy = JSON.parse(Zotero.Prefs.get(key, true) || "[]");
+        const conversations = this.upgrade(legacy).conversations;
+        
+        // Items deleted since then have nowhere to go
+        if (itemID && this.getStoragePath(itemID) && conversations.length) {
+          await this.enqueueWrite(itemID, async () => {
+            const existing = await this.readFile(itemID);
+            const known = new Set(existing.map(c => c.id));
+            for (const conversation of conversations) {
+              if (known.has(conversation.id)) continue;
+              conversation.messages = await this.storeImages(conversation.messages || []);
+              existing.push(conversation);
+            }
+            await this.writeFile(itemID, this.sortConversations(existing));
+          });
+          migrated++;
+        }
+        
+        Zotero.Prefs.clear(key, true);
+      } catch (error) {
+        // Leave the pref in place so the next start retries
+        Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Could not migrate ${key}: ${error}`);
+      }
+    }
+    
+    Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Migrated conversations for ${migrated} items from prefs`);
+  },
+  
+  sortConversations(conversations) {
+    return conversations
+      .sort((a, b) => (Date.parse(b.updatedAt || b.createdAt) || 0) - (Date.parse(a.updatedAt || a.createdAt) || 0))
+      .slice(0, this.MAX_CONVERSATIONS_PER_ITEM);
+  },
+  
+  /**
+   * Write message images to the image directory and keep only file names
+   */
+  async storeImages(messages) {
+    const stored = [];
+    for (const message of messages) {
+      if (!Array.isArray(message.images) || message.images.length === 0) {
+        stored.push(message);
+        continue;
+      }
+      
+      const { images, ...rest } = message;
+      const imageFiles = [...(message.imageFiles || [])];
+      for (const dataUrl of images) {
+        try {
+          imageFiles.push(await this.writeImage(dataUrl));
+        } catch (error) {
+          Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Image save error: ${error}`);
+        }
+      }
+      stored.push({ ...rest, imageFiles });
+    }
+    return stored;
+  },
+  
+  /**
+   * Store one image, named by content hash so repeats are written once
+   * @returns {string} File name
+   */
+  async writeImage(dataUrl) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl || "");
+    if (!match) throw new Error("Unsupported image data");
+    
+    const [, mediaType, base64] = match;
+    const extension = this.IMAGE_EXTENSIONS[mediaType] || "img";
+    const fileName = `${Zotero.Utilities.Internal.md5(base64, false)}.${extension}`;
+    const path = PathUtils.join(this.getImageDirectory(), fileName);
+    
+    if (!await IOUtils.exists(path)) {
+      await IOUtils.makeDirectory(this.getImageDirectory(), { ignoreExisting: true });
+      const binary = atob(base64);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      await IOUtils.write(path, bytes);
+    }
+    return fileName;
+  },
+  
+  /**
+   * Read a stored image back as a data URL
+   */
+  async readImage(fileName) {
+    const path = PathUtils.join(this.getImageDirectory(), fileName);
+    const bytes = await IOUtils.read(path);
+    
+    let binary = "";
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    
+    const extension = fileName.split(".").pop();
+    const mediaType = Object.keys(this.IMAGE_EXTENSIONS).find(type => this.IMAGE_EXTENSIONS[type] === extension)
+      || "application/octet-stream";
+    return `data:${mediaType};base64,${btoa(binary)}`;
+  },
+  
+  /**
+   * Replace image file references with data URLs
+   */
+  async loadImages(messages) {
+    const loaded = [];
+    for (const message of messages || []) {
+      if (!Array.isArray(message.imageFiles) || message.imageFiles.length === 0) {
+        loaded.push(message);
+        continue;
+      }
+      
+      const { imageFiles, ...rest } = message;
+      const images = [];
+      for (const fileName of imageFiles) {
+        try {
+          images.push(await this.readImage(fileName));
+        } catch (error) {
+          Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Missing image ${fileName}: ${error}`);
+        }
+      }
+      loaded.push({ ...rest, images });
+    }
+    return loaded;
+  },
+  
+  /**
+   * Delete images no longer referenced by any conversation
+   */
+  async pruneImages() {
+    try {
+      await this.flushWrites();
+      const imageDir = this.getImageDirectory();
+      if (!await IOUtils.exists(imageDir)) return;
+      
+      const referenced = new Set();
+      const storageDir = this.getStorageDirectory();
+      if (await IOUtils.exists(storageDir)) {
+        for (const path of await IOUtils.getChildren(storageDir)) {
+          if (!path.endsWith(".json")) continue;
+          try {
+            const { conversations } = this.upgrade(await IOUtils.readJSON(path));
+            for (const conversation of conversations) {
+              for (const message of conversation.messages || []) {
+                (message.imageFiles || []).forEach(fileName => referenced.add(fileName));
+              }
+            }
+          } catch (error) {
+            // Unreadable file: keep every image rather than guess
+            return;
+          }
+        }
+      }
+      
+      for (const path of await IOUtils.getChildren(imageDir)) {
+        if (!referenced.has(PathUtils.filename(path))) {
+          await IOUtils.remove(path, { ignoreAbsent: true });
+        }
+      }
+    } catch (error) {
+      Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Prune error: ${error}`);
+    }
   },
   
   /**
@@ -31,11 +321,9 @@ ZoteroAIAssistant.ConversationStorage = {
    */
   async saveConversation(itemID, messages, title = null) {
     if (!itemID || !messages || messages.length === 0) return;
+    await this.init();
     
     try {
-      const key = this.getStorageKey(itemID);
-      const existing = await this.getConversations(itemID);
-      
       // Create new conversation object
       const conversation = {
         id: Date.now().toString(),
@@ -45,14 +333,15 @@ ZoteroAIAssistant.ConversationStorage = {
         updatedAt: new Date().toISOString()
       };
       
-      // Add to existing conversations
-      existing.unshift(conversation);
-      
-      // Limit number of conversations
-      const limited = existing.slice(0, this.MAX_CONVERSATIONS_PER_ITEM);
-      
-      // Save to Zotero preferences
-      Zotero.Prefs.set(key, JSON.stringify(limited), true);
+      const saved = await this.enqueueWrite(itemID, async () => {
+        conversation.messages = await this.storeImages(conversation.messages);
+        const existing = await this.readFile(itemID);
+        existing.unshift(conversation);
+        
+        // Limit number of conversations
+        return this.writeFile(itemID, existing.slice(0, this.MAX_CONVERSATIONS_PER_ITEM));
+      });
+      if (!saved) return null;
       
       Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Saved conversation for item ${itemID}`);
       
@@ -68,21 +357,21 @@ ZoteroAIAssistant.ConversationStorage = {
    */
   async updateConversation(itemID, conversationID, messages) {
     if (!itemID || !conversationID) return false;
+    await this.init();
     
     try {
-      const key = this.getStorageKey(itemID);
-      const conversations = await this.getConversations(itemID);
-      
-      const index = conversations.findIndex(c => c.id === conversationID);
-      if (index === -1) return false;
-      
-      conversations[index].messages = messages.slice(-this.MAX_MESSAGES_PER_CONVERSATION);
-      conversations[index].updatedAt = new Date().toISOString();
-      conversations[index].title = this.generateTitle(messages);
-      
-      Zotero.Prefs.set(key, JSON.stringify(conversations), true);
-      
-      return true;
+      return await this.enqueueWrite(itemID, async () => {
+        const conversations = await this.readFile(itemID);
+        
+        const index = conversations.findIndex(c => c.id === conversationID);
+        if (index === -1) return false;
+        
+        conversations[index].messages = await this.storeImages(messages.slice(-this.MAX_MESSAGES_PER_CONVERSATION));
+        conversations[index].updatedAt = new Date().toISOString();
+        conversations[index].title = this.generateTitle(messages);
+        
+        return this.writeFile(itemID, conversations);
+      });
     } catch (error) {
       Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Update error: ${error}`);
       return false;
@@ -94,14 +383,17 @@ ZoteroAIAssistant.ConversationStorage = {
    */
   async getConversations(itemID) {
     if (!itemID) return [];
+    await this.init();
     
     try {
-      const key = this.getStorageKey(itemID);
-      const data = Zotero.Prefs.get(key, true);
-      
-      if (!data) return [];
+      // Let pending writes land first
+      await this.writeQueues.get(itemID)?.catch(() => {});
       
-      return JSON.parse(data);
+      const conversations = await this.readFile(itemID);
+      for (const conversation of conversations) {
+        conversation.messages = await this.loadImages(conversation.messages);
+      }
+      return conversations;
     } catch (error) {
       Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Get error: ${error}`);
       return [];
@@ -121,18 +413,22 @@ ZoteroAIAssistant.ConversationStorage = {
    */
   async deleteConversation(itemID, conversationID) {
     if (!itemID || !conversationID) return false;
+    await this.init();
     
     try {
-      const key = this.getStorageKey(itemID);
-      const conversations = await this.getConversations(itemID);
+      const deleted = await this.enqueueWrite(itemID, async () => {
+        const conversations = await this.readFile(itemID);
+        const filtered = conversations.filter(c => c.id !== conversationID);
+        
+        if (filtered.length === conversations.length) return false;
+        
+        return this.writeFile(itemID, filtered);
+      });
       
-      const filtered = conversations.filter(c => c.id !== conversationID);
-      
-      if (filtered.length === conversations.length) return false;
-      
-      Zotero.Prefs.set(key, JSON.stringify(filtered), true);
-      
-      return true;
+      if (deleted) {
+        await this.pruneImages();
+      }
+      return deleted;
     } catch (error) {
       Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Delete error: ${error}`);
       return false;
@@ -144,10 +440,11 @@ ZoteroAIAssistant.ConversationStorage = {
    */
   async clearConversations(itemID) {
     if (!itemID) return false;
+    await this.init();
     
     try {
-      const key = this.getStorageKey(itemID);
-      Zotero.Prefs.clear(key, true);
+      await this.enqueueWrite(itemID, () => this.writeFile(itemID, []));
+      await this.pruneImages();
       return true;
     } catch (error) {
       Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Clear error: ${error}`);
@@ -155,6 +452,23 @@ ZoteroAIAssistant.ConversationStorage = {
     }
   },
   
+  /**
+   * Delete every stored conversation and image
+   */
+  async clearAll() {
+    await this.init();
+    
+    try {
+      await this.flushWrites();
+      await IOUtils.remove(this.getStorageDirectory(), { recursive: true, ignoreAbsent: true });
+      await IOUtils.remove(this.getImageDirectory(), { recursive: true, ignoreAbsent: true });
+      return true;
+    } catch (error) {
+      Zotero.debug(`ZoteroAIAssistant.ConversationStorage: Clear all error: ${error}`);
+      return false;
+    }
+  },
+  
   /**
    * Generate a title from the first user message
    */
@@ -191,6 +505,8 @@ ZoteroAIAssistant.ConversationStorage = {
     noteContent += `<hr/>`;
     
     for (const msg of conversation.messages) {
+      // Rolling summaries only repeat earlier turns
+      if (msg.summary) continue;
       const role = msg.role === "user" ? "You" : "AI";
       const content = msg.content.replace(/\n/g, "<br/>");
       noteContent += `<p><strong>${role}:</strong></p>`;
@@ -0,0 +1,458 @@
+/**
+ * Full Text Context
+ *
+ * Extracts the full text of a paper's attachment (Zotero fulltext cache or
+ * the PDF text layer), splits it into sections and selects the sections
+ * most relevant to a question within a per-model token budget.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.FullTextContext = {
+  // Parsed full text per attachment ID, least recently used first
+  cache: new Map(),
+  MAX_CACHED: 8,
+  // Zotero.Notifier observer that drops stale cache entries
+  notifierID: null,
+  // Item events after which an attachment's text may have changed
+  STALE_EVENTS: ["modify", "delete", "trash", "refresh", "index"],
+
+  CHARS_PER_TOKEN: 4,
+  MAX_SECTION_TOKENS: 1500,
+  MIN_PARTIAL_TOKENS: 200,
+  DEFAULT_BUDGET: 8000,
+  LOCAL_BUDGET: 3000,
+  // Most of a model's context window the paper text may take
+  MAX_WINDOW_SHARE: 0.4,
+
+  // Token budget reserved for full text, by model ID
+  MODEL_BUDGETS: [
+    { pattern: /^claude/i, tokens: 30000 },
+    { pattern: /^gemini/i, tokens: 30000 },
+    { pattern: /^gpt-5/i, tokens: 24000 },
+    { pattern: /^gpt-4\.1/i, tokens: 24000 },
+    { pattern: /^grok/i, tokens: 16000 },
+    { pattern: /mini/i, tokens: 12000 }
+  ],
+
+  // Common section headings in academic papers
+  SECTION_NAMES: [
+    "abstract", "introduction", "background", "related work", "related works",
+    "literature review", "preliminaries", "method", "methods", "methodology",
+    "materials and methods", "approach", "model", "experiments", "experiment",
+    "experimental setup", "evaluation", "results", "results and discussion",
+    "discussion", "analysis", "limitations", "future work", "conclusion",
+    "conclusions", "summary", "acknowledgments", "acknowledgements",
+    "references", "bibliography", "appendix", "supplementary material"
+  ],
+
+  STOP_WORDS: new Set([
+    "the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "was",
+    "were", "has", "have", "had", "this", "that", "these", "those", "with",
+    "from", "what", "which", "who", "how", "why", "when", "where", "does", "did",
+    "about", "into", "than", "then", "there", "their", "they", "them", "its",
+    "paper", "please", "explain", "tell", "describe", "would", "could", "should"
+  ]),
+
+  /**
+   * Watch for edited, deleted or reindexed attachments
+   */
+  init() {
+    if (this.notifierID) return;
+    this.notifierID = Zotero.Notifier.registerObserver({
+      notify: (event, type, ids) => {
+        if (!this.STALE_EVENTS.includes(event)) return;
+        for (const id of ids) {
+          this.clearCache(id);
+        }
+      }
+    }, ["item", "file"], "zoteroAIAssistantFullText");
+  },
+
+  shutdown() {
+    if (this.notifierID) {
+      Zotero.Notifier.unregisterObserver(this.notifierID);
+      this.notifierID = null;
+    }
+    this.clearCache();
+  },
+
+  /**
+   * Check whether full-text context is enabled
+   */
+  isEnabled() {
+    const enabled = Zotero.Prefs.get("extensions.zotero-ai-assistant.fullTextContext", true);
+    return enabled !== false;
+  },
+
+  /**
+   * Find the PDF (or best) attachment for an item
+   */
+  async getAttachment(item) {
+    if (!item) return null;
+
+    try {
+      if (item.isAttachment()) {
+        return item;
+      }
+      if (!item.isRegularItem()) {
+        return null;
+      }
+      return (await item.getBestAttachment()) || null;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.FullTextContext: Failed to find attachment: " + error);
+      return null;
+    }
+  },
+
+  /**
+   * Get parsed full text for an item
+   * @param {Zotero.Item} item - Regular item or attachment
+   * @returns {object|null} { attachmentID, source, pages, sections }
+   */
+  async getFullText(item) {
+    const attachment = await this.getAttachment(item);
+    if (!attachment) return null;
+
+    const cached = this.cache.get(attachment.id);
+    if (cached) {
+      this.cache.delete(attachment.id);
+      this.cache.set(attachment.id, cached);
+      return cached;
+    }
+
+    let pages = await this.getReaderPages(attachment);
+    let source = "pdf";
+
+    if (!pages) {
+      const text = await this.getCachedText(attachment);
+      pages = text ? this.splitPages(text) : null;
+      source = "fulltext";
+    }
+
+    if (!pages || pages.length === 0) {
+      return null;
+    }
+
+    const parsed = {
+      attachmentID: attachment.id,
+      source,
+      pages,
+      sections: this.splitSections(pages)
+    };
+
+    this.cache.set(attachment.id, parsed);
+    while (this.cache.size > this.MAX_CACHED) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return parsed;
+  },
+
+  /**
+   * Read text from Zotero's fulltext index
+   */
+  async getCachedText(attachment) {
+    try {
+      const text = await attachment.attachmentText;
+      if (text && text.trim()) {
+        return text;
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.FullTextContext: attachmentText failed: " + error);
+    }
+
+    try {
+      const cacheFile = Zotero.Fulltext.getItemCacheFile(attachment);
+      if (cacheFile && await IOUtils.exists(cacheFile.path)) {
+        return await Zotero.File.getContentsAsync(cacheFile.path);
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.FullTextContext: Cache file read failed: " + error);
+    }
+
+    return null;
+  },
+
+  /**
+   * Read text page by page from an open PDF reader's text layer
+   * @returns {array|null} [{ pageNumber, text }]
+   */
+  async getReaderPages(attachment) {
+    const reader = (Zotero.Reader?._readers || []).find(r => r.itemID === attachment.id);
+    if (!reader) return null;
+
+    try {
+      const iframeWindow = reader._iframeWindow || reader._iframe?.contentWindow;
+      const windowRef = iframeWindow?.wrappedJSObject || iframeWindow;
+      const pdfDocument = windowRef?.PDFViewerApplication?.pdfDocument;
+      if (!pdfDocument) return null;
+
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        const page = await pdfDocument.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        let text = "";
+        for (const entry of textContent.items) {
+          text += entry.str;
+          text += entry.hasEOL ? "\n" : (entry.str.endsWith(" ") ? "" : " ");
+        }
+        pages.push({ pageNumber, text });
+      }
+
+      return pages.some(p => p.text.trim()) ? pages : null;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.FullTextContext: Text layer read failed: " + error);
+      return null;
+    }
+  },
+
+  /**
+   * Split cached text into pages (form feeds mark page breaks)
+   */
+  splitPages(text) {
+    return text.split("\f").map((pageText, index) => ({
+      pageNumber: index + 1,
+      text: pageText
+    }));
+  },
+
+  /**
+   * Check whether a line looks like a section heading
+   */
+  isHeading(line) {
+    const trimmed = line.trim();
+    if (trimmed.length < 4 || trimmed.length > 80) return false;
+    if (/[.,;:]$/.test(trimmed)) return false;
+
+    const bare = trimmed
+      .replace(/^(\d+(\.\d+)*|[IVX]+|[A-Z])[.)]?\s+/, "")
+      .toLowerCase();
+    if (this.SECTION_NAMES.includes(bare)) return true;
+
+    // Numbered headings such as "3.2 Training Procedure"
+    return /^\d+(\.\d+){0,2}\.?\s+[A-Z][A-Za-z\- ]{2,60}$/.test(trimmed)
+      && trimmed.split(/\s+/).length <= 8;
+  },
+
+  /**
+   * Split pages into sections using heading heuristics
+   * @returns {array} [{ index, title, pageStart, text, tokens }]
+   */
+  splitSections(pages) {
+    // Cached text without page breaks has no usable page numbers
+    const paged = pages.length > 1;
+    const sections = [];
+    let current = { title: "Front Matter", pageStart: paged ? pages[0].pageNumber : null, lines: [], hasText: false };
+
+    for (const page of pages) {
+      const pageNumber = paged ? page.pageNumber : null;
+      for (const line of page.text.split(/\r?\n/)) {
+        if (!this.isHeading(line)) {
+          current.lines.push(line);
+          current.hasText = current.hasText || line.trim().length > 0;
+        } else if (current.hasText) {
+          sections.push(current);
+          current = { title: line.trim(), pageStart: pageNumber, lines: [], hasText: false };
+        } else {
+          current.title = line.trim();
+          current.pageStart = pageNumber;
+        }
+      }
+    }
+    sections.push(current);
+
+    // Break very long sections into parts so ranking stays granular
+    const result = [];
+    const maxChars = this.MAX_SECTION_TOKENS * this.CHARS_PER_TOKEN;
+    for (const section of sections) {
+      const text = section.lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+      if (!text) continue;
+
+      const parts = [];
+      for (let start = 0; start < text.length; start += maxChars) {
+        parts.push(text.slice(start, start + maxChars));
+      }
+
+      parts.forEach((part, partIndex) => {
+        result.push({
+          index: result.length,
+          title: parts.length > 1 ? `${section.title} (part ${partIndex + 1})` : section.title,
+          pageStart: section.pageStart,
+          text: part,
+          tokens: this.estimateTokens(part)
+        });
+      });
+    }
+
+    return result;
+  },
+
+  /**
+   * Rough token estimate (about 4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || "").length / this.CHARS_PER_TOKEN);
+  },
+
+  /**
+   * Get the full-text token budget for a model
+   */
+  getTokenBudget(provider, modelId) {
+    let budget = this.DEFAULT_BUDGET;
+
+    if (ZoteroAIAssistant.ProviderRegistry?.isLocal(provider)) {
+      budget = this.LOCAL_BUDGET;
+    } else if (modelId) {
+      const match = this.MODEL_BUDGETS.find(entry => entry.pattern.test(modelId));
+      if (match) budget = match.tokens;
+    }
+
+    const limit = parseInt(Zotero.Prefs.get("extensions.zotero-ai-assistant.fullTextMaxTokens", true), 10);
+    if (limit > 0) {
+      budget = Math.min(budget, limit);
+    }
+
+    // Leave room for the conversation in small context windows
+    const CW = ZoteroAIAssistant.ContextWindow;
+    if (CW) {
+      const contextLimit = CW.getContextLimit(provider, modelId);
+      budget = Math.min(budget, Math.floor((contextLimit - CW.getOutputReserve(contextLimit)) * this.MAX_WINDOW_SHARE));
+    }
+
+    return budget;
+  },
+
+  /**
+   * Split text into lowercase search terms
+   */
+  tokenize(text) {
+    return (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9\u00c0-\uffff]+/)
+      .filter(term => term.length > 2 && !this.STOP_WORDS.has(term));
+  },
+
+  /**
+   * Score a section's relevance to a query
+   */
+  scoreSection(section, terms, query) {
+    const title = section.title.toLowerCase();
+    const text = section.text.toLowerCase();
+    let score = 0;
+
+    for (const term of terms) {
+      if (title.includes(term)) score += 3;
+      const occurrences = text.split(term).length - 1;
+      score += Math.min(occurrences, 5);
+    }
+
+    // Explicit references like "Table 2" or "Figure 3"
+    const refPattern = /\b(table|fig\.?|figure|eq\.?|equation|section)\s*(\d+)/gi;
+    let ref;
+    while ((ref = refPattern.exec(query)) !== null) {
+      const label = ref[1].slice(0, 2).toLowerCase();
+      const refRegex = new RegExp(`\\b${label}[a-z.]*\\s*${ref[2]}\\b`, "i");
+      if (refRegex.test(section.text)) score += 10;
+    }
+
+    // Prefer the overview sections for general questions
+    if (/^(abstract|introduction|conclusions?)$/.test(title.replace(/^[\d.\sivx]+/, ""))) {
+      score += 1;
+    }
+
+    if (/^(\d+\.?\s*)?(references|bibliography)/.test(title) && !/\b(reference|citation|cite|bibliograph)/i.test(query)) {
+      score -= 100;
+    }
+
+    return score;
+  },
+
+  /**
+   * Build full-text context for a chat request
+   * @param {Zotero.Item} item - Paper item
+   * @param {object} options - { query, selectedText, provider, modelId, budget }
+   * @returns {object|null} { content, sections, tokens, budget, complete }
+   */
+  async buildContext(item, options = {}) {
+    if (!this.isEnabled() || !item) return null;
+
+    const fullText = await this.getFullText(item);
+    if (!fullText || fullText.sections.length === 0) return null;
+
+    const budget = options.budget || this.getTokenBudget(options.provider, options.modelId);
+    const query = [options.query, options.selectedText].filter(Boolean).join("\n");
+    const sections = fullText.sections;
+    const totalTokens = sections.reduce((sum, s) => sum + s.tokens, 0);
+
+    let selected = [];
+    if (totalTokens <= budget) {
+      selected = sections.map(s => ({ ...s, truncated: false }));
+    } else {
+      const terms = this.tokenize(query);
+      const ranked = sections
+        .map(section => ({ section, score: this.scoreSection(section, terms, query) }))
+        .filter(entry => entry.score > -50)
+        .sort((a, b) => b.score - a.score || a.section.index - b.section.index);
+
+      let remaining = budget;
+      for (const { section } of ranked) {
+        if (section.tokens <= remaining) {
+          selected.push({ ...section, truncated: false });
+          remaining -= section.tokens;
+        } else if (remaining >= this.MIN_PARTIAL_TOKENS) {
+          const text = section.text.slice(0, remaining * this.CHARS_PER_TOKEN);
+          selected.push({ ...section, text, tokens: this.estimateTokens(text), truncated: true });
+          remaining = 0;
+        }
+        if (remaining < this.MIN_PARTIAL_TOKENS) break;
+      }
+
+      selected.sort((a, b) => a.index - b.index);
+    }
+
+    if (selected.length === 0) return null;
+
+    return {
+      content: this.formatContext(selected, selected.length < sections.length),
+      sections: selected.map(s => ({
+        title: s.title,
+        page: s.pageStart,
+        tokens: s.tokens,
+        truncated: s.truncated
+      })),
+      tokens: selected.reduce((sum, s) => sum + s.tokens, 0),
+      budget,
+      complete: totalTokens <= budget
+    };
+  },
+
+  /**
+   * Format selected sections as a context message
+   */
+  formatContext(sections, partial) {
+    let context = partial
+      ? "Relevant sections from the paper's full text (other sections omitted):\n\n"
+      : "Full text of the paper:\n\n";
+
+    for (const section of sections) {
+      context += section.pageStart
+        ? `## ${section.title} (page ${section.pageStart})\n`
+        : `## ${section.title}\n`;
+      context += section.text;
+      context += section.truncated ? "\n[...section truncated]\n\n" : "\n\n";
+    }
+
+    return context.trim();
+  },
+
+  /**
+   * Drop cached text for an attachment (or everything)
+   */
+  clearCache(attachmentID) {
+    if (attachmentID) {
+      this.cache.delete(attachmentID);
+    } else {
+      this.cache.clear();
+    }
+  }
+};
@@ -0,0 +1,446 @@
+/**
+ * Library Chat
+ *
+ * Answers questions across a collection, saved search or whole library.
+ * Finds the relevant papers (metadata, notes, annotations, full text),
+ * sends them as numbered sources and keeps the citations linked to items.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.LibraryChat = {
+  // Conversation history per scope key
+  conversations: new Map(),
+
+  MAX_PAPERS: 8,
+  MAX_SEARCH_TERMS: 8,
+  ABSTRACT_CHARS: 800,
+  NOTE_CHARS: 600,
+  MAX_ANNOTATIONS: 5,
+  FULLTEXT_TOKENS_PER_PAPER: 800,
+
+  SYSTEM_PROMPT: `You are an AI research assistant answering questions about a collection of academic papers from the user's Zotero library.
+
+You are given numbered sources. Each source contains a paper's metadata and, when available, excerpts from its notes, annotations and full text.
+
+Rules:
+- Base your answer on the provided sources. If they don't contain the answer, say so.
+- Cite sources with their number in square brackets, e.g. [1] or [2][3], directly after the claim they support.
+- Only cite numbers that appear in the sources list.
+- When comparing papers, name them briefly (first author and year) together with the citation.`,
+
+  /**
+   * Get the collection, saved search or library selected in the main pane
+   * @returns {object|null} { type, id, libraryID, name, key }
+   */
+  getSelectedScope() {
+    const zp = Zotero.getActiveZoteroPane();
+    if (!zp) return null;
+
+    try {
+      const collection = zp.getSelectedCollection?.();
+      if (collection) {
+        return {
+          type: "collection",
+          id: collection.id,
+          libraryID: collection.libraryID,
+          name: collection.name,
+          key: `collection-${collection.id}`
+        };
+      }
+
+      const search = zp.getSelectedSavedSearch?.();
+      if (search) {
+        return {
+          type: "search",
+          id: search.id,
+          libraryID: search.libraryID,
+          name: search.name,
+          key: `search-${search.id}`
+        };
+      }
+
+      const libraryID = zp.getSelectedLibraryID?.() || Zotero.Libraries.userLibraryID;
+      return {
+        type: "library",
+        id: libraryID,
+        libraryID,
+        name: Zotero.Libraries.getName(libraryID),
+        key: `library-${libraryID}`
+      };
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LibraryChat: Failed to get scope: " + error);
+      return null;
+    }
+  },
+
+  /**
+   * Get a label for a scope
+   */
+  getScopeLabel(scope) {
+    if (!scope) return "No collection selected";
+    const prefix = {
+      collection: "Collection",
+      search: "Saved search",
+      library: "Library"
+    }[scope.type] || "Library";
+    return `${prefix}: ${scope.name}`;
+  },
+
+  /**
+   * Get the regular items in a scope
+   */
+  async getScopeItems(scope) {
+    let items = [];
+
+    if (scope.type === "collection") {
+      const collection = Zotero.Collections.get(scope.id);
+      if (!collection) return [];
+      const recursive = Zotero.Prefs.get("recursiveCollections");
+      items = collection.getChildItems(false, false);
+      if (recursive) {
+        for (const descendent of collection.getDescendents(false, "collection", false)) {
+          const child = Zotero.Collections.get(descendent.id);
+          if (child) items.push(...child.getChildItems(false, false));
+        }
+      }
+    } else if (scope.type === "search") {
+      const search = Zotero.SavedSearches.get(scope.id);
+      if (!search) return [];
+      const ids = await search.search();
+      items = await Zotero.Items.getAsync(ids);
+      items = items.map(item => (item.parentItemID ? Zotero.Items.get(item.parentItemID) : item));
+    } else {
+      items = await Zotero.Items.getAll(scope.libraryID, true, false);
+    }
+
+    const seen = new Set();
+    return items.filter(item => {
+      if (!item || !item.isRegularItem() || item.deleted || seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+  },
+
+  /**
+   * Get search terms from a question
+   */
+  getSearchTerms(query) {
+    const terms = ZoteroAIAssistant.FullTextContext
+      ? ZoteroAIAssistant.FullTextContext.tokenize(query)
+      : (query || "").toLowerCase().split(/\W+/).filter(term => term.length > 2);
+    return [...new Set(terms)].slice(0, this.MAX_SEARCH_TERMS);
+  },
+
+  /**
+   * Rank the items in a scope by relevance to a question
+   * @returns {array} Zotero items, most relevant first
+   */
+  async findRelevantItems(scope, query) {
+    const items = await this.getScopeItems(scope);
+    if (items.length === 0) return [];
+
+    const byID = new Map(items.map(item => [item.id, item]));
+    const scores = new Map();
+    const addScore = (id, value) => scores.set(id, (scores.get(id) || 0) + value);
+    const terms = this.getSearchTerms(query);
+
+    // Metadata matches
+    for (const item of items) {
+      const title = (item.getField("title") || "").toLowerCase();
+      const rest = [
+        item.getField("abstractNote"),
+        item.getField("publicationTitle"),
+        item.getCreators().map(c => c.lastName).join(" "),
+        item.getTags().map(t => t.tag).join(" ")
+      ].join(" ").toLowerCase();
+
+      for (const term of terms) {
+        if (title.includes(term)) addScore(item.id, 3);
+        if (rest.includes(term)) addScore(item.id, 1);
+      }
+    }
+
+    // Notes, annotations and indexed full text via Zotero's own search
+    for (const term of terms) {
+      try {
+        const search = new Zotero.Search();
+        search.libraryID = scope.libraryID;
+        search.addCondition("quicksearch-everything", "contains", term);
+        const ids = await search.search();
+        const matched = new Set();
+        for (const id of ids) {
+          const hit = Zotero.Items.get(id);
+          const topLevel = hit?.parentItemID ? Zotero.Items.get(hit.parentItemID) : hit;
+          const parentID = topLevel?.parentItemID || topLevel?.id;
+          if (byID.has(parentID)) matched.add(parentID);
+        }
+        for (const id of matched) addScore(id, 2);
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.LibraryChat: Search error: " + error);
+      }
+    }
+
+    let ranked = [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([id]) => byID.get(id));
+
+    // Nothing matched (e.g. "summarize this collection"): use the newest items
+    if (ranked.length === 0) {
+      ranked = [...items].sort((a, b) => (b.dateAdded || "").localeCompare(a.dateAdded || ""));
+    }
+
+    return ranked.slice(0, this.MAX_PAPERS);
+  },
+
+  /**
+   * Pick the most relevant passage of a text
+   */
+  getExcerpt(text, terms, maxChars) {
+    if (!text) return "";
+    if (text.length <= maxChars) return text;
+
+    const lower = text.toLowerCase();
+    const position = terms
+      .map(term => lower.indexOf(term))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0];
+    const start = position === undefined ? 0 : Math.max(0, position - Math.floor(maxChars / 4));
+
+    return (start > 0 ? "…" : "") + text.slice(start, start + maxChars).trim() + "…";
+  },
+
+  /**
+   * Build the context block for one source
+   */
+  async buildSourceContext(item, number, query, options = {}) {
+    const metadata = ZoteroAIAssistant.PDFReader?.getItemMetadata(item) || {
+      title: item.getField("title"),
+      authors: [],
+      abstract: item.getField("abstractNote"),
+      date: item.getField("date"),
+      publicationTitle: item.getField("publicationTitle")
+    };
+    const terms = this.getSearchTerms(query);
+    const year = Zotero.Date.strToDate(metadata.date || "").year || "n.d.";
+
+    let context = `[${number}] ${metadata.title || "Untitled"}\n`;
+    if (metadata.authors?.length) {
+      context += `Authors: ${metadata.authors.join(", ")}\n`;
+    }
+    context += `Year: ${year}\n`;
+    if (metadata.publicationTitle) {
+      context += `Publication: ${metadata.publicationTitle}\n`;
+    }
+    if (metadata.abstract) {
+      context += `Abstract: ${this.getExcerpt(metadata.abstract, terms, this.ABSTRACT_CHARS)}\n`;
+    }
+
+    // Notes
+    if (ZoteroAIAssistant.NotesManager) {
+      const notes = await ZoteroAIAssistant.NotesManager.getNotesForItem(item);
+      for (const note of notes.slice(0, 2)) {
+        const text = ZoteroAIAssistant.NotesManager.noteToPlainText(note.content);
+        if (text) {
+          context += `Note: ${this.getExcerpt(text, terms, this.NOTE_CHARS)}\n`;
+        }
+      }
+    }
+
+    // Annotations
+    const annotations = await this.getAnnotations(item, terms);
+    for (const annotation of annotations) {
+      context += `Annotation (p. ${annotation.pageLabel || "?"}): "${annotation.text}"`;
+      context += annotation.comment ? ` — ${annotation.comment}\n` : "\n";
+    }
+
+    // Full text
+    if (ZoteroAIAssistant.FullTextContext?.isEnabled()) {
+      try {
+        const fullText = await ZoteroAIAssistant.FullTextContext.buildContext(item, {
+          query,
+          provider: options.provider,
+          modelId: options.modelId,
+          budget: this.FULLTEXT_TOKENS_PER_PAPER
+        });
+        if (fullText?.content) {
+          context += `Full text excerpts:\n${fullText.content.replace(/^[^\n]*\n\n/, "")}\n`;
+        }
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.LibraryChat: Full text error: " + error);
+      }
+    }
+
+    return {
+      context,
+      source: {
+        number,
+        itemID: item.id,
+        title: metadata.title || "Untitled",
+        authors: metadata.authors || [],
+        year
+      }
+    };
+  },
+
+  /**
+   * Get annotations on an item's attachments, preferring ones that match the query
+   */
+  async getAnnotations(item, terms) {
+    const annotations = [];
+
+    try {
+      for (const attachmentID of item.getAttachments()) {
+        const attachment = Zotero.Items.get(attachmentID);
+        if (!attachment?.isFileAttachment?.()) continue;
+        for (const entry of attachment.getAnnotations?.() || []) {
+          const annotation = typeof entry === "object" ? entry : Zotero.Items.get(entry);
+          const text = annotation?.annotationText || "";
+          const comment = annotation?.annotationComment || "";
+          if (!text && !comment) continue;
+          const lower = (text + " " + comment).toLowerCase();
+          annotations.push({
+            text,
+            comment,
+            pageLabel: annotation.annotationPageLabel,
+            score: terms.filter(term => lower.includes(term)).length
+          });
+        }
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LibraryChat: Annotation error: " + error);
+    }
+
+    return annotations
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.MAX_ANNOTATIONS);
+  },
+
+  /**
+   * Get or create the conversation for a scope
+   */
+  getConversation(scopeKey) {
+    if (!this.conversations.has(scopeKey)) {
+      this.conversations.set(scopeKey, []);
+    }
+    return this.conversations.get(scopeKey);
+  },
+
+  /**
+   * Send a question about a scope
+   * @param {string} content - User message
+   * @param {object} options - Additional options
+   * @param {object} options.scope - Scope from getSelectedScope()
+   * @param {function} options.onChunk - Streaming callback
+   * @param {AbortSignal} options.signal - Abort signal
+   */
+  async sendMessage(content, options = {}) {
+    const { scope, onChunk, signal } = options;
+    if (!scope) {
+      return { success: false, error: "No collection or library selected" };
+    }
+
+    const history = this.getConversation(scope.key);
+    const { provider, modelId } = ZoteroAIAssistant.ChatManager.getModelSettings(options);
+
+    try {
+      const items = await this.findRelevantItems(scope, content);
+      if (items.length === 0) {
+        return { success: false, error: `No items found in ${this.getScopeLabel(scope)}` };
+      }
+
+      const sources = [];
+      let sourcesContext = `The user is asking about their Zotero ${this.getScopeLabel(scope)}. Sources:\n\n`;
+      for (let i = 0; i < items.length; i++) {
+        const { context, source } = await this.buildSourceContext(items[i], i + 1, content, { provider, modelId });
+        sourcesContext += context + "\n";
+        sources.push(source);
+      }
+
+      const customPrompt = Zotero.Prefs.get("extensions.zotero-ai-assistant.customSystemPrompt", true);
+      let messages = [
+        { role: "system", content: customPrompt ? `${customPrompt}\n\n${this.SYSTEM_PROMPT}` : this.SYSTEM_PROMPT },
+        { role: "system", content: sourcesContext.trim() },
+        ...history.map(m => ({ role: m.role, content: m.content })),
+        { role: "user", content }
+      ];
+
+      // Sources change with every question, so older turns are dropped rather than summarized
+      let usage = null;
+      const CW = ZoteroAIAssistant.ContextWindow;
+      if (CW) {
+        usage = CW.getUsage(messages, provider, modelId);
+        if (usage.tokens > usage.available) {
+          messages = CW.trimToFit(messages, usage.available);
+          usage = CW.getUsage(messages, provider, modelId);
+        }
+      }
+
+      const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+        provider,
+        model: modelId,
+        messages,
+        onChunk,
+        signal
+      });
+
+      const assistantContent = response.content;
+      history.push({ role: "user", content, timestamp: Date.now() });
+      history.push({
+        role: "assistant",
+        content: assistantContent,
+        timestamp: Date.now(),
+        model: modelId,
+        sources
+      });
+
+      return {
+        success: true,
+        content: assistantContent,
+        model: modelId,
+        sources,
+        contextUsage: usage
+      };
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      Zotero.debug("ZoteroAIAssistant.LibraryChat: Error sending message: " + error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  /**
+   * Get conversation history for display
+   */
+  getDisplayMessages(scopeKey) {
+    return [...(this.conversations.get(scopeKey) || [])];
+  },
+
+  /**
+   * Clear the conversation for a scope
+   */
+  clearConversation(scopeKey) {
+    this.conversations.delete(scopeKey);
+  },
+
+  /**
+   * Select a cited item in the Zotero items pane
+   */
+  async selectItem(itemID) {
+    const zp = Zotero.getActiveZoteroPane();
+    if (!zp || !itemID) return false;
+
+    try {
+      const win = Zotero.getMainWindow();
+      if (win?.Zotero_Tabs && win.Zotero_Tabs.selectedID !== "zotero-pane") {
+        win.Zotero_Tabs.select("zotero-pane");
+      }
+      return await zp.selectItem(itemID);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LibraryChat: Failed to select item: " + error);
+      return false;
+    }
+  }
+};
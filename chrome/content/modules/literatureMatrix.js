@@ -0,0 +1,362 @@
+/**
+ * Literature Matrix
+ *
+ * Extracts the same user-defined fields (sample size, dataset, method, ...)
+ * from each paper as schema-constrained JSON and lays them out as a table
+ * that can be sorted, exported as TSV/CSV or saved as a Zotero note.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.LiteratureMatrix = {
+  DEFAULT_COLUMNS: [
+    { id: "sample_size", name: "Sample size", description: "Number of participants, samples or instances studied" },
+    { id: "dataset", name: "Dataset", description: "Datasets or data sources used" },
+    { id: "method", name: "Method", description: "Main method, model or study design" },
+    { id: "metric", name: "Metric", description: "Evaluation metrics or outcome measures" },
+    { id: "main_result", name: "Main result", description: "The headline result, with numbers where given" },
+    { id: "limitations", name: "Limitations", description: "Limitations stated by the authors" }
+  ],
+
+  // Token budget for paper text per item; smaller than chat to keep batches fast
+  FULL_TEXT_BUDGET: 6000,
+
+  SYSTEM_PROMPT: `You extract structured data from academic papers for a literature review matrix.
+- Fill every field from the paper text given. Be concise: a phrase or short sentence per field.
+- Keep numbers and units as written in the paper.
+- If the paper does not report a field, use "Not reported". Never guess.`,
+
+  /**
+   * Get the configured columns, falling back to the defaults
+   */
+  getColumns() {
+    try {
+      const stored = JSON.parse(Zotero.Prefs.get("extensions.zotero-ai-assistant.matrixColumns", true) || "null");
+      if (Array.isArray(stored) && stored.length) {
+        return stored;
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LiteratureMatrix: Invalid column pref: " + error);
+    }
+    return this.DEFAULT_COLUMNS.map(column => ({ ...column }));
+  },
+
+  setColumns(columns) {
+    Zotero.Prefs.set("extensions.zotero-ai-assistant.matrixColumns", JSON.stringify(columns), true);
+  },
+
+  /**
+   * Parse columns from text, one "Name: description" per line
+   */
+  parseColumns(text) {
+    const columns = [];
+    const used = new Set();
+
+    for (const line of (text || "").split("\n")) {
+      const colon = line.indexOf(":");
+      const name = (colon === -1 ? line : line.slice(0, colon)).trim();
+      if (!name) continue;
+
+      let id = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "column";
+      while (used.has(id)) id += "_";
+      used.add(id);
+
+      columns.push({
+        id,
+        name,
+        description: colon === -1 ? "" : line.slice(colon + 1).trim()
+      });
+    }
+
+    return columns;
+  },
+
+  formatColumns(columns) {
+    return columns.map(c => (c.description ? `${c.name}: ${c.description}` : c.name)).join("\n");
+  },
+
+  /**
+   * Build the JSON schema the model must fill
+   * @returns {object} { name, schema }
+   */
+  buildSchema(columns) {
+    const properties = {};
+    for (const column of columns) {
+      properties[column.id] = {
+        type: "string",
+        description: column.description || column.name
+      };
+    }
+    return {
+      name: "literature_matrix_row",
+      schema: {
+        type: "object",
+        properties,
+        required: columns.map(c => c.id)
+      }
+    };
+  },
+
+  /**
+   * Get the paper text to extract from: full text when indexed, else the abstract
+   */
+  async getPaperText(item, columns, provider, modelId) {
+    const title = item.getField?.("title") || "";
+    const abstract = item.getField?.("abstractNote") || "";
+    let text = `Title: ${title}\n\nAbstract: ${abstract || "(No abstract available)"}`;
+
+    try {
+      const context = await ZoteroAIAssistant.FullTextContext?.buildContext(item, {
+        query: columns.map(c => `${c.name} ${c.description}`).join("\n"),
+        provider,
+        modelId,
+        budget: this.FULL_TEXT_BUDGET
+      });
+      if (context?.content) {
+        text += `\n\n${context.content}`;
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LiteratureMatrix: Full text error: " + error);
+    }
+
+    return text;
+  },
+
+  /**
+   * Extract one matrix row for an item
+   * @param {object} options - { provider, model } overriding the task model
+   * @returns {object} { values } or { error }
+   */
+  async extractRow(item, columns, signal, options = {}) {
+    const { provider, modelId } = ZoteroAIAssistant.ProviderRegistry.resolve({
+      task: "matrix",
+      provider: options.provider,
+      model: options.model
+    });
+    const paperText = await this.getPaperText(item, columns, provider, modelId);
+
+    const fieldList = columns.map(c => `- ${c.id}: ${c.description || c.name}`).join("\n");
+    const prompt = `${paperText}\n\nReturn a JSON object with these fields:\n${fieldList}`;
+
+    const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+      provider,
+      model: modelId,
+      messages: [
+        { role: "system", content: this.SYSTEM_PROMPT },
+        { role: "user", content: prompt }
+      ],
+      responseSchema: this.buildSchema(columns),
+      stream: false,
+      signal
+    });
+
+    const values = this.parseRow(response.content, columns);
+    if (!values) {
+      return { error: "Model did not return valid JSON" };
+    }
+    return { values };
+  },
+
+  /**
+   * Parse a model response into column values
+   * @returns {object|null} Values keyed by column ID
+   */
+  parseRow(text, columns) {
+    let json = (text || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+    const start = json.indexOf("{");
+    const end = json.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+    json = json.slice(start, end + 1);
+
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+
+    const values = {};
+    for (const column of columns) {
+      const value = data[column.id] ?? data[column.name];
+      values[column.id] = value === undefined || value === null
+        ? ""
+        : (typeof value === "object" ? JSON.stringify(value) : String(value)).trim();
+    }
+    return values;
+  },
+
+  /**
+   * Build matrix rows from batch results
+   * @param {Array} results - BatchProcessor results ({ itemID, title, result })
+   */
+  buildRows(results) {
+    return results.map(entry => {
+      const item = Zotero.Items.get(entry.itemID);
+      const meta = item && ZoteroAIAssistant.CitationHelper
+        ? ZoteroAIAssistant.CitationHelper.extractMetadata(item)
+        : null;
+      const firstAuthor = meta?.authors?.[0]?.lastName || "";
+      return {
+        itemID: entry.itemID,
+        title: entry.title,
+        authors: meta?.authors?.length > 1 ? `${firstAuthor} et al.` : firstAuthor,
+        year: meta?.year && meta.year !== "n.d." ? meta.year : "",
+        values: entry.result?.values || {},
+        error: entry.result?.error || null
+      };
+    });
+  },
+
+  /**
+   * Sort rows by a column ("title", "authors", "year" or a column ID).
+   * Numeric values sort numerically, e.g. sample sizes.
+   */
+  sortRows(rows, key, direction = "asc") {
+    const getValue = row => (key in row.values ? row.values[key] : row[key]) || "";
+    const toNumber = value => {
+      const match = /^[^\d-]*(-?\d[\d,]*(?:\.\d+)?)/.exec(value);
+      return match ? parseFloat(match[1].replace(/,/g, "")) : NaN;
+    };
+    const factor = direction === "desc" ? -1 : 1;
+
+    return [...rows].sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      // Empty cells always go last
+      if (!valueA || !valueB) return valueA ? -1 : valueB ? 1 : 0;
+
+      const numberA = toNumber(valueA);
+      const numberB = toNumber(valueB);
+      if (!isNaN(numberA) && !isNaN(numberB) && numberA !== numberB) {
+        return (numberA - numberB) * factor;
+      }
+      return valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: "base" }) * factor;
+    });
+  },
+
+  getHeaders(columns) {
+    return ["Title", "Authors", "Year", ...columns.map(c => c.name)];
+  },
+
+  getCells(row, columns) {
+    return [
+      row.title,
+      row.authors,
+      row.year,
+      ...columns.map(c => (row.error ? `Error: ${row.error}` : row.values[c.id] || ""))
+    ];
+  },
+
+  /**
+   * Export as tab-separated values (pastes into Excel and Sheets as a table)
+   */
+  toTSV(rows, columns) {
+    const clean = value => String(value ?? "").replace(/[\t\r\n]+/g, " ").trim();
+    const lines = [this.getHeaders(columns).map(clean).join("\t")];
+    for (const row of rows) {
+      lines.push(this.getCells(row, columns).map(clean).join("\t"));
+    }
+    return lines.join("\n");
+  },
+
+  /**
+   * Export as CSV
+   */
+  toCSV(rows, columns) {
+    const quote = value => `"${String(value ?? "").replace(/"/g, '""').replace(/\r?\n/g, " ")}"`;
+    const lines = [this.getHeaders(columns).map(quote).join(",")];
+    for (const row of rows) {
+      lines.push(this.getCells(row, columns).map(quote).join(","));
+    }
+    return lines.join("\n");
+  },
+
+  escapeHTML(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  },
+
+  /**
+   * Render the matrix as note HTML
+   */
+  toHTML(rows, columns) {
+    let html = `<h1>Literature Matrix</h1>`;
+    html += `<p><em>${rows.length} papers, generated ${this.escapeHTML(new Date().toLocaleString())}</em></p>`;
+    html += `<table><thead><tr>`;
+    for (const header of this.getHeaders(columns)) {
+      html += `<th>${this.escapeHTML(header)}</th>`;
+    }
+    html += `</tr></thead><tbody>`;
+    for (const row of rows) {
+      html += `<tr>`;
+      for (const cell of this.getCells(row, columns)) {
+        html += `<td>${this.escapeHTML(cell)}</td>`;
+      }
+      html += `</tr>`;
+    }
+    html += `</tbody></table>`;
+    return html;
+  },
+
+  /**
+   * Save the matrix to a CSV or TSV file
+   * @param {string} format - "csv" or "tsv"
+   * @returns {string|null} Saved path
+   */
+  async saveToFile(rows, columns, format = "csv", parentWindow = null) {
+    // The byte order mark makes Excel read the file as UTF-8
+    const content = "\uFEFF" + (format === "tsv" ? this.toTSV(rows, columns) : this.toCSV(rows, columns));
+
+    try {
+      const fp = Components.classes["@mozilla.org/filepicker;1"]
+        .createInstance(Components.interfaces.nsIFilePicker);
+
+      const window = parentWindow || Services.wm.getMostRecentWindow("navigator:browser");
+      fp.init(window, "Export Literature Matrix", Components.interfaces.nsIFilePicker.modeSave);
+      fp.defaultString = `literature-matrix.${format}`;
+      fp.defaultExtension = format;
+      fp.appendFilter(format === "tsv" ? "Tab-Separated Values" : "CSV", `*.${format}`);
+
+      const result = await new Promise(resolve => fp.open(resolve));
+
+      if (result === Components.interfaces.nsIFilePicker.returnOK ||
+          result === Components.interfaces.nsIFilePicker.returnReplace) {
+        await Zotero.File.putContentsAsync(fp.file.path, content);
+        return fp.file.path;
+      }
+
+      return null;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LiteratureMatrix: Save to file error: " + error);
+      return null;
+    }
+  },
+
+  /**
+   * Save the matrix as a standalone note, in the given collection if any
+   * @returns {number|null} Note ID
+   */
+  async saveAsNote(rows, columns, options = {}) {
+    const firstItem = rows.length ? Zotero.Items.get(rows[0].itemID) : null;
+    const libraryID = options.libraryID || firstItem?.libraryID || Zotero.Libraries.userLibraryID;
+
+    try {
+      const note = new Zotero.Item("note");
+      note.libraryID = libraryID;
+      note.setNote(this.toHTML(rows, columns));
+      if (options.collectionID) {
+        note.addToCollection(options.collectionID);
+      }
+      await note.saveTx();
+
+      Zotero.debug(`ZoteroAIAssistant.LiteratureMatrix: Saved matrix note ${note.id}`);
+      return note.id;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.LiteratureMatrix: Save note error: " + error);
+      return null;
+    }
+  }
+};
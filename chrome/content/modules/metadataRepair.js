@@ -0,0 +1,230 @@
+/**
+ * Metadata Repair
+ *
+ * Reads the first pages of an item's PDF and asks the model for its title,
+ * authors, date, venue, DOI and abstract. Proposed values are returned as a
+ * field-by-field diff; nothing is written until the user accepts fields.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.MetadataRepair = {
+  FIELDS: [
+    { id: "title", name: "Title" },
+    { id: "authors", name: "Authors" },
+    { id: "date", name: "Date" },
+    { id: "venue", name: "Venue" },
+    { id: "doi", name: "DOI" },
+    { id: "abstract", name: "Abstract" }
+  ],
+
+  // Title pages hold the metadata; later pages only add noise
+  MAX_PAGES: 2,
+  MAX_CHARS: 12000,
+
+  SYSTEM_PROMPT: `You extract bibliographic metadata from the first pages of an academic paper.
+- Use only what is printed on the pages given. Never guess or complete from memory.
+- Authors in the order listed, without affiliations, degrees or footnote marks.
+- Date as YYYY-MM-DD, YYYY-MM or YYYY, whichever precision the paper gives.
+- Venue is the journal, conference or book the paper appeared in.
+- DOI without a "https://doi.org/" prefix.
+- Abstract verbatim, without the "Abstract" heading.
+- Use an empty string (or an empty author list) for anything not on the pages.`,
+
+  RESPONSE_SCHEMA: {
+    name: "paper_metadata",
+    schema: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        authors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              firstName: { type: "string" },
+              lastName: { type: "string" }
+            },
+            required: ["firstName", "lastName"]
+          }
+        },
+        date: { type: "string" },
+        venue: { type: "string" },
+        doi: { type: "string" },
+        abstract: { type: "string" }
+      },
+      required: ["title", "authors", "date", "venue", "doi", "abstract"]
+    }
+  },
+
+  /**
+   * Check whether an item is missing metadata that citations and chat context rely on
+   */
+  isIncomplete(item) {
+    if (!item?.isRegularItem?.()) return false;
+    return !item.getField("date") || item.getCreators().length === 0 || !this.getDOI(item);
+  },
+
+  /**
+   * Get the text of the first pages of the item's PDF
+   */
+  async getFirstPages(item) {
+    const fullText = await ZoteroAIAssistant.FullTextContext.getFullText(item);
+    const text = (fullText?.pages || [])
+      .slice(0, this.MAX_PAGES)
+      .map(page => page.text.trim())
+      .filter(Boolean)
+      .join("\n\n");
+    return text.slice(0, this.MAX_CHARS);
+  },
+
+  /**
+   * Get the item type's field for the venue (publicationTitle, proceedingsTitle, bookTitle, ...)
+   * @returns {string|null} Field name
+   */
+  getVenueField(item) {
+    const baseID = Zotero.ItemFields.getID("publicationTitle");
+    if (Zotero.ItemFields.isValidForType(baseID, item.itemTypeID)) {
+      return "publicationTitle";
+    }
+    const fieldID = Zotero.ItemFields.getFieldIDFromTypeAndBase(item.itemTypeID, baseID);
+    return fieldID ? Zotero.ItemFields.getName(fieldID) : null;
+  },
+
+  /**
+   * Check whether the item type has a DOI field; other types keep it in Extra
+   */
+  hasDOIField(item) {
+    return Zotero.ItemFields.isValidForType(Zotero.ItemFields.getID("DOI"), item.itemTypeID);
+  },
+
+  getDOI(item) {
+    if (this.hasDOIField(item)) {
+      return item.getField("DOI") || "";
+    }
+    const match = (item.getField("extra") || "").match(/^\s*DOI:\s*(\S+)\s*$/im);
+    return match ? match[1] : "";
+  },
+
+  formatCreators(creators) {
+    return creators
+      .map(creator => creator.name || [creator.firstName, creator.lastName].filter(Boolean).join(" "))
+      .join("; ");
+  },
+
+  /**
+   * Compare two values ignoring case, spacing and punctuation
+   */
+  isSameValue(a, b) {
+    const normalize = value => String(value || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+    return normalize(a) === normalize(b);
+  },
+
+  cleanDOI(doi) {
+    return String(doi || "")
+      .trim()
+      .replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, "")
+      .replace(/[.,;]+$/, "");
+  },
+
+  /**
+   * Ask the model for the paper's metadata and diff it against the item
+   * @param {Zotero.Item} item - Regular item with a PDF
+   * @param {object} options - { signal }
+   * @returns {Promise<Array>} Proposed changes: { id, name, field, before, after, value }
+   */
+  async proposeChanges(item, options = {}) {
+    const text = await this.getFirstPages(item);
+    if (!text) {
+      throw new Error("No PDF text found. Open the PDF or let Zotero index it first.");
+    }
+
+    const { provider, modelId } = ZoteroAIAssistant.ProviderRegistry.resolve({ task: "metadata" });
+    const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+      provider,
+      model: modelId,
+      messages: [
+        { role: "system", content: this.SYSTEM_PROMPT },
+        { role: "user", content: `First pages of the paper:\n\n${text}\n\nReturn the paper's metadata as JSON.` }
+      ],
+      responseSchema: this.RESPONSE_SCHEMA,
+      stream: false,
+      signal: options.signal
+    });
+
+    const data = ZoteroAIAssistant.PaperComparison.parseJSON(response.content);
+    if (!data) {
+      throw new Error("Model did not return valid JSON");
+    }
+    return this.diff(item, data);
+  },
+
+  /**
+   * Build the field-by-field diff between the item and proposed metadata.
+   * Only fields with a new, different value are listed.
+   */
+  diff(item, data) {
+    const changes = [];
+    const add = (id, field, before, after, value = after) => {
+      after = String(after || "").trim();
+      if (!after || this.isSameValue(before, after)) return;
+      const name = this.FIELDS.find(f => f.id === id).name;
+      changes.push({ id, name, field, before: before || "", after, value });
+    };
+
+    add("title", "title", item.getField("title"), data.title);
+
+    const primaryType = Zotero.CreatorTypes.getName(Zotero.CreatorTypes.getPrimaryIDForType(item.itemTypeID));
+    const authors = (Array.isArray(data.authors) ? data.authors : [])
+      .map(author => ({
+        firstName: String(author?.firstName || "").trim(),
+        lastName: String(author?.lastName || "").trim(),
+        creatorType: primaryType
+      }))
+      .filter(author => author.lastName);
+    const currentAuthors = item.getCreators().filter(creator =>
+      Zotero.CreatorTypes.getName(creator.creatorTypeID) === primaryType
+    );
+    add("authors", "creators", this.formatCreators(currentAuthors), this.formatCreators(authors), authors);
+
+    add("date", "date", item.getField("date"), data.date);
+
+    const venueField = this.getVenueField(item);
+    if (venueField) {
+      add("venue", venueField, item.getField(venueField), data.venue);
+    }
+
+    add("doi", this.hasDOIField(item) ? "DOI" : "extra", this.getDOI(item), this.cleanDOI(data.doi));
+    add("abstract", "abstractNote", item.getField("abstractNote"), data.abstract);
+
+    return changes;
+  },
+
+  /**
+   * Write the accepted changes to the item
+   * @param {Zotero.Item} item - Item the changes were proposed for
+   * @param {Array} changes - Accepted entries from proposeChanges
+   * @returns {Promise<number>} Number of fields changed
+   */
+  async applyChanges(item, changes) {
+    if (!changes.length) return 0;
+
+    for (const change of changes) {
+      if (change.field === "creators") {
+        // Keep editors, translators and other non-primary creators
+        const primaryType = change.value[0]?.creatorType;
+        const others = item.getCreators()
+          .filter(creator => Zotero.CreatorTypes.getName(creator.creatorTypeID) !== primaryType);
+        item.setCreators([...change.value, ...others]);
+      } else if (change.id === "doi" && change.field === "extra") {
+        item.setField("extra", ZoteroAIAssistant.BatchWriteBack.setExtraLine(item.getField("extra"), "DOI", change.value));
+      } else {
+        item.setField(change.field, change.value);
+      }
+    }
+
+    await item.saveTx();
+    Zotero.debug(`ZoteroAIAssistant.MetadataRepair: Updated ${changes.length} fields of item ${item.id}`);
+    return changes.length;
+  }
+};
@@ -147,10 +147,7 @@ ZoteroAIAssistant.NotesManager = {
     }
     
     try {
-      const model = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1";
-      
-      const response = await ZoteroAIAssistant.CopilotClient.chat({
-        model,
+      const response = await ZoteroAIAssistant.ProviderRegistry.chat({
         messages: [
           {
             role: "system",
@@ -164,7 +161,7 @@ ZoteroAIAssistant.NotesManager = {
         stream: false
       });
       
-      return response.content || response.choices?.[0]?.message?.content || "No response received.";
+      return response.content || "No response received.";
     } catch (error) {
       Zotero.debug("ZoteroAIAssistant.NotesManager: Analysis error: " + error);
       return "Error analyzing notes: " + error.message;
@@ -200,10 +197,7 @@ Abstract: ${abstract}
 Please provide the template with key information already filled in where possible, and [FILL IN] placeholders for parts I need to complete.`;
 
     try {
-      const model = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1";
-      
-      const response = await ZoteroAIAssistant.CopilotClient.chat({
-        model,
+      const response = await ZoteroAIAssistant.ProviderRegistry.chat({
         messages: [
           {
             role: "system",
@@ -217,7 +211,7 @@ Please provide the template with key information already filled in where possibl
         stream: false
       });
       
-      const content = response.content || response.choices?.[0]?.message?.content || "";
+      const content = response.content;
       
       if (content) {
         // Convert to HTML for Zotero note
@@ -7,10 +7,40 @@
 var ZoteroAIAssistant = ZoteroAIAssistant || {};
 
 ZoteroAIAssistant.PaperComparison = {
+  // Aspects papers can be compared on; each becomes a profile field
+  FOCUS_AREAS: [
+    { id: "objectives", name: "Objectives", description: "The research question or objective" },
+    { id: "methodology", name: "Methodology", description: "Study design, methods or models used" },
+    { id: "data", name: "Data", description: "Datasets, participants or materials, with sample size" },
+    { id: "findings", name: "Findings", description: "The main results, with numbers where given" },
+    { id: "limitations", name: "Limitations", description: "Limitations stated by the authors" },
+    { id: "contribution", name: "Contribution", description: "What the paper adds to its field" }
+  ],
+  
+  DEFAULT_FOCUS_AREAS: ["objectives", "methodology", "findings", "limitations"],
+  
+  // Up to this many papers are compared in a single prompt
+  DIRECT_COMPARE_LIMIT: 5,
+  
+  // Profiles compared per request when comparing more papers
+  COMPARE_GROUP_SIZE: 8,
+  
+  PROFILE_CACHE_FILE: "zotero-ai-assistant/comparison-profiles.json",
+  
+  // Cached profile values by "libraryID/itemKey", loaded on first use
+  profileCache: null,
+  
+  REVIEW_SYSTEM_PROMPT: "You are an academic writing assistant drafting a literature review. Write in a formal academic register, synthesize across studies, and only make claims supported by the paper summaries you are given.",
+  
+  // Per-paper summary for the literature review, rendered by PromptLibrary
+  REVIEW_SUMMARY_PROMPT: "Title: {{title}}\nAuthors: {{authors}}\nYear: {{year}}\n\nAbstract: {{abstract}}\n\n{{fulltext}}\n\n" +
+    "Summarize this paper for a literature review in 120-180 words: the research question, the approach, " +
+    "the main findings and any stated limitations. Write plain prose without headings.",
+  
   /**
    * Compare two or more papers
    * @param {Array<Zotero.Item>} items - Array of Zotero items to compare
-   * @param {object} options - Comparison options
+   * @param {object} options - { focusAreas, signal }
    * @returns {Promise<string>} Comparison result
    */
   async comparePapers(items, options = {}) {
@@ -26,11 +56,6 @@ ZoteroAIAssistant.PaperComparison = {
     
     // Send to AI
     try {
-      const settings = ZoteroAIAssistant.ChatManager?.getModelSettings?.({ task: "compare" }) || {
-        provider: Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true) || "copilot",
-        modelId: Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1"
-      };
-
       const messages = [
         {
           role: "system",
@@ -42,26 +67,14 @@ ZoteroAIAssistant.PaperComparison = {
         }
       ];
 
-      let response;
-      if (settings.provider === "ollama" || settings.provider === "lmstudio") {
-        if (!ZoteroAIAssistant.LocalModelClient) {
-          throw new Error("Local model client not available");
-        }
-        response = await ZoteroAIAssistant.LocalModelClient.chat({
-          provider: settings.provider,
-          model: settings.modelId,
-          messages,
-          stream: false
-        });
-      } else {
-        response = await ZoteroAIAssistant.CopilotClient.chat({
-          model: settings.modelId,
-          messages,
-          stream: false
-        });
-      }
+      const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+        task: "compare",
+        messages,
+        stream: false,
+        signal: options.signal
+      });
       
-      return response.content || response.choices?.[0]?.message?.content || "No response received.";
+      return response.content || "No response received.";
     } catch (error) {
       Zotero.debug("ZoteroAIAssistant.PaperComparison: Error: " + error);
       return "Error comparing papers: " + error.message;
@@ -101,7 +114,7 @@ ZoteroAIAssistant.PaperComparison = {
    * Build comparison prompt
    */
   buildComparisonPrompt(papers, options) {
-    const { focusAreas = ["methodology", "findings", "approach"] } = options;
+    const { focusAreas = this.DEFAULT_FOCUS_AREAS } = options;
     
     let prompt = "Please compare the following academic papers:\n\n";
     
@@ -132,6 +145,11 @@ ZoteroAIAssistant.PaperComparison = {
     prompt += "6. **Complementary Aspects**: How might these papers complement each other?\n";
     prompt += "7. **Summary Table**: A brief comparison table highlighting key aspects.\n";
     
+    const focusNames = this.getFocusColumns(focusAreas).map(column => column.name);
+    if (focusNames.length > 0) {
+      prompt += `\nFocus the comparison on: ${focusNames.join(", ")}.\n`;
+    }
+    
     return prompt;
   },
   
@@ -148,9 +166,11 @@ ZoteroAIAssistant.PaperComparison = {
   },
   
   /**
-   * Compare currently selected papers
+   * Compare currently selected papers. Small selections are compared in one
+   * prompt, larger ones through per-paper profiles (see compareHierarchical).
+   * @param {object} options - { focusAreas, signal, onProgress(status) }
    */
-  async compareSelected() {
+  async compareSelected(options = {}) {
     const items = this.getSelectedItems();
     
     if (items.length < 2) {
@@ -160,15 +180,19 @@ ZoteroAIAssistant.PaperComparison = {
       };
     }
     
-    if (items.length > 5) {
+    let result;
+    try {
+      result = items.length > this.DIRECT_COMPARE_LIMIT
+        ? await this.compareHierarchical(items, options)
+        : await this.comparePapers(items, options);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PaperComparison: Error: " + error);
       return {
         success: false,
-        message: "Please select no more than 5 papers to compare at once."
+        message: "Error comparing papers: " + error.message
       };
     }
     
-    const result = await this.comparePapers(items);
-    
     return {
       success: true,
       message: result,
@@ -177,74 +201,582 @@ ZoteroAIAssistant.PaperComparison = {
   },
   
   /**
-   * Generate a literature review outline from selected papers
+   * Turn focus area IDs into profile fields. Anything that isn't a known
+   * area is used as a custom field, so users can type their own.
+   * @param {Array<string>} focusAreas - Focus area IDs or free text
+   * @returns {Array} Columns in the LiteratureMatrix format
    */
-  async generateLiteratureReview(items) {
-    if (!items || items.length < 2) {
-      return "Please select at least two papers to generate a literature review.";
+  getFocusColumns(focusAreas = this.DEFAULT_FOCUS_AREAS) {
+    const columns = [];
+    for (const area of focusAreas) {
+      const known = this.FOCUS_AREAS.find(a => a.id === area);
+      const column = known || {
+        id: String(area).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, ""),
+        name: String(area).trim(),
+        description: String(area).trim()
+      };
+      if (column.id && !columns.some(c => c.id === column.id)) {
+        columns.push(column);
+      }
+    }
+    return columns;
+  },
+  
+  /**
+   * Compare many papers map-reduce style: extract a profile per paper (a
+   * literature matrix row over the focus areas, cached per item), compare
+   * the profiles in groups, then merge the group comparisons into one
+   * narrative. The comparison table is built from the profiles directly.
+   * @param {Array<Zotero.Item>} items - Papers to compare
+   * @param {object} options - { focusAreas, signal, onProgress(status) }
+   * @returns {Promise<string>} Markdown comparison
+   */
+  async compareHierarchical(items, options = {}) {
+    const { signal } = options;
+    const onProgress = options.onProgress || (() => {});
+    const columns = this.getFocusColumns(options.focusAreas);
+    if (columns.length === 0) {
+      throw new Error("Choose at least one focus area.");
     }
     
-    const papersInfo = await Promise.all(items.map(item => this.extractPaperInfo(item)));
+    const { profiles, failed } = await this.getProfiles(items, columns, { signal, onProgress });
+    if (profiles.length < 2) {
+      throw new Error("Too few papers could be profiled. Check the job manager for errors.");
+    }
     
-    let prompt = "Based on the following papers, generate a literature review outline:\n\n";
+    const papers = [];
+    for (const [index, profile] of profiles.entries()) {
+      papers.push({
+        key: `P${index + 1}`,
+        item: profile.item,
+        title: profile.title,
+        values: profile.values,
+        citation: await this.getCitationLabel(profile.item, "apa")
+      });
+    }
+    const focusNames = columns.map(column => column.name).join(", ");
+    const formatPaper = paper => `[${paper.key}] ${paper.citation} ${paper.title}\n` +
+      columns.map(column => `- ${column.name}: ${paper.values[column.id] || "Not reported"}`).join("\n");
     
-    papersInfo.forEach((paper, index) => {
-      if (!paper) return;
-      prompt += `**Paper ${index + 1}:** ${paper.title} (${paper.year})\n`;
-      prompt += `Authors: ${paper.authors}\n`;
-      if (paper.abstract) {
-        prompt += `Abstract: ${paper.abstract.substring(0, 300)}...\n`;
+    const chat = content => ZoteroAIAssistant.ProviderRegistry.chat({
+      task: "compare",
+      messages: [
+        {
+          role: "system",
+          content: "You are an academic research assistant helping compare scientific papers. Provide clear, structured comparisons highlighting similarities, differences, and relationships between papers."
+        },
+        { role: "user", content }
+      ],
+      stream: false,
+      signal
+    }).then(response => response.content || "");
+    
+    // Compare each group of profiles
+    const groups = [];
+    for (let i = 0; i < papers.length; i += this.COMPARE_GROUP_SIZE) {
+      groups.push(papers.slice(i, i + this.COMPARE_GROUP_SIZE));
+    }
+    
+    const groupComparisons = [];
+    for (const [index, group] of groups.entries()) {
+      onProgress(`Comparing group ${index + 1} of ${groups.length}...`);
+      groupComparisons.push(await chat(
+        `Compare these papers on ${focusNames}:\n\n${group.map(formatPaper).join("\n\n")}\n\n` +
+        "Describe the common patterns, the key differences and any outliers in 1-3 short paragraphs. " +
+        "Refer to papers only by their keys in square brackets, e.g. [P1] or [P2][P5]."
+      ));
+    }
+    
+    // Merge the group comparisons
+    let narrative = groupComparisons[0];
+    if (groups.length > 1) {
+      onProgress("Merging comparisons...");
+      narrative = await chat(
+        `${papers.length} papers were compared on ${focusNames} in ${groups.length} groups. ` +
+        `These are the group comparisons:\n\n` +
+        groupComparisons.map((text, index) => `### Group ${index + 1}\n${text}`).join("\n\n") +
+        "\n\nMerge them into one comparison of all the papers with these sections: " +
+        "**Overview**, **Similarities**, **Differences** and **Complementary Aspects and Gaps**. " +
+        "Keep the paper keys in square brackets, e.g. [P1], when referring to papers."
+      );
+    }
+    
+    const cited = new Set();
+    narrative = this.replaceCitationKeys(narrative, papers, cited);
+    
+    let markdown = `## Comparison of ${papers.length} Papers\n\n`;
+    markdown += `**Focus:** ${focusNames}\n\n${narrative.trim()}\n\n`;
+    markdown += `### Comparison Table\n\n${this.buildProfileTable(papers, columns)}\n`;
+    if (failed > 0) {
+      markdown += `\n*${failed} paper${failed === 1 ? "" : "s"} could not be profiled and ${failed === 1 ? "is" : "are"} not included.*\n`;
+    }
+    return markdown;
+  },
+  
+  /**
+   * Get profiles for all items, extracting only the ones not cached. The
+   * extraction runs as a literature matrix batch job, so it is rate limited,
+   * retried and visible in the job manager.
+   * @returns {Promise<object>} { profiles: [{ item, title, values }], failed }
+   */
+  async getProfiles(items, columns, { signal, onProgress = () => {} } = {}) {
+    await this.loadProfileCache();
+    
+    const values = new Map();
+    const missing = [];
+    for (const item of items) {
+      const cached = this.getCachedProfile(item, columns);
+      if (cached) {
+        values.set(item.id, cached);
+      } else {
+        missing.push(item);
       }
-      prompt += "\n";
-    });
+    }
     
-    prompt += "\nPlease provide:\n";
-    prompt += "1. A suggested structure for organizing these papers in a literature review\n";
-    prompt += "2. Key themes that emerge across the papers\n";
-    prompt += "3. Research gaps that could be addressed\n";
-    prompt += "4. Suggested transition sentences between topics\n";
-    prompt += "5. An example introduction paragraph for the literature review\n";
+    if (missing.length > 0) {
+      let jobID = null;
+      const onAbort = () => {
+        if (jobID) ZoteroAIAssistant.BatchProcessor.cancelJob(jobID);
+      };
+      signal?.addEventListener("abort", onAbort);
+      
+      let batch;
+      try {
+        onProgress(`Profiling papers (0/${missing.length})...`);
+        batch = await ZoteroAIAssistant.BatchProcessor.processItems(
+          missing,
+          "matrix",
+          (current, total) => onProgress(`Profiling papers (${current}/${total})...`),
+          null,
+          { columns, promptName: "Comparison Profiles" },
+          {
+            onStart: (job) => {
+              jobID = job.id;
+              if (signal?.aborted) onAbort();
+            }
+          }
+        );
+      } finally {
+        signal?.removeEventListener("abort", onAbort);
+      }
+      
+      if (!batch.success) {
+        throw new Error(batch.message);
+      }
+      if (signal?.aborted || batch.aborted) {
+        throw new Error("Comparison stopped.");
+      }
+      
+      for (const entry of batch.results) {
+        const item = Zotero.Items.get(entry.itemID);
+        if (!item || !entry.result?.values) continue;
+        values.set(item.id, entry.result.values);
+        this.cacheProfile(item, entry.result.values);
+      }
+      await this.saveProfileCache();
+    }
     
+    const profiles = items
+      .filter(item => values.has(item.id))
+      .map(item => ({
+        item,
+        title: item.getField?.("title") || "Unknown",
+        values: values.get(item.id)
+      }));
+    return { profiles, failed: items.length - profiles.length };
+  },
+  
+  /**
+   * Build a Markdown table of the paper profiles
+   */
+  buildProfileTable(papers, columns) {
+    const cell = text => String(text || "").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ").trim();
+    let table = `| Paper | ${columns.map(column => cell(column.name)).join(" | ")} |\n`;
+    table += `|${" --- |".repeat(columns.length + 1)}\n`;
+    for (const paper of papers) {
+      const label = paper.citation.replace(/^\(|\)$/g, "");
+      table += `| ${cell(label)} | ${columns.map(column => cell(paper.values[column.id])).join(" | ")} |\n`;
+    }
+    return table;
+  },
+  
+  getProfileCachePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, ...this.PROFILE_CACHE_FILE.split("/"));
+  },
+  
+  async loadProfileCache() {
+    if (this.profileCache) return;
+    this.profileCache = new Map();
     try {
-      const settings = ZoteroAIAssistant.ChatManager?.getModelSettings?.({ task: "compare" }) || {
-        provider: Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true) || "copilot",
-        modelId: Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1"
-      };
-
-      const messages = [
+      const path = this.getProfileCachePath();
+      if (!await IOUtils.exists(path)) return;
+      const data = await IOUtils.readJSON(path);
+      for (const [key, entry] of Object.entries(data || {})) {
+        this.profileCache.set(key, entry);
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PaperComparison: Profile cache load error: " + error);
+    }
+  },
+  
+  async saveProfileCache() {
+    try {
+      const path = this.getProfileCachePath();
+      await IOUtils.makeDirectory(PathUtils.parent(path), { ignoreExisting: true });
+      await IOUtils.writeJSON(path, Object.fromEntries(this.profileCache), { tmpPath: path + ".tmp" });
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PaperComparison: Profile cache save error: " + error);
+    }
+  },
+  
+  getProfileCacheKey(item) {
+    return `${item.libraryID}/${item.key}`;
+  },
+  
+  /**
+   * Get cached profile values if the item hasn't changed since and every
+   * requested field is present
+   * @returns {object|null} Values keyed by column ID
+   */
+  getCachedProfile(item, columns) {
+    const entry = this.profileCache?.get(this.getProfileCacheKey(item));
+    if (!entry || entry.dateModified !== item.dateModified) return null;
+    if (!columns.every(column => column.id in entry.values)) return null;
+    return entry.values;
+  },
+  
+  cacheProfile(item, values) {
+    const key = this.getProfileCacheKey(item);
+    const entry = this.profileCache.get(key);
+    const merged = entry?.dateModified === item.dateModified ? { ...entry.values, ...values } : values;
+    this.profileCache.set(key, { dateModified: item.dateModified, values: merged });
+  },
+  
+  /**
+   * Draft a themed literature review in stages: summarize each paper as a
+   * batch job, cluster the summaries into themes, write a section per theme,
+   * then add an introduction, conclusion and reference list. The model cites
+   * papers by key and the keys are replaced with CitationHelper citations.
+   * @param {Array<Zotero.Item>} items - Papers to review
+   * @param {object} options - { topic, style, scope, signal, onProgress(status, fraction), onJob(job) }
+   * @returns {Promise<object>} { title, markdown, papers, failed, citedItemIDs, itemIDs, jobID }
+   */
+  async generateLiteratureReview(items, options = {}) {
+    const { topic = "", style = "apa", scope = null, signal } = options;
+    const onProgress = options.onProgress || (() => {});
+    items = (items || []).filter(item => item?.isRegularItem?.());
+    if (items.length < 2) {
+      throw new Error("Select at least two papers to draft a literature review.");
+    }
+    
+    const { provider, modelId } = ZoteroAIAssistant.ProviderRegistry.resolve({ task: "review" });
+    
+    // Stage 1: per-paper summaries, run as a batch job for rate limits and retries
+    let jobID = null;
+    const onAbort = () => {
+      if (jobID) ZoteroAIAssistant.BatchProcessor.cancelJob(jobID);
+    };
+    signal?.addEventListener("abort", onAbort);
+    
+    let batch;
+    try {
+      onProgress(`Summarizing papers (0/${items.length})...`, 0);
+      batch = await ZoteroAIAssistant.BatchProcessor.processItems(
+        items,
+        "custom",
+        (current, total) => {
+          onProgress(`Summarizing papers (${current}/${total})...`, 0.6 * current / total);
+        },
+        null,
         {
-          role: "system",
-          content: "You are an academic writing assistant helping researchers write literature reviews. Provide clear, well-organized suggestions for structuring a literature review."
+          prompt: this.REVIEW_SUMMARY_PROMPT,
+          promptName: "Literature Review Summaries",
+          provider,
+          model: modelId
         },
         {
-          role: "user",
-          content: prompt
-        }
-      ];
-
-      let response;
-      if (settings.provider === "ollama" || settings.provider === "lmstudio") {
-        if (!ZoteroAIAssistant.LocalModelClient) {
-          throw new Error("Local model client not available");
+          scope,
+          onStart: (job) => {
+            jobID = job.id;
+            options.onJob?.(job);
+            if (signal?.aborted) onAbort();
+          }
         }
-        response = await ZoteroAIAssistant.LocalModelClient.chat({
-          provider: settings.provider,
-          model: settings.modelId,
-          messages,
-          stream: false
-        });
-      } else {
-        response = await ZoteroAIAssistant.CopilotClient.chat({
-          model: settings.modelId,
-          messages,
-          stream: false
-        });
+      );
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+    }
+    
+    if (!batch.success) {
+      throw new Error(batch.message);
+    }
+    if (signal?.aborted || batch.aborted) {
+      throw new Error("Literature review stopped.");
+    }
+    
+    const papers = [];
+    for (const entry of batch.results) {
+      const item = Zotero.Items.get(entry.itemID);
+      if (!item || entry.result?.error || typeof entry.result !== "string") continue;
+      papers.push({
+        key: `P${papers.length + 1}`,
+        item,
+        title: entry.title,
+        summary: entry.result.trim(),
+        citation: await this.getCitationLabel(item, style)
+      });
+    }
+    if (papers.length < 2) {
+      throw new Error("Too few papers could be summarized. Check the job manager for errors.");
+    }
+    
+    const chat = (system, user, responseSchema) => ZoteroAIAssistant.ProviderRegistry.chat({
+      provider,
+      model: modelId,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: user }
+      ],
+      responseSchema,
+      stream: false,
+      signal
+    }).then(response => response.content || "");
+    
+    // Stage 2: group the papers into themes
+    onProgress("Finding themes...", 0.65);
+    const themes = await this.clusterThemes(papers, topic, chat);
+    
+    // Stage 3: one section per theme
+    const sections = [];
+    for (const [index, theme] of themes.entries()) {
+      onProgress(`Writing "${theme.name}" (${index + 1}/${themes.length})...`, 0.7 + 0.25 * index / themes.length);
+      const themePapers = papers.filter(paper => theme.papers.includes(paper.key));
+      const prompt = `${topic ? `The review is about: ${topic}\n\n` : ""}` +
+        `Write the "${theme.name}" section of the literature review.\n` +
+        `${theme.description ? `Theme: ${theme.description}\n` : ""}\n` +
+        `Papers:\n\n${themePapers.map(paper => this.formatReviewPaper(paper)).join("\n\n")}\n\n` +
+        "Write 2-4 paragraphs that compare and connect these studies rather than describing them one at a time. " +
+        "Cite papers only by their keys in square brackets, e.g. [P1] or [P1][P3]. " +
+        "Do not add a heading or a reference list.";
+      sections.push({ name: theme.name, text: await chat(this.REVIEW_SYSTEM_PROMPT, prompt) });
+    }
+    
+    // Stage 4: introduction and conclusion
+    onProgress("Writing introduction and conclusion...", 0.95);
+    const framing = await this.writeReviewFraming(sections, topic, papers.length, chat);
+    
+    // Swap citation keys for in-text citations and collect the cited papers
+    const cited = new Set();
+    const cite = text => this.replaceCitationKeys(text, papers, cited);
+    const title = `Literature Review: ${topic || scope?.name || `${papers.length} papers`}`;
+    
+    let markdown = `# ${title}\n\n`;
+    if (framing.introduction) {
+      markdown += `${cite(framing.introduction)}\n\n`;
+    }
+    for (const section of sections) {
+      markdown += `## ${section.name}\n\n${cite(section.text.trim())}\n\n`;
+    }
+    if (framing.conclusion) {
+      markdown += `## Conclusion\n\n${cite(framing.conclusion)}\n\n`;
+    }
+    
+    const citedItems = papers.filter(p => cited.has(p.key)).map(p => p.item);
+    const bibliography = await ZoteroAIAssistant.CitationHelper.formatBibliography(citedItems, style, "text");
+    const references = bibliography.split(/\n+/).map(line => line.trim()).filter(Boolean);
+    markdown += "## References\n\n" + references.map(reference => `- ${reference}`).join("\n") + "\n";
+    
+    onProgress("Done", 1);
+    
+    return {
+      title,
+      markdown,
+      papers: papers.length,
+      failed: items.length - papers.length,
+      citedItemIDs: papers.filter(p => cited.has(p.key)).map(p => p.item.id),
+      itemIDs: papers.map(p => p.item.id),
+      jobID
+    };
+  },
+  
+  /**
+   * Get an in-text citation, falling back to "(Author, year)" when the
+   * citation style can't be loaded
+   */
+  async getCitationLabel(item, style) {
+    try {
+      return await ZoteroAIAssistant.CitationHelper.getInTextCitation(item, style);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PaperComparison: Citation error: " + error);
+      const meta = ZoteroAIAssistant.CitationHelper.extractMetadata(item);
+      const author = meta.authors.length > 2
+        ? `${meta.authors[0].lastName} et al.`
+        : meta.authors.map(a => a.lastName).join(" & ");
+      return `(${author || meta.title}, ${meta.year})`;
+    }
+  },
+  
+  /**
+   * Format a paper for a review prompt, with its citation key
+   */
+  formatReviewPaper(paper) {
+    return `[${paper.key}] ${paper.citation} ${paper.title}\n${paper.summary}`;
+  },
+  
+  /**
+   * Ask the model to group papers into themes. Papers it leaves out are put
+   * in a final "Other Studies" theme; if the answer can't be parsed, all
+   * papers go into one theme.
+   * @returns {Promise<Array>} [{ name, description, papers: [keys] }]
+   */
+  async clusterThemes(papers, topic, chat) {
+    const prompt = `${topic ? `The review is about: ${topic}\n\n` : ""}` +
+      `Group these papers into 2-6 themes for a literature review:\n\n` +
+      `${papers.map(paper => this.formatReviewPaper(paper)).join("\n\n")}\n\n` +
+      "Return JSON with a \"themes\" array. Each theme has a short \"name\", a one-sentence \"description\" " +
+      "and \"papers\", the keys of its papers (e.g. [\"P1\", \"P4\"]). Every paper belongs to exactly one theme.";
+    
+    const schema = {
+      name: "review_themes",
+      schema: {
+        type: "object",
+        properties: {
+          themes: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                name: { type: "string" },
+                description: { type: "string" },
+                papers: { type: "array", items: { type: "string" } }
+              },
+              required: ["name", "description", "papers"]
+            }
+          }
+        },
+        required: ["themes"]
       }
-      
-      return response.content || response.choices?.[0]?.message?.content || "No response received.";
+    };
+    
+    const data = this.parseJSON(await chat(this.REVIEW_SYSTEM_PROMPT, prompt, schema));
+    const keys = new Set(papers.map(paper => paper.key));
+    const assigned = new Set();
+    const themes = [];
+    for (const theme of Array.isArray(data?.themes) ? data.themes : []) {
+      const themeKeys = (Array.isArray(theme?.papers) ? theme.papers : [])
+        .map(key => String(key).replace(/[\[\]\s]/g, "").toUpperCase())
+        .filter(key => keys.has(key) && !assigned.has(key));
+      if (!theme?.name || themeKeys.length === 0) continue;
+      themeKeys.forEach(key => assigned.add(key));
+      themes.push({ name: String(theme.name).trim(), description: String(theme.description || "").trim(), papers: themeKeys });
+    }
+    
+    const unassigned = [...keys].filter(key => !assigned.has(key));
+    if (themes.length === 0) {
+      return [{ name: "Overview", description: "", papers: unassigned }];
+    }
+    if (unassigned.length > 0) {
+      themes.push({ name: "Other Studies", description: "Papers that do not fit the themes above.", papers: unassigned });
+    }
+    return themes;
+  },
+  
+  /**
+   * Write the introduction and conclusion around the themed sections
+   * @returns {Promise<object>} { introduction, conclusion }
+   */
+  async writeReviewFraming(sections, topic, paperCount, chat) {
+    const prompt = `${topic ? `The review is about: ${topic}\n\n` : ""}` +
+      `These are the themed sections of a literature review covering ${paperCount} papers:\n\n` +
+      `${sections.map(section => `## ${section.name}\n${section.text}`).join("\n\n")}\n\n` +
+      "Return JSON with an \"introduction\" paragraph that frames the review and outlines its themes, " +
+      "and a \"conclusion\" paragraph that synthesizes the main insights and names open research gaps. " +
+      "Cite papers only by their keys in square brackets, as the sections do.";
+    
+    const schema = {
+      name: "review_framing",
+      schema: {
+        type: "object",
+        properties: {
+          introduction: { type: "string" },
+          conclusion: { type: "string" }
+        },
+        required: ["introduction", "conclusion"]
+      }
+    };
+    
+    const data = this.parseJSON(await chat(this.REVIEW_SYSTEM_PROMPT, prompt, schema));
+    return {
+      introduction: typeof data?.introduction === "string" ? data.introduction.trim() : "",
+      conclusion: typeof data?.conclusion === "string" ? data.conclusion.trim() : ""
+    };
+  },
+  
+  /**
+   * Replace citation keys like [P1], [P1][P3] or [P1, P3] with in-text
+   * citations. Adjacent citations are merged into one parenthetical.
+   * @param {Set} cited - Collects the keys that were cited
+   */
+  replaceCitationKeys(text, papers, cited) {
+    const byKey = new Map(papers.map(paper => [paper.key, paper]));
+    return text.replace(/\[P\d+(?:\s*[,;]\s*P\d+)*\](?:\s*[,;]?\s*\[P\d+(?:\s*[,;]\s*P\d+)*\])*/g, (match) => {
+      const found = [...new Set(match.match(/P\d+/g))].map(key => byKey.get(key)).filter(Boolean);
+      if (found.length === 0) return "";
+      found.forEach(paper => cited.add(paper.key));
+      if (found.length === 1) return found[0].citation;
+      return `(${found.map(paper => paper.citation.replace(/^\(|\)$/g, "")).join("; ")})`;
+    });
+  },
+  
+  /**
+   * Parse a JSON object from a model response, tolerating code fences
+   * @returns {object|null}
+   */
+  parseJSON(text) {
+    const json = (text || "").trim();
+    const start = json.indexOf("{");
+    const end = json.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+    try {
+      return JSON.parse(json.slice(start, end + 1));
     } catch (error) {
-      Zotero.debug("ZoteroAIAssistant.PaperComparison: Literature review error: " + error);
-      return "Error generating literature review: " + error.message;
+      return null;
     }
+  },
+  
+  /**
+   * Save a drafted review as a standalone note, related to its source papers
+   * @param {object} review - Result of generateLiteratureReview
+   * @param {object} scope - { libraryID, collectionID } to save the note in
+   * @returns {Promise<number>} Note ID
+   */
+  async saveReviewNote(review, scope = {}) {
+    const items = Zotero.Items.get(review.itemIDs).filter(Boolean);
+    const html = ZoteroAIAssistant.NotesManager.markdownToHTML(
+      Zotero.Utilities.htmlSpecialChars(review.markdown)
+    );
+    
+    const note = new Zotero.Item("note");
+    note.libraryID = scope.libraryID || items[0]?.libraryID || Zotero.Libraries.userLibraryID;
+    note.setNote(html);
+    if (scope.collectionID) {
+      note.setCollections([scope.collectionID]);
+    }
+    for (const item of items) {
+      if (item.libraryID === note.libraryID) {
+        note.addRelatedItem(item);
+      }
+    }
+    await note.saveTx();
+    
+    // Relations are stored on both sides
+    for (const item of items) {
+      if (item.libraryID === note.libraryID && item.addRelatedItem(note)) {
+        await item.saveTx();
+      }
+    }
+    
+    Zotero.debug(`ZoteroAIAssistant.PaperComparison: Saved literature review note ${note.id}`);
+    return note.id;
   }
 };
@@ -18,6 +18,12 @@ ZoteroAIAssistant.PDFReader = {
   // Registered event handlers
   registeredHandlers: [],
   
+  // Cap on the zoom used to render captured regions
+  MAX_RENDER_SCALE: 4,
+  
+  // Cancels a region selection in progress
+  cancelRegionSelection: null,
+  
   // Available selection actions
   SELECTION_ACTIONS: [
     { id: "translate", label: "Translate" },
@@ -81,17 +87,7 @@ ZoteroAIAssistant.PDFReader = {
       container.className = "zai-selection-toolbar";
       container.id = "zai-floating-toolbar";
       
-      // Build action buttons in 2-column rows
-      const actions = self.SELECTION_ACTIONS;
-      let buttonsHTML = '';
-      for (let i = 0; i < actions.length; i += 2) {
-        buttonsHTML += '<div class="zai-sel-row">';
-        buttonsHTML += `<button class="zai-sel-btn" data-action="${actions[i].id}">${actions[i].label}</button>`;
-        if (actions[i + 1]) {
-          buttonsHTML += `<button class="zai-sel-btn" data-action="${actions[i + 1].id}">${actions[i + 1].label}</button>`;
-        }
-        buttonsHTML += '</div>';
-      }
+      const buttonsHTML = self.buildActionButtonsHTML();
       
       container.innerHTML = `
         <div class="zai-sel-header">
@@ -333,18 +329,7 @@ ZoteroAIAssistant.PDFReader = {
           
           // Back button - rebuild the original layout
           resultDiv.querySelector(".zai-sel-back-btn")?.addEventListener("click", () => {
-            // Rebuild buttons in 2-column rows
-            const actions = self.SELECTION_ACTIONS;
-            let btnsHTML = '';
-            for (let i = 0; i < actions.length; i += 2) {
-              btnsHTML += '<div class="zai-sel-row">';
-              btnsHTML += `<button class="zai-sel-btn" data-action="${actions[i].id}">${actions[i].label}</button>`;
-              if (actions[i + 1]) {
-                btnsHTML += `<button class="zai-sel-btn" data-action="${actions[i + 1].id}">${actions[i + 1].label}</button>`;
-              }
-              btnsHTML += '</div>';
-            }
-            actionsDiv.innerHTML = btnsHTML;
+            actionsDiv.innerHTML = self.buildActionButtonsHTML();
             actionsDiv.style.display = "inline-block";
             headerDiv.innerHTML = `<span class="zai-sel-title">AI Assistant</span>`;
             resultDiv.innerHTML = "";
@@ -533,6 +518,11 @@ ZoteroAIAssistant.PDFReader = {
         onCommand: () => self.extractKeyPoints(reader)
       });
       
+      append({
+        label: "Auto-highlight key passages",
+        onCommand: () => self.autoHighlight(reader)
+      });
+      
       append({
         label: "Ask AI about this paper",
         onCommand: () => self.openAIAssistant(reader)
@@ -557,10 +547,42 @@ ZoteroAIAssistant.PDFReader = {
     }
   },
   
+  /**
+   * Get the toolbar actions: built-in ones, then prompt library entries
+   * targeting the reader
+   */
+  getSelectionActions() {
+    const prompts = ZoteroAIAssistant.PromptLibrary?.getPrompts("reader") || [];
+    return [
+      ...this.SELECTION_ACTIONS,
+      ...prompts.map(prompt => ({ id: "prompt:" + prompt.id, label: prompt.name }))
+    ];
+  },
+  
+  /**
+   * Build action buttons in 2-column rows
+   */
+  buildActionButtonsHTML() {
+    const actions = this.getSelectionActions();
+    let html = '';
+    for (let i = 0; i < actions.length; i += 2) {
+      html += '<div class="zai-sel-row">';
+      for (const action of actions.slice(i, i + 2)) {
+        html += `<button class="zai-sel-btn" data-action="${this.escapeHtml(action.id)}">${this.escapeHtml(action.label)}</button>`;
+      }
+      html += '</div>';
+    }
+    return html;
+  },
+  
   /**
    * Get action title for display
    */
   getActionTitle(action) {
+    if (action.startsWith("prompt:")) {
+      return ZoteroAIAssistant.PromptLibrary?.getPrompt(action.slice("prompt:".length))?.name || "Result";
+    }
+    
     const titles = {
       translate: "Translation",
       explain: "Explanation", 
@@ -629,12 +651,23 @@ ZoteroAIAssistant.PDFReader = {
         ZAI = typeof ZoteroAIAssistant !== 'undefined' ? ZoteroAIAssistant : null;
       }
       
-      if (!ZAI || !ZAI.CopilotClient) {
+      if (!ZAI || !ZAI.ProviderRegistry) {
         return "Error: AI Assistant not available. Please restart Zotero.";
       }
       
-      // Build prompt
       const item = reader?.getItem?.() || this.getItemFromReader(reader);
+      
+      // Prompt library entries bring their own template and model
+      if (action.startsWith("prompt:")) {
+        const libraryPrompt = ZAI.PromptLibrary?.getPrompt(action.slice("prompt:".length));
+        if (!libraryPrompt) {
+          return "Error: This prompt was removed from the prompt library.";
+        }
+        const result = await ZAI.PromptLibrary.run(libraryPrompt, { item, selection: selectedText });
+        return result || "No response from AI";
+      }
+      
+      // Build prompt
       const paperTitle = item ? item.getField('title') : "";
       const paperContext = paperTitle ? `from the paper "${paperTitle}"` : "";
       
@@ -662,37 +695,18 @@ ZoteroAIAssistant.PDFReader = {
           return "Unknown action";
       }
       
-      // Call the AI directly
-      const model = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1";
-      
       Zotero.debug("ZoteroAIAssistant.PDFReader: Calling AI with prompt...");
       
-      // Collect the response
-      let fullContent = "";
-      
-      const response = await ZAI.CopilotClient.chat({
-        model: model,
+      // Use the task model for this action, if one is set
+      const response = await ZAI.ProviderRegistry.chat({
+        task: action,
         messages: [
           { role: "user", content: prompt }
         ],
-        stream: true,
-        onChunk: (chunk) => {
-          if (chunk.content) {
-            fullContent += chunk.content;
-          }
-        }
+        stream: false
       });
       
-      // Return collected content or response content
-      if (fullContent) {
-        return fullContent;
-      } else if (response && response.content) {
-        return response.content;
-      } else if (response && response.error) {
-        return "Error: " + response.error;
-      } else {
-        return "No response from AI";
-      }
+      return response.content || "No response from AI";
     } catch (error) {
       Zotero.debug("ZoteroAIAssistant.PDFReader: executeAction error: " + error);
       return "Error: " + error.message;
@@ -835,6 +849,21 @@ ZoteroAIAssistant.PDFReader = {
     }
   },
   
+  /**
+   * Open the auto-highlight review window for the reader's PDF
+   */
+  autoHighlight(reader) {
+    const mainWindow = Zotero.getMainWindow();
+    const ZAI = mainWindow?.ZoteroAIAssistant;
+    const item = reader.getItem?.() || this.getItemFromReader(reader);
+    
+    if (item && ZAI?.openAutoHighlight) {
+      mainWindow.setTimeout(() => {
+        ZAI.openAutoHighlight(item.id);
+      }, 0);
+    }
+  },
+  
   /**
    * Summarize a paper
    */
@@ -953,7 +982,14 @@ ZoteroAIAssistant.PDFReader = {
       || pageView?.canvasWrapper?.querySelector?.("canvas")
       || pageView?.div?.querySelector?.("canvas");
     if (!canvas || !canvas.width || !canvas.height) {
-      return { error: "Page not rendered yet. Scroll to the page and try again." };
+      // The viewer only keeps canvases for pages near the viewport; render this one off-screen
+      try {
+        const image = await this.renderRegion(windowRef, pageNumber - 1, null, options);
+        return { ...image, pageNumber };
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.PDFReader: Failed to render page: " + error);
+        return { error: "Could not render the page" };
+      }
     }
 
     const {
@@ -984,6 +1020,547 @@ ZoteroAIAssistant.PDFReader = {
     };
   },
   
+  /**
+   * Let the user drag a rectangle over a page of the active reader and
+   * render that region at full resolution
+   * @param {object} options - { maxDimension, quality, type }
+   * @returns {Promise<object>} { dataUrl, width, height, pageNumber, pageIndex, pageLabel, pageHeight, rect, attachmentID },
+   *   { cancelled: true } or { error }
+   */
+  async captureRegion(options = {}) {
+    const reader = this.getActiveReader();
+    if (!reader) {
+      return { error: "Open a PDF in the reader first" };
+    }
+    
+    const iframeWindow = reader._iframeWindow || reader._iframe?.contentWindow;
+    const windowRef = iframeWindow?.wrappedJSObject || iframeWindow;
+    const pdfViewer = windowRef?.PDFViewerApplication?.pdfViewer;
+    if (!pdfViewer || !iframeWindow?.document) {
+      return { error: "PDF viewer not available" };
+    }
+    
+    const selection = await this.selectRegion(iframeWindow.document, pdfViewer);
+    if (!selection) {
+      return { cancelled: true };
+    }
+    
+    try {
+      const image = await this.renderRegion(windowRef, selection.pageIndex, selection.rect, options);
+      return {
+        ...image,
+        ...selection,
+        pageNumber: selection.pageIndex + 1,
+        attachmentID: reader.itemID
+      };
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PDFReader: Failed to render region: " + error);
+      return { error: "Could not render the selected region" };
+    }
+  },
+  
+  /**
+   * Show a crosshair overlay on the viewer and wait for a dragged rectangle.
+   * Escape or a right-click cancels.
+   * @returns {Promise<object|null>} { pageIndex, pageLabel, pageHeight, rect } in PDF points
+   */
+  selectRegion(doc, pdfViewer) {
+    // Only one selection at a time
+    this.cancelRegionSelection?.();
+    
+    return new Promise((resolve) => {
+      const overlay = doc.createElement("div");
+      overlay.style.cssText = "position: fixed; inset: 0; z-index: 100000; cursor: crosshair; background: rgba(0, 0, 0, 0.08);";
+      
+      const hint = doc.createElement("div");
+      hint.textContent = "Drag over a figure or table. Press Esc to cancel.";
+      hint.style.cssText = "position: fixed; top: 12px; left: 50%; transform: translateX(-50%); padding: 6px 12px; border-radius: 4px; background: rgba(0, 0, 0, 0.75); color: #fff; font: 12px sans-serif; pointer-events: none;";
+      overlay.appendChild(hint);
+      
+      const box = doc.createElement("div");
+      box.style.cssText = "position: fixed; display: none; border: 2px dashed #2ea8e5; background: rgba(46, 168, 229, 0.15); pointer-events: none;";
+      overlay.appendChild(box);
+      
+      let start = null;
+      const getBox = (event) => ({
+        left: Math.min(start.x, event.clientX),
+        top: Math.min(start.y, event.clientY),
+        right: Math.max(start.x, event.clientX),
+        bottom: Math.max(start.y, event.clientY)
+      });
+      
+      const onKeyDown = (event) => {
+        if (event.key === "Escape") {
+          event.preventDefault();
+          finish(null);
+        }
+      };
+      const finish = (result) => {
+        overlay.remove();
+        doc.removeEventListener("keydown", onKeyDown, true);
+        this.cancelRegionSelection = null;
+        resolve(result);
+      };
+      
+      overlay.addEventListener("mousedown", (event) => {
+        event.preventDefault();
+        if (event.button !== 0) {
+          finish(null);
+          return;
+        }
+        start = { x: event.clientX, y: event.clientY };
+      });
+      overlay.addEventListener("mousemove", (event) => {
+        if (!start) return;
+        const rect = getBox(event);
+        box.style.display = "block";
+        box.style.left = `${rect.left}px`;
+        box.style.top = `${rect.top}px`;
+        box.style.width = `${rect.right - rect.left}px`;
+        box.style.height = `${rect.bottom - rect.top}px`;
+      });
+      overlay.addEventListener("mouseup", (event) => {
+        if (!start) return;
+        const rect = getBox(event);
+        start = null;
+        const region = rect.right - rect.left >= 8 && rect.bottom - rect.top >= 8
+          ? this.toPageRegion(pdfViewer, rect)
+          : null;
+        if (region) {
+          finish(region);
+        } else {
+          // A click or a drag off the pages: let the user try again
+          box.style.display = "none";
+        }
+      });
+      overlay.addEventListener("contextmenu", (event) => event.preventDefault());
+      
+      doc.addEventListener("keydown", onKeyDown, true);
+      doc.defaultView?.addEventListener("unload", () => finish(null), { once: true });
+      (doc.body || doc.documentElement).appendChild(overlay);
+      this.cancelRegionSelection = () => finish(null);
+    });
+  },
+  
+  /**
+   * Map a rectangle in viewer coordinates to the page under its center,
+   * clipped to that page, in PDF points
+   */
+  toPageRegion(pdfViewer, rect) {
+    const centerX = (rect.left + rect.right) / 2;
+    const centerY = (rect.top + rect.bottom) / 2;
+    const pages = pdfViewer._pages || [];
+    
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+      const pageView = pages[pageIndex];
+      const pageEl = pageView?.canvas?.parentNode || pageView?.div;
+      const bounds = pageEl?.getBoundingClientRect();
+      if (!bounds || !bounds.width || centerX < bounds.left || centerX > bounds.right
+        || centerY < bounds.top || centerY > bounds.bottom) {
+        continue;
+      }
+      
+      const viewport = pageView.viewport;
+      const scaleX = viewport.width / bounds.width;
+      const scaleY = viewport.height / bounds.height;
+      const toPdf = (x, y) => viewport.convertToPdfPoint(
+        (Math.min(Math.max(x, bounds.left), bounds.right) - bounds.left) * scaleX,
+        (Math.min(Math.max(y, bounds.top), bounds.bottom) - bounds.top) * scaleY
+      );
+      const [x1, y1] = toPdf(rect.left, rect.top);
+      const [x2, y2] = toPdf(rect.right, rect.bottom);
+      const view = pageView.pdfPage?.view;
+      
+      return {
+        pageIndex,
+        pageLabel: pageView.pageLabel || String(pageIndex + 1),
+        pageHeight: view ? view[3] - view[1] : null,
+        rect: [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]
+          .map(value => Math.round(value * 1000) / 1000)
+      };
+    }
+    return null;
+  },
+  
+  /**
+   * Render part of a page off-screen through pdf.js, independent of the
+   * on-screen zoom
+   * @param {object} windowRef - Viewer window (unwrapped)
+   * @param {number} pageIndex - 0-based page
+   * @param {Array<number>|null} rect - [x1, y1, x2, y2] in PDF points, or null for the whole page
+   * @param {object} options - { maxDimension, quality, type }
+   * @returns {Promise<object>} { dataUrl, width, height }
+   */
+  async renderRegion(windowRef, pageIndex, rect, options = {}) {
+    const {
+      maxDimension = 2048,
+      quality = 0.9,
+      type = "image/jpeg"
+    } = options;
+    
+    const page = await windowRef.PDFViewerApplication.pdfDocument.getPage(pageIndex + 1);
+    const [x1, y1, x2, y2] = rect || page.view;
+    const scale = Math.min(this.MAX_RENDER_SCALE, maxDimension / Math.max(x2 - x1, y2 - y1, 1));
+    const viewport = page.getViewport(this.toViewerObject(windowRef, { scale }));
+    
+    // Corners in viewport pixels; rotated pages swap them
+    const [ax, ay] = viewport.convertToViewportPoint(x1, y1);
+    const [bx, by] = viewport.convertToViewportPoint(x2, y2);
+    const left = Math.min(ax, bx);
+    const top = Math.min(ay, by);
+    const width = Math.max(1, Math.round(Math.abs(bx - ax)));
+    const height = Math.max(1, Math.round(Math.abs(by - ay)));
+    
+    const canvas = windowRef.document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+    
+    await page.render(this.toViewerObject(windowRef, {
+      canvasContext: ctx,
+      viewport,
+      transform: [1, 0, 0, 1, -left, -top]
+    })).promise;
+    
+    return {
+      dataUrl: canvas.toDataURL(type, quality),
+      width,
+      height
+    };
+  },
+  
+  /**
+   * Get the active reader's PDF document for off-screen rendering
+   * @returns {object} { windowRef, pdfDocument, pageCount, currentPageIndex } or { error }
+   */
+  getActiveDocument() {
+    const reader = this.getActiveReader();
+    if (!reader) {
+      return { error: "Open a PDF in the reader first" };
+    }
+    
+    const iframeWindow = reader._iframeWindow || reader._iframe?.contentWindow;
+    const windowRef = iframeWindow?.wrappedJSObject || iframeWindow;
+    const viewer = windowRef?.PDFViewerApplication;
+    if (!viewer?.pdfDocument) {
+      return { error: "PDF viewer not available" };
+    }
+    
+    return {
+      windowRef,
+      pdfDocument: viewer.pdfDocument,
+      pageCount: viewer.pdfDocument.numPages,
+      currentPageIndex: (viewer.pdfViewer?.currentPageNumber || 1) - 1
+    };
+  },
+  
+  /**
+   * Parse a page range such as "2-4, 7" into 0-based page indexes
+   * @param {string} text - Page numbers as shown in the page counter, not labels
+   * @param {number} pageCount - Pages in the document
+   * @returns {Array<number>} Sorted, without duplicates or pages outside the document
+   */
+  parsePageRange(text, pageCount) {
+    const indexes = new Set();
+    const normalized = String(text || "").replace(/\s*[-\u2013]\s*/g, "-");
+    for (const part of normalized.split(/[,;\s]+/).filter(Boolean)) {
+      const match = part.match(/^(\d+)(?:[-\u2013](\d+))?$/);
+      if (!match) continue;
+      const from = parseInt(match[1], 10);
+      const to = match[2] ? parseInt(match[2], 10) : from;
+      for (let page = Math.min(from, to); page <= Math.max(from, to) && page <= pageCount; page++) {
+        if (page >= 1) indexes.add(page - 1);
+      }
+    }
+    return [...indexes].sort((a, b) => a - b);
+  },
+  
+  /**
+   * Render whole pages of the active PDF off-screen, whether or not the
+   * viewer has drawn them
+   * @param {Array<number>} pageIndexes - 0-based pages
+   * @param {object} options - { maxDimension, quality, type, onProgress(done, total) }
+   * @returns {Promise<object>} { images: [{ dataUrl, width, height, pageIndex, pageNumber, pageLabel }] } or { error }
+   */
+  async capturePages(pageIndexes, options = {}) {
+    const active = this.getActiveDocument();
+    if (active.error) return active;
+    
+    let labels = null;
+    try {
+      labels = await active.pdfDocument.getPageLabels();
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PDFReader: No page labels: " + error);
+    }
+    
+    const images = [];
+    for (const pageIndex of pageIndexes) {
+      options.onProgress?.(images.length, pageIndexes.length);
+      try {
+        const image = await this.renderRegion(active.windowRef, pageIndex, null, options);
+        images.push({
+          ...image,
+          pageIndex,
+          pageNumber: pageIndex + 1,
+          pageLabel: labels?.[pageIndex] || String(pageIndex + 1)
+        });
+      } catch (error) {
+        Zotero.debug(`ZoteroAIAssistant.PDFReader: Failed to render page ${pageIndex + 1}: ` + error);
+      }
+    }
+    
+    if (pageIndexes.length && images.length === 0) {
+      return { error: "Could not render the pages" };
+    }
+    return { images };
+  },
+  
+  /**
+   * Find the pages of the active PDF that hold a figure or table, by their
+   * captions ("Figure 2.", "Fig. 3:", "Table 1", ...) at the start of a line
+   * @returns {Promise<object>} { pages: [{ pageIndex, captions }] } or { error }
+   */
+  async findFigurePages() {
+    const active = this.getActiveDocument();
+    if (active.error) return active;
+    
+    const captionPattern = /^\s*(fig(?:ure)?\.?|tab(?:le)?\.?)\s*([A-Z]?\d+[a-z]?|[IVX]+)(?:\s*[.:|\u2013\u2014-]|\s*$)/i;
+    const pages = [];
+    for (let pageIndex = 0; pageIndex < active.pageCount; pageIndex++) {
+      const page = await active.pdfDocument.getPage(pageIndex + 1);
+      const textContent = await page.getTextContent();
+      
+      let line = "";
+      const lines = [];
+      for (const entry of textContent.items) {
+        line += entry.str || "";
+        if (entry.hasEOL) {
+          lines.push(line);
+          line = "";
+        } else if (entry.str && !entry.str.endsWith(" ")) {
+          line += " ";
+        }
+      }
+      lines.push(line);
+      
+      const captions = [];
+      for (const text of lines) {
+        const match = text.match(captionPattern);
+        if (!match) continue;
+        const kind = /^f/i.test(match[1]) ? "Figure" : "Table";
+        const caption = `${kind} ${match[2]}`;
+        if (!captions.includes(caption)) captions.push(caption);
+      }
+      if (captions.length) {
+        pages.push({ pageIndex, captions });
+      }
+    }
+    return { pages };
+  },
+  
+  /**
+   * Build an object in the viewer's scope so pdf.js can read values passed from here
+   */
+  toViewerObject(windowRef, values) {
+    const object = new windowRef.Object();
+    for (const [key, value] of Object.entries(values)) {
+      object[key] = Array.isArray(value) ? Components.utils.cloneInto(value, windowRef) : value;
+    }
+    return object;
+  },
+  
+  /**
+   * Save a captured region as an image annotation on its PDF
+   * @param {object} region - { attachmentID, pageIndex, pageLabel, pageHeight, rect } from captureRegion
+   * @returns {Promise<number|null>} Annotation ID
+   */
+  async saveRegionAnnotation(region) {
+    const attachment = await Zotero.Items.getAsync(region?.attachmentID);
+    if (!attachment?.isPDFAttachment?.()) return null;
+    
+    const top = region.pageHeight ? Math.max(0, Math.floor(region.pageHeight - region.rect[3])) : 0;
+    return ZoteroAIAssistant.AnnotationManager.createImageAnnotation({
+      attachment,
+      position: { pageIndex: region.pageIndex, rects: [region.rect] },
+      pageLabel: region.pageLabel,
+      sortIndex: [
+        String(region.pageIndex).padStart(5, "0"),
+        "000000",
+        String(top).padStart(5, "0")
+      ].join("|")
+    });
+  },
+  
+  /**
+   * Open the reader at a page and highlight a passage
+   * @param {Zotero.Item} item - Paper item or PDF attachment
+   * @param {number} pageNumber - 1-based page number
+   * @param {string} quote - Optional text to highlight on the page
+   */
+  async openAtPage(item, pageNumber, quote = null) {
+    try {
+      let attachment = item;
+      if (item && !item.isAttachment()) {
+        attachment = await item.getBestAttachment();
+      }
+      if (!attachment) {
+        return { success: false, error: "No PDF attachment found" };
+      }
+      
+      const location = { pageIndex: Math.max(0, (parseInt(pageNumber, 10) || 1) - 1) };
+      const reader = await Zotero.Reader.open(attachment.id, location);
+      if (!reader) {
+        return { success: false, error: "Could not open reader" };
+      }
+      
+      // Already-open readers don't always honour the location
+      await reader._initPromise;
+      reader.navigate?.(location);
+      
+      if (quote) {
+        await this.highlightPassage(reader, quote);
+      }
+      
+      return { success: true };
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PDFReader: Failed to open page: " + error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Open an attachment in the reader and scroll to one of its annotations
+   * @param {number} attachmentID - Attachment the annotation belongs to
+   * @param {string} annotationKey - Annotation item key
+   */
+  async openAnnotation(attachmentID, annotationKey) {
+    try {
+      const location = { annotationID: annotationKey };
+      const reader = await Zotero.Reader.open(attachmentID, location);
+      if (!reader) {
+        return { success: false, error: "Could not open reader" };
+      }
+      
+      await reader._initPromise;
+      reader.navigate?.(location);
+      return { success: true };
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PDFReader: Failed to open annotation: " + error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Read a PDF's text layer with the position of every text run, opening
+   * the attachment in a background reader tab (closed again afterwards) if needed
+   * @param {number} attachmentID - PDF attachment
+   * @returns {Promise<Array>} [{ pageIndex, pageLabel, height, text, runs: [{ start, end, rect }] }]
+   */
+  async getTextLayer(attachmentID) {
+    const openReader = (Zotero.Reader?._readers || []).find(r => r.itemID === attachmentID);
+    const reader = openReader || await Zotero.Reader.open(attachmentID, null, { openInBackground: true });
+    if (!reader) {
+      throw new Error("Could not open the PDF");
+    }
+    
+    try {
+      await reader._initPromise;
+      
+      // The viewer loads the document after the reader is initialized
+      let pdfDocument = null;
+      for (let attempt = 0; attempt < 50 && !pdfDocument; attempt++) {
+        const iframeWindow = reader._iframeWindow || reader._iframe?.contentWindow;
+        const windowRef = iframeWindow?.wrappedJSObject || iframeWindow;
+        pdfDocument = windowRef?.PDFViewerApplication?.pdfDocument || null;
+        if (!pdfDocument) {
+          await Zotero.Promise.delay(200);
+        }
+      }
+      if (!pdfDocument) {
+        throw new Error("The PDF text layer is not available");
+      }
+      
+      let labels = null;
+      try {
+        labels = await pdfDocument.getPageLabels();
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.PDFReader: No page labels: " + error);
+      }
+      
+      const pages = [];
+      for (let pageIndex = 0; pageIndex < pdfDocument.numPages; pageIndex++) {
+        const page = await pdfDocument.getPage(pageIndex + 1);
+        const textContent = await page.getTextContent();
+        let text = "";
+        const runs = [];
+        for (const entry of textContent.items) {
+          if (entry.str) {
+            const [, , c, d, x, y] = entry.transform;
+            const height = entry.height || Math.hypot(c, d);
+            // Text sits on the baseline; cover descenders below it
+            runs.push({
+              start: text.length,
+              end: text.length + entry.str.length,
+              rect: [x, y - height * 0.2, x + entry.width, y + height * 0.8]
+            });
+            text += entry.str;
+          }
+          text += entry.hasEOL ? "\n" : (entry.str.endsWith(" ") ? "" : " ");
+        }
+        pages.push({
+          pageIndex,
+          pageLabel: labels?.[pageIndex] || String(pageIndex + 1),
+          height: page.view[3] - page.view[1],
+          text,
+          runs
+        });
+      }
+      
+      return pages;
+    } finally {
+      if (!openReader && reader.tabID) {
+        Zotero.getMainWindow()?.Zotero_Tabs?.close(reader.tabID);
+      }
+    }
+  },
+  
+  /**
+   * Highlight a passage with the viewer's find bar
+   */
+  async highlightPassage(reader, quote) {
+    // Short phrases match more reliably across line breaks and hyphenation
+    const query = quote.replace(/[\u201c\u201d"]/g, "").split(/\s+/).slice(0, 12).join(" ").trim();
+    if (!query) return false;
+    
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const iframeWindow = reader._iframeWindow || reader._iframe?.contentWindow;
+      const windowRef = iframeWindow?.wrappedJSObject || iframeWindow;
+      const viewer = windowRef?.PDFViewerApplication;
+      
+      if (viewer?.pdfDocument && viewer.eventBus) {
+        // pdf.js can't read a chrome object through the Xray wrapper
+        viewer.eventBus.dispatch("find", this.toViewerObject(windowRef, {
+          source: null,
+          type: "",
+          query,
+          caseSensitive: false,
+          entireWord: false,
+          phraseSearch: true,
+          highlightAll: false,
+          findPrevious: false,
+          matchDiacritics: false
+        }));
+        return true;
+      }
+      
+      await Zotero.Promise.delay(250);
+    }
+    
+    return false;
+  },
+  
   /**
    * Get metadata from a Zotero item
    */
@@ -0,0 +1,301 @@
+/**
+ * Prompt Library
+ *
+ * User-defined prompts managed in Preferences. Each prompt is a template
+ * with {{variables}} filled from the paper, shown on the surfaces it targets
+ * (sidebar quick actions, the reader selection toolbar, batch processing),
+ * and can run on its own model. Libraries can be shared as JSON files.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.PromptLibrary = {
+  EXPORT_VERSION: 1,
+
+  SURFACES: [
+    { id: "sidebar", name: "Sidebar quick action" },
+    { id: "reader", name: "Reader selection toolbar" },
+    { id: "batch", name: "Batch" }
+  ],
+
+  VARIABLES: [
+    { id: "title", description: "Paper title" },
+    { id: "authors", description: "Author list" },
+    { id: "year", description: "Publication year" },
+    { id: "abstract", description: "Abstract" },
+    { id: "selection", description: "Text selected in the reader" },
+    { id: "notes", description: "The paper's notes as plain text" },
+    { id: "fulltext", description: "Relevant full-text sections" }
+  ],
+
+  // Token budget for {{fulltext}}; chat adds its own full-text context on top
+  FULL_TEXT_BUDGET: 6000,
+
+  listeners: new Set(),
+
+  /**
+   * Get saved prompts, optionally only those shown on a surface
+   * @param {string} surface - "sidebar", "reader" or "batch"
+   */
+  getPrompts(surface = null) {
+    let prompts = [];
+    try {
+      const stored = JSON.parse(Zotero.Prefs.get("extensions.zotero-ai-assistant.promptLibrary", true) || "[]");
+      prompts = Array.isArray(stored) ? stored.filter(p => p?.id && p.name && p.template) : [];
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PromptLibrary: Invalid library pref: " + error);
+    }
+    return surface ? prompts.filter(p => p.surfaces?.includes(surface)) : prompts;
+  },
+
+  getPrompt(id) {
+    return this.getPrompts().find(p => p.id === id) || null;
+  },
+
+  savePrompts(prompts) {
+    Zotero.Prefs.set("extensions.zotero-ai-assistant.promptLibrary", JSON.stringify(prompts), true);
+    for (const listener of this.listeners) {
+      try {
+        listener(prompts);
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.PromptLibrary: Listener error: " + error);
+      }
+    }
+  },
+
+  addListener(listener) {
+    this.listeners.add(listener);
+  },
+
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  },
+
+  /**
+   * Clean up a prompt from the editor or an imported file
+   * @returns {object|null} Prompt, or null when name or template is missing
+   */
+  normalize(prompt) {
+    const name = String(prompt?.name || "").trim();
+    const template = String(prompt?.template || "").trim();
+    if (!name || !template) return null;
+
+    const surfaceIDs = this.SURFACES.map(s => s.id);
+    const surfaces = Array.isArray(prompt.surfaces)
+      ? prompt.surfaces.filter(s => surfaceIDs.includes(s))
+      : [];
+
+    return {
+      id: prompt.id || `prompt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      template,
+      surfaces: surfaces.length ? surfaces : ["sidebar"],
+      provider: prompt.provider || "",
+      model: prompt.model || ""
+    };
+  },
+
+  /**
+   * Add a prompt or replace the one with the same ID
+   * @returns {object|null} Saved prompt
+   */
+  savePrompt(prompt) {
+    const normalized = this.normalize(prompt);
+    if (!normalized) return null;
+
+    const prompts = this.getPrompts();
+    const index = prompts.findIndex(p => p.id === normalized.id);
+    if (index === -1) {
+      prompts.push(normalized);
+    } else {
+      prompts[index] = normalized;
+    }
+    this.savePrompts(prompts);
+    return normalized;
+  },
+
+  removePrompt(id) {
+    this.savePrompts(this.getPrompts().filter(p => p.id !== id));
+  },
+
+  /**
+   * Serialize the library for sharing
+   */
+  toJSON(prompts = this.getPrompts()) {
+    return JSON.stringify({ version: this.EXPORT_VERSION, prompts }, null, 2);
+  },
+
+  /**
+   * Merge prompts from an exported file. Prompts with the same ID or name
+   * are replaced, so re-importing an updated lab set doesn't duplicate it.
+   * @returns {number} Number of prompts imported
+   */
+  importJSON(text) {
+    const data = JSON.parse(text);
+    const incoming = (Array.isArray(data) ? data : data?.prompts || [])
+      .map(prompt => this.normalize(prompt))
+      .filter(Boolean);
+    if (incoming.length === 0) {
+      throw new Error("No prompts found in file.");
+    }
+
+    const prompts = this.getPrompts();
+    for (const prompt of incoming) {
+      const index = prompts.findIndex(p => p.id === prompt.id || p.name.toLowerCase() === prompt.name.toLowerCase());
+      if (index === -1) {
+        prompts.push(prompt);
+      } else {
+        prompts[index] = { ...prompt, id: prompts[index].id };
+      }
+    }
+    this.savePrompts(prompts);
+    return incoming.length;
+  },
+
+  /**
+   * Export the library to a JSON file
+   * @returns {string|null} Saved path
+   */
+  async exportToFile(parentWindow = null) {
+    try {
+      const fp = Components.classes["@mozilla.org/filepicker;1"]
+        .createInstance(Components.interfaces.nsIFilePicker);
+
+      const window = parentWindow || Services.wm.getMostRecentWindow("navigator:browser");
+      fp.init(window, "Export Prompt Library", Components.interfaces.nsIFilePicker.modeSave);
+      fp.defaultString = "ai-assistant-prompts.json";
+      fp.defaultExtension = "json";
+      fp.appendFilter("JSON", "*.json");
+
+      const result = await new Promise(resolve => fp.open(resolve));
+
+      if (result === Components.interfaces.nsIFilePicker.returnOK ||
+          result === Components.interfaces.nsIFilePicker.returnReplace) {
+        await Zotero.File.putContentsAsync(fp.file.path, this.toJSON());
+        return fp.file.path;
+      }
+
+      return null;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.PromptLibrary: Export error: " + error);
+      return null;
+    }
+  },
+
+  /**
+   * Import prompts from a JSON file
+   * @returns {number|null} Number of prompts imported, null if cancelled
+   */
+  async importFromFile(parentWindow = null) {
+    const fp = Components.classes["@mozilla.org/filepicker;1"]
+      .createInstance(Components.interfaces.nsIFilePicker);
+
+    const window = parentWindow || Services.wm.getMostRecentWindow("navigator:browser");
+    fp.init(window, "Import Prompt Library", Components.interfaces.nsIFilePicker.modeOpen);
+    fp.appendFilter("JSON", "*.json");
+
+    const result = await new Promise(resolve => fp.open(resolve));
+    if (result !== Components.interfaces.nsIFilePicker.returnOK) {
+      return null;
+    }
+
+    const text = await Zotero.File.getContentsAsync(fp.file.path);
+    return this.importJSON(text);
+  },
+
+  /**
+   * Check whether a template uses a variable
+   */
+  usesVariable(template, variable) {
+    return new RegExp(`\\{\\{\\s*${variable}\\s*\\}\\}`).test(template || "");
+  },
+
+  hasVariables(template) {
+    return this.VARIABLES.some(v => this.usesVariable(template, v.id));
+  },
+
+  /**
+   * Fill a template's variables. Only variables the template uses are
+   * looked up, so notes and full text are read only when needed.
+   * @param {string} template - Prompt template
+   * @param {object} context - { item, selection, provider, modelId }
+   * @returns {string} Prompt text
+   */
+  async render(template, context = {}) {
+    let item = context.item || null;
+    if (item?.isAttachment?.() && item.parentItem) {
+      item = item.parentItem;
+    }
+
+    const values = {};
+    const uses = variable => this.usesVariable(template, variable);
+
+    if (uses("title")) values.title = item?.getField?.("title") || "";
+    if (uses("abstract")) values.abstract = item?.getField?.("abstractNote") || "";
+    if (uses("selection")) values.selection = context.selection || "";
+
+    if ((uses("authors") || uses("year")) && item) {
+      const meta = ZoteroAIAssistant.CitationHelper?.extractMetadata(item);
+      values.authors = (meta?.authors || []).map(a => [a.firstName, a.lastName].filter(Boolean).join(" ")).join(", ");
+      values.year = meta?.year && meta.year !== "n.d." ? meta.year : "";
+    }
+
+    if (uses("notes") && item) {
+      const notes = await ZoteroAIAssistant.NotesManager.getNotesForItem(item);
+      values.notes = notes
+        .map(note => ZoteroAIAssistant.NotesManager.noteToPlainText(note.content))
+        .filter(Boolean)
+        .join("\n\n---\n\n");
+    }
+
+    if (uses("fulltext") && item) {
+      try {
+        const fullText = await ZoteroAIAssistant.FullTextContext?.buildContext(item, {
+          query: context.selection || template,
+          selectedText: context.selection,
+          provider: context.provider,
+          modelId: context.modelId,
+          budget: this.FULL_TEXT_BUDGET
+        });
+        values.fulltext = fullText?.content || "";
+      } catch (error) {
+        Zotero.debug("ZoteroAIAssistant.PromptLibrary: Full text error: " + error);
+        values.fulltext = "";
+      }
+    }
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+  },
+
+  /**
+   * Resolve the model a prompt runs on
+   * @returns {object} { provider, modelId }
+   */
+  resolveModel(prompt) {
+    return ZoteroAIAssistant.ProviderRegistry.resolve({
+      task: "custom",
+      provider: prompt.provider || undefined,
+      model: prompt.model || undefined
+    });
+  },
+
+  /**
+   * Render a prompt and send it on its own, outside the chat history
+   * @param {object} prompt - Library prompt
+   * @param {object} context - { item, selection, signal }
+   * @returns {string} Response text
+   */
+  async run(prompt, context = {}) {
+    const { provider, modelId } = this.resolveModel(prompt);
+    const text = await this.render(prompt.template, { ...context, provider, modelId });
+
+    const response = await ZoteroAIAssistant.ProviderRegistry.chat({
+      provider,
+      model: modelId,
+      messages: [{ role: "user", content: text }],
+      stream: false,
+      signal: context.signal
+    });
+    return response.content;
+  }
+};
@@ -0,0 +1,353 @@
+/**
+ * Retrieval Index
+ *
+ * Chunks each paper's full text and builds a per-item retrieval index,
+ * using local embeddings (Ollama / LM Studio) or a BM25 lexical fallback.
+ * Retrieves the top-k chunks for a question when the paper does not fit
+ * in the model's full-text budget.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.RetrievalIndex = {
+  INDEX_VERSION: 1,
+  INDEX_DIR: "zotero-ai-assistant/index",
+  CHUNK_TOKENS: 350,
+  CHUNK_OVERLAP_TOKENS: 50,
+  EMBED_BATCH_SIZE: 16,
+  DEFAULT_TOP_K: 8,
+  EXCERPT_LENGTH: 200,
+  BM25_K1: 1.2,
+  BM25_B: 0.75,
+
+  // Loaded indexes per item ID
+  indexes: new Map(),
+
+  /**
+   * Check whether retrieval is enabled
+   */
+  isEnabled() {
+    const enabled = Zotero.Prefs.get("extensions.zotero-ai-assistant.ragEnabled", true);
+    return enabled !== false && !!ZoteroAIAssistant.FullTextContext;
+  },
+
+  /**
+   * Get configured embedding provider and model
+   * @returns {object|null} { provider, model } or null for BM25 only
+   */
+  getEmbeddingSettings() {
+    const provider = Zotero.Prefs.get("extensions.zotero-ai-assistant.ragEmbeddingProvider", true) || "none";
+    const model = Zotero.Prefs.get("extensions.zotero-ai-assistant.ragEmbeddingModel", true) || "";
+    if ((provider !== "ollama" && provider !== "lmstudio") || !model) {
+      return null;
+    }
+    return { provider, model };
+  },
+
+  getTopK() {
+    const topK = parseInt(Zotero.Prefs.get("extensions.zotero-ai-assistant.ragTopK", true), 10);
+    return topK > 0 ? topK : this.DEFAULT_TOP_K;
+  },
+
+  /**
+   * Get the directory holding index files
+   */
+  getIndexDirectory() {
+    return PathUtils.join(Zotero.DataDirectory.dir, ...this.INDEX_DIR.split("/"));
+  },
+
+  getIndexPath(item) {
+    return PathUtils.join(this.getIndexDirectory(), `${item.libraryID}-${item.key}.json`);
+  },
+
+  /**
+   * Split pages into overlapping chunks that never cross a page boundary
+   * @returns {array} [{ id, page, text }]
+   */
+  chunkPages(pages) {
+    const FTC = ZoteroAIAssistant.FullTextContext;
+    const chunkChars = this.CHUNK_TOKENS * FTC.CHARS_PER_TOKEN;
+    const stepChars = (this.CHUNK_TOKENS - this.CHUNK_OVERLAP_TOKENS) * FTC.CHARS_PER_TOKEN;
+    const paged = pages.length > 1;
+    const chunks = [];
+
+    for (const page of pages) {
+      const text = page.text.replace(/\s+/g, " ").trim();
+      if (!text) continue;
+
+      for (let start = 0; start < text.length; start += stepChars) {
+        // Extend to the next word boundary so chunks don't end mid-word
+        let end = Math.min(text.length, start + chunkChars);
+        const space = text.indexOf(" ", end);
+        if (end < text.length && space !== -1 && space - end < 40) {
+          end = space;
+        }
+
+        chunks.push({
+          id: chunks.length,
+          page: paged ? page.pageNumber : null,
+          text: text.slice(start, end).trim()
+        });
+
+        if (end >= text.length) break;
+      }
+    }
+
+    return chunks;
+  },
+
+  /**
+   * Get the index for an item, building it if missing or stale
+   */
+  async getIndex(item, options = {}) {
+    const fullText = await ZoteroAIAssistant.FullTextContext.getFullText(item);
+    if (!fullText) return null;
+
+    const embedding = this.getEmbeddingSettings();
+    const isCurrent = index => index
+      && index.version === this.INDEX_VERSION
+      && index.attachmentID === fullText.attachmentID
+      && index.textLength === this.getTextLength(fullText)
+      && (index.method === "bm25"
+        ? !embedding
+        : embedding && index.provider === embedding.provider && index.model === embedding.model);
+
+    let index = this.indexes.get(item.id);
+    if (isCurrent(index)) return index;
+
+    index = await this.loadIndex(item);
+    if (!isCurrent(index)) {
+      index = await this.buildIndex(item, fullText, embedding, options.signal);
+      await this.saveIndex(item, index);
+    }
+
+    this.indexes.set(item.id, index);
+    return index;
+  },
+
+  getTextLength(fullText) {
+    return fullText.pages.reduce((sum, page) => sum + page.text.length, 0);
+  },
+
+  /**
+   * Build a new index from parsed full text
+   */
+  async buildIndex(item, fullText, embedding, signal) {
+    const index = {
+      version: this.INDEX_VERSION,
+      itemID: item.id,
+      attachmentID: fullText.attachmentID,
+      textLength: this.getTextLength(fullText),
+      method: "bm25",
+      provider: null,
+      model: null,
+      createdAt: new Date().toISOString(),
+      chunks: this.chunkPages(fullText.pages)
+    };
+
+    if (embedding && index.chunks.length) {
+      try {
+        for (let i = 0; i < index.chunks.length; i += this.EMBED_BATCH_SIZE) {
+          const batch = index.chunks.slice(i, i + this.EMBED_BATCH_SIZE);
+          const vectors = await ZoteroAIAssistant.LocalModelClient.embed({
+            provider: embedding.provider,
+            model: embedding.model,
+            input: batch.map(chunk => chunk.text),
+            signal
+          });
+          batch.forEach((chunk, j) => {
+            chunk.vector = vectors[j];
+          });
+        }
+        index.method = "embedding";
+        index.provider = embedding.provider;
+        index.model = embedding.model;
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        Zotero.debug("ZoteroAIAssistant.RetrievalIndex: Embedding failed, using BM25: " + error);
+        index.chunks.forEach(chunk => delete chunk.vector);
+      }
+    }
+
+    Zotero.debug(`ZoteroAIAssistant.RetrievalIndex: Built ${index.method} index with ${index.chunks.length} chunks for item ${item.id}`);
+    return index;
+  },
+
+  /**
+   * Load a stored index from disk
+   */
+  async loadIndex(item) {
+    try {
+      const path = this.getIndexPath(item);
+      if (!await IOUtils.exists(path)) return null;
+      return await IOUtils.readJSON(path);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.RetrievalIndex: Load error: " + error);
+      return null;
+    }
+  },
+
+  /**
+   * Store an index on disk
+   */
+  async saveIndex(item, index) {
+    try {
+      await IOUtils.makeDirectory(this.getIndexDirectory(), { ignoreExisting: true });
+      await IOUtils.writeJSON(this.getIndexPath(item), index);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.RetrievalIndex: Save error: " + error);
+    }
+  },
+
+  /**
+   * Delete the stored index for an item
+   */
+  async deleteIndex(item) {
+    this.indexes.delete(item.id);
+    try {
+      await IOUtils.remove(this.getIndexPath(item), { ignoreAbsent: true });
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.RetrievalIndex: Delete error: " + error);
+    }
+  },
+
+  /**
+   * Delete all stored indexes
+   */
+  async clearAll() {
+    this.indexes.clear();
+    try {
+      await IOUtils.remove(this.getIndexDirectory(), { recursive: true, ignoreAbsent: true });
+      return true;
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.RetrievalIndex: Clear error: " + error);
+      return false;
+    }
+  },
+
+  /**
+   * Score chunks against a query with BM25
+   */
+  scoreBM25(chunks, query) {
+    const FTC = ZoteroAIAssistant.FullTextContext;
+    const queryTerms = [...new Set(FTC.tokenize(query))];
+    if (queryTerms.length === 0) return chunks.map(() => 0);
+
+    const docs = chunks.map(chunk => FTC.tokenize(chunk.text));
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+
+    const docFreq = {};
+    for (const term of queryTerms) {
+      docFreq[term] = docs.filter(d => d.includes(term)).length;
+    }
+
+    return docs.map(doc => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = doc.filter(t => t === term).length;
+        if (!tf) continue;
+        const idf = Math.log(1 + (docs.length - docFreq[term] + 0.5) / (docFreq[term] + 0.5));
+        score += idf * (tf * (this.BM25_K1 + 1))
+          / (tf + this.BM25_K1 * (1 - this.BM25_B + this.BM25_B * doc.length / (avgLength || 1)));
+      }
+      return score;
+    });
+  },
+
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  },
+
+  /**
+   * Retrieve the top-k chunks for a query
+   * @returns {array} [{ id, page, text, score }]
+   */
+  async retrieve(item, query, options = {}) {
+    const index = await this.getIndex(item, options);
+    if (!index || index.chunks.length === 0) return [];
+
+    let scores = null;
+    if (index.method === "embedding") {
+      try {
+        const [queryVector] = await ZoteroAIAssistant.LocalModelClient.embed({
+          provider: index.provider,
+          model: index.model,
+          input: [query],
+          signal: options.signal
+        });
+        scores = index.chunks.map(chunk => this.cosineSimilarity(queryVector, chunk.vector || []));
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        Zotero.debug("ZoteroAIAssistant.RetrievalIndex: Query embedding failed, using BM25: " + error);
+      }
+    }
+    if (!scores) {
+      scores = this.scoreBM25(index.chunks, query);
+    }
+
+    return index.chunks
+      .map((chunk, i) => ({ id: chunk.id, page: chunk.page, text: chunk.text, score: scores[i] }))
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.topK || this.getTopK());
+  },
+
+  /**
+   * Build retrieved-chunk context for a chat request
+   * @param {Zotero.Item} item - Paper item
+   * @param {object} options - { query, selectedText, budget, signal }
+   * @returns {object|null} { content, chunks, tokens, budget, method }
+   */
+  async buildContext(item, options = {}) {
+    if (!this.isEnabled() || !item) return null;
+
+    const query = [options.query, options.selectedText].filter(Boolean).join("\n");
+    if (!query.trim()) return null;
+
+    const results = await this.retrieve(item, query, options);
+    if (results.length === 0) return null;
+
+    const FTC = ZoteroAIAssistant.FullTextContext;
+    const budget = options.budget || FTC.DEFAULT_BUDGET;
+    const selected = [];
+    let tokens = 0;
+    for (const chunk of results) {
+      const chunkTokens = FTC.estimateTokens(chunk.text);
+      if (tokens + chunkTokens > budget) break;
+      selected.push(chunk);
+      tokens += chunkTokens;
+    }
+    if (selected.length === 0) return null;
+
+    // Present chunks in reading order
+    selected.sort((a, b) => a.id - b.id);
+
+    let content = "Passages retrieved from the paper's full text for this question:\n\n";
+    for (const chunk of selected) {
+      content += chunk.page ? `[Page ${chunk.page}]\n` : "[Passage]\n";
+      content += chunk.text + "\n\n";
+    }
+
+    return {
+      content: content.trim(),
+      chunks: selected.map(chunk => ({
+        page: chunk.page,
+        excerpt: chunk.text.length > this.EXCERPT_LENGTH
+          ? chunk.text.slice(0, this.EXCERPT_LENGTH) + "…"
+          : chunk.text,
+        score: Math.round(chunk.score * 1000) / 1000
+      })),
+      tokens,
+      budget,
+      method: this.indexes.get(item.id)?.method || "bm25"
+    };
+  }
+};
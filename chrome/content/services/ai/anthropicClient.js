@@ -0,0 +1,225 @@
+/**
+ * Anthropic Client
+ *
+ * Calls the Anthropic Messages API directly with the user's API key.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.AnthropicClient = {
+  API_URL: "https://api.anthropic.com/v1",
+  API_VERSION: "2023-06-01",
+
+  /**
+   * Build request headers with the stored API key
+   */
+  async buildHeaders() {
+    const apiKey = await ZoteroAIAssistant.ProviderRegistry.getApiKey("anthropic");
+    if (!apiKey) {
+      throw new Error("No Anthropic API key set. Add one in Settings -> AI Assistant.");
+    }
+
+    return {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey,
+      "anthropic-version": this.API_VERSION,
+      // Required when the request carries an Origin header
+      "anthropic-dangerous-direct-browser-access": "true"
+    };
+  },
+
+  /**
+   * Check the API key and list available models
+   */
+  async checkConnection() {
+    try {
+      const response = await fetch(`${this.API_URL}/models?limit=100`, {
+        method: "GET",
+        headers: await this.buildHeaders()
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        return { connected: false, error: this.formatError(response.status, text) };
+      }
+
+      const data = await response.json();
+      const models = (data.data || []).map(m => ({
+        id: m.id,
+        name: m.display_name || m.id
+      }));
+      return { connected: true, models };
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.AnthropicClient: Connection error: " + error);
+      return { connected: false, error: error.message };
+    }
+  },
+
+  /**
+   * Convert chat messages to the Messages API format
+   * @returns {object} { system, messages }
+   */
+  convertMessages(messages) {
+    const LMC = ZoteroAIAssistant.LocalModelClient;
+    const system = [];
+    const converted = [];
+
+    for (const message of messages || []) {
+      if (message.role === "system") {
+        system.push(typeof message.content === "string" ? message.content : "");
+        continue;
+      }
+
+      const blocks = [];
+      const images = Array.isArray(message.images) ? [...message.images] : [];
+      let text = message.content || "";
+
+      // OpenAI-style content parts
+      if (Array.isArray(message.content)) {
+        text = message.content.filter(part => part.type === "text").map(part => part.text).join("\n");
+        for (const part of message.content) {
+          if (part.type === "image_url" && part.image_url?.url) {
+            images.push(part.image_url.url);
+          }
+        }
+      }
+
+      for (const image of images) {
+        const { mediaType, data } = LMC.parseDataUrl(image);
+        blocks.push({
+          type: "image",
+          source: { type: "base64", media_type: mediaType, data }
+        });
+      }
+      blocks.push({ type: "text", text: text || " " });
+
+      converted.push({
+        role: message.role === "assistant" ? "assistant" : "user",
+        content: blocks.length === 1 ? blocks[0].text : blocks
+      });
+    }
+
+    return { system: system.filter(Boolean).join("\n\n"), messages: converted };
+  },
+
+  /**
+   * Send chat request
+   * @param {object} options - Chat options
+   * @param {string} options.model - Model ID
+   * @param {Array} options.messages - Messages array
+   * @param {boolean} options.stream - Whether to stream
+   * @param {function} options.onChunk - Streaming callback
+   * @param {AbortSignal} options.signal - Abort signal
+   * @param {object} options.responseSchema - { name, schema } for JSON output (optional)
+   */
+  async chat({ model, messages, stream = true, onChunk, signal, responseSchema }) {
+    const temperature = Zotero.Prefs.get("extensions.zotero-ai-assistant.temperature", true) ?? 0.3;
+    const maxTokens = Zotero.Prefs.get("extensions.zotero-ai-assistant.maxTokens", true) ?? 2000;
+    const converted = this.convertMessages(messages);
+
+    const body = {
+      model,
+      messages: converted.messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream
+    };
+    if (converted.system) {
+      body.system = converted.system;
+    }
+    // Structured output: force a single tool call whose input is the JSON
+    if (responseSchema) {
+      body.tools = [{
+        name: responseSchema.name,
+        description: "Record the requested fields.",
+        input_schema: responseSchema.schema
+      }];
+      body.tool_choice = { type: "tool", name: responseSchema.name };
+    }
+
+    const response = await fetch(`${this.API_URL}/messages`, {
+      method: "POST",
+      headers: await this.buildHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(this.formatError(response.status, text));
+    }
+
+    if (stream) {
+      return this.handleStream(response, onChunk);
+    }
+
+    const data = await response.json();
+    const toolUse = (data.content || []).find(block => block.type === "tool_use");
+    return {
+      content: toolUse
+        ? JSON.stringify(toolUse.input)
+        : (data.content || []).filter(block => block.type === "text").map(block => block.text).join(""),
+      model: data.model
+    };
+  },
+
+  /**
+   * Handle streaming response (SSE events)
+   */
+  async handleStream(response, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullContent = "";
+    let model = null;
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+
+          let data;
+          try {
+            data = JSON.parse(line.slice(5).trim());
+          } catch (e) {
+            continue;
+          }
+
+          if (data.type === "message_start") {
+            model = data.message?.model || model;
+          } else if (data.type === "content_block_delta" && data.delta?.type === "text_delta") {
+            fullContent += data.delta.text;
+            if (onChunk) {
+              onChunk(data.delta.text, fullContent);
+            }
+          } else if (data.type === "content_block_delta" && data.delta?.type === "input_json_delta") {
+            fullContent += data.delta.partial_json;
+          } else if (data.type === "error") {
+            throw new Error(`Anthropic error: ${data.error?.message || "stream failed"}`);
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    return { content: fullContent, model };
+  },
+
+  formatError(status, text) {
+    let message = text;
+    try {
+      message = JSON.parse(text).error?.message || text;
+    } catch (e) {
+      // Not JSON
+    }
+    return `Anthropic error: ${status} - ${message}`;
+  }
+};
@@ -39,9 +39,10 @@ ZoteroAIAssistant.CopilotClient = {
    * @param {boolean} options.stream - Enable streaming
    * @param {function} options.onChunk - Callback for streaming chunks
    * @param {AbortSignal} options.signal - Abort signal
+   * @param {object} options.responseSchema - { name, schema } for JSON output (optional)
    * @returns {Promise<object>} - Response
    */
-  async chat({ model, messages, stream = true, onChunk, signal, temperature, maxTokens }) {
+  async chat({ model, messages, stream = true, onChunk, signal, temperature, maxTokens, responseSchema }) {
     // Get valid session token
     const token = await ZoteroAIAssistant.GitHubDeviceFlow.getSessionToken();
 
@@ -61,6 +62,14 @@ ZoteroAIAssistant.CopilotClient = {
       max_tokens: tokens
     };
     
+    // Only the OpenAI models behind Copilot accept response_format; others follow the prompt
+    const responseFormat = responseSchema && this.supportsResponseFormat(resolvedModel)
+      ? ZoteroAIAssistant.LocalModelClient.buildResponseFormat(responseSchema)
+      : null;
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+    
     Zotero.debug(`ZoteroAIAssistant.CopilotClient: Sending request to ${resolvedModel}`);
     
     const headers = this.buildHeaders(stream, hasVision, token);
@@ -90,7 +99,8 @@ ZoteroAIAssistant.CopilotClient = {
               messages: normalizedMessages,
               stream,
               temperature: temp,
-              max_tokens: tokens
+              max_tokens: tokens,
+              ...(responseFormat && this.supportsResponseFormat(fallbackModel) ? { response_format: responseFormat } : {})
             }),
             signal
           });
@@ -155,6 +165,10 @@ ZoteroAIAssistant.CopilotClient = {
     });
   },
 
+  supportsResponseFormat(model) {
+    return /^(gpt-|o\d)/.test(model || "");
+  },
+
   buildHeaders(stream, hasVision, token) {
     const headers = {
       "Authorization": `Bearer ${token}`,
@@ -368,6 +382,13 @@ ZoteroAIAssistant.CopilotClient = {
       }
       if (entry.id) {
         ids.push(entry.id);
+        const limits = entry.capabilities?.limits;
+        ZoteroAIAssistant.ContextWindow?.setModelLimit(
+          "copilot",
+          entry.id,
+          limits?.max_prompt_tokens || limits?.max_context_window_tokens
+        );
+        ZoteroAIAssistant.ModelRegistry?.setImageLimit("copilot", entry.id, limits?.vision?.max_prompt_images);
         return;
       }
       if (entry.model) {
@@ -0,0 +1,222 @@
+/**
+ * Gemini Client
+ *
+ * Calls the Google Gemini generateContent API directly with the user's API key.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.GeminiClient = {
+  API_URL: "https://generativelanguage.googleapis.com/v1beta",
+
+  /**
+   * Build request headers with the stored API key
+   */
+  async buildHeaders() {
+    const apiKey = await ZoteroAIAssistant.ProviderRegistry.getApiKey("gemini");
+    if (!apiKey) {
+      throw new Error("No Gemini API key set. Add one in Settings -> AI Assistant.");
+    }
+
+    return {
+      "Content-Type": "application/json",
+      "x-goog-api-key": apiKey
+    };
+  },
+
+  /**
+   * Check the API key and list models that support generateContent
+   */
+  async checkConnection() {
+    try {
+      const response = await fetch(`${this.API_URL}/models?pageSize=1000`, {
+        method: "GET",
+        headers: await this.buildHeaders()
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        return { connected: false, error: this.formatError(response.status, text) };
+      }
+
+      const data = await response.json();
+      const models = (data.models || [])
+        .filter(m => (m.supportedGenerationMethods || []).includes("generateContent"))
+        .map(m => {
+          const id = m.name.replace(/^models\//, "");
+          ZoteroAIAssistant.ContextWindow?.setModelLimit("gemini", id, m.inputTokenLimit);
+          return { id, name: m.displayName || m.name };
+        });
+      return { connected: true, models };
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.GeminiClient: Connection error: " + error);
+      return { connected: false, error: error.message };
+    }
+  },
+
+  /**
+   * Convert chat messages to generateContent format
+   * @returns {object} { systemInstruction, contents }
+   */
+  convertMessages(messages) {
+    const LMC = ZoteroAIAssistant.LocalModelClient;
+    const system = [];
+    const contents = [];
+
+    for (const message of messages || []) {
+      if (message.role === "system") {
+        system.push(typeof message.content === "string" ? message.content : "");
+        continue;
+      }
+
+      const parts = [];
+      const images = Array.isArray(message.images) ? [...message.images] : [];
+      let text = message.content || "";
+
+      // OpenAI-style content parts
+      if (Array.isArray(message.content)) {
+        text = message.content.filter(part => part.type === "text").map(part => part.text).join("\n");
+        for (const part of message.content) {
+          if (part.type === "image_url" && part.image_url?.url) {
+            images.push(part.image_url.url);
+          }
+        }
+      }
+
+      if (text) {
+        parts.push({ text });
+      }
+      for (const image of images) {
+        const { mediaType, data } = LMC.parseDataUrl(image);
+        parts.push({ inline_data: { mime_type: mediaType, data } });
+      }
+
+      contents.push({
+        role: message.role === "assistant" ? "model" : "user",
+        parts: parts.length ? parts : [{ text: " " }]
+      });
+    }
+
+    const instruction = system.filter(Boolean).join("\n\n");
+    return {
+      systemInstruction: instruction ? { parts: [{ text: instruction }] } : null,
+      contents
+    };
+  },
+
+  /**
+   * Send chat request
+   * @param {object} options - Chat options
+   * @param {string} options.model - Model ID (e.g. gemini-2.5-pro)
+   * @param {Array} options.messages - Messages array
+   * @param {boolean} options.stream - Whether to stream
+   * @param {function} options.onChunk - Streaming callback
+   * @param {AbortSignal} options.signal - Abort signal
+   * @param {object} options.responseSchema - { name, schema } for JSON output (optional)
+   */
+  async chat({ model, messages, stream = true, onChunk, signal, responseSchema }) {
+    const temperature = Zotero.Prefs.get("extensions.zotero-ai-assistant.temperature", true) ?? 0.3;
+    const maxTokens = Zotero.Prefs.get("extensions.zotero-ai-assistant.maxTokens", true) ?? 2000;
+    const converted = this.convertMessages(messages);
+
+    const body = {
+      contents: converted.contents,
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens
+      }
+    };
+    if (converted.systemInstruction) {
+      body.systemInstruction = converted.systemInstruction;
+    }
+    if (responseSchema) {
+      body.generationConfig.responseMimeType = "application/json";
+      body.generationConfig.responseSchema = responseSchema.schema;
+    }
+
+    const modelPath = `models/${String(model).replace(/^models\//, "")}`;
+    const url = stream
+      ? `${this.API_URL}/${modelPath}:streamGenerateContent?alt=sse`
+      : `${this.API_URL}/${modelPath}:generateContent`;
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: await this.buildHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(this.formatError(response.status, text));
+    }
+
+    if (stream) {
+      return this.handleStream(response, onChunk, model);
+    }
+
+    const data = await response.json();
+    return {
+      content: this.extractText(data),
+      model: data.modelVersion || model
+    };
+  },
+
+  extractText(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return parts.filter(part => part.text && !part.thought).map(part => part.text).join("");
+  },
+
+  /**
+   * Handle streaming response (SSE format)
+   */
+  async handleStream(response, onChunk, model) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullContent = "";
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+
+          try {
+            const data = JSON.parse(line.slice(5).trim());
+            model = data.modelVersion || model;
+            const content = this.extractText(data);
+            if (content) {
+              fullContent += content;
+              if (onChunk) {
+                onChunk(content, fullContent);
+              }
+            }
+          } catch (e) {
+            // Skip invalid JSON
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    return { content: fullContent, model };
+  },
+
+  formatError(status, text) {
+    let message = text;
+    try {
+      message = JSON.parse(text).error?.message || text;
+    } catch (e) {
+      // Not JSON
+    }
+    return `Gemini error: ${status} - ${message}`;
+  }
+};
@@ -151,6 +151,57 @@ ZoteroAIAssistant.LocalModelClient = {
     }
     return dataUrl.slice(commaIndex + 1);
   },
+
+  /**
+   * Split a data URL into media type and base64 data
+   */
+  parseDataUrl(dataUrl) {
+    const match = /^data:([^;,]+)[^,]*,/.exec(dataUrl || "");
+    return {
+      mediaType: match ? match[1] : "image/png",
+      data: this.stripDataUrlPrefix(dataUrl)
+    };
+  },
+  
+  /**
+   * Build an OpenAI response_format from a { name, schema } request
+   */
+  buildResponseFormat(responseSchema) {
+    return {
+      type: "json_schema",
+      json_schema: {
+        name: responseSchema.name,
+        strict: true,
+        schema: this.toStrictSchema(responseSchema.schema)
+      }
+    };
+  },
+  
+  /**
+   * Copy a JSON schema into the form OpenAI strict mode accepts: every
+   * nested object closed to extra properties and requiring all of them
+   */
+  toStrictSchema(schema) {
+    if (!schema || typeof schema !== "object") return schema;
+    
+    const strict = { ...schema };
+    if (schema.properties) {
+      strict.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [key, this.toStrictSchema(value)])
+      );
+    }
+    if (schema.type === "object") {
+      strict.additionalProperties = false;
+      strict.required = Object.keys(schema.properties || {});
+    }
+    if (schema.items) {
+      strict.items = this.toStrictSchema(schema.items);
+    }
+    if (Array.isArray(schema.anyOf)) {
+      strict.anyOf = schema.anyOf.map(option => this.toStrictSchema(option));
+    }
+    return strict;
+  },
   
   /**
    * Get available models
@@ -172,8 +223,9 @@ ZoteroAIAssistant.LocalModelClient = {
    * @param {boolean} options.stream - Whether to stream
    * @param {function} options.onChunk - Streaming callback
    * @param {AbortSignal} options.signal - Abort signal
+   * @param {object} options.responseSchema - { name, schema } for JSON output (optional)
    */
-  async chat({ provider, model, messages, stream = true, onChunk, signal }) {
+  async chat({ provider, model, messages, stream = true, onChunk, signal, responseSchema }) {
     const endpoint = this.getEndpoint(provider);
     if (!endpoint) {
       throw new Error(`No endpoint configured for ${provider}`);
@@ -185,9 +237,9 @@ ZoteroAIAssistant.LocalModelClient = {
     const normalizedMessages = this.normalizeMessagesForProvider(provider, messages);
     
     if (provider === "ollama") {
-      return this.chatOllama({ endpoint, model, messages: normalizedMessages, stream, onChunk, signal, temperature, maxTokens });
+      return this.chatOllama({ endpoint, model, messages: normalizedMessages, stream, onChunk, signal, temperature, maxTokens, responseSchema });
     } else if (provider === "lmstudio") {
-      return this.chatLMStudio({ endpoint, model, messages: normalizedMessages, stream, onChunk, signal, temperature, maxTokens });
+      return this.chatLMStudio({ endpoint, model, messages: normalizedMessages, stream, onChunk, signal, temperature, maxTokens, responseSchema });
     }
     
     throw new Error(`Unknown provider: ${provider}`);
@@ -196,7 +248,7 @@ ZoteroAIAssistant.LocalModelClient = {
   /**
    * Chat with Ollama
    */
-  async chatOllama({ endpoint, model, messages, stream, onChunk, signal, temperature, maxTokens }) {
+  async chatOllama({ endpoint, model, messages, stream, onChunk, signal, temperature, maxTokens, responseSchema }) {
     const url = `${endpoint}/api/chat`;
     
     const body = {
@@ -208,6 +260,9 @@ ZoteroAIAssistant.LocalModelClient = {
         num_predict: maxTokens
       }
     };
+    if (responseSchema) {
+      body.format = responseSchema.schema;
+    }
     
     const response = await fetch(url, {
       method: "POST",
@@ -273,7 +328,7 @@ ZoteroAIAssistant.LocalModelClient = {
   /**
    * Chat with LM Studio (OpenAI-compatible API)
    */
-  async chatLMStudio({ endpoint, model, messages, stream, onChunk, signal, temperature, maxTokens }) {
+  async chatLMStudio({ endpoint, model, messages, stream, onChunk, signal, temperature, maxTokens, responseSchema }) {
     const url = `${endpoint}/v1/chat/completions`;
     
     const body = {
@@ -283,6 +338,9 @@ ZoteroAIAssistant.LocalModelClient = {
       temperature,
       max_tokens: maxTokens
     };
+    if (responseSchema) {
+      body.response_format = this.buildResponseFormat(responseSchema);
+    }
     
     const response = await fetch(url, {
       method: "POST",
@@ -350,6 +408,54 @@ ZoteroAIAssistant.LocalModelClient = {
     return { content: fullContent };
   },
   
+  /**
+   * Create embeddings with a local model
+   * @param {object} options - Embedding options
+   * @param {string} options.provider - 'ollama' or 'lmstudio'
+   * @param {string} options.model - Embedding model name
+   * @param {Array<string>} options.input - Texts to embed
+   * @param {AbortSignal} options.signal - Abort signal
+   * @returns {Array<Array<number>>} One vector per input text
+   */
+  async embed({ provider, model, input, signal }) {
+    const endpoint = this.getEndpoint(provider);
+    if (!endpoint) {
+      throw new Error(`No endpoint configured for ${provider}`);
+    }
+
+    let url;
+    if (provider === "ollama") {
+      url = `${endpoint}/api/embed`;
+    } else if (provider === "lmstudio") {
+      url = `${endpoint}/v1/embeddings`;
+    } else {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model, input }),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${provider === "ollama" ? "Ollama" : "LM Studio"} embedding error: ${response.status} - ${text}`);
+    }
+
+    const data = await response.json();
+    const vectors = provider === "ollama"
+      ? data.embeddings
+      : (data.data || []).sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+
+    if (!Array.isArray(vectors) || vectors.length !== input.length) {
+      throw new Error("Embedding response did not match input");
+    }
+
+    return vectors;
+  },
+
   /**
    * Generate completion (non-chat mode for Ollama)
    */
@@ -1,13 +1,30 @@
 /**
  * Model Registry
  * 
- * Defines all available AI models for GitHub Copilot and OpenAI Codex
+ * Defines all available AI models for GitHub Copilot
  * Updated January 2026
  */
 
 var ZoteroAIAssistant = ZoteroAIAssistant || {};
 
 ZoteroAIAssistant.ModelRegistry = {
+  // Prompt token limit Copilot applies unless a model lists its own
+  COPILOT_CONTEXT_WINDOW: 128000,
+  
+  // Images per message a provider accepts unless its model metadata reports
+  // a limit. Local vision models are mostly trained on one image at a time.
+  IMAGE_LIMITS: {
+    copilot: 5,
+    anthropic: 20,
+    gemini: 16,
+    ollama: 1,
+    lmstudio: 1,
+    "openai-compatible": 4
+  },
+  
+  // Image limits reported by providers' model lists, by "provider:model"
+  reportedImageLimits: new Map(),
+  
   // GitHub Copilot models
   COPILOT_MODELS: [
     // Anthropic - Claude
@@ -38,7 +55,8 @@ ZoteroAIAssistant.ModelRegistry = {
       name: "Claude Opus 4.1",
       provider: "anthropic",
       description: "Powerful reasoning and analysis",
-      premium: 10
+      premium: 10,
+      contextWindow: 80000
     },
     {
       id: "claude-haiku-4.5",
@@ -166,7 +184,7 @@ ZoteroAIAssistant.ModelRegistry = {
   
   /**
    * Get the default model for a provider
-   * @param {string} provider - "copilot" or "codex"
+   * @param {string} provider - "copilot"
    * @returns {object}
    */
   getDefaultModel(provider) {
@@ -176,7 +194,7 @@ ZoteroAIAssistant.ModelRegistry = {
   
   /**
    * Get a specific model by ID
-   * @param {string} provider - "copilot" or "codex"
+   * @param {string} provider - "copilot"
    * @param {string} modelId - Model ID
    * @returns {object|null}
    */
@@ -185,6 +203,37 @@ ZoteroAIAssistant.ModelRegistry = {
     return models.find(m => m.id === modelId) || null;
   },
   
+  /**
+   * Get the context window for a model, if known
+   * @param {string} provider - "copilot"
+   * @param {string} modelId - Model ID
+   * @returns {number|null}
+   */
+  getContextWindow(provider, modelId) {
+    if (provider !== "copilot") return null;
+    return this.getModel(provider, modelId)?.contextWindow || this.COPILOT_CONTEXT_WINDOW;
+  },
+  
+  /**
+   * Record the images per message a provider's model metadata reports
+   */
+  setImageLimit(provider, modelId, count) {
+    const limit = parseInt(count, 10);
+    if (provider && modelId && limit > 0) {
+      this.reportedImageLimits.set(`${provider}:${modelId}`, limit);
+    }
+  },
+  
+  /**
+   * Get how many images a model accepts in one message
+   * @param {string} provider - Provider ID
+   * @param {string} modelId - Model ID
+   * @returns {number}
+   */
+  getImageLimit(provider, modelId) {
+    return this.reportedImageLimits.get(`${provider}:${modelId}`) || this.IMAGE_LIMITS[provider] || 1;
+  },
+  
   /**
    * Get models grouped by provider (for Copilot)
    * @returns {object}
@@ -0,0 +1,212 @@
+/**
+ * OpenAI-Compatible Client
+ *
+ * Generic client for servers that implement the OpenAI chat completions API
+ * (vLLM, llama.cpp server, LiteLLM and other gateways).
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.OpenAICompatibleClient = {
+  /**
+   * Get configured base URL, always ending in an API version path
+   */
+  getEndpoint() {
+    let endpoint = (Zotero.Prefs.get("extensions.zotero-ai-assistant.openaiCompatibleEndpoint", true) || "").trim();
+    if (!endpoint) return null;
+
+    endpoint = endpoint.replace(/\/+$/, "");
+    if (!/\/v\d+$/.test(endpoint)) {
+      endpoint += "/v1";
+    }
+    return endpoint;
+  },
+
+  /**
+   * Parse custom headers, one "Name: value" per line
+   */
+  parseHeaders(text) {
+    const headers = {};
+    for (const line of (text || "").split("\n")) {
+      const colon = line.indexOf(":");
+      if (colon <= 0) continue;
+      const name = line.slice(0, colon).trim();
+      const value = line.slice(colon + 1).trim();
+      if (name) {
+        headers[name] = value;
+      }
+    }
+    return headers;
+  },
+
+  /**
+   * Build request headers with API key and custom headers
+   */
+  async buildHeaders(stream = false) {
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": stream ? "text/event-stream" : "application/json"
+    };
+
+    const apiKey = await ZoteroAIAssistant.ProviderRegistry.getApiKey("openai-compatible");
+    if (apiKey) {
+      headers["Authorization"] = `Bearer ${apiKey}`;
+    }
+
+    const custom = this.parseHeaders(
+      Zotero.Prefs.get("extensions.zotero-ai-assistant.openaiCompatibleHeaders", true)
+    );
+    return { ...headers, ...custom };
+  },
+
+  /**
+   * Check if the server is reachable and list its models
+   */
+  async checkConnection() {
+    const endpoint = this.getEndpoint();
+    if (!endpoint) return { connected: false, error: "No base URL configured" };
+
+    try {
+      Zotero.debug(`ZoteroAIAssistant.OpenAICompatibleClient: Testing ${endpoint}/models`);
+
+      const response = await fetch(`${endpoint}/models`, {
+        method: "GET",
+        headers: await this.buildHeaders()
+      });
+
+      if (!response.ok) {
+        Zotero.debug(`ZoteroAIAssistant.OpenAICompatibleClient: Server returned ${response.status}`);
+        return { connected: false, error: `Server returned ${response.status}` };
+      }
+
+      const data = await response.json();
+      return { connected: true, models: this.parseModels(data) };
+    } catch (error) {
+      Zotero.debug(`ZoteroAIAssistant.OpenAICompatibleClient: Connection error: ${error.message}`);
+      return { connected: false, error: error.message };
+    }
+  },
+
+  /**
+   * Parse /models response
+   */
+  parseModels(data) {
+    const list = Array.isArray(data) ? data : (data.data || data.models || []);
+    const models = [];
+    for (const m of list) {
+      const id = typeof m === "string" ? m : m.id || m.name;
+      if (!id) continue;
+      // vLLM reports max_model_len, other gateways context_length
+      ZoteroAIAssistant.ContextWindow?.setModelLimit("openai-compatible", id, m.max_model_len || m.context_length);
+      models.push({ id, name: id });
+    }
+    return models;
+  },
+
+  /**
+   * Get available models
+   */
+  async getModels() {
+    const result = await this.checkConnection();
+    return result.connected ? result.models : [];
+  },
+
+  /**
+   * Chat with the configured server
+   * @param {object} options - Chat options
+   * @param {string} options.model - Model name
+   * @param {Array} options.messages - Messages array
+   * @param {boolean} options.stream - Whether to stream
+   * @param {function} options.onChunk - Streaming callback
+   * @param {AbortSignal} options.signal - Abort signal
+   * @param {object} options.responseSchema - { name, schema } for JSON output (optional)
+   */
+  async chat({ model, messages, stream = true, onChunk, signal, responseSchema }) {
+    const endpoint = this.getEndpoint();
+    if (!endpoint) {
+      throw new Error("No base URL configured for the OpenAI-compatible provider");
+    }
+
+    const temperature = Zotero.Prefs.get("extensions.zotero-ai-assistant.temperature", true) ?? 0.3;
+    const maxTokens = Zotero.Prefs.get("extensions.zotero-ai-assistant.maxTokens", true) ?? 2000;
+
+    const body = {
+      model,
+      messages: ZoteroAIAssistant.LocalModelClient.normalizeMessagesForOpenAI(messages || []),
+      stream,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (responseSchema) {
+      body.response_format = ZoteroAIAssistant.LocalModelClient.buildResponseFormat(responseSchema);
+    }
+
+    const response = await fetch(`${endpoint}/chat/completions`, {
+      method: "POST",
+      headers: await this.buildHeaders(stream),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`OpenAI-compatible server error: ${response.status} - ${text}`);
+    }
+
+    if (stream) {
+      return this.handleStream(response, onChunk);
+    }
+
+    const data = await response.json();
+    return {
+      content: data.choices?.[0]?.message?.content || "",
+      model: data.model
+    };
+  },
+
+  /**
+   * Handle streaming response (SSE format)
+   */
+  async handleStream(response, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullContent = "";
+    let model = null;
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+          const jsonStr = line.slice(5).trim();
+          if (!jsonStr || jsonStr === "[DONE]") continue;
+
+          try {
+            const data = JSON.parse(jsonStr);
+            model = model || data.model;
+            const content = data.choices?.[0]?.delta?.content;
+            if (content) {
+              fullContent += content;
+              if (onChunk) {
+                onChunk(content, fullContent);
+              }
+            }
+          } catch (e) {
+            // Skip invalid JSON
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    return { content: fullContent, model };
+  }
+};
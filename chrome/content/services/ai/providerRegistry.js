@@ -0,0 +1,272 @@
+/**
+ * Provider Registry
+ *
+ * Single entry point for AI requests. Resolves the provider and model for a
+ * task through ChatManager.getModelSettings and routes to the matching client.
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.ProviderRegistry = {
+  // Known providers, in display order
+  PROVIDERS: [
+    {
+      id: "copilot",
+      name: "GitHub Copilot",
+      client: "CopilotClient",
+      local: false,
+      requiresAuth: true,
+      serverModels: false
+    },
+    {
+      id: "anthropic",
+      name: "Anthropic API",
+      client: "AnthropicClient",
+      local: false,
+      requiresAuth: true,
+      serverModels: true,
+      apiKeyRealm: "ANTHROPIC_API_KEY"
+    },
+    {
+      id: "gemini",
+      name: "Google Gemini API",
+      client: "GeminiClient",
+      local: false,
+      requiresAuth: true,
+      serverModels: true,
+      apiKeyRealm: "GEMINI_API_KEY"
+    },
+    {
+      id: "ollama",
+      name: "Ollama (Local)",
+      client: "LocalModelClient",
+      local: true,
+      requiresAuth: false,
+      serverModels: true
+    },
+    {
+      id: "lmstudio",
+      name: "LM Studio (Local)",
+      client: "LocalModelClient",
+      local: true,
+      requiresAuth: false,
+      serverModels: true
+    },
+    {
+      id: "openai-compatible",
+      name: "OpenAI-Compatible",
+      client: "OpenAICompatibleClient",
+      local: false,
+      requiresAuth: false,
+      serverModels: true,
+      apiKeyRealm: "OPENAI_COMPATIBLE_API_KEY"
+    }
+  ],
+
+  /**
+   * Get a provider definition
+   * @param {string} providerId
+   * @returns {object|null}
+   */
+  getProvider(providerId) {
+    return this.PROVIDERS.find(p => p.id === providerId) || null;
+  },
+
+  /**
+   * Get providers as { value, label } options for dropdowns
+   * @returns {array}
+   */
+  getProviderOptions() {
+    return this.PROVIDERS.map(p => ({ value: p.id, label: p.name }));
+  },
+
+  /**
+   * Check whether a provider runs on a local server
+   */
+  isLocal(providerId) {
+    return !!this.getProvider(providerId)?.local;
+  },
+
+  /**
+   * Check whether a provider lists its models from the server
+   */
+  hasServerModels(providerId) {
+    return !!this.getProvider(providerId)?.serverModels;
+  },
+
+  /**
+   * Check whether a provider needs sign-in before use
+   */
+  requiresAuth(providerId) {
+    return !!this.getProvider(providerId)?.requiresAuth;
+  },
+
+  /**
+   * Check whether a provider authenticates with a stored API key
+   */
+  usesApiKey(providerId) {
+    return !!this.getProvider(providerId)?.apiKeyRealm;
+  },
+
+  /**
+   * Get the stored API key for a provider
+   * @returns {string|null}
+   */
+  async getApiKey(providerId) {
+    const realmKey = this.getProvider(providerId)?.apiKeyRealm;
+    if (!realmKey) return null;
+    const stored = await ZoteroAIAssistant.TokenStorage.getToken(ZoteroAIAssistant.TokenStorage.REALMS[realmKey]);
+    return stored?.token || null;
+  },
+
+  /**
+   * Store or remove the API key for a provider
+   * @param {string} providerId
+   * @param {string} apiKey - Key to store, empty to remove
+   */
+  async setApiKey(providerId, apiKey) {
+    const realmKey = this.getProvider(providerId)?.apiKeyRealm;
+    if (!realmKey) return false;
+    const realm = ZoteroAIAssistant.TokenStorage.REALMS[realmKey];
+    if (!apiKey) {
+      return ZoteroAIAssistant.TokenStorage.removeToken(realm);
+    }
+    return ZoteroAIAssistant.TokenStorage.storeToken(realm, apiKey);
+  },
+
+  /**
+   * Check whether a provider is ready to use (signed in where needed)
+   */
+  async isAuthenticated(providerId) {
+    if (!this.requiresAuth(providerId)) return true;
+
+    try {
+      if (providerId === "copilot") {
+        return await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
+      }
+      if (this.usesApiKey(providerId)) {
+        return !!(await this.getApiKey(providerId));
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.ProviderRegistry: Auth check failed: " + error);
+    }
+    return false;
+  },
+
+  /**
+   * Check a server-backed provider and list its models
+   * @returns {object} { connected, models, error }
+   */
+  async checkConnection(providerId) {
+    const definition = this.getProvider(providerId);
+    const client = definition ? ZoteroAIAssistant[definition.client] : null;
+    if (!definition?.serverModels || !client?.checkConnection) {
+      return { connected: false, error: `Provider not available: ${providerId}` };
+    }
+    return client.checkConnection(providerId);
+  },
+
+  /**
+   * Get models listed by a server-backed provider
+   */
+  async getModels(providerId) {
+    const result = await this.checkConnection(providerId);
+    return result.connected ? result.models || [] : [];
+  },
+
+  /**
+   * Get the model to use for a provider when none is chosen: the registry
+   * default for Copilot, else the first model the server lists
+   * @returns {Promise<string|null>}
+   */
+  async getDefaultModel(providerId) {
+    if (!this.hasServerModels(providerId)) {
+      return ZoteroAIAssistant.ModelRegistry.getDefaultModel(providerId)?.id || null;
+    }
+    const models = await this.getModels(providerId);
+    return models[0]?.id || null;
+  },
+
+  /**
+   * Resolve provider and model for a request
+   * @param {object} options - { provider, model, task, providerOverride, modelOverride }
+   * @returns {object} { provider, modelId }
+   */
+  resolve(options = {}) {
+    if (options.provider && options.model) {
+      return { provider: options.provider, modelId: options.model };
+    }
+
+    const settings = ZoteroAIAssistant.ChatManager?.getModelSettings?.({
+      task: options.task,
+      providerOverride: options.provider || options.providerOverride,
+      modelOverride: options.model || options.modelOverride
+    });
+
+    return settings || {
+      provider: options.provider || Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true) || "copilot",
+      modelId: options.model || Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultModel", true) || "grok-code-fast-1"
+    };
+  },
+
+  /**
+   * Send a chat request to the resolved provider
+   * @param {object} options - Chat options
+   * @param {Array} options.messages - Messages array
+   * @param {string} options.task - Task ID used to pick a task model
+   * @param {string} options.provider - Explicit provider (optional)
+   * @param {string} options.model - Explicit model (optional)
+   * @param {function} options.onChunk - Streaming callback (chunk, fullContent)
+   * @param {AbortSignal} options.signal - Abort signal
+   * @param {object} options.responseSchema - { name, schema } to request JSON output (optional)
+   * @returns {object} { content, model, provider }
+   */
+  async chat(options = {}) {
+    const { messages, onChunk, signal, temperature, maxTokens, responseSchema } = options;
+    const { provider, modelId } = this.resolve(options);
+    const definition = this.getProvider(provider);
+    const client = definition ? ZoteroAIAssistant[definition.client] : null;
+
+    if (!client) {
+      throw new Error(`Provider not available: ${provider}`);
+    }
+
+    const stream = options.stream ?? !!onChunk;
+    const request = {
+      provider,
+      model: modelId,
+      messages,
+      stream,
+      onChunk,
+      signal
+    };
+    if (temperature !== undefined) request.temperature = temperature;
+    if (maxTokens !== undefined) request.maxTokens = maxTokens;
+    if (responseSchema) request.responseSchema = responseSchema;
+
+    const response = await client.chat(request);
+
+    return {
+      content: response.content || response.choices?.[0]?.message?.content || "",
+      model: response.model || modelId,
+      provider
+    };
+  },
+
+  /**
+   * Send a single prompt and return the response text
+   * @param {string} prompt - User prompt
+   * @param {object} options - Same as chat(), plus systemPrompt
+   * @returns {string}
+   */
+  async complete(prompt, options = {}) {
+    const messages = [];
+    if (options.systemPrompt) {
+      messages.push({ role: "system", content: options.systemPrompt });
+    }
+    messages.push({ role: "user", content: prompt });
+
+    const response = await this.chat({ ...options, messages });
+    return response.content;
+  }
+};
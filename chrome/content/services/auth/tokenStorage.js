@@ -13,7 +13,10 @@ ZoteroAIAssistant.TokenStorage = {
   
   REALMS: {
     GITHUB_COPILOT: "GitHub Copilot OAuth Token",
-    GITHUB_COPILOT_SESSION: "GitHub Copilot Session Token"
+    GITHUB_COPILOT_SESSION: "GitHub Copilot Session Token",
+    OPENAI_COMPATIBLE_API_KEY: "OpenAI-Compatible API Key",
+    ANTHROPIC_API_KEY: "Anthropic API Key",
+    GEMINI_API_KEY: "Google Gemini API Key"
   },
   
   /**
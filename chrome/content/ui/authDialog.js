@@ -1,8 +1,7 @@
 /**
  * Authentication Dialog Controller
  * 
- * Handles the authentication flow for both GitHub Copilot (Device Flow)
- * and OpenAI Codex (OAuth PKCE).
+ * Handles the GitHub Copilot authentication flow (Device Flow).
  */
 
 var ZoteroAIAssistantAuth = {
@@ -51,17 +50,9 @@ var ZoteroAIAssistantAuth = {
   setupUI() {
     const title = document.getElementById("zai-auth-title");
     const githubSection = document.getElementById("zai-auth-github");
-    const openaiSection = document.getElementById("zai-auth-openai");
     
-    if (this.provider === "copilot") {
-      title.textContent = "Connect to GitHub Copilot";
-      githubSection.style.display = "block";
-      openaiSection.style.display = "none";
-    } else {
-      title.textContent = "Connect to OpenAI Codex";
-      githubSection.style.display = "none";
-      openaiSection.style.display = "block";
-    }
+    title.textContent = "Connect to GitHub Copilot";
+    githubSection.style.display = "block";
   },
   
   /**
@@ -90,23 +81,6 @@ var ZoteroAIAssistantAuth = {
     });
     
     // Link removed - user opens github.com/login/device manually or uses copy button
-    
-    // OpenAI Codex events
-    document.getElementById("zai-openai-start-btn")?.addEventListener("click", () => {
-      this.startOpenAIAuth();
-    });
-    
-    document.getElementById("zai-openai-cancel-btn")?.addEventListener("click", () => {
-      this.cancelAuth();
-    });
-    
-    document.getElementById("zai-openai-done-btn")?.addEventListener("click", () => {
-      window.close();
-    });
-    
-    document.getElementById("zai-openai-retry-btn")?.addEventListener("click", () => {
-      this.resetOpenAIUI();
-    });
   },
   
   /**
@@ -157,43 +131,12 @@ var ZoteroAIAssistantAuth = {
     }
   },
   
-  /**
-   * Start OpenAI OAuth PKCE authentication
-   */
-  async startOpenAIAuth() {
-    if (this.isAuthenticating) return;
-    this.isAuthenticating = true;
-    
-    try {
-      // Show step 2 (waiting)
-      this.showOpenAIStep(2);
-      
-      // Start OAuth flow
-      await ZoteroAIAssistant.OpenAICodexOAuth.authenticate();
-      
-      // Success - show step 3
-      this.showOpenAIStep(3);
-      
-    } catch (error) {
-      Zotero.debug("ZoteroAIAssistantAuth: OpenAI auth failed: " + error);
-      document.getElementById("zai-openai-error-msg").textContent = error.message;
-      this.showOpenAIStep("error");
-    } finally {
-      this.isAuthenticating = false;
-    }
-  },
-  
   /**
    * Cancel authentication
    */
   cancelAuth() {
-    if (this.provider === "copilot") {
-      ZoteroAIAssistant.GitHubDeviceFlow.cancelFlow();
-      this.resetGitHubUI();
-    } else {
-      ZoteroAIAssistant.OpenAICodexOAuth.cancelAuth();
-      this.resetOpenAIUI();
-    }
+    ZoteroAIAssistant.GitHubDeviceFlow.cancelFlow();
+    this.resetGitHubUI();
     this.isAuthenticating = false;
   },
   
@@ -211,20 +154,6 @@ var ZoteroAIAssistantAuth = {
     }
   },
   
-  /**
-   * Show a specific step in OpenAI auth flow
-   */
-  showOpenAIStep(step) {
-    const steps = ["step1", "step2", "step3", "error"];
-    
-    for (const s of steps) {
-      const el = document.getElementById(`zai-openai-${s}`);
-      if (el) {
-        el.style.display = (s === `step${step}` || s === step) ? "block" : "none";
-      }
-    }
-  },
-  
   /**
    * Reset GitHub UI to initial state
    */
@@ -234,14 +163,6 @@ var ZoteroAIAssistantAuth = {
     document.getElementById("zai-github-status").textContent = "Waiting for authorization...";
   },
   
-  /**
-   * Reset OpenAI UI to initial state
-   */
-  resetOpenAIUI() {
-    this.showOpenAIStep(1);
-    document.getElementById("zai-openai-status").textContent = "Waiting for sign-in...";
-  },
-  
   /**
    * Copy device code to clipboard
    */
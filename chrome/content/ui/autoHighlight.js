@@ -0,0 +1,242 @@
+/**
+ * Auto-Highlight Window Controller
+ *
+ * Lists the passages the model picked for review, saves the ticked ones as
+ * highlights, and removes every auto-highlight on the paper in one go.
+ */
+
+var ZoteroAIAssistantHighlight = {
+  itemID: null,
+  attachmentID: null,
+  highlights: null,
+  savedIDs: [],
+  abortController: null,
+  isClosed: false,
+
+  /**
+   * Initialize the window
+   */
+  init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.itemID = args.itemID || null;
+    const item = this.itemID ? Zotero.Items.get(this.itemID) : null;
+
+    if (!window.ZoteroAIAssistant?.AutoHighlight) {
+      this.setStatus("AI Assistant modules not loaded. Please restart Zotero.");
+      document.getElementById("zai-highlight-run").disabled = true;
+      return;
+    }
+    if (!item) {
+      this.setStatus("Paper not found.");
+      document.getElementById("zai-highlight-run").disabled = true;
+      return;
+    }
+
+    const title = item.isAttachment() && item.parentItem ? item.parentItem.getField("title") : item.getField("title");
+    document.getElementById("zai-highlight-item").textContent = title || "Untitled";
+    this.renderLegend();
+    this.bindEvents();
+    this.refreshSaved();
+    this.run();
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-highlight-run").addEventListener("click", () => this.run());
+    document.getElementById("zai-highlight-stop").addEventListener("click", () => {
+      this.abortController?.abort();
+      this.setStatus("Stopping...");
+    });
+    document.getElementById("zai-highlight-save").addEventListener("click", () => this.save());
+    document.getElementById("zai-highlight-remove").addEventListener("click", () => this.removeSaved());
+
+    window.addEventListener("unload", () => {
+      this.isClosed = true;
+      this.abortController?.abort();
+    });
+  },
+
+  createEl(tag, className, text) {
+    const el = document.createElementNS("http://www.w3.org/1999/xhtml", tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  },
+
+  renderLegend() {
+    const legend = document.getElementById("zai-highlight-legend");
+    const COLORS = ZoteroAIAssistant.AnnotationManager.COLORS;
+    for (const category of ZoteroAIAssistant.AutoHighlight.CATEGORIES) {
+      const entry = this.createEl("span", "zai-highlight-legend-entry");
+      const swatch = this.createEl("span", "zai-highlight-swatch");
+      swatch.style.background = COLORS[category.id];
+      entry.appendChild(swatch);
+      entry.appendChild(this.createEl("span", "", category.name));
+      legend.appendChild(entry);
+    }
+  },
+
+  setStatus(text) {
+    document.getElementById("zai-highlight-status").textContent = text;
+  },
+
+  setBar(fraction) {
+    document.getElementById("zai-highlight-bar-fill").style.width = `${Math.round(fraction * 100)}%`;
+  },
+
+  setRunning(running) {
+    document.getElementById("zai-highlight-run").disabled = running;
+    document.getElementById("zai-highlight-stop").disabled = !running;
+    this.updateSaveButton(running);
+  },
+
+  updateSaveButton(running = !!this.abortController) {
+    const checked = document.querySelectorAll(".zai-highlight-accept:checked").length;
+    document.getElementById("zai-highlight-save").disabled = running || checked === 0;
+  },
+
+  /**
+   * Count the paper's existing auto-highlights for the remove button
+   */
+  async refreshSaved() {
+    const item = Zotero.Items.get(this.itemID);
+    const saved = item ? await ZoteroAIAssistant.AutoHighlight.getSavedHighlights(item) : [];
+    this.savedIDs = saved.map(annotation => annotation.id);
+    if (this.isClosed) return;
+
+    const removeBtn = document.getElementById("zai-highlight-remove");
+    removeBtn.textContent = this.savedIDs.length
+      ? `Remove AI Highlights (${this.savedIDs.length})`
+      : "Remove AI Highlights";
+    removeBtn.disabled = this.savedIDs.length === 0;
+  },
+
+  /**
+   * Ask the model for passages and list them for review
+   */
+  async run() {
+    const item = Zotero.Items.get(this.itemID);
+    if (!item) return;
+
+    this.highlights = null;
+    this.renderHighlights();
+    this.abortController = new AbortController();
+    this.setRunning(true);
+    this.setBar(0);
+
+    try {
+      const result = await ZoteroAIAssistant.AutoHighlight.proposeHighlights(item, {
+        signal: this.abortController.signal,
+        onProgress: (status, fraction) => {
+          if (this.isClosed) return;
+          this.setStatus(status);
+          this.setBar(fraction);
+        }
+      });
+      if (this.isClosed) return;
+
+      this.attachmentID = result.attachmentID;
+      this.highlights = result.highlights;
+      this.renderHighlights();
+      let status = `${this.highlights.length} passage${this.highlights.length === 1 ? "" : "s"} found`;
+      if (result.unmatched) status += `, ${result.unmatched} could not be located in the PDF`;
+      this.setStatus(status + ".");
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantHighlight: Error: " + error);
+      if (this.isClosed) return;
+      this.setStatus(this.abortController.signal.aborted ? "Stopped." : "Error: " + error.message);
+    }
+
+    this.abortController = null;
+    this.setRunning(false);
+  },
+
+  renderHighlights() {
+    const container = document.getElementById("zai-highlight-list");
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    if (!this.highlights) return;
+
+    const AH = ZoteroAIAssistant.AutoHighlight;
+    this.highlights.forEach((highlight, index) => {
+      const block = this.createEl("div", "zai-writeback-item zai-highlight-entry");
+      block.style.borderLeftColor = highlight.color;
+
+      const label = this.createEl("label", "zai-writeback-title zai-highlight-label");
+      const checkbox = this.createEl("input", "zai-highlight-accept");
+      checkbox.type = "checkbox";
+      checkbox.checked = true;
+      checkbox.dataset.index = index;
+      checkbox.addEventListener("change", () => this.updateSaveButton());
+      label.appendChild(checkbox);
+      const category = AH.CATEGORIES.find(c => c.id === highlight.category);
+      label.appendChild(this.createEl("span", "", `${category?.name || highlight.category}, p. ${highlight.pageLabel}`));
+      block.appendChild(label);
+
+      block.appendChild(this.createEl("div", "zai-highlight-quote", `"${highlight.text}"`));
+      if (highlight.reason) {
+        block.appendChild(this.createEl("div", "zai-highlight-reason", highlight.reason));
+      }
+      container.appendChild(block);
+    });
+    this.updateSaveButton();
+  },
+
+  /**
+   * Save the ticked passages as highlights
+   */
+  async save() {
+    if (!this.highlights || !this.attachmentID) return;
+
+    const accepted = [...document.querySelectorAll(".zai-highlight-accept:checked")]
+      .map(checkbox => this.highlights[Number(checkbox.dataset.index)])
+      .filter(Boolean);
+
+    document.getElementById("zai-highlight-save").disabled = true;
+    this.setStatus("Saving highlights...");
+    try {
+      const ids = await ZoteroAIAssistant.AutoHighlight.saveHighlights(this.attachmentID, accepted);
+      if (this.isClosed) return;
+      this.highlights = this.highlights.filter(highlight => !accepted.includes(highlight));
+      this.renderHighlights();
+      this.setStatus(`Saved ${ids.length} highlight${ids.length === 1 ? "" : "s"}.`);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantHighlight: Save error: " + error);
+      this.setStatus("Save failed: " + error.message);
+    }
+    await this.refreshSaved();
+  },
+
+  /**
+   * Delete every auto-highlight on the paper
+   */
+  async removeSaved() {
+    if (!this.savedIDs.length) return;
+    if (!Services.prompt.confirm(window, "Remove AI Highlights",
+      `Delete the ${this.savedIDs.length} highlights created by auto-highlighting on this paper?`)) {
+      return;
+    }
+
+    document.getElementById("zai-highlight-remove").disabled = true;
+    const removed = await ZoteroAIAssistant.AutoHighlight.removeHighlights(this.savedIDs);
+    if (this.isClosed) return;
+    this.setStatus(`Removed ${removed} highlight${removed === 1 ? "" : "s"}.`);
+    await this.refreshSaved();
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantHighlight.init());
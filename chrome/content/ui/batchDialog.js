@@ -0,0 +1,348 @@
+/**
+ * Batch Dialog Window Controller
+ *
+ * Runs a batch action or a custom prompt over the chosen papers with the
+ * chosen model, showing progress and results as they come in. The run is
+ * a batch job, so it keeps going if the window is closed.
+ */
+
+var ZoteroAIAssistantBatch = {
+  itemIDs: [],
+  collectionID: null,
+  libraryID: null,
+  scopeName: "",
+  jobID: null,
+  results: [],
+  isRunning: false,
+  isClosed: false,
+
+  // Actions with their own window
+  HIDDEN_ACTIONS: ["matrix"],
+
+  /**
+   * Initialize the window
+   */
+  init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.itemIDs = args.itemIDs || [];
+    this.collectionID = args.collectionID || null;
+    this.libraryID = args.libraryID || null;
+    this.scopeName = args.scopeName || "";
+
+    if (!window.ZoteroAIAssistant?.BatchProcessor) {
+      this.setProgress("AI Assistant modules not loaded. Please restart Zotero.");
+      document.getElementById("zai-batch-run").disabled = true;
+      return;
+    }
+
+    document.getElementById("zai-batch-scope").textContent =
+      `${this.itemIDs.length} paper${this.itemIDs.length === 1 ? "" : "s"}${this.scopeName ? ` in ${this.scopeName}` : ""}`;
+
+    const actionEl = document.getElementById("zai-batch-action");
+    for (const action of ZoteroAIAssistant.BatchProcessor.BATCH_ACTIONS) {
+      if (this.HIDDEN_ACTIONS.includes(action.id)) continue;
+      this.appendOption(actionEl, action.id, action.id === "custom" ? "Custom Prompt..." : action.name);
+    }
+    for (const prompt of ZoteroAIAssistant.PromptLibrary?.getPrompts("batch") || []) {
+      this.appendOption(actionEl, "prompt:" + prompt.id, prompt.name);
+    }
+
+    const providerEl = document.getElementById("zai-batch-provider");
+    for (const { value, label } of ZoteroAIAssistant.ProviderRegistry.getProviderOptions()) {
+      this.appendOption(providerEl, value, label);
+    }
+
+    this.bindEvents();
+    this.updateActionFields();
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-batch-action").addEventListener("change", () => this.updateActionFields());
+    document.getElementById("zai-batch-provider").addEventListener("change", () => this.loadModels());
+    document.getElementById("zai-batch-run").addEventListener("click", () => this.run());
+    document.getElementById("zai-batch-stop").addEventListener("click", () => {
+      ZoteroAIAssistant.BatchProcessor.cancelJob(this.jobID);
+      this.setProgress("Stopping...");
+    });
+    document.getElementById("zai-batch-copy").addEventListener("click", () => {
+      if (ZoteroAIAssistant.BatchProcessor.copyResults(this.results)) {
+        this.setProgress("Results copied as Markdown.");
+      }
+    });
+    document.getElementById("zai-batch-markdown").addEventListener("click", () => this.saveResults("markdown"));
+    document.getElementById("zai-batch-csv").addEventListener("click", () => this.saveResults("csv"));
+    document.getElementById("zai-batch-writeback").addEventListener("click", () => {
+      ZoteroAIAssistant.openBatchWriteBack(this.jobID);
+    });
+    document.getElementById("zai-batch-jobs").addEventListener("click", () => ZoteroAIAssistant.openBatchJobs());
+
+    // Closing the window leaves the job running in the job manager
+    window.addEventListener("unload", () => {
+      this.isClosed = true;
+    });
+  },
+
+  appendOption(selectEl, value, label) {
+    const option = document.createElementNS("http://www.w3.org/1999/xhtml", "option");
+    option.value = value;
+    option.textContent = label;
+    selectEl.appendChild(option);
+    return option;
+  },
+
+  getAction() {
+    const value = document.getElementById("zai-batch-action").value;
+    return value.startsWith("prompt:") ? "custom" : value;
+  },
+
+  /**
+   * Get the prompt library entry chosen as the action, if any
+   */
+  getLibraryPrompt() {
+    const value = document.getElementById("zai-batch-action").value;
+    return value.startsWith("prompt:")
+      ? ZoteroAIAssistant.PromptLibrary.getPrompt(value.slice("prompt:".length))
+      : null;
+  },
+
+  /**
+   * Show the prompt or topic field and the action's task model
+   */
+  updateActionFields() {
+    const action = this.getAction();
+    const libraryPrompt = this.getLibraryPrompt();
+    document.getElementById("zai-batch-prompt-field").hidden = action !== "custom" || !!libraryPrompt;
+    document.getElementById("zai-batch-topic-field").hidden = action !== "relevance";
+
+    const { provider } = libraryPrompt
+      ? ZoteroAIAssistant.PromptLibrary.resolveModel(libraryPrompt)
+      : ZoteroAIAssistant.ProviderRegistry.resolve({ task: action });
+    document.getElementById("zai-batch-provider").value = provider;
+    this.loadModels(libraryPrompt?.model);
+  },
+
+  /**
+   * Fill the model list for the chosen provider
+   */
+  async loadModels(selectedModel = "") {
+    const provider = document.getElementById("zai-batch-provider").value;
+    const modelEl = document.getElementById("zai-batch-model");
+    while (modelEl.firstChild) {
+      modelEl.removeChild(modelEl.firstChild);
+    }
+
+    const defaultOption = this.appendOption(modelEl, "", "Task default");
+
+    let models = [];
+    if (ZoteroAIAssistant.ProviderRegistry.hasServerModels(provider)) {
+      modelEl.disabled = true;
+      models = await ZoteroAIAssistant.ProviderRegistry.getModels(provider);
+      modelEl.disabled = false;
+    } else {
+      models = ZoteroAIAssistant.ModelRegistry.getModels(provider);
+    }
+
+    // The provider may have changed while models were loading
+    if (document.getElementById("zai-batch-provider").value !== provider) return;
+    const defaultModel = await this.getDefaultModel(provider, models);
+    defaultOption.textContent = `Task default (${defaultModel || "none available"})`;
+    for (const model of models) {
+      this.appendOption(modelEl, model.id, model.name || model.id);
+    }
+    if (selectedModel && models.some(model => model.id === selectedModel)) {
+      modelEl.value = selectedModel;
+    }
+  },
+
+  /**
+   * Model used when "Task default" is chosen. The task model and the default
+   * model preferences belong to the default provider, so another provider
+   * falls back to its own default.
+   * @param {Array} models - The provider's models, if already loaded
+   */
+  async getDefaultModel(provider, models = null) {
+    const resolved = ZoteroAIAssistant.ProviderRegistry.resolve({ task: this.getAction() });
+    if (provider === resolved.provider) return resolved.modelId;
+    if (models && ZoteroAIAssistant.ProviderRegistry.hasServerModels(provider)) {
+      return models[0]?.id || null;
+    }
+    return ZoteroAIAssistant.ProviderRegistry.getDefaultModel(provider);
+  },
+
+  setProgress(text) {
+    document.getElementById("zai-batch-progress").textContent = text;
+  },
+
+  setRunning(running) {
+    this.isRunning = running;
+    document.getElementById("zai-batch-run").disabled = running;
+    document.getElementById("zai-batch-stop").disabled = !running;
+    for (const id of ["zai-batch-action", "zai-batch-prompt", "zai-batch-topic", "zai-batch-provider", "zai-batch-model"]) {
+      document.getElementById(id).disabled = running;
+    }
+    for (const id of ["zai-batch-copy", "zai-batch-markdown", "zai-batch-csv"]) {
+      document.getElementById(id).disabled = running || this.results.length === 0;
+    }
+    const canWriteBack = this.jobID && ZoteroAIAssistant.BatchWriteBack?.supportsJob({ action: this.getAction() });
+    document.getElementById("zai-batch-writeback").disabled = running || !canWriteBack || this.results.length === 0;
+  },
+
+  /**
+   * Run the chosen action over all papers
+   */
+  async run() {
+    const action = this.getAction();
+    const options = {};
+    const provider = document.getElementById("zai-batch-provider").value;
+    const model = document.getElementById("zai-batch-model").value;
+    if (model) {
+      options.provider = provider;
+      options.model = model;
+    } else if (provider !== ZoteroAIAssistant.ProviderRegistry.resolve({ task: action }).provider) {
+      options.provider = provider;
+      options.model = await this.getDefaultModel(provider);
+      if (!options.model) {
+        this.setProgress(`No models available from ${ZoteroAIAssistant.ProviderRegistry.getProvider(provider)?.name || provider}.`);
+        return;
+      }
+    }
+    const libraryPrompt = this.getLibraryPrompt();
+    if (libraryPrompt) {
+      options.prompt = libraryPrompt.template;
+      options.promptName = libraryPrompt.name;
+    } else if (action === "custom") {
+      options.prompt = document.getElementById("zai-batch-prompt").value.trim();
+      if (!options.prompt) {
+        this.setProgress("Enter a prompt to run.");
+        return;
+      }
+    }
+    if (action === "relevance") {
+      options.topic = document.getElementById("zai-batch-topic").value.trim();
+      if (!options.topic) {
+        this.setProgress("Enter the research topic to rate against.");
+        return;
+      }
+    }
+
+    const items = Zotero.Items.get(this.itemIDs).filter(item => item && item.isRegularItem());
+    if (items.length === 0) {
+      this.setProgress("No papers to process.");
+      return;
+    }
+
+    this.results = [];
+    this.jobID = null;
+    this.renderResults();
+    this.setRunning(true);
+    this.setProgress(`Processing 0 of ${items.length}...`);
+    this.setBar(0);
+
+    const result = await ZoteroAIAssistant.BatchProcessor.processItems(
+      items,
+      action,
+      (current, total, item, itemResult) => {
+        if (this.isClosed) return;
+        this.results.push({ itemID: item?.id, title: item?.getField("title") || "Unknown", result: itemResult });
+        this.appendResult(this.results[this.results.length - 1]);
+        this.setProgress(`Processing ${current} of ${total}...`);
+        this.setBar(current / total);
+      },
+      null,
+      options,
+      {
+        scope: {
+          libraryID: this.libraryID,
+          collectionID: this.collectionID,
+          name: this.scopeName
+        },
+        onStart: (job) => {
+          this.jobID = job.id;
+        }
+      }
+    );
+
+    if (this.isClosed) return;
+    this.setRunning(false);
+
+    if (!result.success) {
+      this.setProgress(result.message);
+      return;
+    }
+
+    this.results = result.results;
+    const failed = this.results.filter(entry => entry.result?.error).length;
+    let status = `${result.processed} of ${items.length} papers processed`;
+    if (failed) status += `, ${failed} failed`;
+    if (result.aborted) status += " (stopped)";
+    this.setProgress(status);
+  },
+
+  setBar(fraction) {
+    document.getElementById("zai-batch-bar-fill").style.width = `${Math.round(fraction * 100)}%`;
+  },
+
+  renderResults() {
+    const container = document.getElementById("zai-batch-results");
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    for (const entry of this.results) {
+      this.appendResult(entry);
+    }
+  },
+
+  /**
+   * Add one paper's result to the list
+   */
+  appendResult(entry) {
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, className, text) => {
+      const el = document.createElementNS(XHTML_NS, tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+
+    const error = entry.result?.error;
+    const block = createEl("div", error ? "zai-batch-result zai-batch-result-error" : "zai-batch-result");
+    const title = createEl("div", "zai-batch-result-title zai-matrix-title-cell", entry.title);
+    title.addEventListener("click", () => ZoteroAIAssistant.LibraryChat?.selectItem(entry.itemID));
+    block.appendChild(title);
+
+    let text;
+    if (error) {
+      text = "Error: " + error;
+    } else if (typeof entry.result === "string") {
+      text = entry.result;
+    } else {
+      text = entry.result?.message || "";
+    }
+    block.appendChild(createEl("div", "zai-batch-result-text", text));
+
+    document.getElementById("zai-batch-results").appendChild(block);
+  },
+
+  async saveResults(format) {
+    const path = await ZoteroAIAssistant.BatchProcessor.saveResults(this.results, format, window);
+    if (path) {
+      this.setProgress("Saved to " + path);
+    }
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantBatch.init());
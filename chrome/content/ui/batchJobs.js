@@ -0,0 +1,216 @@
+/**
+ * Batch Job Manager Window Controller
+ *
+ * Lists saved batch jobs with their progress and lets the user pause,
+ * resume, cancel, retry failed papers, view or copy results and write
+ * them back into the library.
+ */
+
+var ZoteroAIAssistantJobs = {
+  jobListener: null,
+  renderPending: false,
+
+  // Failed papers listed per job before collapsing into a count
+  MAX_FAILED_SHOWN: 5,
+
+  STATUS_LABELS: {
+    running: "Running",
+    paused: "Paused",
+    completed: "Completed",
+    cancelled: "Cancelled"
+  },
+
+  /**
+   * Initialize the window
+   */
+  async init() {
+    this.loadModules();
+
+    if (!window.ZoteroAIAssistant?.BatchProcessor) {
+      document.getElementById("zai-jobs-summary").textContent =
+        "AI Assistant modules not loaded. Please restart Zotero.";
+      return;
+    }
+
+    const BP = ZoteroAIAssistant.BatchProcessor;
+    await BP.init();
+
+    this.jobListener = () => this.scheduleRender();
+    BP.addListener(this.jobListener);
+    window.addEventListener("unload", () => BP.removeListener(this.jobListener));
+
+    document.getElementById("zai-jobs-clear").addEventListener("click", () => this.clearFinished());
+
+    this.render();
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  /**
+   * Jobs notify once per paper per worker; render at most once a frame
+   */
+  scheduleRender() {
+    if (this.renderPending) return;
+    this.renderPending = true;
+    window.requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.render();
+    });
+  },
+
+  createEl(tag, className, text) {
+    const el = document.createElementNS("http://www.w3.org/1999/xhtml", tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  },
+
+  createButton(label, onClick, primary = false) {
+    const button = this.createEl("button", primary ? "zai-prefs-btn zai-prefs-btn-primary" : "zai-prefs-btn", label);
+    button.addEventListener("click", onClick);
+    return button;
+  },
+
+  /**
+   * Render the job list
+   */
+  render() {
+    const BP = ZoteroAIAssistant.BatchProcessor;
+    const jobs = BP.getJobs();
+    const list = document.getElementById("zai-jobs-list");
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    const running = jobs.filter(job => job.status === "running").length;
+    document.getElementById("zai-jobs-summary").textContent =
+      `${jobs.length} job${jobs.length === 1 ? "" : "s"}${running ? `, ${running} running` : ""}`;
+
+    if (jobs.length === 0) {
+      list.appendChild(this.createEl("div", "zai-jobs-empty",
+        "No batch jobs yet. Right-click papers or a collection and choose AI Assistant > Batch... to start one."));
+      return;
+    }
+
+    for (const job of jobs) {
+      list.appendChild(this.renderJob(job));
+    }
+  },
+
+  renderJob(job) {
+    const BP = ZoteroAIAssistant.BatchProcessor;
+    const counts = BP.getCounts(job);
+    const active = BP.isActive(job.id);
+    const finished = counts.done + counts.failed;
+
+    const card = this.createEl("div", `zai-jobs-card zai-jobs-${job.status}`);
+
+    const header = this.createEl("div", "zai-jobs-card-header");
+    header.appendChild(this.createEl("span", "zai-jobs-name", job.name));
+    let statusLabel = this.STATUS_LABELS[job.status] || job.status;
+    if (job.status !== "running" && active) statusLabel = BP.isResumeQueued(job.id) ? "Resuming..." : "Stopping...";
+    else if (job.interrupted) statusLabel = "Interrupted";
+    header.appendChild(this.createEl("span", "zai-jobs-status", statusLabel));
+    card.appendChild(header);
+
+    const bar = this.createEl("div", "zai-jobs-bar");
+    const fill = this.createEl("div", "zai-jobs-bar-fill");
+    fill.style.width = `${counts.total ? Math.round((finished / counts.total) * 100) : 0}%`;
+    bar.appendChild(fill);
+    card.appendChild(bar);
+
+    let detail = `${finished} of ${counts.total} papers`;
+    if (counts.failed) detail += `, ${counts.failed} failed`;
+    detail += ` · started ${new Date(job.createdAt).toLocaleString()}`;
+    card.appendChild(this.createEl("div", "zai-jobs-detail", detail));
+
+    const failed = job.entries.filter(entry => entry.status === "failed");
+    if (failed.length) {
+      const failedList = this.createEl("ul", "zai-jobs-failed");
+      for (const entry of failed.slice(0, this.MAX_FAILED_SHOWN)) {
+        failedList.appendChild(this.createEl("li", "", `${entry.title}: ${entry.error}`));
+      }
+      if (failed.length > this.MAX_FAILED_SHOWN) {
+        failedList.appendChild(this.createEl("li", "", `and ${failed.length - this.MAX_FAILED_SHOWN} more`));
+      }
+      card.appendChild(failedList);
+    }
+
+    const actions = this.createEl("div", "zai-jobs-actions");
+    if (job.status === "running") {
+      actions.appendChild(this.createButton("Pause", () => BP.pauseJob(job.id)));
+      actions.appendChild(this.createButton("Cancel", () => BP.cancelJob(job.id)));
+    } else if (active) {
+      // Resume right after pausing starts again once the workers have stopped
+      if (job.status === "paused" && counts.pending && !BP.isResumeQueued(job.id)) {
+        actions.appendChild(this.createButton("Resume", () => BP.resumeJob(job.id), true));
+      }
+    } else {
+      if (counts.pending) {
+        actions.appendChild(this.createButton("Resume", () => BP.resumeJob(job.id), true));
+      }
+      if (job.status === "paused") {
+        actions.appendChild(this.createButton("Cancel", () => BP.cancelJob(job.id)));
+      }
+      if (counts.failed) {
+        actions.appendChild(this.createButton("Retry Failed", () => BP.retryFailed(job.id)));
+      }
+    }
+
+    if (finished) {
+      if (job.action === "matrix") {
+        actions.appendChild(this.createButton("View Matrix", () => ZoteroAIAssistant.openLiteratureMatrix(job.id)));
+      } else {
+        actions.appendChild(this.createButton("Copy Results", () => {
+          BP.copyResults(BP.getResults(job));
+        }));
+      }
+    }
+
+    const WB = ZoteroAIAssistant.BatchWriteBack;
+    if (!active && WB && ((counts.done && WB.supportsJob(job)) || WB.canUndo(job))) {
+      actions.appendChild(this.createButton("Write Back...", () => ZoteroAIAssistant.openBatchWriteBack(job.id)));
+    }
+
+    if (!active) {
+      actions.appendChild(this.createButton("Delete", () => this.deleteJob(job)));
+    }
+    card.appendChild(actions);
+
+    return card;
+  },
+
+  async deleteJob(job) {
+    const BP = ZoteroAIAssistant.BatchProcessor;
+    const counts = BP.getCounts(job);
+    if (counts.pending && !Services.prompt.confirm(window, "Delete Job",
+      `"${job.name}" has ${counts.pending} unprocessed papers. Delete it anyway?`)) {
+      return;
+    }
+    await BP.deleteJob(job.id);
+  },
+
+  /**
+   * Delete completed and cancelled jobs
+   */
+  async clearFinished() {
+    const BP = ZoteroAIAssistant.BatchProcessor;
+    for (const job of BP.getJobs()) {
+      if ((job.status === "completed" || job.status === "cancelled") && !BP.isActive(job.id)) {
+        await BP.deleteJob(job.id);
+      }
+    }
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantJobs.init());
@@ -0,0 +1,220 @@
+/**
+ * Batch Write-Back Window Controller
+ *
+ * Lets the user pick where a batch job's results go, preview the changes
+ * per item, apply them, and undo everything the job wrote.
+ */
+
+var ZoteroAIAssistantWriteBack = {
+  job: null,
+  preview: null,
+  isBusy: false,
+
+  /**
+   * Initialize the window
+   */
+  init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.job = window.ZoteroAIAssistant?.BatchProcessor?.getJob(args.jobID) || null;
+    if (!this.job) {
+      this.setStatus("Job not found.");
+      document.getElementById("zai-writeback-preview").disabled = true;
+      return;
+    }
+
+    const WB = ZoteroAIAssistant.BatchWriteBack;
+    const config = WB.getConfig(this.job);
+    const targetEl = document.getElementById("zai-writeback-target");
+    for (const target of WB.TARGETS) {
+      const option = document.createElementNS("http://www.w3.org/1999/xhtml", "option");
+      option.value = target.id;
+      option.textContent = target.name;
+      targetEl.appendChild(option);
+    }
+    targetEl.value = config.target;
+    document.getElementById("zai-writeback-prefix").value = config.tagPrefix;
+    document.getElementById("zai-writeback-label").value = config.extraLabel;
+    document.getElementById("zai-writeback-template").value = config.noteTemplate;
+    document.getElementById("zai-writeback-job").textContent = this.job.name;
+
+    this.bindEvents();
+    this.updateFields();
+    this.updateButtons();
+
+    if (!WB.supportsJob(this.job)) {
+      targetEl.disabled = true;
+      document.getElementById("zai-writeback-preview").disabled = true;
+      this.setStatus("This job's results can't be written back, but its changes can be undone.");
+    }
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-writeback-target").addEventListener("change", () => {
+      this.updateFields();
+      this.clearPreview();
+    });
+    for (const id of ["zai-writeback-prefix", "zai-writeback-label", "zai-writeback-template"]) {
+      document.getElementById(id).addEventListener("input", () => this.clearPreview());
+    }
+    document.getElementById("zai-writeback-preview").addEventListener("click", () => this.showPreview());
+    document.getElementById("zai-writeback-apply").addEventListener("click", () => this.apply());
+    document.getElementById("zai-writeback-undo").addEventListener("click", () => this.undo());
+  },
+
+  getConfig() {
+    return ZoteroAIAssistant.BatchWriteBack.getConfig(this.job, {
+      target: document.getElementById("zai-writeback-target").value,
+      tagPrefix: document.getElementById("zai-writeback-prefix").value.trim(),
+      extraLabel: document.getElementById("zai-writeback-label").value.trim() || "AI",
+      noteTemplate: document.getElementById("zai-writeback-template").value
+    });
+  },
+
+  /**
+   * Show only the settings the chosen target uses
+   */
+  updateFields() {
+    const target = document.getElementById("zai-writeback-target").value;
+    document.getElementById("zai-writeback-prefix-field").hidden = target !== "tags";
+    document.getElementById("zai-writeback-label-field").hidden = target !== "extra";
+    document.getElementById("zai-writeback-template-field").hidden = target !== "note";
+  },
+
+  updateButtons() {
+    const pending = this.preview?.some(entry => entry.changes.length) || false;
+    document.getElementById("zai-writeback-apply").disabled = this.isBusy || !pending;
+    document.getElementById("zai-writeback-undo").disabled =
+      this.isBusy || !ZoteroAIAssistant.BatchWriteBack.canUndo(this.job);
+  },
+
+  setStatus(text) {
+    document.getElementById("zai-writeback-status").textContent = text;
+  },
+
+  clearPreview() {
+    this.preview = null;
+    this.renderPreview();
+    this.updateButtons();
+  },
+
+  /**
+   * Dry run: list what would change for each item
+   */
+  showPreview() {
+    this.preview = ZoteroAIAssistant.BatchWriteBack.preview(this.job, this.getConfig());
+    this.renderPreview();
+    this.updateButtons();
+
+    const changed = this.preview.filter(entry => entry.changes.length).length;
+    this.setStatus(`${changed} of ${this.preview.length} items will change.`);
+  },
+
+  describeChange(change) {
+    switch (change.type) {
+      case "addTag":
+        return { sign: "+", text: `Tag "${change.tag}"${change.color ? " (colored)" : ""}` };
+      case "removeTag":
+        return { sign: "-", text: `Tag "${change.tag}"` };
+      case "setField":
+        return { sign: "~", text: `Extra: ${change.after.split("\n").pop()}` };
+      case "addNote":
+        return { sign: "+", text: `Note: ${Zotero.Utilities.unescapeHTML(change.html).slice(0, 300)}` };
+    }
+    return { sign: "?", text: change.type };
+  },
+
+  renderPreview() {
+    const container = document.getElementById("zai-writeback-diff");
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    if (!this.preview) return;
+
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, className, text) => {
+      const el = document.createElementNS(XHTML_NS, tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+
+    for (const entry of this.preview) {
+      const block = createEl("div", "zai-writeback-item");
+      block.appendChild(createEl("div", "zai-writeback-title", entry.title));
+
+      if (entry.applied) {
+        block.appendChild(createEl("div", "zai-writeback-none", "Already written back"));
+      } else if (entry.changes.length === 0) {
+        block.appendChild(createEl("div", "zai-writeback-none", "No changes"));
+      }
+
+      for (const change of entry.changes) {
+        const { sign, text } = this.describeChange(change);
+        const line = createEl("div", `zai-writeback-change zai-writeback-${change.type}`);
+        line.appendChild(createEl("span", "zai-writeback-sign", sign));
+        line.appendChild(createEl("span", "", text));
+        block.appendChild(line);
+      }
+      container.appendChild(block);
+    }
+  },
+
+  async apply() {
+    this.isBusy = true;
+    this.updateButtons();
+    this.setStatus("Writing back...");
+
+    try {
+      const result = await ZoteroAIAssistant.BatchWriteBack.apply(this.job, this.getConfig());
+      this.setStatus(`Applied ${result.changes} changes to ${result.items} items.`);
+    } catch (error) {
+      this.setStatus("Write-back failed: " + error.message);
+    }
+
+    this.isBusy = false;
+    this.preview = null;
+    this.renderPreview();
+    this.updateButtons();
+  },
+
+  async undo() {
+    if (!Services.prompt.confirm(window, "Undo Job Changes",
+      "Remove the tags, field values and notes this job added to your library?")) {
+      return;
+    }
+
+    this.isBusy = true;
+    this.updateButtons();
+    this.setStatus("Undoing...");
+
+    try {
+      const result = await ZoteroAIAssistant.BatchWriteBack.undo(this.job);
+      let status = `Reverted ${result.reverted} changes.`;
+      if (result.conflicts) {
+        status += ` ${result.conflicts} were skipped because the items changed since.`;
+      }
+      this.setStatus(status);
+    } catch (error) {
+      this.setStatus("Undo failed: " + error.message);
+    }
+
+    this.isBusy = false;
+    this.clearPreview();
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantWriteBack.init());
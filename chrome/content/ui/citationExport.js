@@ -0,0 +1,173 @@
+/**
+ * Cite & Export Window Controller
+ *
+ * Copies a bibliography or combined in-text citation for several papers in
+ * any installed style, and exports them as BibTeX, RIS or CSL JSON.
+ */
+
+var ZoteroAIAssistantCite = {
+  itemIDs: [],
+  scopeName: "",
+
+  /**
+   * Initialize the window
+   */
+  async init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.itemIDs = args.itemIDs || [];
+    this.scopeName = args.scopeName || "";
+
+    if (!window.ZoteroAIAssistant?.CitationHelper) {
+      this.setProgress("AI Assistant modules not loaded. Please restart Zotero.");
+      return;
+    }
+
+    document.getElementById("zai-cite-scope").textContent =
+      `${this.itemIDs.length} paper${this.itemIDs.length === 1 ? "" : "s"}${this.scopeName ? ` in ${this.scopeName}` : ""}`;
+
+    const CH = ZoteroAIAssistant.CitationHelper;
+    const formatEl = document.getElementById("zai-cite-format");
+    for (const format of CH.EXPORT_FORMATS) {
+      this.appendOption(formatEl, format.id, format.name);
+    }
+
+    const styleEl = document.getElementById("zai-cite-style");
+    for (const style of CH.STYLES) {
+      this.appendOption(styleEl, style.id, style.name);
+    }
+    this.bindEvents();
+
+    try {
+      const quickIDs = CH.STYLES.map(style => style.styleID);
+      const installed = (await CH.getInstalledStyles()).filter(style => !quickIDs.includes(style.id));
+      if (installed.length) {
+        const group = document.createElementNS("http://www.w3.org/1999/xhtml", "optgroup");
+        group.label = "Installed Styles";
+        for (const style of installed) {
+          this.appendOption(group, style.id, style.name);
+        }
+        styleEl.appendChild(group);
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantCite: Style list error: " + error);
+    }
+
+    this.showBibliography();
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-cite-style").addEventListener("change", () => this.showBibliography());
+    document.getElementById("zai-cite-format").addEventListener("change", () => this.showExport());
+    document.getElementById("zai-cite-bibliography").addEventListener("click", () => this.copyBibliography());
+    document.getElementById("zai-cite-intext").addEventListener("click", () => this.copyInTextCitation());
+    document.getElementById("zai-cite-export-copy").addEventListener("click", () => this.copyExport());
+    document.getElementById("zai-cite-export-save").addEventListener("click", () => this.saveExport());
+  },
+
+  appendOption(parentEl, value, label) {
+    const option = document.createElementNS("http://www.w3.org/1999/xhtml", "option");
+    option.value = value;
+    option.textContent = label;
+    parentEl.appendChild(option);
+  },
+
+  getItems() {
+    return Zotero.Items.get(this.itemIDs).filter(item => item && item.isRegularItem());
+  },
+
+  getStyle() {
+    return document.getElementById("zai-cite-style").value;
+  },
+
+  getFormat() {
+    return document.getElementById("zai-cite-format").value;
+  },
+
+  setProgress(text) {
+    document.getElementById("zai-cite-progress").textContent = text;
+  },
+
+  setPreview(text) {
+    document.getElementById("zai-cite-preview").textContent = text;
+  },
+
+  async showBibliography() {
+    try {
+      this.setPreview(await ZoteroAIAssistant.CitationHelper.formatBibliography(this.getItems(), this.getStyle(), "text"));
+      this.setProgress("");
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantCite: Bibliography error: " + error);
+      this.setPreview("");
+      this.setProgress("Error: " + error.message);
+    }
+  },
+
+  async showExport() {
+    try {
+      this.setPreview(await ZoteroAIAssistant.CitationHelper.exportItems(this.getItems(), this.getFormat()));
+      this.setProgress("");
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantCite: Export error: " + error);
+      this.setPreview("");
+      this.setProgress("Error: " + error.message);
+    }
+  },
+
+  async copyBibliography() {
+    const items = this.getItems();
+    if (await ZoteroAIAssistant.CitationHelper.copyBibliography(items, this.getStyle())) {
+      this.setProgress(`Bibliography for ${items.length} paper${items.length === 1 ? "" : "s"} copied.`);
+    } else {
+      this.setProgress("Could not format the bibliography.");
+    }
+  },
+
+  async copyInTextCitation() {
+    if (await ZoteroAIAssistant.CitationHelper.copyInTextCitation(this.getItems(), this.getStyle())) {
+      this.setProgress("In-text citation copied.");
+    } else {
+      this.setProgress("Could not format the citation.");
+    }
+  },
+
+  async copyExport() {
+    const CH = ZoteroAIAssistant.CitationHelper;
+    try {
+      const text = await CH.exportItems(this.getItems(), this.getFormat());
+      this.setPreview(text);
+      CH.copyToClipboard(null, text);
+      this.setProgress(`${CH.EXPORT_FORMATS.find(f => f.id === this.getFormat()).name} copied.`);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantCite: Export error: " + error);
+      this.setProgress("Error: " + error.message);
+    }
+  },
+
+  async saveExport() {
+    try {
+      const path = await ZoteroAIAssistant.CitationHelper.saveExport(this.getItems(), this.getFormat(), window);
+      if (path) {
+        this.setProgress("Saved to " + path);
+      }
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantCite: Save error: " + error);
+      this.setProgress("Error: " + error.message);
+    }
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantCite.init());
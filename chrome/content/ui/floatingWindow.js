@@ -570,22 +570,14 @@ var ZoteroAIAssistantFloating = {
     const provider = this.providerSelect.value;
     
     try {
-      let isAuthenticated = false;
-      
-      if (provider === "copilot") {
-        isAuthenticated = await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
-      } else {
-        isAuthenticated = await ZoteroAIAssistant.OpenAICodexOAuth.hasValidSession();
-      }
+      const isAuthenticated = await ZoteroAIAssistant.ProviderRegistry.isAuthenticated(provider);
       
       if (isAuthenticated) {
         authStatus.style.display = "none";
       } else {
         authStatus.style.display = "flex";
         authStatus.className = "zai-auth-status zai-auth-required";
-        statusText.textContent = provider === "copilot" 
-          ? "Connect to GitHub Copilot" 
-          : "Connect to OpenAI Codex";
+        statusText.textContent = `Connect to ${ZoteroAIAssistant.ProviderRegistry.getProvider(provider)?.name || "GitHub Copilot"}`;
         authBtn.textContent = "Connect";
       }
     } catch (error) {
@@ -612,11 +604,7 @@ var ZoteroAIAssistantFloating = {
     let isAuthenticated = false;
     
     try {
-      if (provider === "copilot") {
-        isAuthenticated = await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
-      } else {
-        isAuthenticated = await ZoteroAIAssistant.OpenAICodexOAuth.hasValidSession();
-      }
+      isAuthenticated = await ZoteroAIAssistant.ProviderRegistry.isAuthenticated(provider);
     } catch (e) {}
     
     if (!isAuthenticated) {
@@ -0,0 +1,271 @@
+/**
+ * Image Capture
+ *
+ * PDF capture flows for the chat sidebar. The floating window is disabled
+ * (openFloatingWindow opens the sidebar), so only the sidebar uses them.
+ * Each function takes the chat view it attaches to, which provides:
+ * pendingImages, MAX_IMAGE_ATTACHMENTS, MAX_IMAGE_DIMENSION, IMAGE_QUALITY,
+ * getPDFReader(), addImageAttachment(dataUrl, meta, maxDimension),
+ * renderPendingImages() and showToast(message).
+ */
+
+var ZoteroAIAssistant = ZoteroAIAssistant || {};
+
+ZoteroAIAssistant.ImageCapture = {
+  // Region captures keep more detail so small figures stay legible
+  MAX_REGION_DIMENSION: 2048,
+  // Pages rendered for one page capture preview
+  MAX_PAGE_PREVIEWS: 12,
+
+  /**
+   * Images the current model accepts in one message, capped by MAX_IMAGE_ATTACHMENTS
+   */
+  getImageLimit(view) {
+    const registry = ZoteroAIAssistant?.ProviderRegistry;
+    if (!registry || !ZoteroAIAssistant.ModelRegistry) return view.MAX_IMAGE_ATTACHMENTS;
+    const { provider, modelId } = registry.resolve();
+    return Math.min(view.MAX_IMAGE_ATTACHMENTS, ZoteroAIAssistant.ModelRegistry.getImageLimit(provider, modelId));
+  },
+
+  getImageLimitMessage(view) {
+    const limit = this.getImageLimit(view);
+    return limit < view.MAX_IMAGE_ATTACHMENTS
+      ? `This model accepts ${limit} image${limit === 1 ? "" : "s"} per message`
+      : "Too many images attached";
+  },
+
+  /**
+   * Check the view has room for another image, telling the user if not
+   */
+  hasImageSlot(view) {
+    if (view.pendingImages.length < this.getImageLimit(view)) return true;
+    view.showToast(this.getImageLimitMessage(view));
+    return false;
+  },
+
+  /**
+   * Let the user drag over a region of the open PDF and attach it
+   */
+  async captureRegion(view) {
+    const pdfReader = view.getPDFReader();
+    if (!pdfReader?.captureRegion) {
+      view.showToast("PDF capture not available");
+      return;
+    }
+    if (!this.hasImageSlot(view)) return;
+    view.showToast("Drag over a figure or table in the PDF");
+    const result = await pdfReader.captureRegion({
+      maxDimension: this.MAX_REGION_DIMENSION,
+      quality: view.IMAGE_QUALITY
+    });
+    if (result?.cancelled) return;
+    if (result?.dataUrl) {
+      await view.addImageAttachment(result.dataUrl, {
+        source: "pdf-region",
+        page: result.pageNumber,
+        region: {
+          attachmentID: result.attachmentID,
+          pageIndex: result.pageIndex,
+          pageLabel: result.pageLabel,
+          pageHeight: result.pageHeight,
+          rect: result.rect
+        }
+      }, this.MAX_REGION_DIMENSION);
+    } else {
+      view.showToast(result?.error || "Could not capture the region");
+    }
+  },
+
+  /**
+   * Show the page capture panel above the view's input: a page range or the
+   * pages with figure and table captions are rendered off-screen into a
+   * preview strip, and the ticked pages are attached
+   * @param {object} view - Chat view, see the top of this file
+   * @param {Element|Document} root - Element holding the view's input area
+   */
+  showPageCapture(view, root) {
+    const existing = root.querySelector(".zai-page-capture");
+    if (existing) existing.remove();
+
+    const pdfReader = view.getPDFReader();
+    const active = pdfReader?.getActiveDocument?.();
+    if (!active || active.error) {
+      view.showToast(active?.error || "PDF capture not available");
+      return;
+    }
+
+    const doc = root.ownerDocument || root;
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, attrs = {}) => {
+      const el = doc.createElementNS(XHTML_NS, tag);
+      for (const [key, value] of Object.entries(attrs)) {
+        if (key === "className") {
+          el.className = value;
+        } else if (key === "textContent") {
+          el.textContent = value;
+        } else {
+          el.setAttribute(key, value);
+        }
+      }
+      return el;
+    };
+
+    const menu = createEl("div", { className: "zai-attachment-menu zai-page-capture" });
+    const header = createEl("div", { className: "zai-attachment-menu-header", textContent: "Capture Pages" });
+    const controls = createEl("div", { className: "zai-page-capture-controls" });
+    const rangeInput = createEl("input", {
+      className: "zai-page-capture-range",
+      type: "text",
+      placeholder: `Pages, e.g. 2-4, 7 (of ${active.pageCount})`
+    });
+    rangeInput.value = String(active.currentPageIndex + 1);
+    const previewBtn = createEl("button", { className: "zai-attachment-btn", textContent: "Preview" });
+    const figuresBtn = createEl("button", { className: "zai-attachment-btn", textContent: "Figure & table pages" });
+    const status = createEl("div", { className: "zai-page-capture-status" });
+    const strip = createEl("div", { className: "zai-page-capture-strip" });
+    const footer = createEl("div", { className: "zai-page-capture-footer" });
+    const cancelBtn = createEl("button", { className: "zai-attachment-btn", textContent: "Cancel" });
+    const attachBtn = createEl("button", { className: "zai-attachment-btn", textContent: "Attach selected" });
+    attachBtn.disabled = true;
+
+    let previews = [];
+    // A newer preview replaces one still rendering
+    let renderID = 0;
+
+    const getSlots = () => this.getImageLimit(view) - view.pendingImages.length;
+    const updateAttachButton = () => {
+      const count = strip.querySelectorAll("input:checked").length;
+      attachBtn.disabled = count === 0;
+      attachBtn.textContent = count ? `Attach ${count} page${count === 1 ? "" : "s"}` : "Attach selected";
+    };
+
+    const preview = async (pageIndexes, captions = new Map()) => {
+      const id = ++renderID;
+      previews = [];
+      while (strip.firstChild) {
+        strip.removeChild(strip.firstChild);
+      }
+      updateAttachButton();
+
+      const skipped = Math.max(0, pageIndexes.length - this.MAX_PAGE_PREVIEWS);
+      const result = await pdfReader.capturePages(pageIndexes.slice(0, this.MAX_PAGE_PREVIEWS), {
+        maxDimension: view.MAX_IMAGE_DIMENSION,
+        quality: view.IMAGE_QUALITY,
+        onProgress: (done, total) => {
+          if (id === renderID) status.textContent = `Rendering page ${done + 1} of ${total}...`;
+        }
+      });
+      if (id !== renderID) return;
+      if (result.error) {
+        status.textContent = result.error;
+        return;
+      }
+
+      previews = result.images;
+      const slots = getSlots();
+      previews.forEach((image, index) => {
+        const label = createEl("label", {
+          className: "zai-page-capture-page",
+          title: captions.get(image.pageIndex)?.join(", ") || `Page ${image.pageLabel}`
+        });
+        const img = createEl("img", { src: image.dataUrl, alt: `Page ${image.pageLabel}` });
+        const checkbox = createEl("input", { type: "checkbox" });
+        checkbox.checked = index < slots;
+        checkbox.dataset.index = index;
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked && strip.querySelectorAll("input:checked").length > getSlots()) {
+            checkbox.checked = false;
+            view.showToast(this.getImageLimitMessage(view));
+          }
+          updateAttachButton();
+        });
+        label.appendChild(img);
+        label.appendChild(checkbox);
+        label.appendChild(createEl("span", { textContent: `p. ${image.pageLabel}` }));
+        strip.appendChild(label);
+      });
+
+      let text = `${previews.length} page${previews.length === 1 ? "" : "s"} rendered.`;
+      if (skipped) text += ` ${skipped} more not shown.`;
+      if (slots < previews.length) {
+        text += slots > 0 ? ` Only ${slots} fit in this message; tick the ones you need.` : ` ${this.getImageLimitMessage(view)}.`;
+      }
+      status.textContent = text;
+      updateAttachButton();
+    };
+
+    const previewRange = () => {
+      const pageIndexes = pdfReader.parsePageRange(rangeInput.value, active.pageCount);
+      if (pageIndexes.length === 0) {
+        status.textContent = `Enter pages between 1 and ${active.pageCount}, e.g. 2-4, 7`;
+        return;
+      }
+      preview(pageIndexes);
+    };
+    previewBtn.addEventListener("click", previewRange);
+    rangeInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        previewRange();
+      }
+    });
+
+    figuresBtn.addEventListener("click", async () => {
+      renderID++;
+      status.textContent = "Looking for figure and table captions...";
+      const result = await pdfReader.findFigurePages();
+      if (result.error) {
+        status.textContent = result.error;
+        return;
+      }
+      if (result.pages.length === 0) {
+        status.textContent = "No figure or table captions found. Enter the pages instead.";
+        return;
+      }
+      rangeInput.value = result.pages.map(page => page.pageIndex + 1).join(", ");
+      preview(result.pages.map(page => page.pageIndex), new Map(result.pages.map(page => [page.pageIndex, page.captions])));
+    });
+
+    cancelBtn.addEventListener("click", () => {
+      renderID++;
+      menu.remove();
+    });
+    attachBtn.addEventListener("click", async () => {
+      const selected = [...strip.querySelectorAll("input:checked")]
+        .map(checkbox => previews[Number(checkbox.dataset.index)])
+        .filter(Boolean);
+      menu.remove();
+      for (const image of selected) {
+        await view.addImageAttachment(image.dataUrl, { source: "pdf", page: image.pageNumber });
+      }
+    });
+
+    controls.appendChild(rangeInput);
+    controls.appendChild(previewBtn);
+    controls.appendChild(figuresBtn);
+    footer.appendChild(cancelBtn);
+    footer.appendChild(attachBtn);
+    menu.appendChild(header);
+    menu.appendChild(controls);
+    menu.appendChild(status);
+    menu.appendChild(strip);
+    menu.appendChild(footer);
+
+    const inputArea = root.querySelector(".zai-input-area");
+    inputArea?.insertAdjacentElement("beforebegin", menu);
+  },
+
+  /**
+   * Save an attached region as an image annotation on its PDF
+   */
+  async saveRegionAnnotation(view, image) {
+    const annotationID = await view.getPDFReader()?.saveRegionAnnotation(image.region);
+    if (annotationID) {
+      image.region.saved = true;
+      view.renderPendingImages();
+      view.showToast("Saved as image annotation");
+    } else {
+      view.showToast("Could not save annotation");
+    }
+  }
+};
@@ -0,0 +1,267 @@
+/**
+ * Literature Matrix Window Controller
+ *
+ * Runs the matrix batch action over the chosen papers as a batch job and
+ * shows the results as a sortable table with TSV/CSV and note export.
+ * The job keeps running if the window is closed and can be reopened from
+ * the job manager.
+ */
+
+var ZoteroAIAssistantMatrix = {
+  itemIDs: [],
+  collectionID: null,
+  libraryID: null,
+  scopeName: "",
+  jobID: null,
+  columns: [],
+  rows: [],
+  sortKey: null,
+  sortDirection: "asc",
+  isRunning: false,
+  jobListener: null,
+
+  /**
+   * Initialize the window
+   */
+  init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.itemIDs = args.itemIDs || [];
+    this.collectionID = args.collectionID || null;
+    this.libraryID = args.libraryID || null;
+    this.scopeName = args.scopeName || "";
+
+    if (!window.ZoteroAIAssistant?.LiteratureMatrix) {
+      this.setProgress("AI Assistant modules not loaded. Please restart Zotero.");
+      document.getElementById("zai-matrix-run").disabled = true;
+      return;
+    }
+
+    const LM = ZoteroAIAssistant.LiteratureMatrix;
+    const job = args.jobID ? ZoteroAIAssistant.BatchProcessor.getJob(args.jobID) : null;
+    this.columns = job?.options?.columns || LM.getColumns();
+    document.getElementById("zai-matrix-columns").value = LM.formatColumns(this.columns);
+    document.getElementById("zai-matrix-scope").textContent =
+      `${this.itemIDs.length} paper${this.itemIDs.length === 1 ? "" : "s"}${this.scopeName ? ` in ${this.scopeName}` : ""}`;
+
+    this.bindEvents();
+
+    if (job) {
+      this.jobID = job.id;
+      this.update(job);
+    }
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-matrix-run").addEventListener("click", () => this.run());
+    document.getElementById("zai-matrix-stop").addEventListener("click", () => {
+      ZoteroAIAssistant.BatchProcessor.cancelJob(this.jobID);
+      this.setProgress("Stopping...");
+    });
+    document.getElementById("zai-matrix-reset").addEventListener("click", () => {
+      const LM = ZoteroAIAssistant.LiteratureMatrix;
+      document.getElementById("zai-matrix-columns").value = LM.formatColumns(LM.DEFAULT_COLUMNS);
+    });
+    document.getElementById("zai-matrix-copy").addEventListener("click", () => this.copyTSV());
+    document.getElementById("zai-matrix-csv").addEventListener("click", () => this.exportCSV());
+    document.getElementById("zai-matrix-note").addEventListener("click", () => this.saveNote());
+
+    this.jobListener = (job) => {
+      if (job.id === this.jobID && !job.deleted) {
+        this.update(job);
+      }
+    };
+    ZoteroAIAssistant.BatchProcessor.addListener(this.jobListener);
+
+    window.addEventListener("unload", () => {
+      ZoteroAIAssistant.BatchProcessor.removeListener(this.jobListener);
+    });
+  },
+
+  setProgress(text) {
+    document.getElementById("zai-matrix-progress").textContent = text;
+  },
+
+  setRunning(running) {
+    this.isRunning = running;
+    document.getElementById("zai-matrix-run").disabled = running;
+    document.getElementById("zai-matrix-stop").disabled = !running;
+    document.getElementById("zai-matrix-columns").disabled = running;
+    for (const id of ["zai-matrix-copy", "zai-matrix-csv", "zai-matrix-note"]) {
+      document.getElementById(id).disabled = running || this.rows.length === 0;
+    }
+  },
+
+  /**
+   * Extract the matrix for all papers
+   */
+  async run() {
+    const LM = ZoteroAIAssistant.LiteratureMatrix;
+    const columns = LM.parseColumns(document.getElementById("zai-matrix-columns").value);
+    if (columns.length === 0) {
+      this.setProgress("Add at least one column.");
+      return;
+    }
+
+    const items = Zotero.Items.get(this.itemIDs).filter(item => item && item.isRegularItem());
+    if (items.length === 0) {
+      this.setProgress("No papers to process.");
+      return;
+    }
+
+    LM.setColumns(columns);
+    this.columns = columns;
+    this.rows = [];
+    this.renderTable();
+
+    try {
+      const job = await ZoteroAIAssistant.BatchProcessor.createJob({
+        action: "matrix",
+        items,
+        options: { columns },
+        scope: {
+          libraryID: this.libraryID,
+          collectionID: this.collectionID,
+          name: this.scopeName
+        }
+      });
+      this.jobID = job.id;
+      this.update(job);
+    } catch (error) {
+      this.setProgress(error.message);
+    }
+  },
+
+  /**
+   * Show a job's progress and finished rows
+   */
+  update(job) {
+    const BP = ZoteroAIAssistant.BatchProcessor;
+    const counts = BP.getCounts(job);
+    this.rows = ZoteroAIAssistant.LiteratureMatrix.buildRows(BP.getResults(job));
+    this.renderTable();
+    this.setRunning(job.status === "running" || BP.isActive(job.id));
+
+    const finished = counts.done + counts.failed;
+    if (job.status === "running") {
+      this.setProgress(`Processing ${finished} of ${counts.total}...`);
+      return;
+    }
+
+    let status = `${finished} of ${counts.total} papers processed`;
+    if (counts.failed) status += `, ${counts.failed} failed`;
+    if (job.status === "paused") status += " (paused, resume it from AI Batch Jobs)";
+    if (job.status === "cancelled") status += " (stopped)";
+    this.setProgress(status);
+  },
+
+  /**
+   * Get rows in the current sort order
+   */
+  getSortedRows() {
+    if (!this.sortKey) return this.rows;
+    return ZoteroAIAssistant.LiteratureMatrix.sortRows(this.rows, this.sortKey, this.sortDirection);
+  },
+
+  sortBy(key) {
+    if (this.sortKey === key) {
+      this.sortDirection = this.sortDirection === "asc" ? "desc" : "asc";
+    } else {
+      this.sortKey = key;
+      this.sortDirection = "asc";
+    }
+    this.renderTable();
+  },
+
+  /**
+   * Render the results table
+   */
+  renderTable() {
+    const container = document.getElementById("zai-matrix-table-container");
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    if (this.rows.length === 0) return;
+
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, className, text) => {
+      const el = document.createElementNS(XHTML_NS, tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+
+    const LM = ZoteroAIAssistant.LiteratureMatrix;
+    const keys = ["title", "authors", "year", ...this.columns.map(c => c.id)];
+    const headers = LM.getHeaders(this.columns);
+
+    const table = createEl("table", "zai-matrix-table");
+    const headRow = createEl("tr");
+    keys.forEach((key, index) => {
+      const th = createEl("th", "zai-matrix-sortable", headers[index]);
+      if (this.sortKey === key) {
+        th.classList.add(this.sortDirection === "asc" ? "zai-matrix-sort-asc" : "zai-matrix-sort-desc");
+      }
+      th.title = "Sort by " + headers[index];
+      th.addEventListener("click", () => this.sortBy(key));
+      headRow.appendChild(th);
+    });
+    const thead = createEl("thead");
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = createEl("tbody");
+    for (const row of this.getSortedRows()) {
+      const tr = createEl("tr", row.error ? "zai-matrix-row-error" : "");
+      LM.getCells(row, this.columns).forEach((cell, index) => {
+        const td = createEl("td", "", cell);
+        // Titles select the item in the library
+        if (index === 0) {
+          td.classList.add("zai-matrix-title-cell");
+          td.addEventListener("click", () => ZoteroAIAssistant.LibraryChat?.selectItem(row.itemID));
+        }
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    container.appendChild(table);
+  },
+
+  copyTSV() {
+    const tsv = ZoteroAIAssistant.LiteratureMatrix.toTSV(this.getSortedRows(), this.columns);
+    if (ZoteroAIAssistant.ExportHelper.copyToClipboard(tsv)) {
+      this.setProgress("Copied. Paste into Excel or Google Sheets.");
+    }
+  },
+
+  async exportCSV() {
+    const path = await ZoteroAIAssistant.LiteratureMatrix.saveToFile(this.getSortedRows(), this.columns, "csv", window);
+    if (path) {
+      this.setProgress("Saved to " + path);
+    }
+  },
+
+  async saveNote() {
+    const noteID = await ZoteroAIAssistant.LiteratureMatrix.saveAsNote(this.getSortedRows(), this.columns, {
+      libraryID: this.libraryID,
+      collectionID: this.collectionID
+    });
+    this.setProgress(noteID ? "Saved as a note." : "Failed to save the note.");
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantMatrix.init());
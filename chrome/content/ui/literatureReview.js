@@ -0,0 +1,169 @@
+/**
+ * Literature Review Window Controller
+ *
+ * Drafts a themed literature review for the chosen papers and saves it as
+ * a note. The per-paper summaries run as a batch job, so their progress
+ * also shows in the job manager.
+ */
+
+var ZoteroAIAssistantReview = {
+  itemIDs: [],
+  collectionID: null,
+  libraryID: null,
+  scopeName: "",
+  abortController: null,
+  review: null,
+  noteID: null,
+  isClosed: false,
+
+  // Styles with in-text citations in CitationHelper
+  STYLES: ["apa", "mla", "chicago", "harvard"],
+
+  /**
+   * Initialize the window
+   */
+  init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.itemIDs = args.itemIDs || [];
+    this.collectionID = args.collectionID || null;
+    this.libraryID = args.libraryID || null;
+    this.scopeName = args.scopeName || "";
+
+    if (!window.ZoteroAIAssistant?.PaperComparison) {
+      this.setProgress("AI Assistant modules not loaded. Please restart Zotero.");
+      document.getElementById("zai-review-run").disabled = true;
+      return;
+    }
+
+    document.getElementById("zai-review-scope").textContent =
+      `${this.itemIDs.length} paper${this.itemIDs.length === 1 ? "" : "s"}${this.scopeName ? ` in ${this.scopeName}` : ""}`;
+
+    const styleEl = document.getElementById("zai-review-style");
+    for (const style of ZoteroAIAssistant.CitationHelper.STYLES) {
+      if (!this.STYLES.includes(style.id)) continue;
+      const option = document.createElementNS("http://www.w3.org/1999/xhtml", "option");
+      option.value = style.id;
+      option.textContent = style.name;
+      styleEl.appendChild(option);
+    }
+
+    this.bindEvents();
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-review-run").addEventListener("click", () => this.run());
+    document.getElementById("zai-review-stop").addEventListener("click", () => {
+      this.abortController?.abort();
+      this.setProgress("Stopping...");
+    });
+    document.getElementById("zai-review-copy").addEventListener("click", () => this.copyMarkdown());
+    document.getElementById("zai-review-note").addEventListener("click", () => {
+      ZoteroAIAssistant.LibraryChat?.selectItem(this.noteID);
+    });
+
+    window.addEventListener("unload", () => {
+      this.isClosed = true;
+      this.abortController?.abort();
+    });
+  },
+
+  setProgress(text) {
+    document.getElementById("zai-review-progress").textContent = text;
+  },
+
+  setBar(fraction) {
+    document.getElementById("zai-review-bar-fill").style.width = `${Math.round(fraction * 100)}%`;
+  },
+
+  setRunning(running) {
+    document.getElementById("zai-review-run").disabled = running;
+    document.getElementById("zai-review-stop").disabled = !running;
+    document.getElementById("zai-review-topic").disabled = running;
+    document.getElementById("zai-review-style").disabled = running;
+    document.getElementById("zai-review-copy").disabled = running || !this.review;
+    document.getElementById("zai-review-note").disabled = running || !this.noteID;
+  },
+
+  /**
+   * Draft the review and save it as a note
+   */
+  async run() {
+    const items = Zotero.Items.get(this.itemIDs).filter(item => item && item.isRegularItem());
+    if (items.length < 2) {
+      this.setProgress("Select at least two papers to draft a literature review.");
+      return;
+    }
+
+    this.review = null;
+    this.noteID = null;
+    document.getElementById("zai-review-output").textContent = "";
+    this.abortController = new AbortController();
+    this.setRunning(true);
+    this.setBar(0);
+
+    const PC = ZoteroAIAssistant.PaperComparison;
+    try {
+      this.review = await PC.generateLiteratureReview(items, {
+        topic: document.getElementById("zai-review-topic").value.trim(),
+        style: document.getElementById("zai-review-style").value,
+        scope: {
+          libraryID: this.libraryID,
+          collectionID: this.collectionID,
+          name: this.scopeName
+        },
+        signal: this.abortController.signal,
+        onProgress: (status, fraction) => {
+          if (this.isClosed) return;
+          this.setProgress(status);
+          this.setBar(fraction);
+        }
+      });
+
+      this.noteID = await PC.saveReviewNote(this.review, {
+        libraryID: this.libraryID,
+        collectionID: this.collectionID
+      });
+
+      if (this.isClosed) return;
+      document.getElementById("zai-review-output").textContent = this.review.markdown;
+      let status = `Saved as a note citing ${this.review.citedItemIDs.length} of ${this.review.papers} papers`;
+      if (this.review.failed) status += `, ${this.review.failed} could not be summarized`;
+      this.setProgress(status + ".");
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantReview: Error: " + error);
+      if (this.isClosed) return;
+      this.setProgress(this.abortController.signal.aborted ? "Stopped." : "Error: " + error.message);
+    }
+
+    this.abortController = null;
+    this.setRunning(false);
+  },
+
+  copyMarkdown() {
+    if (!this.review) return;
+    try {
+      const clipboardHelper = Components.classes["@mozilla.org/widget/clipboardhelper;1"]
+        .getService(Components.interfaces.nsIClipboardHelper);
+      clipboardHelper.copyString(this.review.markdown);
+      this.setProgress("Review copied as Markdown.");
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantReview: Copy error: " + error);
+    }
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantReview.init());
@@ -0,0 +1,189 @@
+/**
+ * Metadata Repair Window Controller
+ *
+ * Shows the metadata the model read from a paper's PDF next to the item's
+ * current values. Only the fields the user ticks are saved.
+ */
+
+var ZoteroAIAssistantMetadata = {
+  itemID: null,
+  changes: null,
+  abortController: null,
+  isClosed: false,
+
+  /**
+   * Initialize the window
+   */
+  init() {
+    this.loadModules();
+
+    const args = window.arguments?.[0] || {};
+    this.itemID = args.itemID || null;
+    const item = this.getItem();
+
+    if (!window.ZoteroAIAssistant?.MetadataRepair) {
+      this.setStatus("AI Assistant modules not loaded. Please restart Zotero.");
+      document.getElementById("zai-metadata-run").disabled = true;
+      return;
+    }
+    if (!item) {
+      this.setStatus("Paper not found.");
+      document.getElementById("zai-metadata-run").disabled = true;
+      return;
+    }
+
+    document.getElementById("zai-metadata-item").textContent = item.getField("title") || "Untitled";
+    this.bindEvents();
+    this.run();
+  },
+
+  /**
+   * Load ZoteroAIAssistant from the main window
+   */
+  loadModules() {
+    if (typeof ZoteroAIAssistant === "undefined") {
+      const mainWindow = Services.wm.getMostRecentWindow("navigator:browser");
+      if (mainWindow && mainWindow.ZoteroAIAssistant) {
+        window.ZoteroAIAssistant = mainWindow.ZoteroAIAssistant;
+      }
+    }
+  },
+
+  bindEvents() {
+    document.getElementById("zai-metadata-run").addEventListener("click", () => this.run());
+    document.getElementById("zai-metadata-stop").addEventListener("click", () => {
+      this.abortController?.abort();
+      this.setStatus("Stopping...");
+    });
+    document.getElementById("zai-metadata-apply").addEventListener("click", () => this.apply());
+
+    window.addEventListener("unload", () => {
+      this.isClosed = true;
+      this.abortController?.abort();
+    });
+  },
+
+  getItem() {
+    const item = this.itemID ? Zotero.Items.get(this.itemID) : null;
+    return item && item.isRegularItem() ? item : null;
+  },
+
+  setStatus(text) {
+    document.getElementById("zai-metadata-status").textContent = text;
+  },
+
+  setRunning(running) {
+    document.getElementById("zai-metadata-run").disabled = running;
+    document.getElementById("zai-metadata-stop").disabled = !running;
+    this.updateApplyButton(running);
+  },
+
+  updateApplyButton(running = !!this.abortController) {
+    const checked = document.querySelectorAll(".zai-metadata-accept:checked").length;
+    document.getElementById("zai-metadata-apply").disabled = running || checked === 0;
+  },
+
+  /**
+   * Read the PDF and show the proposed changes
+   */
+  async run() {
+    const item = this.getItem();
+    if (!item) return;
+
+    this.changes = null;
+    this.renderChanges();
+    this.abortController = new AbortController();
+    this.setRunning(true);
+    this.setStatus("Reading the first pages of the PDF...");
+
+    try {
+      this.changes = await ZoteroAIAssistant.MetadataRepair.proposeChanges(item, {
+        signal: this.abortController.signal
+      });
+      if (this.isClosed) return;
+      this.renderChanges();
+      this.setStatus(this.changes.length
+        ? `${this.changes.length} field${this.changes.length === 1 ? "" : "s"} differ from the PDF.`
+        : "The item's metadata already matches the PDF.");
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantMetadata: Error: " + error);
+      if (this.isClosed) return;
+      this.setStatus(this.abortController.signal.aborted ? "Stopped." : "Error: " + error.message);
+    }
+
+    this.abortController = null;
+    this.setRunning(false);
+  },
+
+  /**
+   * List each proposed field with its current and new value
+   */
+  renderChanges() {
+    const container = document.getElementById("zai-metadata-diff");
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    if (!this.changes) return;
+
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, className, text) => {
+      const el = document.createElementNS(XHTML_NS, tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+
+    this.changes.forEach((change, index) => {
+      const block = createEl("div", "zai-writeback-item zai-metadata-field");
+
+      const label = createEl("label", "zai-writeback-title zai-metadata-label");
+      const checkbox = createEl("input", "zai-metadata-accept");
+      checkbox.type = "checkbox";
+      checkbox.dataset.index = index;
+      // Fill gaps by default; replacing a value the user entered is opt-in
+      checkbox.checked = !change.before;
+      checkbox.addEventListener("change", () => this.updateApplyButton());
+      label.appendChild(checkbox);
+      label.appendChild(createEl("span", "", change.name));
+      block.appendChild(label);
+
+      const before = createEl("div", "zai-writeback-change zai-metadata-before");
+      before.appendChild(createEl("span", "zai-writeback-sign", "-"));
+      before.appendChild(createEl("span", "", change.before || "(empty)"));
+      block.appendChild(before);
+
+      const after = createEl("div", "zai-writeback-change zai-metadata-after");
+      after.appendChild(createEl("span", "zai-writeback-sign", "+"));
+      after.appendChild(createEl("span", "", change.after));
+      block.appendChild(after);
+
+      container.appendChild(block);
+    });
+  },
+
+  /**
+   * Save the ticked fields to the item
+   */
+  async apply() {
+    const item = this.getItem();
+    if (!item || !this.changes) return;
+
+    const accepted = [...document.querySelectorAll(".zai-metadata-accept:checked")]
+      .map(checkbox => this.changes[Number(checkbox.dataset.index)])
+      .filter(Boolean);
+
+    document.getElementById("zai-metadata-apply").disabled = true;
+    try {
+      const count = await ZoteroAIAssistant.MetadataRepair.applyChanges(item, accepted);
+      this.changes = this.changes.filter(change => !accepted.includes(change));
+      this.renderChanges();
+      this.setStatus(`Saved ${count} field${count === 1 ? "" : "s"}.`);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantMetadata: Save error: " + error);
+      this.setStatus("Save failed: " + error.message);
+    }
+    this.updateApplyButton();
+  }
+};
+
+window.addEventListener("load", () => ZoteroAIAssistantMetadata.init());
@@ -7,13 +7,21 @@
 var ZoteroAIAssistantPrefs = {
   // Reference to main ZoteroAIAssistant module
   ZAI: null,
+  
+  // ID of the prompt library entry being edited, "" for a new one
+  editingPromptID: null,
 
   TASK_MODEL_CONFIG: [
     { id: "summarize", label: "Summarize" },
     { id: "keypoints", label: "Key Points" },
     { id: "methods", label: "Methods" },
     { id: "findings", label: "Findings" },
-    { id: "compare", label: "Compare" }
+    { id: "compare", label: "Compare" },
+    { id: "matrix", label: "Literature Matrix" },
+    { id: "review", label: "Literature Review" },
+    { id: "metadata", label: "Metadata Repair" },
+    { id: "highlight", label: "Auto-Highlight" },
+    { id: "digest", label: "Annotation Digest" }
   ],
   
   /**
@@ -136,6 +144,46 @@ var ZoteroAIAssistantPrefs = {
       const maxTokensEl = document.getElementById("zai-max-tokens");
       if (maxTokensEl) maxTokensEl.value = maxTokens;
       
+      // Full-text context
+      const fullTextContext = Zotero.Prefs.get("extensions.zotero-ai-assistant.fullTextContext", true);
+      const fullTextEl = document.getElementById("zai-fulltext-context");
+      if (fullTextEl) fullTextEl.checked = fullTextContext !== false;
+      
+      const contextWindow = Zotero.Prefs.get("extensions.zotero-ai-assistant.contextWindow", true) || 0;
+      const contextWindowEl = document.getElementById("zai-context-window");
+      if (contextWindowEl) contextWindowEl.value = contextWindow;
+      
+      const fullTextMaxTokens = Zotero.Prefs.get("extensions.zotero-ai-assistant.fullTextMaxTokens", true) || 0;
+      const fullTextMaxEl = document.getElementById("zai-fulltext-max-tokens");
+      if (fullTextMaxEl) fullTextMaxEl.value = fullTextMaxTokens;
+      
+      // Retrieval index
+      const ragEnabled = Zotero.Prefs.get("extensions.zotero-ai-assistant.ragEnabled", true);
+      const ragEnabledEl = document.getElementById("zai-rag-enabled");
+      if (ragEnabledEl) ragEnabledEl.checked = ragEnabled !== false;
+      
+      const ragProvider = Zotero.Prefs.get("extensions.zotero-ai-assistant.ragEmbeddingProvider", true) || "none";
+      const ragProviderEl = document.getElementById("zai-rag-embedding-provider");
+      if (ragProviderEl) ragProviderEl.value = ragProvider;
+      
+      const ragModel = Zotero.Prefs.get("extensions.zotero-ai-assistant.ragEmbeddingModel", true) || "";
+      const ragModelEl = document.getElementById("zai-rag-embedding-model");
+      if (ragModelEl) ragModelEl.value = ragModel;
+      
+      // Batch jobs
+      const batchConcurrency = Zotero.Prefs.get("extensions.zotero-ai-assistant.batchConcurrency", true) || 2;
+      const batchConcurrencyEl = document.getElementById("zai-batch-concurrency");
+      if (batchConcurrencyEl) batchConcurrencyEl.value = batchConcurrency;
+      
+      const batchRateProviderEl = document.getElementById("zai-batch-rate-provider");
+      if (batchRateProviderEl) {
+        this.clearSelect(batchRateProviderEl);
+        for (const option of this.ZAI?.ProviderRegistry?.getProviderOptions() || []) {
+          this.appendOption(batchRateProviderEl, option);
+        }
+        this.loadBatchRateLimit();
+      }
+      
       // Local model endpoints
       const ollamaEndpoint = Zotero.Prefs.get("extensions.zotero-ai-assistant.ollamaEndpoint", true) || "http://localhost:11434";
       const ollamaEl = document.getElementById("zai-ollama-endpoint");
@@ -145,6 +193,20 @@ var ZoteroAIAssistantPrefs = {
       const lmstudioEl = document.getElementById("zai-lmstudio-endpoint");
       if (lmstudioEl) lmstudioEl.value = lmstudioEndpoint;
       
+      // OpenAI-compatible server
+      const compatibleEndpoint = Zotero.Prefs.get("extensions.zotero-ai-assistant.openaiCompatibleEndpoint", true) || "";
+      const compatibleEndpointEl = document.getElementById("zai-openai-compatible-endpoint");
+      if (compatibleEndpointEl) compatibleEndpointEl.value = compatibleEndpoint;
+      
+      const compatibleHeaders = Zotero.Prefs.get("extensions.zotero-ai-assistant.openaiCompatibleHeaders", true) || "";
+      const compatibleHeadersEl = document.getElementById("zai-openai-compatible-headers");
+      if (compatibleHeadersEl) compatibleHeadersEl.value = compatibleHeaders;
+      
+      // API keys are never shown, only whether one is stored
+      for (const keyEl of document.querySelectorAll(".zai-api-key-input")) {
+        this.updateApiKeyPlaceholder(keyEl);
+      }
+      
       // Keyboard shortcuts
       const shortcuts = ["toggle", "translate", "explain", "summarize"];
       const defaults = { toggle: "Z", translate: "T", explain: "E", summarize: "S" };
@@ -154,6 +216,9 @@ var ZoteroAIAssistantPrefs = {
         if (el) el.value = key.toUpperCase();
       }
       
+      // Prompt library
+      this.renderPromptLibrary();
+      
       Zotero.debug("ZoteroAIAssistantPrefs: Preferences loaded");
     } catch (error) {
       Zotero.debug("ZoteroAIAssistantPrefs: Error loading preferences - " + error);
@@ -174,7 +239,7 @@ var ZoteroAIAssistantPrefs = {
     const entries = this.getModelSelectEntries();
     if (!entries.length) return;
     
-    if (currentProvider === "ollama" || currentProvider === "lmstudio") {
+    if (this.ZAI?.ProviderRegistry?.hasServerModels(currentProvider)) {
       this.loadLocalModelsForPrefs(currentProvider, entries);
     } else {
       this.loadCopilotModelsForPrefs(entries);
@@ -225,6 +290,22 @@ var ZoteroAIAssistantPrefs = {
     selectEl.appendChild(option);
   },
   
+  /**
+   * Show the batch rate limit of the provider chosen next to it
+   */
+  loadBatchRateLimit() {
+    const provider = document.getElementById("zai-batch-rate-provider")?.value;
+    const limitEl = document.getElementById("zai-batch-rate-limit");
+    if (!provider || !limitEl) return;
+    
+    const defaultLimit = this.ZAI?.BatchProcessor?.DEFAULT_RATE_LIMITS[provider] ?? 0;
+    const defaultOption = limitEl.querySelector('option[value="0"]');
+    if (defaultOption) {
+      defaultOption.textContent = defaultLimit ? `Provider default (${defaultLimit}/min)` : "Provider default (no limit)";
+    }
+    limitEl.value = String(Zotero.Prefs.get(`extensions.zotero-ai-assistant.batchRequestsPerMinute.${provider}`, true) || 0);
+  },
+  
   getCopilotModelGroups() {
     const providerOrder = ["xai", "anthropic", "google", "openai", "other"];
     const groups = [];
@@ -326,7 +407,7 @@ var ZoteroAIAssistantPrefs = {
   },
   
   async loadLocalModelsForPrefs(provider, entries) {
-    const providerName = provider === "ollama" ? "Ollama" : "LM Studio";
+    const providerName = this.ZAI?.ProviderRegistry?.getProvider(provider)?.name.replace(" (Local)", "") || provider;
     
     for (const entry of entries) {
       this.clearSelect(entry.selectEl);
@@ -336,19 +417,19 @@ var ZoteroAIAssistantPrefs = {
       this.appendOption(entry.selectEl, { value: "", label: "Loading models...", disabled: true });
     }
     
-    if (!this.ZAI || !this.ZAI.LocalModelClient) {
+    if (!this.ZAI || !this.ZAI.ProviderRegistry) {
       for (const entry of entries) {
         this.clearSelect(entry.selectEl);
         if (entry.includeDefaultOption) {
           this.appendOption(entry.selectEl, { value: "", label: "Use Default Model" });
         }
-        this.appendOption(entry.selectEl, { value: "", label: "LocalModelClient not available", disabled: true });
+        this.appendOption(entry.selectEl, { value: "", label: "Provider registry not available", disabled: true });
       }
       return;
     }
     
     try {
-      const result = await this.ZAI.LocalModelClient.checkConnection(provider);
+      const result = await this.ZAI.ProviderRegistry.checkConnection(provider);
       const models = result.connected ? result.models || [] : [];
       const modelIds = new Set(models.map(model => model.id));
       
@@ -360,9 +441,13 @@ var ZoteroAIAssistantPrefs = {
         }
         
         if (!result.connected || models.length === 0) {
-          const message = result.connected
-            ? `No models found - start ${providerName} server`
-            : `Unable to reach ${providerName} server`;
+          const isLocal = this.ZAI.ProviderRegistry.isLocal(provider);
+          let message;
+          if (result.connected) {
+            message = isLocal ? `No models found - start ${providerName} server` : `No models found on ${providerName}`;
+          } else {
+            message = isLocal ? `Unable to reach ${providerName} server` : `Unable to reach ${providerName}: ${result.error}`;
+          }
           this.appendOption(selectEl, { value: "", label: message, disabled: true });
           if (entry.includeDefaultOption && entry.prefKey) {
             Zotero.Prefs.set(entry.prefKey, "", true);
@@ -536,6 +621,55 @@ var ZoteroAIAssistantPrefs = {
       Zotero.Prefs.set("extensions.zotero-ai-assistant.maxTokens", value, true);
     });
     
+    // Full-text context
+    document.getElementById("zai-fulltext-context")?.addEventListener("change", (e) => {
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.fullTextContext", e.target.checked, true);
+    });
+    
+    document.getElementById("zai-context-window")?.addEventListener("change", (e) => {
+      const value = parseInt(e.target.value, 10);
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.contextWindow", value, true);
+    });
+    
+    document.getElementById("zai-fulltext-max-tokens")?.addEventListener("change", (e) => {
+      const value = parseInt(e.target.value, 10);
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.fullTextMaxTokens", value, true);
+    });
+    
+    // Retrieval index
+    document.getElementById("zai-rag-enabled")?.addEventListener("change", (e) => {
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.ragEnabled", e.target.checked, true);
+    });
+    
+    document.getElementById("zai-rag-embedding-provider")?.addEventListener("change", (e) => {
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.ragEmbeddingProvider", e.target.value, true);
+    });
+    
+    document.getElementById("zai-rag-embedding-model")?.addEventListener("change", (e) => {
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.ragEmbeddingModel", e.target.value.trim(), true);
+    });
+    
+    document.getElementById("zai-clear-indexes-btn")?.addEventListener("click", () => {
+      this.clearRetrievalIndexes();
+    });
+    
+    // Batch jobs
+    document.getElementById("zai-batch-concurrency")?.addEventListener("change", (e) => {
+      const value = parseInt(e.target.value, 10);
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.batchConcurrency", value, true);
+    });
+    
+    document.getElementById("zai-batch-rate-provider")?.addEventListener("change", () => {
+      this.loadBatchRateLimit();
+    });
+    
+    document.getElementById("zai-batch-rate-limit")?.addEventListener("change", (e) => {
+      const provider = document.getElementById("zai-batch-rate-provider")?.value;
+      if (!provider) return;
+      const value = parseInt(e.target.value, 10);
+      Zotero.Prefs.set(`extensions.zotero-ai-assistant.batchRequestsPerMinute.${provider}`, value, true);
+    });
+    
     // Ollama endpoint
     document.getElementById("zai-ollama-endpoint")?.addEventListener("change", (e) => {
       Zotero.Prefs.set("extensions.zotero-ai-assistant.ollamaEndpoint", e.target.value, true);
@@ -551,6 +685,29 @@ var ZoteroAIAssistantPrefs = {
       this.testLocalConnection();
     });
     
+    // OpenAI-compatible server
+    document.getElementById("zai-openai-compatible-endpoint")?.addEventListener("change", (e) => {
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.openaiCompatibleEndpoint", e.target.value.trim(), true);
+      this.refreshProviderModels("openai-compatible");
+    });
+    
+    document.getElementById("zai-openai-compatible-headers")?.addEventListener("change", (e) => {
+      Zotero.Prefs.set("extensions.zotero-ai-assistant.openaiCompatibleHeaders", e.target.value, true);
+      this.refreshProviderModels("openai-compatible");
+    });
+    
+    // API keys (Anthropic, Gemini, OpenAI-compatible)
+    for (const keyEl of document.querySelectorAll(".zai-api-key-input")) {
+      keyEl.addEventListener("change", async (e) => {
+        await this.saveApiKey(e.target);
+        this.refreshProviderModels(e.target.dataset.provider);
+      });
+    }
+    
+    document.getElementById("zai-test-openai-compatible-btn")?.addEventListener("click", () => {
+      this.testCompatibleConnection();
+    });
+    
     // Keyboard shortcuts
     const shortcuts = ["toggle", "translate", "explain", "summarize"];
     for (const action of shortcuts) {
@@ -561,6 +718,27 @@ var ZoteroAIAssistantPrefs = {
       });
     }
     
+    // Prompt library
+    document.getElementById("zai-prompt-add-btn")?.addEventListener("click", () => {
+      this.editPrompt(null);
+    });
+    
+    document.getElementById("zai-prompt-save-btn")?.addEventListener("click", () => {
+      this.savePromptFromEditor();
+    });
+    
+    document.getElementById("zai-prompt-cancel-btn")?.addEventListener("click", () => {
+      this.closePromptEditor();
+    });
+    
+    document.getElementById("zai-prompt-import-btn")?.addEventListener("click", () => {
+      this.importPrompts();
+    });
+    
+    document.getElementById("zai-prompt-export-btn")?.addEventListener("click", () => {
+      this.exportPrompts();
+    });
+    
     // Connect Copilot
     document.getElementById("zai-copilot-connect-btn")?.addEventListener("click", () => {
       this.connectCopilot();
@@ -744,10 +922,85 @@ var ZoteroAIAssistantPrefs = {
     statusEl.style.color = "#10b981";
   },
   
+  /**
+   * Show whether an API key is stored, without revealing it
+   */
+  async updateApiKeyPlaceholder(inputEl) {
+    const registry = this.ZAI?.ProviderRegistry;
+    if (!registry) return;
+    
+    const provider = inputEl.dataset.provider;
+    const apiKey = await registry.getApiKey(provider);
+    if (apiKey) {
+      inputEl.placeholder = "Key saved - type to replace";
+    } else {
+      inputEl.placeholder = registry.requiresAuth(provider) ? "Not set" : "Optional";
+    }
+  },
+  
+  /**
+   * Store or clear the API key typed into a key field
+   */
+  async saveApiKey(inputEl) {
+    const registry = this.ZAI?.ProviderRegistry;
+    if (!registry) return;
+    
+    const provider = inputEl.dataset.provider;
+    const apiKey = inputEl.value.trim();
+    if (!apiKey) {
+      const confirmed = Services.prompt.confirm(
+        window,
+        "Remove API Key",
+        `Remove the stored API key for ${registry.getProvider(provider)?.name || provider}?`
+      );
+      if (!confirmed) return;
+    }
+    
+    await registry.setApiKey(provider, apiKey);
+    inputEl.value = "";
+    await this.updateApiKeyPlaceholder(inputEl);
+  },
+  
+  /**
+   * Reload model lists when the changed provider is selected
+   */
+  refreshProviderModels(provider) {
+    const current = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true);
+    if (current === provider) {
+      this.updateModelOptions();
+    }
+  },
+  
+  /**
+   * Test OpenAI-compatible server connection
+   */
+  async testCompatibleConnection() {
+    const statusEl = document.getElementById("zai-openai-compatible-status");
+    if (!statusEl) return;
+    
+    statusEl.textContent = "Testing...";
+    statusEl.style.color = "#6b7280";
+    
+    if (!this.ZAI?.OpenAICompatibleClient) {
+      statusEl.textContent = "OpenAI-compatible client not loaded";
+      statusEl.style.color = "#ef4444";
+      return;
+    }
+    
+    const result = await this.ZAI.OpenAICompatibleClient.checkConnection();
+    if (result.connected) {
+      statusEl.textContent = `Connected: ${result.models?.length || 0} models found`;
+      statusEl.style.color = "#10b981";
+    } else {
+      statusEl.textContent = `Not connected: ${result.error}`;
+      statusEl.style.color = "#ef4444";
+    }
+  },
+  
   /**
    * Clear all conversation history
    */
-  clearConversations() {
+  async clearConversations() {
     const confirmed = Services.prompt.confirm(
       window,
       "Clear Conversations",
@@ -758,11 +1011,193 @@ var ZoteroAIAssistantPrefs = {
       // Clear the conversations map
       if (this.ZAI && this.ZAI.ChatManager) {
         this.ZAI.ChatManager.conversations.clear();
+        this.ZAI.ChatManager.conversationIds.clear();
         this.ZAI.ChatManager.currentMessages = [];
+        this.ZAI.ChatManager.currentConversationId = null;
       }
       
-      Services.prompt.alert(window, "Success", "All conversations have been cleared.");
+      const cleared = this.ZAI?.ConversationStorage ? await this.ZAI.ConversationStorage.clearAll() : true;
+      Services.prompt.alert(
+        window,
+        cleared ? "Success" : "Error",
+        cleared ? "All conversations have been cleared." : "Failed to clear saved conversations."
+      );
+    }
+  },
+  
+  /**
+   * List the prompt library entries with edit and delete buttons
+   */
+  renderPromptLibrary() {
+    const listEl = document.getElementById("zai-prompt-list");
+    if (!listEl) return;
+    while (listEl.firstChild) {
+      listEl.removeChild(listEl.firstChild);
+    }
+    
+    const library = this.ZAI?.PromptLibrary;
+    const prompts = library ? library.getPrompts() : [];
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    
+    if (prompts.length === 0) {
+      const emptyEl = document.createElementNS(XHTML_NS, "div");
+      emptyEl.className = "zai-prompt-empty";
+      emptyEl.textContent = "No prompts yet.";
+      listEl.appendChild(emptyEl);
+      return;
+    }
+    
+    for (const prompt of prompts) {
+      const rowEl = document.createElementNS(XHTML_NS, "div");
+      rowEl.className = "zai-prompt-row";
+      
+      const infoEl = document.createElementNS(XHTML_NS, "div");
+      infoEl.className = "zai-prompt-info";
+      const nameEl = document.createElementNS(XHTML_NS, "div");
+      nameEl.className = "zai-prompt-name";
+      nameEl.textContent = prompt.name;
+      const metaEl = document.createElementNS(XHTML_NS, "div");
+      metaEl.className = "zai-prefs-hint";
+      const surfaces = library.SURFACES.filter(s => prompt.surfaces.includes(s.id)).map(s => s.name);
+      const model = prompt.model || (prompt.provider && library.resolveModel(prompt).modelId);
+      metaEl.textContent = surfaces.join(", ") + (model ? ` · ${model}` : "");
+      infoEl.appendChild(nameEl);
+      infoEl.appendChild(metaEl);
+      
+      const editBtn = document.createElementNS(XHTML_NS, "button");
+      editBtn.className = "zai-prefs-btn";
+      editBtn.textContent = "Edit";
+      editBtn.addEventListener("click", () => this.editPrompt(prompt));
+      
+      const deleteBtn = document.createElementNS(XHTML_NS, "button");
+      deleteBtn.className = "zai-prefs-btn zai-prefs-btn-danger";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.addEventListener("click", () => this.deletePrompt(prompt));
+      
+      rowEl.appendChild(infoEl);
+      rowEl.appendChild(editBtn);
+      rowEl.appendChild(deleteBtn);
+      listEl.appendChild(rowEl);
     }
+  },
+  
+  /**
+   * Open the editor for a prompt, or for a new one when prompt is null
+   */
+  editPrompt(prompt) {
+    const editorEl = document.getElementById("zai-prompt-editor");
+    if (!editorEl || !this.ZAI?.PromptLibrary) return;
+    
+    this.editingPromptID = prompt?.id || "";
+    document.getElementById("zai-prompt-name").value = prompt?.name || "";
+    document.getElementById("zai-prompt-template").value = prompt?.template || "";
+    document.getElementById("zai-prompt-model").value = prompt?.model || "";
+    
+    const surfaces = prompt?.surfaces || ["sidebar"];
+    for (const surface of this.ZAI.PromptLibrary.SURFACES) {
+      const checkbox = document.getElementById(`zai-prompt-surface-${surface.id}`);
+      if (checkbox) checkbox.checked = surfaces.includes(surface.id);
+    }
+    
+    const providerEl = document.getElementById("zai-prompt-provider");
+    this.clearSelect(providerEl);
+    this.appendOption(providerEl, { value: "", label: "Default" });
+    for (const { value, label } of this.ZAI.ProviderRegistry?.getProviderOptions() || []) {
+      this.appendOption(providerEl, { value, label });
+    }
+    providerEl.value = prompt?.provider || "";
+    
+    this.setPromptStatus("");
+    editorEl.hidden = false;
+    document.getElementById("zai-prompt-name").focus();
+  },
+  
+  closePromptEditor() {
+    this.editingPromptID = null;
+    const editorEl = document.getElementById("zai-prompt-editor");
+    if (editorEl) editorEl.hidden = true;
+  },
+  
+  savePromptFromEditor() {
+    const library = this.ZAI?.PromptLibrary;
+    if (!library || this.editingPromptID === null) return;
+    
+    const saved = library.savePrompt({
+      id: this.editingPromptID || undefined,
+      name: document.getElementById("zai-prompt-name").value,
+      template: document.getElementById("zai-prompt-template").value,
+      surfaces: library.SURFACES
+        .map(s => s.id)
+        .filter(id => document.getElementById(`zai-prompt-surface-${id}`)?.checked),
+      provider: document.getElementById("zai-prompt-provider").value,
+      model: document.getElementById("zai-prompt-model").value.trim()
+    });
+    
+    if (!saved) {
+      this.setPromptStatus("A prompt needs a name and a template.");
+      return;
+    }
+    
+    this.closePromptEditor();
+    this.renderPromptLibrary();
+    this.setPromptStatus(`Saved "${saved.name}".`);
+  },
+  
+  deletePrompt(prompt) {
+    const confirmed = Services.prompt.confirm(
+      window,
+      "Delete Prompt",
+      `Delete the prompt "${prompt.name}"?`
+    );
+    if (!confirmed) return;
+    
+    this.ZAI.PromptLibrary.removePrompt(prompt.id);
+    if (this.editingPromptID === prompt.id) {
+      this.closePromptEditor();
+    }
+    this.renderPromptLibrary();
+  },
+  
+  async importPrompts() {
+    if (!this.ZAI?.PromptLibrary) return;
+    
+    try {
+      const count = await this.ZAI.PromptLibrary.importFromFile(window);
+      if (count === null) return;
+      this.renderPromptLibrary();
+      this.setPromptStatus(`Imported ${count} prompt${count === 1 ? "" : "s"}.`);
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistantPrefs: Prompt import error - " + error);
+      this.setPromptStatus("Import failed: " + error.message);
+    }
+  },
+  
+  async exportPrompts() {
+    if (!this.ZAI?.PromptLibrary) return;
+    
+    const path = await this.ZAI.PromptLibrary.exportToFile(window);
+    if (path) {
+      this.setPromptStatus("Exported to " + path);
+    }
+  },
+  
+  setPromptStatus(text) {
+    const statusEl = document.getElementById("zai-prompt-status");
+    if (statusEl) statusEl.textContent = text;
+  },
+  
+  /**
+   * Delete all stored retrieval indexes
+   */
+  async clearRetrievalIndexes() {
+    if (!this.ZAI || !this.ZAI.RetrievalIndex) return;
+    
+    const cleared = await this.ZAI.RetrievalIndex.clearAll();
+    Services.prompt.alert(
+      window,
+      cleared ? "Success" : "Error",
+      cleared ? "All retrieval indexes have been cleared." : "Failed to clear retrieval indexes."
+    );
   }
 };
 
@@ -24,6 +24,11 @@ ZoteroAIAssistant.Sidebar = {
   isStreaming: false,
   abortController: null,
   pendingImages: [],
+  // "paper" chats about the current item, "library" about a collection/library
+  chatMode: "paper",
+  libraryScope: null,
+  promptListener: null,
+  compareFocusAreas: null,
   MAX_IMAGE_ATTACHMENTS: 4,
   MAX_IMAGE_BYTES: 2 * 1024 * 1024,
   MAX_IMAGE_DIMENSION: 1024,
@@ -38,13 +43,20 @@ ZoteroAIAssistant.Sidebar = {
     this.pendingImages = [];
     
     this.render();
+    this.renderPromptActions();
     this.bindEvents();
     this.loadAuthStatus();
     this.loadConversation();
     
-    // Load local models if a local provider is selected
+    // Show prompt library changes without waiting for the next item
+    if (ZoteroAIAssistant.PromptLibrary && !this.promptListener) {
+      this.promptListener = () => this.renderPromptActions();
+      ZoteroAIAssistant.PromptLibrary.addListener(this.promptListener);
+    }
+    
+    // Load server models if a local or OpenAI-compatible provider is selected
     const provider = Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true) || "copilot";
-    if (provider === "ollama" || provider === "lmstudio") {
+    if (ZoteroAIAssistant.ProviderRegistry.hasServerModels(provider)) {
       this.loadLocalModels(provider);
     }
   },
@@ -125,8 +137,32 @@ ZoteroAIAssistant.Sidebar = {
 
     const providerSelector = createEl("div", { className: "zai-provider-selector", id: "zai-provider-selector" });
 
+    const scopeBar = createEl("div", { className: "zai-scope-bar", id: "zai-scope-bar" });
+    const scopeToggle = createEl("div", { className: "zai-scope-toggle" });
+    for (const mode of [{ mode: "paper", label: "This Paper" }, { mode: "library", label: "Library" }]) {
+      scopeToggle.appendChild(createEl("button", {
+        className: "zai-scope-btn",
+        textContent: mode.label,
+        "data-mode": mode.mode
+      }));
+    }
+    scopeBar.appendChild(scopeToggle);
+    scopeBar.appendChild(createEl("span", { className: "zai-scope-label", id: "zai-scope-label" }));
+    scopeBar.appendChild(createEl("button", {
+      className: "zai-scope-refresh",
+      id: "zai-scope-refresh",
+      textContent: "↻",
+      title: "Use the collection selected in the items pane"
+    }));
+    scopeBar.appendChild(createEl("button", {
+      className: "zai-annotations-toggle",
+      id: "zai-annotations-toggle",
+      textContent: "Annotations",
+      title: "Include your highlights and comments in this conversation"
+    }));
+
     const messages = createEl("div", { className: "zai-messages", id: "zai-messages" });
-    messages.appendChild(this.buildWelcomeMessage(doc, "Ask me anything about this paper!"));
+    messages.appendChild(this.buildWelcomeMessage(doc, this.getWelcomeText()));
 
     const quickActions = createEl("div", { className: "zai-quick-actions", id: "zai-quick-actions" });
     const actionButtons = [
@@ -135,7 +171,9 @@ ZoteroAIAssistant.Sidebar = {
       { action: "methods", label: "Methods", className: "zai-action-btn" },
       { action: "findings", label: "Findings", className: "zai-action-btn" },
       { action: "cite", label: "Cite", className: "zai-action-btn zai-cite-btn" },
-      { action: "compare", label: "Compare", className: "zai-action-btn" }
+      { action: "compare", label: "Compare", className: "zai-action-btn" },
+      { action: "metadata", label: "Fix Metadata", className: "zai-action-btn" },
+      { action: "digest", label: "Digest", className: "zai-action-btn" }
     ];
     for (const action of actionButtons) {
       const btn = createEl("button", {
@@ -165,6 +203,11 @@ ZoteroAIAssistant.Sidebar = {
     }
 
     const attachments = createEl("div", { className: "zai-attachments", id: "zai-attachments" });
+    const contextMeter = createEl("div", { className: "zai-context-meter", id: "zai-context-meter" });
+    const contextMeterBar = createEl("div", { className: "zai-context-meter-bar" });
+    contextMeterBar.appendChild(createEl("div", { className: "zai-context-meter-fill" }));
+    contextMeter.appendChild(contextMeterBar);
+    contextMeter.appendChild(createEl("span", { className: "zai-context-meter-label" }));
     const inputArea = createEl("div", { className: "zai-input-area" });
     const attachBtn = createEl("button", { id: "zai-attach-btn", className: "zai-attach-btn", title: "Attach image" });
     const attachSvg = createEl(
@@ -205,10 +248,12 @@ ZoteroAIAssistant.Sidebar = {
 
     chatContainer.appendChild(authStatus);
     chatContainer.appendChild(providerSelector);
+    chatContainer.appendChild(scopeBar);
     chatContainer.appendChild(messages);
     chatContainer.appendChild(quickActions);
     chatContainer.appendChild(exportActions);
     chatContainer.appendChild(attachments);
+    chatContainer.appendChild(contextMeter);
     chatContainer.appendChild(inputArea);
     this.container.appendChild(chatContainer);
 
@@ -217,11 +262,13 @@ ZoteroAIAssistant.Sidebar = {
     this.inputArea = textarea;
     this.sendButton = sendBtn;
     this.attachmentsContainer = attachments;
+    this.contextMeter = contextMeter;
     this.attachButton = attachBtn;
     this.renderPendingImages();
 
     // Create dropdowns using DOM methods (innerHTML doesn't work well for selects in Zotero)
     this.createProviderDropdowns(provider, modelId);
+    this.updateScopeBar();
   },
 
   buildWelcomeMessage(doc, message) {
@@ -263,11 +310,7 @@ ZoteroAIAssistant.Sidebar = {
     providerSelect.id = "zai-provider-select";
     providerSelect.className = "zai-dropdown";
     
-    const providers = [
-      { value: "copilot", label: "GitHub Copilot" },
-      { value: "ollama", label: "Ollama (Local)" },
-      { value: "lmstudio", label: "LM Studio (Local)" }
-    ];
+    const providers = ZoteroAIAssistant.ProviderRegistry.getProviderOptions();
     
     for (const p of providers) {
       const opt = doc.createElementNS(XHTML_NS, "option");
@@ -349,10 +392,10 @@ ZoteroAIAssistant.Sidebar = {
   },
   
   /**
-   * Load local models asynchronously
+   * Load models from a local or OpenAI-compatible server asynchronously
    */
   async loadLocalModels(provider) {
-    if (!ZoteroAIAssistant.LocalModelClient || !this.modelSelect) return;
+    if (!ZoteroAIAssistant.ProviderRegistry || !this.modelSelect) return;
     
     const XHTML_NS = "http://www.w3.org/1999/xhtml";
     const doc = this.modelSelect.ownerDocument;
@@ -367,7 +410,7 @@ ZoteroAIAssistant.Sidebar = {
     this.modelSelect.appendChild(loadingOpt);
     
     try {
-      const models = await ZoteroAIAssistant.LocalModelClient.getModels(provider);
+      const models = await ZoteroAIAssistant.ProviderRegistry.getModels(provider);
       
       while (this.modelSelect.firstChild) {
         this.modelSelect.removeChild(this.modelSelect.firstChild);
@@ -376,7 +419,9 @@ ZoteroAIAssistant.Sidebar = {
       if (models.length === 0) {
         const opt = doc.createElementNS(XHTML_NS, "option");
         opt.value = "";
-        opt.textContent = `No models found - start ${provider === "ollama" ? "Ollama" : "LM Studio"} server`;
+        opt.textContent = ZoteroAIAssistant.ProviderRegistry.isLocal(provider)
+          ? `No models found - start ${provider === "ollama" ? "Ollama" : "LM Studio"} server`
+          : `No models found - check ${ZoteroAIAssistant.ProviderRegistry.getProvider(provider)?.name} in settings`;
         this.modelSelect.appendChild(opt);
         return;
       }
@@ -397,7 +442,7 @@ ZoteroAIAssistant.Sidebar = {
         this.modelSelect.appendChild(opt);
       }
     } catch (e) {
-      Zotero.debug("Error loading local models: " + e);
+      Zotero.debug("Error loading server models: " + e);
       while (this.modelSelect.firstChild) {
         this.modelSelect.removeChild(this.modelSelect.firstChild);
       }
@@ -468,10 +513,159 @@ ZoteroAIAssistant.Sidebar = {
     // Attach button
     this.attachButton?.addEventListener("click", () => this.showAttachmentMenu());
 
+    // Chat scope (paper / library)
+    const scopeBar = this.container?.querySelector("#zai-scope-bar");
+    scopeBar?.addEventListener("click", (e) => {
+      const modeBtn = e.target.closest(".zai-scope-btn");
+      if (modeBtn) {
+        this.setChatMode(modeBtn.dataset.mode);
+      } else if (e.target.closest("#zai-scope-refresh")) {
+        this.setChatMode("library", true);
+      } else if (e.target.closest("#zai-annotations-toggle")) {
+        this.toggleAnnotationContext();
+      }
+    });
+
+    // Citations to library items and to pages of the current paper
+    this.messagesContainer?.addEventListener("click", (e) => {
+      const link = e.target.closest(".zai-item-cite");
+      if (link) {
+        e.preventDefault();
+        ZoteroAIAssistant.LibraryChat?.selectItem(parseInt(link.dataset.itemId, 10));
+        return;
+      }
+      
+      const pageLink = e.target.closest(".zai-page-cite");
+      if (pageLink) {
+        e.preventDefault();
+        this.openPageCitation(pageLink.dataset.page, pageLink.dataset.quote);
+        return;
+      }
+      
+      const annotationLink = e.target.closest(".zai-annotation-cite");
+      if (annotationLink) {
+        e.preventDefault();
+        this.openAnnotationCitation(parseInt(annotationLink.dataset.attachmentId, 10), annotationLink.dataset.annotationKey);
+      }
+    });
+
     // Clipboard paste for images
     this.inputArea?.addEventListener("paste", (event) => this.handlePaste(event));
   },
 
+  /**
+   * Switch between chatting about the current paper and the library
+   * @param {string} mode - "paper" or "library"
+   * @param {boolean} refreshScope - Re-read the selected collection
+   */
+  setChatMode(mode, refreshScope = false) {
+    if (this.isStreaming) return;
+    if (mode === "library" && !ZoteroAIAssistant.LibraryChat) {
+      this.showToast("Library chat module not loaded");
+      return;
+    }
+    
+    const changed = mode !== this.chatMode;
+    this.chatMode = mode;
+    if (mode === "library" && (refreshScope || !this.libraryScope)) {
+      this.libraryScope = ZoteroAIAssistant.LibraryChat.getSelectedScope();
+    }
+    
+    this.updateScopeBar();
+    if (changed || refreshScope) {
+      this.clearMessages();
+      this.loadConversation();
+      this.updateExportVisibility();
+    }
+  },
+  
+  /**
+   * Reflect the chat mode in the UI
+   */
+  updateScopeBar() {
+    const scopeBar = this.container?.querySelector("#zai-scope-bar");
+    if (!scopeBar) return;
+    
+    const isLibrary = this.chatMode === "library";
+    for (const btn of scopeBar.querySelectorAll(".zai-scope-btn")) {
+      btn.classList.toggle("zai-scope-btn-active", btn.dataset.mode === this.chatMode);
+    }
+    
+    const label = scopeBar.querySelector("#zai-scope-label");
+    if (label) {
+      label.textContent = isLibrary ? ZoteroAIAssistant.LibraryChat.getScopeLabel(this.libraryScope) : "";
+    }
+    const refreshBtn = scopeBar.querySelector("#zai-scope-refresh");
+    if (refreshBtn) refreshBtn.style.display = isLibrary ? "" : "none";
+    this.updateAnnotationToggle();
+    
+    const quickActions = this.container.querySelector("#zai-quick-actions");
+    if (quickActions) quickActions.style.display = isLibrary ? "none" : "";
+    if (this.attachButton) this.attachButton.style.display = isLibrary ? "none" : "";
+    if (isLibrary) this.clearPendingImages();
+    
+    if (this.inputArea) {
+      this.inputArea.placeholder = isLibrary ? "Ask about your library..." : "Ask about this paper...";
+    }
+    if (this.clearButton) {
+      this.clearButton.title = isLibrary ? "Clear library conversation" : "Clear history for this paper";
+    }
+  },
+  
+  /**
+   * Include or leave out the paper's annotations for this conversation
+   */
+  toggleAnnotationContext() {
+    if (this.isStreaming) return;
+    if (!this.currentItem) {
+      this.showToast("No paper selected");
+      return;
+    }
+    
+    const CM = ZoteroAIAssistant.ChatManager;
+    CM.setCurrentItem(this.currentItem);
+    const enabled = !CM.isAnnotationContextEnabled();
+    if (!CM.setAnnotationContext(enabled)) {
+      this.showToast("Could not change annotation context");
+      return;
+    }
+    this.updateAnnotationToggle();
+    this.showToast(enabled ? "Your annotations are included in this conversation" : "Annotations left out");
+  },
+  
+  /**
+   * Reflect the conversation's annotation setting in the scope bar
+   */
+  updateAnnotationToggle() {
+    const toggle = this.container?.querySelector("#zai-annotations-toggle");
+    if (!toggle) return;
+    
+    toggle.style.display = this.chatMode === "library" ? "none" : "";
+    const enabled = this.chatMode !== "library" && !!this.currentItem
+      && ZoteroAIAssistant.ChatManager?.currentItemId === this.currentItem.id
+      && ZoteroAIAssistant.ChatManager.isAnnotationContextEnabled();
+    toggle.classList.toggle("zai-annotations-toggle-active", enabled);
+  },
+  
+  getWelcomeText() {
+    if (this.chatMode === "library") {
+      return "Ask a question across the papers in " + ZoteroAIAssistant.LibraryChat.getScopeLabel(this.libraryScope);
+    }
+    return "Ask me anything about this paper!";
+  },
+  
+  /**
+   * Get the messages of the active conversation
+   */
+  getCurrentDisplayMessages() {
+    if (this.chatMode === "library") {
+      return this.libraryScope
+        ? ZoteroAIAssistant.LibraryChat.getDisplayMessages(this.libraryScope.key)
+        : [];
+    }
+    return ZoteroAIAssistant.ChatManager?.getDisplayMessages() || [];
+  },
+  
   showAttachmentMenu() {
     // Remove existing menu
     const existing = this.container?.querySelector(".zai-attachment-menu");
@@ -509,8 +703,22 @@ ZoteroAIAssistant.Sidebar = {
       await this.handleAttachCapture();
     });
 
+    const regionBtn = createEl("button", { className: "zai-attachment-btn", textContent: "Select PDF region" });
+    regionBtn.addEventListener("click", async () => {
+      menu.remove();
+      await ZoteroAIAssistant.ImageCapture.captureRegion(this);
+    });
+
     actions.appendChild(uploadBtn);
     actions.appendChild(captureBtn);
+    const pagesBtn = createEl("button", { className: "zai-attachment-btn", textContent: "Capture pages..." });
+    pagesBtn.addEventListener("click", () => {
+      menu.remove();
+      ZoteroAIAssistant.ImageCapture.showPageCapture(this, this.container);
+    });
+
+    actions.appendChild(regionBtn);
+    actions.appendChild(pagesBtn);
     menu.appendChild(header);
     menu.appendChild(actions);
 
@@ -567,14 +775,11 @@ ZoteroAIAssistant.Sidebar = {
     }
   },
 
-  async addImageAttachment(dataUrl, meta = {}) {
-    if (this.pendingImages.length >= this.MAX_IMAGE_ATTACHMENTS) {
-      this.showToast("Too many images attached");
-      return;
-    }
+  async addImageAttachment(dataUrl, meta = {}, maxDimension = this.MAX_IMAGE_DIMENSION) {
+    if (!ZoteroAIAssistant.ImageCapture.hasImageSlot(this)) return;
 
     try {
-      const normalized = await this.normalizeImageDataUrl(dataUrl);
+      const normalized = await this.normalizeImageDataUrl(dataUrl, maxDimension);
       if (!normalized) return;
       this.pendingImages.push({ ...normalized, ...meta });
       this.renderPendingImages();
@@ -648,6 +853,16 @@ ZoteroAIAssistant.Sidebar = {
 
       wrapper.appendChild(img);
       wrapper.appendChild(removeBtn);
+
+      if (image.region && !image.region.saved) {
+        const saveBtn = doc.createElementNS("http://www.w3.org/1999/xhtml", "button");
+        saveBtn.className = "zai-attachment-save";
+        saveBtn.type = "button";
+        saveBtn.textContent = "Save";
+        saveBtn.title = "Save as image annotation on the PDF";
+        saveBtn.addEventListener("click", () => ZoteroAIAssistant.ImageCapture.saveRegionAnnotation(this, image));
+        wrapper.appendChild(saveBtn);
+      }
       this.attachmentsContainer.appendChild(wrapper);
     });
   },
@@ -666,7 +881,7 @@ ZoteroAIAssistant.Sidebar = {
     });
   },
 
-  async normalizeImageDataUrl(dataUrl) {
+  async normalizeImageDataUrl(dataUrl, maxDimension = this.MAX_IMAGE_DIMENSION) {
     if (!dataUrl || typeof dataUrl !== "string") {
       this.showToast("Invalid image");
       return null;
@@ -677,7 +892,7 @@ ZoteroAIAssistant.Sidebar = {
     return new Promise((resolve, reject) => {
       const img = new ImageCtor();
       img.onload = () => {
-        const maxDim = this.MAX_IMAGE_DIMENSION;
+        const maxDim = maxDimension;
         const scale = Math.min(maxDim / img.width, maxDim / img.height, 1);
         const targetW = Math.max(1, Math.round(img.width * scale));
         const targetH = Math.max(1, Math.round(img.height * scale));
@@ -719,7 +934,7 @@ ZoteroAIAssistant.Sidebar = {
    * Handle export action
    */
   async handleExportAction(action) {
-    const messages = ZoteroAIAssistant.ChatManager?.getDisplayMessages() || [];
+    const messages = this.getCurrentDisplayMessages();
     
     if (messages.length === 0 && action !== "clear") {
       return;
@@ -739,7 +954,9 @@ ZoteroAIAssistant.Sidebar = {
         break;
         
       case "note":
-        if (this.currentItem) {
+        if (this.chatMode === "library") {
+          this.showToast("Switch to This Paper to save notes");
+        } else if (this.currentItem) {
           const noteId = await ZoteroAIAssistant.ExportHelper?.exportToNote(messages, this.currentItem.id);
           if (noteId) {
             this.showToast("Saved to note");
@@ -752,7 +969,11 @@ ZoteroAIAssistant.Sidebar = {
         break;
         
       case "clear":
-        await ZoteroAIAssistant.ChatManager?.clearConversation();
+        if (this.chatMode === "library") {
+          ZoteroAIAssistant.LibraryChat?.clearConversation(this.libraryScope?.key);
+        } else {
+          await ZoteroAIAssistant.ChatManager?.clearConversation();
+        }
         this.clearMessages();
         this.updateExportVisibility();
         break;
@@ -760,6 +981,14 @@ ZoteroAIAssistant.Sidebar = {
   },
 
   async handleClearHistory() {
+    if (this.chatMode === "library") {
+      ZoteroAIAssistant.LibraryChat?.clearConversation(this.libraryScope?.key);
+      this.clearMessages();
+      this.updateExportVisibility();
+      this.showToast("History cleared");
+      return;
+    }
+    
     if (!this.currentItem) {
       this.showToast("No paper selected");
       return;
@@ -856,7 +1085,7 @@ ZoteroAIAssistant.Sidebar = {
    */
   updateExportVisibility() {
     const exportActions = this.container?.querySelector("#zai-export-actions");
-    const messages = ZoteroAIAssistant.ChatManager?.getDisplayMessages() || [];
+    const messages = this.getCurrentDisplayMessages();
     
     if (exportActions) {
       exportActions.style.display = messages.length > 0 ? "flex" : "none";
@@ -872,8 +1101,34 @@ ZoteroAIAssistant.Sidebar = {
       this.messagesContainer.removeChild(this.messagesContainer.firstChild);
     }
     const doc = this.messagesContainer.ownerDocument;
-    this.messagesContainer.appendChild(this.buildWelcomeMessage(doc, "Ask me anything about this paper!"));
+    this.messagesContainer.appendChild(this.buildWelcomeMessage(doc, this.getWelcomeText()));
     this.clearPendingImages();
+    this.updateContextMeter(null);
+    this.updateAnnotationToggle();
+  },
+  
+  /**
+   * Show how much of the model's context window the last request used
+   * @param {object|null} usage - From ContextWindow.getUsage, null to hide
+   */
+  updateContextMeter(usage) {
+    if (!this.contextMeter) return;
+    if (!usage || !ZoteroAIAssistant.ContextWindow) {
+      this.contextMeter.style.display = "none";
+      return;
+    }
+    
+    const fill = this.contextMeter.querySelector(".zai-context-meter-fill");
+    fill.style.width = `${usage.percent}%`;
+    this.contextMeter.classList.toggle("zai-context-meter-high", usage.percent >= 80);
+    
+    let label = `Context: ${ZoteroAIAssistant.ContextWindow.formatUsage(usage)}`;
+    if (usage.compacted) {
+      label += " · earlier turns summarized";
+    }
+    this.contextMeter.querySelector(".zai-context-meter-label").textContent = label;
+    this.contextMeter.title = `${usage.percent}% of the context window used by the last request`;
+    this.contextMeter.style.display = "flex";
   },
   
   /**
@@ -882,8 +1137,8 @@ ZoteroAIAssistant.Sidebar = {
   async onProviderChange(provider) {
     Zotero.Prefs.set("extensions.zotero-ai-assistant.defaultProvider", provider, true);
     
-    if (provider === "ollama" || provider === "lmstudio") {
-      // Local models - load async
+    if (ZoteroAIAssistant.ProviderRegistry.hasServerModels(provider)) {
+      // Server models - load async
       await this.loadLocalModels(provider);
     } else {
       // Copilot models - repopulate using DOM methods
@@ -910,27 +1165,29 @@ ZoteroAIAssistant.Sidebar = {
     const provider = this.providerSelect?.value || "copilot";
     
     try {
-      let isAuthenticated = false;
-      
-      if (provider === "copilot") {
-        isAuthenticated = await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
-      } else if (provider === "ollama" || provider === "lmstudio") {
-        // Local models don't need authentication
+      const registry = ZoteroAIAssistant.ProviderRegistry;
+      if (!registry.requiresAuth(provider)) {
+        // Local and OpenAI-compatible servers don't need sign-in
         authStatus.style.display = "none";
         return;
       }
       
+      const isAuthenticated = await registry.isAuthenticated(provider);
+      
       if (isAuthenticated) {
         authStatus.style.display = "none";
         if (provider === "copilot") {
           this.refreshCopilotModels();
         }
+      } else if (registry.usesApiKey(provider)) {
+        authStatus.style.display = "flex";
+        authStatus.className = "zai-auth-status zai-auth-required";
+        statusText.textContent = `Add your ${registry.getProvider(provider).name} key`;
+        authBtn.textContent = "Settings";
       } else {
         authStatus.style.display = "flex";
         authStatus.className = "zai-auth-status zai-auth-required";
-        statusText.textContent = provider === "copilot" 
-          ? "Connect to GitHub Copilot" 
-          : "Connect to OpenAI Codex";
+        statusText.textContent = `Connect to ${registry.getProvider(provider)?.name || "GitHub Copilot"}`;
         authBtn.textContent = "Connect";
       }
     } catch (error) {
@@ -976,6 +1233,11 @@ ZoteroAIAssistant.Sidebar = {
    * Load conversation history for current item
    */
   async loadConversation() {
+    if (this.chatMode === "library") {
+      this.loadLibraryConversation();
+      return;
+    }
+    
     if (!this.currentItem || !this.messagesContainer) return;
 
     const itemId = this.currentItem.id;
@@ -987,6 +1249,7 @@ ZoteroAIAssistant.Sidebar = {
     }
 
     const messages = ZoteroAIAssistant.ChatManager.getDisplayMessages();
+    this.updateAnnotationToggle();
     
     if (messages.length > 0) {
       // Clear welcome message
@@ -997,7 +1260,11 @@ ZoteroAIAssistant.Sidebar = {
       // Render existing messages
       for (const msg of messages) {
         if (msg.role === "user" || msg.role === "assistant") {
-          this.appendMessage(msg.role, msg.content, msg.images);
+          const msgEl = this.appendMessage(msg.role, msg.content, msg.images, null, msg.annotationRefs);
+          if (msg.role === "assistant") {
+            this.renderContextSections(msgEl, msg.contextSections);
+            this.renderContextChunks(msgEl, msg.contextChunks);
+          }
         }
       }
       
@@ -1005,25 +1272,44 @@ ZoteroAIAssistant.Sidebar = {
     }
   },
   
+  /**
+   * Render the conversation for the current library scope
+   */
+  loadLibraryConversation() {
+    if (!this.messagesContainer || !this.libraryScope) return;
+    
+    const messages = ZoteroAIAssistant.LibraryChat.getDisplayMessages(this.libraryScope.key);
+    if (messages.length === 0) return;
+    
+    while (this.messagesContainer.firstChild) {
+      this.messagesContainer.removeChild(this.messagesContainer.firstChild);
+    }
+    
+    for (const msg of messages) {
+      const msgEl = this.appendMessage(msg.role, msg.content, [], msg.sources);
+      if (msg.role === "assistant") {
+        this.renderSources(msgEl, msg.sources);
+      }
+    }
+    
+    this.scrollToBottom();
+  },
+  
   /**
    * Send a message
+   * @param {object} options - { content, requestContent, fullTextContext, task, providerOverride, modelOverride }
    */
   async sendMessage(options = {}) {
-    const content = this.inputArea?.value?.trim() || "";
+    const content = options.content || this.inputArea?.value?.trim() || "";
     const images = this.pendingImages.map(image => image.dataUrl);
     if ((!content && images.length === 0) || this.isStreaming) return;
     
     // Check authentication
-    const provider = this.providerSelect?.value || "copilot";
+    const provider = options.providerOverride || this.providerSelect?.value || "copilot";
     
     // Local providers don't need auth
-    if (provider === "copilot") {
-      let isAuthenticated = false;
-      try {
-        isAuthenticated = await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
-      } catch (e) {
-        // Not authenticated
-      }
+    if (ZoteroAIAssistant.ProviderRegistry.requiresAuth(provider)) {
+      const isAuthenticated = await ZoteroAIAssistant.ProviderRegistry.isAuthenticated(provider);
       
       if (!isAuthenticated) {
         this.showAuthDialog();
@@ -1032,8 +1318,10 @@ ZoteroAIAssistant.Sidebar = {
     }
     
     // Clear input
-    this.inputArea.value = "";
-    this.inputArea.style.height = "auto";
+    if (!options.content) {
+      this.inputArea.value = "";
+      this.inputArea.style.height = "auto";
+    }
     
     // Clear welcome message if present
     const welcome = this.messagesContainer?.querySelector(".zai-welcome");
@@ -1061,33 +1349,48 @@ ZoteroAIAssistant.Sidebar = {
     try {
       // Get selected text if any
       const pdfReader = this.getPDFReader();
-      const selectedText = pdfReader?.getSelectedText?.();
+      const selectedText = this.chatMode === "paper" ? pdfReader?.getSelectedText?.() : null;
       const signal = this.abortController?.signal;
       
       // Send message with streaming
       let fullResponse = "";
-      
-      const result = await ZoteroAIAssistant.ChatManager.sendMessage(content, {
-        item: this.currentItem,
-        selectedText,
-        signal,
-        images,
-        task: options.task,
-        onChunk: (chunk) => {
-          fullResponse += chunk;
-          if (assistantMsg) {
-            assistantMsg.dataset.rawContent = fullResponse;
-          }
-          contentEl.innerHTML = this.renderMarkdown(fullResponse);
-          this.scrollToBottom();
+      const onChunk = (chunk) => {
+        fullResponse += chunk;
+        if (assistantMsg) {
+          assistantMsg.dataset.rawContent = fullResponse;
         }
-      });
+        contentEl.innerHTML = this.renderMarkdown(fullResponse);
+        this.scrollToBottom();
+      };
+      
+      const result = this.chatMode === "library"
+        ? await ZoteroAIAssistant.LibraryChat.sendMessage(options.requestContent || content, {
+          scope: this.libraryScope,
+          signal,
+          onChunk
+        })
+        : await ZoteroAIAssistant.ChatManager.sendMessage(content, {
+          item: this.currentItem,
+          selectedText,
+          signal,
+          images,
+          requestContent: options.requestContent,
+          fullTextContext: options.fullTextContext,
+          task: options.task,
+          providerOverride: options.providerOverride,
+          modelOverride: options.modelOverride,
+          onChunk
+        });
       
       if (result.success) {
-        contentEl.innerHTML = this.renderMarkdown(result.content);
+        contentEl.innerHTML = this.renderMarkdown(result.content, result.sources, result.annotationRefs);
         if (assistantMsg) {
           assistantMsg.dataset.rawContent = result.content || "";
+          this.renderContextSections(assistantMsg, result.contextSections);
+          this.renderContextChunks(assistantMsg, result.contextChunks);
+          this.renderSources(assistantMsg, result.sources);
         }
+        this.updateContextMeter(result.contextUsage);
       } else {
         contentEl.innerHTML = `<span class="zai-error">Error: ${result.error}</span>`;
         if (assistantMsg) {
@@ -1114,10 +1417,73 @@ ZoteroAIAssistant.Sidebar = {
     }
   },
   
+  /**
+   * Add buttons for prompt library entries shown as sidebar quick actions
+   */
+  renderPromptActions() {
+    const quickActions = this.container?.querySelector("#zai-quick-actions");
+    if (!quickActions || !ZoteroAIAssistant.PromptLibrary) return;
+    
+    for (const btn of quickActions.querySelectorAll(".zai-prompt-action")) {
+      btn.remove();
+    }
+    
+    const doc = this.container.ownerDocument;
+    for (const prompt of ZoteroAIAssistant.PromptLibrary.getPrompts("sidebar")) {
+      const btn = doc.createElementNS("http://www.w3.org/1999/xhtml", "button");
+      btn.className = "zai-action-btn zai-prompt-action";
+      btn.textContent = prompt.name;
+      btn.title = prompt.template;
+      btn.dataset.action = "prompt:" + prompt.id;
+      quickActions.appendChild(btn);
+    }
+  },
+  
+  /**
+   * Fill in a prompt library entry and send it
+   */
+  async runLibraryPrompt(promptID) {
+    const PL = ZoteroAIAssistant.PromptLibrary;
+    const prompt = PL?.getPrompt(promptID);
+    if (!prompt || this.isStreaming) return;
+    
+    const { provider, modelId } = PL.resolveModel(prompt);
+    const selection = this.getPDFReader()?.getSelectedText?.() || "";
+    let requestContent;
+    try {
+      requestContent = await PL.render(prompt.template, {
+        item: this.currentItem,
+        selection,
+        provider,
+        modelId
+      });
+    } catch (error) {
+      Zotero.debug("ZoteroAIAssistant.Sidebar: Failed to fill in prompt: " + error);
+      this.showToast(`Could not fill in "${prompt.name}"`);
+      return;
+    }
+    
+    // The chat shows the prompt's name; the filled-in template only goes to the model
+    await this.sendMessage({
+      content: prompt.name,
+      requestContent,
+      fullTextContext: !PL.usesVariable(prompt.template, "fulltext"),
+      task: "custom",
+      providerOverride: prompt.provider || undefined,
+      modelOverride: prompt.model || undefined
+    });
+  },
+  
   /**
    * Handle quick action buttons
    */
   async handleQuickAction(action) {
+    // Prompt library entries
+    if (action.startsWith("prompt:")) {
+      await this.runLibraryPrompt(action.slice("prompt:".length));
+      return;
+    }
+    
     // Handle citation separately
     if (action === "cite") {
       this.showCitationMenu();
@@ -1126,7 +1492,23 @@ ZoteroAIAssistant.Sidebar = {
     
     // Handle comparison separately
     if (action === "compare") {
-      await this.handleCompare();
+      this.showCompareMenu();
+      return;
+    }
+    
+    // Metadata repair has its own review window
+    if (action === "metadata") {
+      if (this.currentItem) {
+        ZoteroAIAssistant.openMetadataRepair?.(this.currentItem.id);
+      } else {
+        this.showToast("No paper selected");
+      }
+      return;
+    }
+    
+    // Annotation digest asks how to group first
+    if (action === "digest") {
+      this.showDigestMenu();
       return;
     }
     
@@ -1144,10 +1526,89 @@ ZoteroAIAssistant.Sidebar = {
     }
   },
   
+  /**
+   * Show focus area picker for comparing selected papers
+   */
+  showCompareMenu() {
+    const PC = ZoteroAIAssistant.PaperComparison;
+    if (!PC) {
+      this.showToast("Comparison module not loaded");
+      return;
+    }
+    
+    const existing = this.container?.querySelector(".zai-compare-menu");
+    if (existing) existing.remove();
+    
+    const doc = this.container?.ownerDocument || document;
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, className, text) => {
+      const el = doc.createElementNS(XHTML_NS, tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+    
+    const selected = this.compareFocusAreas || PC.DEFAULT_FOCUS_AREAS;
+    const menu = createEl("div", "zai-citation-menu zai-compare-menu");
+    menu.appendChild(createEl("div", "zai-citation-menu-header", "Compare Selected Papers"));
+    
+    const areas = createEl("div", "zai-compare-areas");
+    for (const area of PC.FOCUS_AREAS) {
+      const label = createEl("label", "zai-compare-area");
+      const checkbox = createEl("input");
+      checkbox.type = "checkbox";
+      checkbox.value = area.id;
+      checkbox.checked = selected.includes(area.id);
+      label.appendChild(checkbox);
+      label.appendChild(createEl("span", "", area.name));
+      label.title = area.description;
+      areas.appendChild(label);
+    }
+    menu.appendChild(areas);
+    
+    const custom = createEl("input", "zai-compare-custom");
+    custom.type = "text";
+    custom.placeholder = "Other focus areas, comma separated";
+    custom.value = selected.filter(area => !PC.FOCUS_AREAS.some(a => a.id === area)).join(", ");
+    menu.appendChild(custom);
+    
+    const footer = createEl("div", "zai-citation-menu-footer");
+    const compareBtn = createEl("button", "zai-citation-intext-btn", "Compare");
+    compareBtn.addEventListener("click", () => {
+      const focusAreas = [
+        ...[...areas.querySelectorAll("input:checked")].map(checkbox => checkbox.value),
+        ...custom.value.split(",").map(area => area.trim()).filter(Boolean)
+      ];
+      if (focusAreas.length === 0) {
+        this.showToast("Choose at least one focus area");
+        return;
+      }
+      this.compareFocusAreas = focusAreas;
+      menu.remove();
+      doc.removeEventListener("click", closeHandler);
+      this.handleCompare(focusAreas);
+    });
+    footer.appendChild(compareBtn);
+    menu.appendChild(footer);
+    
+    // Close on outside click
+    const closeHandler = (e) => {
+      if (!menu.contains(e.target)) {
+        menu.remove();
+        doc.removeEventListener("click", closeHandler);
+      }
+    };
+    setTimeout(() => doc.addEventListener("click", closeHandler), 0);
+    
+    const quickActions = this.container?.querySelector("#zai-quick-actions");
+    quickActions?.insertAdjacentElement("afterend", menu);
+  },
+  
   /**
    * Handle paper comparison
+   * @param {Array<string>} focusAreas - Focus area IDs or free text
    */
-  async handleCompare() {
+  async handleCompare(focusAreas) {
     if (!ZoteroAIAssistant.PaperComparison) {
       this.showToast("Comparison module not loaded");
       return;
@@ -1158,7 +1619,13 @@ ZoteroAIAssistant.Sidebar = {
     const loadingMsg = this.appendMessage("assistant", "Analyzing selected papers...");
     
     try {
-      const result = await ZoteroAIAssistant.PaperComparison.compareSelected();
+      const result = await ZoteroAIAssistant.PaperComparison.compareSelected({
+        focusAreas,
+        onProgress: (status) => {
+          const contentEl = loadingMsg?.querySelector(".zai-message-content");
+          if (contentEl) contentEl.textContent = status;
+        }
+      });
       
       if (loadingMsg) {
         loadingMsg.querySelector(".zai-message-content").innerHTML = this.renderMarkdown(result.message);
@@ -1176,6 +1643,109 @@ ZoteroAIAssistant.Sidebar = {
     }
   },
   
+  /**
+   * Show grouping picker for the annotation digest
+   */
+  showDigestMenu() {
+    const AD = ZoteroAIAssistant.AnnotationDigest;
+    if (!AD) {
+      this.showToast("Digest module not loaded");
+      return;
+    }
+    if (!this.currentItem) {
+      this.showToast("No paper selected");
+      return;
+    }
+    
+    const existing = this.container?.querySelector(".zai-digest-menu");
+    if (existing) existing.remove();
+    
+    const doc = this.container?.ownerDocument || document;
+    const XHTML_NS = "http://www.w3.org/1999/xhtml";
+    const createEl = (tag, className, text) => {
+      const el = doc.createElementNS(XHTML_NS, tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+    
+    const selected = this.digestGroupBy || "color";
+    const menu = createEl("div", "zai-citation-menu zai-digest-menu");
+    menu.appendChild(createEl("div", "zai-citation-menu-header", "Annotation Digest: Group By"));
+    
+    const groupings = createEl("div", "zai-compare-areas");
+    for (const grouping of AD.GROUPINGS) {
+      const label = createEl("label", "zai-compare-area");
+      const radio = createEl("input");
+      radio.type = "radio";
+      radio.name = "zai-digest-group";
+      radio.value = grouping.id;
+      radio.checked = grouping.id === selected;
+      label.appendChild(radio);
+      label.appendChild(createEl("span", "", grouping.name));
+      groupings.appendChild(label);
+    }
+    menu.appendChild(groupings);
+    
+    const footer = createEl("div", "zai-citation-menu-footer");
+    const digestBtn = createEl("button", "zai-citation-intext-btn", "Write Digest Note");
+    digestBtn.addEventListener("click", () => {
+      this.digestGroupBy = groupings.querySelector("input:checked")?.value || "color";
+      menu.remove();
+      doc.removeEventListener("click", closeHandler);
+      this.handleDigest(this.digestGroupBy);
+    });
+    footer.appendChild(digestBtn);
+    menu.appendChild(footer);
+    
+    // Close on outside click
+    const closeHandler = (e) => {
+      if (!menu.contains(e.target)) {
+        menu.remove();
+        doc.removeEventListener("click", closeHandler);
+      }
+    };
+    setTimeout(() => doc.addEventListener("click", closeHandler), 0);
+    
+    const quickActions = this.container?.querySelector("#zai-quick-actions");
+    quickActions?.insertAdjacentElement("afterend", menu);
+  },
+  
+  /**
+   * Write the annotation digest note for the current paper
+   * @param {string} groupBy - "color", "tag" or "section"
+   */
+  async handleDigest(groupBy) {
+    const item = this.currentItem;
+    if (!item) return;
+    
+    const grouping = ZoteroAIAssistant.AnnotationDigest.GROUPINGS.find(g => g.id === groupBy);
+    this.appendMessage("user", `Annotation digest by ${grouping.name.toLowerCase()}`);
+    const loadingMsg = this.appendMessage("assistant", "Collecting annotations...");
+    const contentEl = loadingMsg?.querySelector(".zai-message-content");
+    
+    try {
+      const result = await ZoteroAIAssistant.AnnotationDigest.createDigest(item, {
+        groupBy,
+        onProgress: (status) => {
+          if (contentEl) contentEl.textContent = status;
+        }
+      });
+      
+      if (contentEl) {
+        contentEl.innerHTML = this.renderMarkdown(result.markdown, null, result.refs);
+        loadingMsg.dataset.rawContent = result.markdown;
+      }
+      this.updateExportVisibility();
+      this.showToast(result.updated ? "Digest note updated" : "Digest note saved");
+    } catch (error) {
+      if (contentEl) {
+        contentEl.textContent = "Error writing digest: " + error.message;
+        loadingMsg.dataset.rawContent = "";
+      }
+    }
+  },
+  
   /**
    * Show citation style menu
    */
@@ -1225,9 +1795,7 @@ ZoteroAIAssistant.Sidebar = {
       btn.addEventListener("click", async () => {
         if (this.currentItem && ZoteroAIAssistant.CitationHelper) {
           const success = await ZoteroAIAssistant.CitationHelper.copyCitation(this.currentItem, style.id);
-          if (success) {
-            this.showToast(`${style.label.toUpperCase()} citation copied`);
-          }
+          this.showToast(success ? `${style.label.toUpperCase()} citation copied` : "Could not format citation");
         }
         menu.remove();
       });
@@ -1240,9 +1808,9 @@ ZoteroAIAssistant.Sidebar = {
       textContent: "In-text citation",
       "data-action": "intext"
     });
-    inTextBtn.addEventListener("click", () => {
+    inTextBtn.addEventListener("click", async () => {
       if (this.currentItem && ZoteroAIAssistant.CitationHelper) {
-        const success = ZoteroAIAssistant.CitationHelper.copyInTextCitation(this.currentItem, "apa");
+        const success = await ZoteroAIAssistant.CitationHelper.copyInTextCitation(this.currentItem, "apa");
         if (success) {
           this.showToast("In-text citation copied");
         }
@@ -1251,8 +1819,46 @@ ZoteroAIAssistant.Sidebar = {
     });
     footer.appendChild(inTextBtn);
 
+    // Several papers at once: the library selection, else this paper
+    const exportBtn = createEl("button", {
+      className: "zai-citation-intext-btn zai-citation-export-btn",
+      textContent: "Cite selected papers / export...",
+      "data-action": "export"
+    });
+    exportBtn.addEventListener("click", () => {
+      const scope = ZoteroAIAssistant.getSelectionScope?.();
+      const itemIDs = scope?.itemIDs || (this.currentItem ? [this.currentItem.id] : null);
+      ZoteroAIAssistant.openCitationExport?.(itemIDs);
+      menu.remove();
+    });
+    footer.appendChild(exportBtn);
+
+    // Any installed CSL style
+    const styleSelect = createEl("select", { className: "zai-citation-style-select" });
+    const placeholder = createEl("option", { textContent: "Other style..." });
+    placeholder.value = "";
+    styleSelect.appendChild(placeholder);
+    ZoteroAIAssistant.CitationHelper?.getInstalledStyles().then(installed => {
+      for (const style of installed) {
+        const option = createEl("option", { textContent: style.name });
+        option.value = style.id;
+        styleSelect.appendChild(option);
+      }
+    }).catch(error => {
+      Zotero.debug("ZoteroAIAssistant.Sidebar: Failed to list citation styles: " + error);
+    });
+    styleSelect.addEventListener("change", async () => {
+      const styleID = styleSelect.value;
+      if (!styleID || !this.currentItem) return;
+      const label = styleSelect.selectedOptions[0]?.textContent || "Citation";
+      const success = await ZoteroAIAssistant.CitationHelper.copyCitation(this.currentItem, styleID);
+      this.showToast(success ? `${label} citation copied` : "Could not format citation");
+      menu.remove();
+    });
+
     menu.appendChild(header);
     menu.appendChild(styles);
+    menu.appendChild(styleSelect);
     menu.appendChild(footer);
     
     // Close on outside click
@@ -1272,7 +1878,7 @@ ZoteroAIAssistant.Sidebar = {
   /**
    * Append a message to the chat
    */
-  appendMessage(role, content, images = []) {
+  appendMessage(role, content, images = [], sources = null, annotationRefs = null) {
     const doc = this.messagesContainer?.ownerDocument || document;
     const msgEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
     msgEl.className = `zai-message zai-message-${role}`;
@@ -1296,7 +1902,7 @@ ZoteroAIAssistant.Sidebar = {
 
     const contentEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
     contentEl.className = "zai-message-content";
-    contentEl.innerHTML = role === "assistant" ? this.renderMarkdown(content) : this.escapeHtml(content);
+    contentEl.innerHTML = role === "assistant" ? this.renderMarkdown(content, sources, annotationRefs) : this.escapeHtml(content);
     
     msgEl.appendChild(contentEl);
 
@@ -1317,10 +1923,197 @@ ZoteroAIAssistant.Sidebar = {
     return msgEl;
   },
   
+  /**
+   * List the library items a response drew on
+   */
+  renderSources(msgEl, sources) {
+    if (!msgEl || !Array.isArray(sources) || sources.length === 0) return;
+    
+    const doc = msgEl.ownerDocument;
+    const sourcesEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
+    sourcesEl.className = "zai-message-sources";
+    
+    for (const source of sources) {
+      const link = doc.createElementNS("http://www.w3.org/1999/xhtml", "a");
+      link.className = "zai-item-cite zai-message-source";
+      link.href = "#";
+      link.dataset.itemId = source.itemID;
+      const firstAuthor = source.authors?.[0]?.split(" ").pop();
+      link.textContent = `[${source.number}] `
+        + (firstAuthor ? `${firstAuthor}${source.authors.length > 1 ? " et al." : ""} (${source.year}) ` : "")
+        + source.title;
+      link.title = "Select in library";
+      sourcesEl.appendChild(link);
+    }
+    
+    const citeBtn = doc.createElementNS("http://www.w3.org/1999/xhtml", "button");
+    citeBtn.className = "zai-message-copy zai-message-sources-cite";
+    citeBtn.type = "button";
+    citeBtn.textContent = "Cite sources...";
+    citeBtn.title = "Copy a bibliography or export these sources";
+    citeBtn.addEventListener("click", () => {
+      ZoteroAIAssistant.openCitationExport?.(sources.map(source => source.itemID));
+    });
+    sourcesEl.appendChild(citeBtn);
+    
+    msgEl.appendChild(sourcesEl);
+  },
+  
+  /**
+   * Open the current paper at a cited page
+   */
+  async openPageCitation(page, quote) {
+    if (!this.currentItem || !ZoteroAIAssistant.PDFReader?.openAtPage) {
+      this.showToast("No paper selected");
+      return;
+    }
+    
+    const result = await ZoteroAIAssistant.PDFReader.openAtPage(this.currentItem, page, quote || null);
+    if (!result.success) {
+      this.showToast(result.error || "Could not open page");
+    }
+  },
+  
+  /**
+   * Turn [p. N: "quote"] references into links to the PDF page. Runs on
+   * escaped text before inline formatting, so markdown markers in the quote
+   * are encoded to keep them out of the attributes.
+   */
+  linkPageCitations(html) {
+    return html.replace(/\[pp?\.\s*(\d+)(?:\s*[-–]\s*\d+)?(?:\s*[:,]\s*["\u201c]([^"\u201d\]]+)["\u201d])?\]/g, (match, page, quote) => {
+      const quoteAttr = quote
+        ? quote.trim().replace(/\s+/g, " ").replace(/"/g, "&quot;").replace(/\*/g, "&#42;").replace(/`/g, "&#96;").replace(/_/g, "&#95;")
+        : "";
+      const title = quote ? `Open page ${page}: ${quoteAttr}` : `Open page ${page}`;
+      return `<a href="#" class="zai-page-cite" data-page="${page}" data-quote="${quoteAttr}" title="${title}">p. ${page}</a>`;
+    });
+  },
+  
+  /**
+   * Turn [A3] or [A3, A5] annotation references into links to the annotations
+   */
+  linkAnnotationCitations(html, refs) {
+    const byNumber = new Map(refs.map(ref => [String(ref.number), ref]));
+    return html.replace(/\[(A\d+(?:\s*[,;]\s*A?\d+)*)\]/g, (match, numbers) => {
+      const parts = numbers.split(/\s*[,;]\s*/).map(n => n.replace(/^A/, ""));
+      if (!parts.every(n => byNumber.has(n))) return match;
+      return parts.map(n => {
+        const ref = byNumber.get(n);
+        const title = ref.pageLabel ? `Open annotation on page ${ref.pageLabel}` : "Open annotation";
+        return `<a href="#" class="zai-annotation-cite" data-attachment-id="${ref.attachmentID}" data-annotation-key="${ref.key}" title="${title}">A${n}</a>`;
+      }).join(" ");
+    });
+  },
+  
+  /**
+   * Open the reader at an annotation the answer referred to
+   */
+  async openAnnotationCitation(attachmentID, annotationKey) {
+    const result = await ZoteroAIAssistant.PDFReader?.openAnnotation(attachmentID, annotationKey);
+    if (!result?.success) {
+      this.showToast(result?.error || "Could not open annotation");
+    }
+  },
+  
+  /**
+   * Turn [n] citations into links to the cited items
+   */
+  linkCitations(html, sources) {
+    const byNumber = new Map(sources.map(source => [String(source.number), source]));
+    return html.replace(/\[(\d+(?:\s*[,;]\s*\d+)*)\]/g, (match, numbers) => {
+      const parts = numbers.split(/\s*[,;]\s*/);
+      if (!parts.every(n => byNumber.has(n))) return match;
+      return parts.map(n => {
+        const source = byNumber.get(n);
+        const title = this.escapeHtml(source.title).replace(/"/g, "&quot;");
+        return `<a href="#" class="zai-item-cite" data-item-id="${source.itemID}" title="${title}">[${n}]</a>`;
+      }).join("");
+    });
+  },
+  
+  /**
+   * Show which full-text sections were sent with a response
+   */
+  renderContextSections(msgEl, sections) {
+    if (!msgEl || !Array.isArray(sections) || sections.length === 0) return;
+    
+    const doc = msgEl.ownerDocument;
+    const contextEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
+    contextEl.className = "zai-message-context";
+    
+    const totalTokens = sections.reduce((sum, s) => sum + (s.tokens || 0), 0);
+    const labelEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "span");
+    labelEl.className = "zai-message-context-label";
+    labelEl.textContent = `Full text sent (~${totalTokens} tokens):`;
+    contextEl.appendChild(labelEl);
+    
+    for (const section of sections) {
+      const chip = doc.createElementNS("http://www.w3.org/1999/xhtml", "span");
+      chip.className = "zai-message-context-section";
+      chip.textContent = section.truncated ? `${section.title}…` : section.title;
+      chip.title = (section.page ? `Page ${section.page}, ` : "") + `~${section.tokens} tokens`
+        + (section.truncated ? " (truncated)" : "");
+      contextEl.appendChild(chip);
+    }
+    
+    msgEl.appendChild(contextEl);
+  },
+  
+  /**
+   * Show which retrieved chunks were sent with a response
+   */
+  renderContextChunks(msgEl, chunks) {
+    if (!msgEl || !Array.isArray(chunks) || chunks.length === 0) return;
+    
+    const doc = msgEl.ownerDocument;
+    const contextEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
+    contextEl.className = "zai-message-context zai-message-chunks";
+    
+    const toggleEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "button");
+    toggleEl.type = "button";
+    toggleEl.className = "zai-message-context-toggle";
+    const pages = [...new Set(chunks.map(c => c.page).filter(Boolean))].sort((a, b) => a - b);
+    toggleEl.textContent = `${chunks.length} retrieved passage${chunks.length === 1 ? "" : "s"}`
+      + (pages.length ? ` (p. ${pages.join(", ")})` : "");
+    contextEl.appendChild(toggleEl);
+    
+    const listEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
+    listEl.className = "zai-message-chunk-list";
+    listEl.hidden = true;
+    for (const chunk of chunks) {
+      const itemEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "div");
+      itemEl.className = "zai-message-chunk";
+      
+      const pageEl = doc.createElementNS("http://www.w3.org/1999/xhtml", chunk.page ? "a" : "span");
+      pageEl.className = chunk.page ? "zai-message-chunk-page zai-page-cite" : "zai-message-chunk-page";
+      pageEl.textContent = chunk.page ? `p. ${chunk.page}` : "—";
+      if (chunk.page) {
+        pageEl.href = "#";
+        pageEl.dataset.page = chunk.page;
+        pageEl.dataset.quote = (chunk.excerpt || "").split(/\s+/).slice(0, 12).join(" ");
+        pageEl.title = `Open page ${chunk.page}`;
+      }
+      itemEl.appendChild(pageEl);
+      
+      const textEl = doc.createElementNS("http://www.w3.org/1999/xhtml", "span");
+      textEl.textContent = chunk.excerpt || "";
+      itemEl.appendChild(textEl);
+      
+      listEl.appendChild(itemEl);
+    }
+    contextEl.appendChild(listEl);
+    
+    toggleEl.addEventListener("click", () => {
+      listEl.hidden = !listEl.hidden;
+    });
+    
+    msgEl.appendChild(contextEl);
+  },
+  
   /**
    * Simple markdown rendering (XHTML compatible)
    */
-  renderMarkdown(text) {
+  renderMarkdown(text, sources = null, annotationRefs = null) {
     if (!text) return "";
     
     let html = text;
@@ -1346,6 +2139,9 @@ ZoteroAIAssistant.Sidebar = {
       html = html.replace(`__CODE_BLOCK_${i}__`, block);
     });
     
+    // Page references, before inline formatting can reach into their attributes
+    html = this.linkPageCitations(html);
+    
     // Inline code
     html = html.replace(/`([^`]+)`/g, '<code class="zai-inline-code">$1</code>');
     
@@ -1386,6 +2182,14 @@ ZoteroAIAssistant.Sidebar = {
     // Remove br after ul
     html = html.replace(/(<\/ul>)<br\/>/g, '$1');
     
+    // Link library and annotation citations
+    if (Array.isArray(sources) && sources.length) {
+      html = this.linkCitations(html, sources);
+    }
+    if (Array.isArray(annotationRefs) && annotationRefs.length) {
+      html = this.linkAnnotationCitations(html, annotationRefs);
+    }
+    
     return html;
   },
   
@@ -1462,6 +2266,12 @@ ZoteroAIAssistant.Sidebar = {
   showAuthDialog() {
     const provider = this.providerSelect?.value || "copilot";
     
+    // API keys are entered in the preferences pane
+    if (ZoteroAIAssistant.ProviderRegistry.usesApiKey(provider)) {
+      ZoteroAIAssistant.openPreferences();
+      return;
+    }
+    
     if (typeof ZoteroAIAssistant.openAuthDialog === "function") {
       ZoteroAIAssistant.openAuthDialog(provider);
     } else {
@@ -1485,7 +2295,8 @@ ZoteroAIAssistant.Sidebar = {
     this.currentItem = this.resolveItem(item);
     this.clearPendingImages();
     
-    if (!this.messagesContainer) return;
+    // Library conversations don't depend on the selected item
+    if (!this.messagesContainer || this.chatMode === "library") return;
     
     while (this.messagesContainer.firstChild) {
       this.messagesContainer.removeChild(this.messagesContainer.firstChild);
@@ -1512,6 +2323,10 @@ ZoteroAIAssistant.Sidebar = {
     if (this.abortController) {
       this.abortController.abort();
     }
+    if (this.promptListener) {
+      ZoteroAIAssistant.PromptLibrary?.removeListener(this.promptListener);
+      this.promptListener = null;
+    }
     this.container = null;
     this.messagesContainer = null;
     this.inputArea = null;
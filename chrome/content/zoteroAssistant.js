@@ -59,6 +59,21 @@ var ZoteroAIAssistant = {
         Zotero.debug("ZoteroAIAssistant: PDFReader initialized");
       }
       
+      // Move conversations saved in prefs by older versions into files
+      if (ZoteroAIAssistant.ConversationStorage) {
+        ZoteroAIAssistant.ConversationStorage.init();
+      }
+      
+      // Drop cached paper text when attachments change or are reindexed
+      if (ZoteroAIAssistant.FullTextContext) {
+        ZoteroAIAssistant.FullTextContext.init();
+      }
+      
+      // Load saved batch jobs; interrupted jobs come back paused
+      if (ZoteroAIAssistant.BatchProcessor) {
+        ZoteroAIAssistant.BatchProcessor.init();
+      }
+      
       // Register preference pane
       this.registerPreferencePane();
       
@@ -85,8 +100,13 @@ var ZoteroAIAssistant = {
       copilotClient: "services/ai/copilotClient.js",
       modelRegistry: "services/ai/modelRegistry.js",
       localModelClient: "services/ai/localModelClient.js",
+      openAICompatibleClient: "services/ai/openAICompatibleClient.js",
+      anthropicClient: "services/ai/anthropicClient.js",
+      geminiClient: "services/ai/geminiClient.js",
+      providerRegistry: "services/ai/providerRegistry.js",
       // UI modules
       sidebar: "ui/sidebar.js",
+      imageCapture: "ui/imageCapture.js",
       // Core modules
       conversationStorage: "modules/conversationStorage.js",
       annotationManager: "modules/annotationManager.js",
@@ -95,9 +115,19 @@ var ZoteroAIAssistant = {
       paperComparison: "modules/paperComparison.js",
       notesManager: "modules/notesManager.js",
       batchProcessor: "modules/batchProcessor.js",
+      batchWriteBack: "modules/batchWriteBack.js",
+      literatureMatrix: "modules/literatureMatrix.js",
       pdfReader: "modules/pdfReader.js",
+      fullTextContext: "modules/fullTextContext.js",
+      contextWindow: "modules/contextWindow.js",
+      retrievalIndex: "modules/retrievalIndex.js",
+      libraryChat: "modules/libraryChat.js",
       chatManager: "modules/chatManager.js",
-      paperActions: "modules/paperActions.js"
+      paperActions: "modules/paperActions.js",
+      promptLibrary: "modules/promptLibrary.js",
+      metadataRepair: "modules/metadataRepair.js",
+      autoHighlight: "modules/autoHighlight.js",
+      annotationDigest: "modules/annotationDigest.js"
     };
     
     for (const [name, path] of Object.entries(modulePaths)) {
@@ -311,8 +341,10 @@ var ZoteroAIAssistant = {
       
       // Provider selector
       h("div", { className: "zai-provider-selector" }, [
-        // Provider is always Copilot now
-        h("span", { className: "zai-provider-label", textContent: "GitHub Copilot" }),
+        h("span", {
+          className: "zai-provider-label",
+          textContent: ZoteroAIAssistant.ProviderRegistry?.getProvider(provider)?.name || "GitHub Copilot"
+        }),
         this.createModelSelect(doc, provider, modelId)
       ]),
       
@@ -427,7 +459,7 @@ var ZoteroAIAssistant = {
     // Auth button
     const authBtn = container.querySelector("#zai-auth-btn");
     authBtn?.addEventListener("click", () => {
-      this.openAuthDialog(container.querySelector("#zai-provider-select")?.value || "copilot");
+      this.openProviderAuth(this.getPanelProvider(container));
     });
     
     // Provider select
@@ -503,14 +535,14 @@ var ZoteroAIAssistant = {
     
     if (!authStatus) return;
     
-    const provider = container.querySelector("#zai-provider-select")?.value || "copilot";
+    const provider = this.getPanelProvider(container);
     
     try {
-      let isAuthenticated = false;
+      const registry = ZoteroAIAssistant.ProviderRegistry;
+      const isAuthenticated = await registry.isAuthenticated(provider);
       let userName = null;
       
-      if (provider === "copilot" && ZoteroAIAssistant.GitHubDeviceFlow) {
-        isAuthenticated = await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
+      if (provider === "copilot") {
         if (isAuthenticated && ZoteroAIAssistant.TokenStorage) {
           const tokenData = await ZoteroAIAssistant.TokenStorage.getToken(
             ZoteroAIAssistant.TokenStorage.REALMS.GITHUB_COPILOT
@@ -527,9 +559,12 @@ var ZoteroAIAssistant = {
         if (statusLabel) {
           statusLabel.textContent = userName 
             ? `Connected as ${userName}` 
-            : "Connected";
+            : `Connected to ${registry.getProvider(provider)?.name || provider}`;
         }
-        if (authBtn) {
+        if (!registry.requiresAuth(provider) || registry.usesApiKey(provider)) {
+          // Nothing to sign out of; keys are managed in the preferences
+          authStatus.style.display = "none";
+        } else if (authBtn) {
           authBtn.textContent = "Disconnect";
           authBtn.className = "zai-auth-btn zai-disconnect-btn";
           // Remove old event listeners and add disconnect handler
@@ -543,15 +578,17 @@ var ZoteroAIAssistant = {
         authStatus.className = "zai-auth-status zai-auth-required";
         if (statusIcon) statusIcon.textContent = "🔗";
         if (statusLabel) {
-          statusLabel.textContent = "Connect to GitHub Copilot";
+          statusLabel.textContent = registry.usesApiKey(provider)
+            ? `Add your ${registry.getProvider(provider).name} key`
+            : `Connect to ${registry.getProvider(provider)?.name || "GitHub Copilot"}`;
         }
         if (authBtn) {
-          authBtn.textContent = "Connect";
+          authBtn.textContent = registry.usesApiKey(provider) ? "Settings" : "Connect";
           authBtn.className = "zai-auth-btn";
           // Remove old event listeners and add connect handler
           const newBtn = authBtn.cloneNode(true);
           authBtn.parentNode.replaceChild(newBtn, authBtn);
-          newBtn.addEventListener("click", () => this.openAuthDialog(provider));
+          newBtn.addEventListener("click", () => this.openProviderAuth(provider));
         }
       }
     } catch (error) {
@@ -585,6 +622,26 @@ var ZoteroAIAssistant = {
     }
   },
   
+  /**
+   * Get the provider the inline panel sends to
+   */
+  getPanelProvider(container) {
+    return container.querySelector("#zai-provider-select")?.value
+      || Zotero.Prefs.get("extensions.zotero-ai-assistant.defaultProvider", true)
+      || "copilot";
+  },
+  
+  /**
+   * Sign in to a provider, or open the preferences to enter its API key
+   */
+  openProviderAuth(provider) {
+    if (ZoteroAIAssistant.ProviderRegistry?.usesApiKey(provider)) {
+      this.openPreferences();
+      return;
+    }
+    this.openAuthDialog(provider);
+  },
+  
   /**
    * Open authentication dialog
    */
@@ -601,6 +658,215 @@ var ZoteroAIAssistant = {
     );
   },
 
+  /**
+   * Open the literature matrix for the selected papers, or for the
+   * selected collection when no papers are selected
+   * @param {string} jobID - Show the results of an existing matrix job instead
+   * @param {boolean} fromCollection - Use the selected collection even if papers are selected
+   */
+  openLiteratureMatrix(jobID = null, fromCollection = false) {
+    if (jobID) {
+      const job = ZoteroAIAssistant.BatchProcessor.getJob(jobID);
+      if (!job) return;
+      Services.ww.openWindow(
+        Services.wm.getMostRecentWindow("navigator:browser") || null,
+        this.getChromeContentURL("ui/literatureMatrix.xhtml"),
+        "ZoteroAIAssistantMatrix",
+        "chrome,centerscreen,resizable,width=960,height=640",
+        {
+          jobID,
+          itemIDs: job.entries.map(entry => entry.itemID),
+          collectionID: job.scope?.collectionID || null,
+          libraryID: job.scope?.libraryID || null,
+          scopeName: job.scope?.name || ""
+        }
+      );
+      return;
+    }
+    
+    const scope = this.getSelectionScope(fromCollection);
+    if (!scope) {
+      Services.prompt.alert(Zotero.getMainWindow(), "Literature Matrix", "Select papers or a collection first.");
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/literatureMatrix.xhtml"),
+      "ZoteroAIAssistantMatrix",
+      "chrome,centerscreen,resizable,width=960,height=640",
+      scope
+    );
+  },
+  
+  /**
+   * Get the papers to run a batch over: the selected regular items, or the
+   * selected collection's items when none are selected
+   * @param {boolean} fromCollection - Always use the selected collection
+   * @returns {object|null} { itemIDs, collectionID, libraryID, scopeName }
+   */
+  getSelectionScope(fromCollection = false) {
+    const zp = Zotero.getActiveZoteroPane();
+    if (!zp) return null;
+    
+    const collection = zp.getSelectedCollection?.();
+    let items = fromCollection ? [] : zp.getSelectedItems().filter(item => item.isRegularItem());
+    let scopeName = "";
+    if (items.length === 0 && collection) {
+      items = collection.getChildItems().filter(item => item.isRegularItem());
+      scopeName = collection.name;
+    }
+    
+    if (items.length === 0) return null;
+    
+    return {
+      itemIDs: items.map(item => item.id),
+      collectionID: collection?.id || null,
+      libraryID: zp.getSelectedLibraryID?.() || items[0].libraryID,
+      scopeName
+    };
+  },
+  
+  /**
+   * Open the batch dialog for the selected papers or collection
+   * @param {boolean} fromCollection - Use the selected collection even if papers are selected
+   */
+  openBatchDialog(fromCollection = false) {
+    const scope = this.getSelectionScope(fromCollection);
+    if (!scope) {
+      Services.prompt.alert(Zotero.getMainWindow(), "Batch Process", "Select papers or a collection first.");
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/batchDialog.xhtml"),
+      "ZoteroAIAssistantBatch",
+      "chrome,centerscreen,resizable,width=760,height=620",
+      scope
+    );
+  },
+  
+  /**
+   * Open the literature review drafter for the selected papers or collection
+   * @param {boolean} fromCollection - Use the selected collection even if papers are selected
+   */
+  openLiteratureReview(fromCollection = false) {
+    const scope = this.getSelectionScope(fromCollection);
+    if (!scope) {
+      Services.prompt.alert(Zotero.getMainWindow(), "Draft Literature Review", "Select papers or a collection first.");
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/literatureReview.xhtml"),
+      "ZoteroAIAssistantReview",
+      "chrome,centerscreen,resizable,width=760,height=640",
+      scope
+    );
+  },
+  
+  /**
+   * Open the citation and export window
+   * @param {Array<number>} itemIDs - Papers to cite, e.g. the sources of a chat answer;
+   *   defaults to the selected papers or collection
+   * @param {boolean} fromCollection - Use the selected collection even if papers are selected
+   */
+  openCitationExport(itemIDs = null, fromCollection = false) {
+    const scope = itemIDs?.length ? { itemIDs, scopeName: "" } : this.getSelectionScope(fromCollection);
+    if (!scope) {
+      Services.prompt.alert(Zotero.getMainWindow(), "Cite & Export", "Select papers or a collection first.");
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/citationExport.xhtml"),
+      "ZoteroAIAssistantCite",
+      "chrome,centerscreen,resizable,width=720,height=600",
+      scope
+    );
+  },
+  
+  /**
+   * Open the AI metadata repair window for one paper
+   * @param {number} itemID - Paper to fix; defaults to the first selected paper
+   */
+  openMetadataRepair(itemID = null) {
+    if (!itemID) {
+      const zp = Zotero.getActiveZoteroPane();
+      itemID = zp?.getSelectedItems().find(item => item.isRegularItem())?.id || null;
+    }
+    if (!itemID) {
+      Services.prompt.alert(Zotero.getMainWindow(), "Fix Metadata with AI", "Select a paper first.");
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/metadataRepair.xhtml"),
+      "ZoteroAIAssistantMetadata",
+      "chrome,centerscreen,resizable,width=760,height=600",
+      { itemID }
+    );
+  },
+  
+  /**
+   * Open the auto-highlight review window for one paper
+   * @param {number} itemID - Paper or PDF attachment; defaults to the first selected one
+   */
+  openAutoHighlight(itemID = null) {
+    if (!itemID) {
+      const zp = Zotero.getActiveZoteroPane();
+      itemID = zp?.getSelectedItems().find(item => item.isRegularItem() || item.isPDFAttachment())?.id || null;
+    }
+    if (!itemID) {
+      Services.prompt.alert(Zotero.getMainWindow(), "Auto-Highlight PDF", "Select a paper first.");
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/autoHighlight.xhtml"),
+      "ZoteroAIAssistantHighlight",
+      "chrome,centerscreen,resizable,width=760,height=640",
+      { itemID }
+    );
+  },
+  
+  /**
+   * Open the batch job manager
+   */
+  openBatchJobs() {
+    const existing = Services.wm.getMostRecentWindow("zotero-ai-assistant:batch-jobs");
+    if (existing) {
+      existing.focus();
+      return;
+    }
+    
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/batchJobs.xhtml"),
+      "ZoteroAIAssistantBatchJobs",
+      "chrome,centerscreen,resizable,width=720,height=520",
+      null
+    );
+  },
+  
+  /**
+   * Open the write-back preview for a batch job
+   */
+  openBatchWriteBack(jobID) {
+    Services.ww.openWindow(
+      Services.wm.getMostRecentWindow("navigator:browser") || null,
+      this.getChromeContentURL("ui/batchWriteBack.xhtml"),
+      "ZoteroAIAssistantWriteBack",
+      "chrome,centerscreen,resizable,width=760,height=560",
+      { jobID }
+    );
+  },
+  
   /**
    * Resolve a chrome/content-relative URL under the add-on root.
    */
@@ -641,17 +907,15 @@ var ZoteroAIAssistant = {
     if (!content) return;
     
     // Check auth first
-    const provider = container.querySelector("#zai-provider-select")?.value || "copilot";
+    const provider = this.getPanelProvider(container);
     let isAuthenticated = false;
     
     try {
-      if (ZoteroAIAssistant.GitHubDeviceFlow) {
-        isAuthenticated = await ZoteroAIAssistant.GitHubDeviceFlow.hasValidSession();
-      }
+      isAuthenticated = await ZoteroAIAssistant.ProviderRegistry.isAuthenticated(provider);
     } catch (e) {}
     
     if (!isAuthenticated) {
-      this.openAuthDialog(provider);
+      this.openProviderAuth(provider);
       return;
     }
     
@@ -793,6 +1057,87 @@ var ZoteroAIAssistant = {
       });
       toolsMenu.appendChild(menuItem);
       this.registeredMenuItems.push(menuItem);
+      
+      const matrixItem = doc.createXULElement("menuitem");
+      matrixItem.id = "zotero-ai-assistant-matrix-menu-item";
+      matrixItem.setAttribute("label", "AI Literature Matrix...");
+      matrixItem.addEventListener("command", () => {
+        this.openLiteratureMatrix();
+      });
+      toolsMenu.appendChild(matrixItem);
+      this.registeredMenuItems.push(matrixItem);
+      
+      const jobsItem = doc.createXULElement("menuitem");
+      jobsItem.id = "zotero-ai-assistant-jobs-menu-item";
+      jobsItem.setAttribute("label", "AI Batch Jobs...");
+      jobsItem.addEventListener("command", () => {
+        this.openBatchJobs();
+      });
+      toolsMenu.appendChild(jobsItem);
+      this.registeredMenuItems.push(jobsItem);
+    }
+    
+    // Add "AI Assistant" submenus to the item and collection context menus
+    const contextMenus = [
+      { popupID: "zotero-itemmenu", fromCollection: false },
+      { popupID: "zotero-collectionmenu", fromCollection: true }
+    ];
+    for (const { popupID, fromCollection } of contextMenus) {
+      const popup = doc.getElementById(popupID);
+      if (!popup) continue;
+      
+      const menu = doc.createXULElement("menu");
+      menu.id = `${popupID}-zotero-ai-assistant`;
+      menu.setAttribute("label", "AI Assistant");
+      const menuPopup = doc.createXULElement("menupopup");
+      
+      const batchItem = doc.createXULElement("menuitem");
+      batchItem.setAttribute("label", "Batch...");
+      batchItem.addEventListener("command", () => {
+        this.openBatchDialog(fromCollection);
+      });
+      menuPopup.appendChild(batchItem);
+      
+      const matrixItem = doc.createXULElement("menuitem");
+      matrixItem.setAttribute("label", "Literature Matrix...");
+      matrixItem.addEventListener("command", () => {
+        this.openLiteratureMatrix(null, fromCollection);
+      });
+      menuPopup.appendChild(matrixItem);
+      
+      const reviewItem = doc.createXULElement("menuitem");
+      reviewItem.setAttribute("label", "Draft Literature Review...");
+      reviewItem.addEventListener("command", () => {
+        this.openLiteratureReview(fromCollection);
+      });
+      menuPopup.appendChild(reviewItem);
+      
+      const citeItem = doc.createXULElement("menuitem");
+      citeItem.setAttribute("label", "Cite & Export...");
+      citeItem.addEventListener("command", () => {
+        this.openCitationExport(null, fromCollection);
+      });
+      menuPopup.appendChild(citeItem);
+      
+      if (!fromCollection) {
+        const metadataItem = doc.createXULElement("menuitem");
+        metadataItem.setAttribute("label", "Fix Metadata with AI...");
+        metadataItem.addEventListener("command", () => {
+          this.openMetadataRepair();
+        });
+        menuPopup.appendChild(metadataItem);
+        
+        const highlightItem = doc.createXULElement("menuitem");
+        highlightItem.setAttribute("label", "Auto-Highlight PDF...");
+        highlightItem.addEventListener("command", () => {
+          this.openAutoHighlight();
+        });
+        menuPopup.appendChild(highlightItem);
+      }
+      
+      menu.appendChild(menuPopup);
+      popup.appendChild(menu);
+      this.registeredMenuItems.push(menu);
     }
   },
   
@@ -1017,6 +1362,10 @@ var ZoteroAIAssistant = {
       this.floatingWindow.close();
     }
     
+    // Pause running batch jobs so they resume on the next start
+    ZoteroAIAssistant.BatchProcessor?.shutdown();
+    ZoteroAIAssistant.FullTextContext?.shutdown();
+    
     this.initialized = false;
   }
 };
@@ -12,7 +12,6 @@ zotero-ai-assistant-settings-button =
 
 # Provider labels
 zotero-ai-assistant-provider-copilot = GitHub Copilot
-zotero-ai-assistant-provider-codex = OpenAI Codex
 
 # Quick actions
 zotero-ai-assistant-action-summarize = Summarize
@@ -39,10 +38,6 @@ zotero-ai-assistant-auth-github-waiting = Waiting for authorization...
 zotero-ai-assistant-auth-github-success = Connected successfully!
 zotero-ai-assistant-auth-github-error = Authentication failed
 
-zotero-ai-assistant-auth-openai-title = Connect to OpenAI Codex
-zotero-ai-assistant-auth-openai-instructions = Click the button below to sign in with your ChatGPT account.
-zotero-ai-assistant-auth-openai-button = Sign in with ChatGPT
-
 # Preferences
 zotero-ai-assistant-pref-title = AI Assistant Settings
 zotero-ai-assistant-pref-accounts = Accounts
@@ -9,14 +9,46 @@ pref("extensions.zotero-ai-assistant.customSystemPrompt", "");
 pref("extensions.zotero-ai-assistant.saveConversationHistory", true);
 pref("extensions.zotero-ai-assistant.maxHistoryLength", 50);
 pref("extensions.zotero-ai-assistant.streamingEnabled", true);
+
+// Context window in tokens (0 = automatic per model)
+pref("extensions.zotero-ai-assistant.contextWindow", 0);
 pref("extensions.zotero-ai-assistant.translateLanguage", "zh");
 
+// Full-text paper context (0 = automatic budget per model)
+pref("extensions.zotero-ai-assistant.fullTextContext", true);
+pref("extensions.zotero-ai-assistant.fullTextMaxTokens", 0);
+
+// Retrieval index for papers that exceed the full-text budget
+pref("extensions.zotero-ai-assistant.ragEnabled", true);
+pref("extensions.zotero-ai-assistant.ragEmbeddingProvider", "none");
+pref("extensions.zotero-ai-assistant.ragEmbeddingModel", "nomic-embed-text");
+pref("extensions.zotero-ai-assistant.ragTopK", 8);
+
+// Batch jobs (requests per minute by provider: 0 = provider default)
+pref("extensions.zotero-ai-assistant.batchConcurrency", 2);
+pref("extensions.zotero-ai-assistant.batchRequestsPerMinute.copilot", 0);
+pref("extensions.zotero-ai-assistant.batchRequestsPerMinute.anthropic", 0);
+pref("extensions.zotero-ai-assistant.batchRequestsPerMinute.gemini", 0);
+pref("extensions.zotero-ai-assistant.batchRequestsPerMinute.ollama", 0);
+pref("extensions.zotero-ai-assistant.batchRequestsPerMinute.lmstudio", 0);
+pref("extensions.zotero-ai-assistant.batchRequestsPerMinute.openai-compatible", 0);
+
+// Literature matrix columns (JSON array of { id, name, description }, empty = defaults)
+pref("extensions.zotero-ai-assistant.matrixColumns", "");
+
+// Prompt library (JSON array of { id, name, template, surfaces, provider, model })
+pref("extensions.zotero-ai-assistant.promptLibrary", "");
+
 // Local model endpoints
 pref("extensions.zotero-ai-assistant.ollamaEndpoint", "http://localhost:11434");
 pref("extensions.zotero-ai-assistant.ollamaModel", "");
 pref("extensions.zotero-ai-assistant.lmstudioEndpoint", "http://localhost:1234");
 pref("extensions.zotero-ai-assistant.lmstudioModel", "");
 
+// OpenAI-compatible server (custom headers: one "Name: value" per line)
+pref("extensions.zotero-ai-assistant.openaiCompatibleEndpoint", "");
+pref("extensions.zotero-ai-assistant.openaiCompatibleHeaders", "");
+
 // Keyboard shortcuts (just the key, all use Ctrl+Shift)
 pref("extensions.zotero-ai-assistant.shortcut.toggle", "Z");
 pref("extensions.zotero-ai-assistant.shortcut.translate", "T");